@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const pixbincodec = require("..");
+
+const USAGE = [
+  "Usage: pixbin <command> [arguments]",
+  "",
+  "Commands:",
+  "  info <file.pixp>                          show the primer, the index and the block table",
+  "  ls <file.pixp>                            list the blocks with their size and compression ratio",
+  "  extract <file.pixp> <block> <dir> [--npy] write the metadata and the streams of a block in a directory",
+  "  pack <spec.json> <file.pixp>              build a PixBin from a JSON description and binary files",
+  "  verify <file.pixp>                        check the checksums of the blocks and of their streams",
+  "  dump <file.pixp> <block>                  print a block as JSON",
+  "  upgrade <file.pixp> <output.pixp>         rewrite a PixBin in the current version of the format",
+  "",
+  "<block> is the index of a block, or its name.",
+  ""
+].join("\n");
+
+// numpy dtypes of the typed arrays, without the byte order character
+const npyTypes = {
+  Int8Array:          "i1",
+  Uint8Array:         "u1",
+  Uint8ClampedArray:  "u1",
+  Int16Array:         "i2",
+  Uint16Array:        "u2",
+  Int32Array:         "i4",
+  Uint32Array:        "u4",
+  Float32Array:       "f4",
+  Float64Array:       "f8",
+  BigInt64Array:      "i8",
+  BigUint64Array:     "u8"
+}
+
+const NPY_MAGIC = "\x93NUMPY";
+const isPlatformLittleEndian = ( os.endianness() === "LE" );
+
+
+/**
+* The errors of the command line (bad arguments, bad spec file), printed without a stack
+*/
+class CommandError extends Error {
+  constructor( message ){
+    super( message );
+    this.name = "CommandError";
+    Object.setPrototypeOf( this, CommandError.prototype );
+  }
+}
+
+
+const commands = {
+
+  info: function( args ){
+    expectArguments( args, 1 );
+    var buff = readArrayBuffer( args[0] );
+    var primer = pixbincodec.PixBinDecoder.parsePrimer( buff );
+    var decoder = openPixBin( buff );
+    var offset = primer.indexByteOffset + primer.indexByteLength;
+
+    console.log("file:           " + args[0] + " (" + buff.byteLength + " bytes)");
+    console.log("endianness:     " + ( primer.isLittleEndian ? "little" : "big" ));
+    console.log("index:          " + primer.indexByteLength + " bytes at offset " + primer.indexByteOffset);
+    console.log("date:           " + decoder.getBinCreationDate());
+    console.log("created with:   " + decoder.getBinCreatedWith());
+    console.log("format version: " + decoder.getBinFormatVersion());
+    console.log("description:    " + decoder.getBinDescription());
+    console.log("user object:    " + toJSON( decoder.getBinUserObject() ) + " (" + decoder.getBinUserObjectSerialization() + ")");
+    console.log("blocks:         " + decoder.getNumberOfBlocks());
+    console.log("");
+
+    var rows = [["#", "name", "type", "offset", "byte length", "checksum", "description"]];
+
+    for(var n=0; n<decoder.getNumberOfBlocks(); n++){
+      var blockInfo = decoder.getBlockInfo( n );
+
+      rows.push([
+        n,
+        decoder.getBlockName( n ),
+        blockInfo.type,
+        offset,
+        blockInfo.byteLength,
+        ( blockInfo.checksumAlgorithm || pixbincodec.Checksum.DEFAULT_ALGORITHM() ) + ":" + blockInfo.checksum,
+        blockInfo.description
+      ]);
+
+      offset += blockInfo.byteLength;
+    }
+
+    printTable( rows );
+  },
+
+
+  ls: function( args ){
+    expectArguments( args, 1 );
+    var decoder = openPixBin( readArrayBuffer( args[0] ) );
+    var rows = [["#", "name", "type", "streams", "size", "raw size", "ratio", "description"]];
+
+    for(var n=0; n<decoder.getNumberOfBlocks(); n++){
+      var byteStreamInfo = decoder.getBlockStreamInfo( n );
+      var rawSize = 0;
+      var storedSize = 0;
+
+      byteStreamInfo.forEach(function( bsi ){
+        rawSize += bsi.byteLength;
+        storedSize += bsi.compressedByteLength || bsi.byteLength;
+      });
+
+      rows.push([
+        n,
+        decoder.getBlockName( n ),
+        decoder.getBlockType( n ),
+        byteStreamInfo.length,
+        decoder.getBlockInfo( n ).byteLength,
+        rawSize,
+        storedSize ? (rawSize / storedSize).toFixed(2) : "-",
+        decoder.getBlockDescription( n )
+      ]);
+    }
+
+    printTable( rows );
+  },
+
+
+  extract: function( args ){
+    var npy = takeFlag( args, "--npy" );
+    expectArguments( args, 3 );
+
+    var decoder = openPixBin( readArrayBuffer( args[0] ) );
+    var n = parseBlockIndex( args[1], decoder );
+    var dir = args[2];
+    var block = decoder.fetchBlock( n );
+    var extension = npy ? ".npy" : ".raw";
+    var writeStream = function( typedArray, name ){
+      var fileName = name + extension;
+      fs.writeFileSync( path.join(dir, fileName), npy ? toNpy( typedArray ) : Buffer.from( typedArray.buffer, typedArray.byteOffset, typedArray.byteLength ) );
+      return {file: fileName, arrayType: getArrayType( typedArray )};
+    }
+
+    var blockSpec = {
+      type: block.originalBlockType,
+      metadata: pixbincodec.TaggedSerializer.encode( block._metadata )
+    }
+
+    if( decoder.getBlockName( n ) !== null ){
+      blockSpec.name = decoder.getBlockName( n );
+    }
+
+    fs.mkdirSync( dir, {recursive: true} );
+
+    if( getArrayType( block._data ) ){
+      blockSpec.stream = writeStream( block._data, "data" );
+    }else if( Array.isArray( block._data ) && block._data.length && block._data.every( getArrayType ) ){
+      blockSpec.streams = block._data.map(function( typedArray, i ){
+        return writeStream( typedArray, "data_" + i );
+      });
+    }else{
+      blockSpec.data = pixbincodec.TaggedSerializer.encode( block._data );
+    }
+
+    fs.writeFileSync( path.join(dir, "block.json"), JSON.stringify( blockSpec, null, 2 ) );
+    console.log("block #" + n + " extracted in " + dir);
+  },
+
+
+  pack: function( args ){
+    expectArguments( args, 2 );
+    var specPath = args[0];
+    var spec = readJSON( specPath );
+
+    if( !spec || !Array.isArray( spec.blocks ) ){
+      throw new CommandError( specPath + " must contain an object with a list of blocks." );
+    }
+
+    var encoder = new pixbincodec.PixBinEncoder();
+    encoder.enableStrictMode( true );
+    encoder.enableDataCompression( spec.compress !== false );
+    encoder.setOption( "description", spec.description || null );
+    encoder.setOption( "userObject", pixbincodec.TaggedSerializer.decode( spec.userObject || null ) );
+
+    if( spec.codec ) encoder.setCompressionCodec( spec.codec, spec.codecParams || null );
+    if( spec.filters ) encoder.setFilters( spec.filters );
+    if( spec.checksumAlgorithm ) encoder.setChecksumAlgorithm( spec.checksumAlgorithm );
+    if( spec.metadataSerialization ) encoder.setMetadataSerialization( spec.metadataSerialization );
+    if( spec.promotedMetadata ) encoder.setPromotedMetadata( spec.promotedMetadata );
+    if( spec.streamAlignment ) encoder.setStreamAlignment( spec.streamAlignment );
+    if( spec.deduplicateStreams ) encoder.enableStreamDeduplication( true );
+
+    spec.blocks.forEach(function( blockSpec ){
+      var baseDir = path.dirname( specPath );
+
+      // a block can be described in its own file, ie. the block.json written by `extract`
+      if( typeof blockSpec === "string" ){
+        var blockSpecPath = path.resolve( baseDir, blockSpec );
+        blockSpec = readJSON( blockSpecPath );
+        baseDir = path.dirname( blockSpecPath );
+      }
+
+      encoder.addInput( readBlockSpec( blockSpec, baseDir ), blockSpec.type || "Object", blockSpec.name || null );
+    });
+
+    encoder.run();
+    fs.writeFileSync( args[1], Buffer.from( encoder.getOutput() ) );
+    console.log(spec.blocks.length + " blocks packed in " + args[1]);
+  },
+
+
+  verify: function( args ){
+    expectArguments( args, 1 );
+    var decoder = openPixBin( readArrayBuffer( args[0] ) );
+    var report = decoder.verify();
+
+    report.blocks.forEach(function( blockReport ){
+      var streams = blockReport.streams.map(function( streamReport ){
+        return streamReport.index + ":" + streamReport.status;
+      }).join(" ");
+
+      console.log("block #" + blockReport.index + ": " + blockReport.status + " (" + blockReport.checksumAlgorithm + ")" + ( streams ? "  streams " + streams : "" ));
+    });
+
+    console.log( report.valid ? "valid" : "NOT valid" );
+
+    if( !report.valid ){
+      process.exitCode = 1;
+    }
+  },
+
+
+  dump: function( args ){
+    expectArguments( args, 2 );
+    var decoder = openPixBin( readArrayBuffer( args[0] ) );
+    var n = parseBlockIndex( args[1], decoder );
+    var block = decoder.fetchBlock( n );
+
+    console.log( toJSON({
+      originalBlockType: block.originalBlockType,
+      _metadata: block._metadata,
+      _data: block._data
+    }, 2 ));
+  },
+
+
+  upgrade: function( args ){
+    expectArguments( args, 2 );
+    var editor = new pixbincodec.PixBinEditor();
+    editor.enableStrictMode( true );
+    editor.setInput( readArrayBuffer( args[0] ) );
+    editor.upgradeFormat();
+    editor.run();
+    fs.writeFileSync( args[1], Buffer.from( editor.getOutput() ) );
+    console.log(args[0] + " rewritten in version " + pixbincodec.FormatVersion.CURRENT_VERSION() + " of the format in " + args[1]);
+  }
+
+}
+
+
+/**
+* Check the number of positional arguments of a command
+* @param {Array} args - the arguments, without the flags
+* @param {Number} n - the expected number
+*/
+function expectArguments( args, n ){
+  if( args.length !== n ){
+    throw new CommandError( "wrong number of arguments.\n\n" + USAGE );
+  }
+}
+
+
+/**
+* Remove a flag from the arguments
+* @param {Array} args - the arguments, modified in place
+* @param {String} flag - ie. "--npy"
+* @return {Boolean} true if the flag was there
+*/
+function takeFlag( args, flag ){
+  var index = args.indexOf( flag );
+
+  if( index === -1 ){
+    return false;
+  }
+
+  args.splice( index, 1 );
+  return true;
+}
+
+
+/**
+* Read a whole file
+* @param {String} filePath - path of the file
+* @return {ArrayBuffer} the content of the file
+*/
+function readArrayBuffer( filePath ){
+  var buffer = fs.readFileSync( filePath );
+  return buffer.buffer.slice( buffer.byteOffset, buffer.byteOffset + buffer.byteLength );
+}
+
+
+/**
+* Read a JSON file
+* @param {String} filePath - path of the file
+* @return {Object} the parsed content
+*/
+function readJSON( filePath ){
+  try{
+    return JSON.parse( fs.readFileSync( filePath, "utf8" ) );
+  }catch(e){
+    throw new CommandError( "cannot read " + filePath + ": " + e.message );
+  }
+}
+
+
+/**
+* Create a decoder in strict mode on a PixBin buffer
+* @param {ArrayBuffer} buff - the PixBin
+* @return {PixBinDecoder} the decoder
+*/
+function openPixBin( buff ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  decoder.enableBlockVerification( true );
+  decoder.setInput( buff );
+  return decoder;
+}
+
+
+/**
+* Parse a block index, or a block name, given as argument
+* @param {String} arg - the argument
+* @param {PixBinDecoder} decoder - the decoder, to check the range
+* @return {Number} the block index
+*/
+function parseBlockIndex( arg, decoder ){
+  var n = decoder.getBlockIndexByName( arg );
+
+  if( n !== -1 ){
+    return n;
+  }
+
+  n = Number( arg );
+
+  if( !Number.isInteger( n ) || n < 0 || n >= decoder.getNumberOfBlocks() ){
+    throw new CommandError( "the block must be a name or an index between 0 and " + (decoder.getNumberOfBlocks() - 1) + "." );
+  }
+
+  return n;
+}
+
+
+/**
+* Get the constructor name of a typed array
+* @param {Object} obj - a candidate
+* @return {String} the name, ie. "Float32Array", or null if obj is not a typed array
+*/
+function getArrayType( obj ){
+  if( !ArrayBuffer.isView( obj ) || !(obj.constructor.name in npyTypes) ){
+    return null;
+  }
+
+  return obj.constructor.name;
+}
+
+
+/**
+* Swap the bytes of every element, in place
+* @param {Uint8Array} bytes - the bytes
+* @param {Number} bytesPerElements - size of an element
+*/
+function swapBytes( bytes, bytesPerElements ){
+  for(var i=0; i<bytes.length; i+=bytesPerElements){
+    bytes.subarray( i, i + bytesPerElements ).reverse();
+  }
+}
+
+
+/**
+* Build the content of a .npy file (version 1.0), in the byte order of the platform
+* @param {TypedArray} typedArray - the stream
+* @return {Buffer} the file content
+*/
+function toNpy( typedArray ){
+  var byteOrder = ( typedArray.BYTES_PER_ELEMENT === 1 ) ? "|" : ( isPlatformLittleEndian ? "<" : ">" );
+  var header = "{'descr': '" + byteOrder + npyTypes[ getArrayType(typedArray) ] + "', 'fortran_order': False, 'shape': (" + typedArray.length + ",), }";
+
+  // magic (6) + version (2) + header length (2) + header, padded with spaces and ending with \n, is a multiple of 64
+  var headerByteLength = Math.ceil( (10 + header.length + 1) / 64 ) * 64 - 10;
+  header = header + " ".repeat( headerByteLength - header.length - 1 ) + "\n";
+
+  var primer = Buffer.alloc( 10 );
+  primer.write( NPY_MAGIC, 0, "latin1" );
+  primer.writeUInt8( 1, 6 );
+  primer.writeUInt8( 0, 7 );
+  primer.writeUInt16LE( headerByteLength, 8 );
+
+  return Buffer.concat([ primer, Buffer.from( header, "latin1" ), Buffer.from( typedArray.buffer, typedArray.byteOffset, typedArray.byteLength ) ]);
+}
+
+
+/**
+* Read a typed array from a .npy file (version 1.x or 2.x, 1D or C-ordered ND)
+* @param {Buffer} buffer - the file content
+* @param {String} filePath - path of the file, for the error messages
+* @return {TypedArray} the stream
+*/
+function fromNpy( buffer, filePath ){
+  if( buffer.toString( "latin1", 0, 6 ) !== NPY_MAGIC ){
+    throw new CommandError( filePath + " is not a .npy file." );
+  }
+
+  var major = buffer.readUInt8( 6 );
+  var headerByteLength = ( major === 1 ) ? buffer.readUInt16LE( 8 ) : buffer.readUInt32LE( 8 );
+  var dataByteOffset = ( major === 1 ) ? 10 + headerByteLength : 12 + headerByteLength;
+  var header = buffer.toString( "latin1", dataByteOffset - headerByteLength, dataByteOffset );
+  var descr = /'descr'\s*:\s*'([<>|=])([a-z]\d+)'/.exec( header );
+
+  if( !descr || /'fortran_order'\s*:\s*True/.test( header ) ){
+    throw new CommandError( filePath + " must contain a C-ordered array of numbers." );
+  }
+
+  var arrayType = Object.keys( npyTypes ).find(function( name ){
+    return npyTypes[ name ] === descr[2];
+  });
+
+  if( !arrayType ){
+    throw new CommandError( "the dtype " + descr[2] + " of " + filePath + " is not supported." );
+  }
+
+  var typedArray = toTypedArray( buffer.subarray( dataByteOffset ), arrayType, filePath );
+  var isLittleEndian = ( descr[1] === "|" || descr[1] === "=" ) ? isPlatformLittleEndian : ( descr[1] === "<" );
+
+  if( isLittleEndian !== isPlatformLittleEndian ){
+    swapBytes( new Uint8Array( typedArray.buffer ), typedArray.BYTES_PER_ELEMENT );
+  }
+
+  return typedArray;
+}
+
+
+/**
+* Copy some bytes into a new typed array
+* @param {Buffer} bytes - the bytes, in the byte order of the platform
+* @param {String} arrayType - ie. "Float32Array"
+* @param {String} filePath - path of the file, for the error messages
+* @return {TypedArray} the typed array
+*/
+function toTypedArray( bytes, arrayType, filePath ){
+  if( !(arrayType in npyTypes) ){
+    throw new CommandError( "the arrayType of " + filePath + " must be one of " + Object.keys( npyTypes ).join(", ") + "." );
+  }
+
+  var arrayConstructor = global[ arrayType ];
+
+  if( bytes.byteLength % arrayConstructor.BYTES_PER_ELEMENT ){
+    throw new CommandError( "the size of " + filePath + " is not a multiple of the size of a " + arrayType + " element." );
+  }
+
+  var buff = bytes.buffer.slice( bytes.byteOffset, bytes.byteOffset + bytes.byteLength );
+  return new arrayConstructor( buff );
+}
+
+
+/**
+* Read a stream described by `{file: String, arrayType: String}`. The arrayType is
+* not needed for the .npy files.
+* @param {Object} streamSpec - the description of the stream
+* @param {String} baseDir - the directory the file path is relative to
+* @return {TypedArray} the stream
+*/
+function readStream( streamSpec, baseDir ){
+  if( !streamSpec || typeof streamSpec.file !== "string" ){
+    throw new CommandError( "a stream must be described in form of {\"file\": String, \"arrayType\": String}." );
+  }
+
+  var filePath = path.resolve( baseDir, streamSpec.file );
+  var buffer = fs.readFileSync( filePath );
+
+  if( path.extname( filePath ) === ".npy" ){
+    return fromNpy( buffer, filePath );
+  }
+
+  return toTypedArray( buffer, streamSpec.arrayType, filePath );
+}
+
+
+/**
+* Build the input of the encoder described by a block spec, in form of
+* `{type: String, metadata: Object, stream: Object}` for a single typed array,
+* `{..., streams: Array}` for several typed arrays or `{..., data: Object}` for a JSON object.
+* The metadata and the data can be in the tagged form of TaggedSerializer.
+* @param {Object} blockSpec - the description of the block
+* @param {String} baseDir - the directory the file paths are relative to
+* @return {Object} an object with _data and _metadata
+*/
+function readBlockSpec( blockSpec, baseDir ){
+  var data = null;
+
+  if( "stream" in blockSpec ){
+    data = readStream( blockSpec.stream, baseDir );
+  }else if( Array.isArray( blockSpec.streams ) ){
+    data = blockSpec.streams.map(function( streamSpec ){
+      return readStream( streamSpec, baseDir );
+    });
+  }else if( "data" in blockSpec ){
+    data = pixbincodec.TaggedSerializer.decode( blockSpec.data );
+  }else{
+    throw new CommandError( "a block must have a stream, streams or data attribute." );
+  }
+
+  return {
+    _data: data,
+    _metadata: pixbincodec.TaggedSerializer.decode( blockSpec.metadata || {} )
+  }
+}
+
+
+/**
+* Serialize a value to be printed, with the typed arrays, Maps and Sets as arrays
+* and the BigInts as strings
+* @param {Object} value - the value
+* @param {Number} indent - the indentation (default: 0)
+* @return {String} the JSON string
+*/
+function toJSON( value, indent=0 ){
+  return JSON.stringify( value, function( key, v ){
+    if( typeof v === "bigint" ){
+      return v.toString();
+    }
+
+    if( ArrayBuffer.isView( v ) && !(v instanceof DataView) ){
+      return Array.from( v );
+    }
+
+    if( v instanceof Map || v instanceof Set ){
+      return Array.from( v );
+    }
+
+    return v;
+  }, indent );
+}
+
+
+/**
+* Print some rows as a table with aligned columns
+* @param {Array} rows - the rows, the first one being the titles
+*/
+function printTable( rows ){
+  var widths = rows[0].map(function( title, column ){
+    return Math.max.apply( null, rows.map(function( row ){
+      return String( row[column] ).length;
+    }));
+  });
+
+  rows.forEach(function( row ){
+    console.log( row.map(function( cell, column ){
+      return String( cell ).padEnd( widths[column] );
+    }).join("  ").trimEnd() );
+  });
+}
+
+
+/**
+* Run a command
+* @param {Array} argv - the command line arguments, starting with the command name
+*/
+function main( argv ){
+  var commandName = argv[0];
+
+  if( !commandName || commandName === "--help" || commandName === "help" ){
+    console.log( USAGE );
+    return;
+  }
+
+  if( !commands.hasOwnProperty( commandName ) ){
+    console.error( "pixbin: unknown command " + commandName + "\n\n" + USAGE );
+    process.exitCode = 2;
+    return;
+  }
+
+  // the decoders and encoders are in strict mode, their errors end up here
+  try{
+    commands[ commandName ]( argv.slice(1) );
+  }catch(e){
+    var prefix = ( e instanceof pixbincodec.PixBinError ) ? "[" + e.code + "] " : "";
+
+    // the stack is only useful for the unexpected errors, not for the file system ones
+    var isExpected = ( e instanceof CommandError || e instanceof pixbincodec.PixBinError || e.syscall );
+    console.error( "pixbin: " + prefix + ( isExpected ? e.message : e.stack ) );
+    process.exitCode = ( e instanceof CommandError ) ? 2 : 1;
+  }
+}
+
+main( process.argv.slice(2) );
@@ -0,0 +1,39 @@
+const fs = require("fs");
+const pixbincodec = require("..");
+
+// writing a small PixBin file first
+var encoder = new pixbincodec.PixBinEncoder();
+
+for(var i=0; i<5; i++){
+  encoder.addInput({
+    _data: new Float32Array(100000).fill(i),
+    _metadata: {
+      description: "block number " + i
+    }
+  });
+}
+
+encoder.run();
+fs.writeFileSync("streamed.pixp", Buffer.from( encoder.getOutput() ));
+
+// then reading it chunk by chunk
+var decoder = new pixbincodec.PixBinStreamDecoder();
+decoder.enableBlockVerification( true );
+
+decoder.on("index", function( index ){
+  console.log("The file contains " + index.pixblocksInfo.length + " blocks");
+});
+
+decoder.on("block", function( block, n, blockInfo ){
+  console.log("block #" + n + " (" + blockInfo.description + "): " + block._data.length + " elements");
+});
+
+decoder.on("error", function( e ){
+  console.log( e.message );
+});
+
+decoder.consume( fs.createReadStream("streamed.pixp", {highWaterMark: 16384}) )
+.then(function(){
+  console.log("done.");
+  fs.unlinkSync("streamed.pixp");
+});
@@ -0,0 +1,68 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+/**
+* A BlobReader reads byte ranges from a Blob or a File (ie. from an `<input type="file">`).
+* It can be given to `PixBinDecoder.setInputReader(...)` so that only the
+* necessary part of a file is read.
+*
+* **Usage**
+* ```
+* decoder.setInputReader( new BlobReader( fileInput.files[0] ) ).then( ... );
+* ```
+*/
+class BlobReader {
+
+  /**
+  * @param {Blob} blob - a Blob or a File
+  */
+  constructor( blob ){
+    this._blob = blob;
+  }
+
+
+  /**
+  * Get the size of the blob
+  * @return {Promise} resolved with the byte length
+  */
+  getByteLength(){
+    return Promise.resolve( this._blob.size );
+  }
+
+
+  /**
+  * Read a range of bytes. The output is shorter than `length` if the end of the
+  * blob is reached before.
+  * @param {Number} offset - position of the first byte to read
+  * @param {Number} length - number of bytes to read
+  * @return {Promise} resolved with an ArrayBuffer
+  */
+  read( offset, length ){
+    var blobSlice = this._blob.slice( offset, offset + length );
+
+    if( typeof blobSlice.arrayBuffer === "function" ){
+      return blobSlice.arrayBuffer();
+    }
+
+    // older browsers do not have Blob.arrayBuffer()
+    return new Promise(function( resolve, reject ){
+      var fileReader = new FileReader();
+      fileReader.onload = function(){
+        resolve( fileReader.result );
+      };
+      fileReader.onerror = function(){
+        reject( fileReader.error );
+      };
+      fileReader.readAsArrayBuffer( blobSlice );
+    });
+  }
+
+} /* END of class BlobReader */
+
+export { BlobReader }
@@ -0,0 +1,270 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { TypedArrays } from './TypedArrays.js';
+import { ErrorCodes, InputError } from './PixBinError.js';
+
+
+// the ways the decoded blocks can be kept
+const POLICY_TYPES = [
+  "unbounded",  // every decoded block is kept, the default
+  "none",       // no block is kept
+  "lru"         // the least recently used blocks are dropped to stay within maxBlocks and maxByteLength
+]
+
+// the bounds of the "lru" policy, unbounded by default
+const DEFAULT_BOUNDS = {
+  maxBlocks: Infinity,      // number of blocks kept
+  maxByteLength: Infinity   // estimated size of the blocks kept (see `estimateByteLength`)
+}
+
+
+/**
+* [PRIVATE]
+* Add up the size of the buffers, strings and numbers in a value
+* @param {Object} value - the value
+* @param {Set} visited - the objects already counted, so that shared or circular references count once
+* @return {Number} the size in bytes
+*/
+function sumByteLength( value, visited ){
+  if( typeof value === "string" ){
+    return value.length * 2;
+  }
+
+  if( value === null || typeof value !== "object" ){
+    return 8;
+  }
+
+  if( visited.has( value ) ){
+    return 0;
+  }
+
+  visited.add( value );
+
+  if( TypedArrays.isTypedArray( value ) || TypedArrays.isRawBuffer( value ) ){
+    return value.byteLength;
+  }
+
+  var byteLength = 0;
+
+  for(var key in value){
+    if( value.hasOwnProperty( key ) ){
+      byteLength += sumByteLength( value[ key ], visited );
+    }
+  }
+
+  return byteLength;
+}
+
+
+/**
+* A BlockCache keeps the blocks decoded by a PixBinDecoder, so that fetching a block
+* again does not decode it again. Its policy tells which blocks are kept:
+* - `{type: "unbounded"}`: every decoded block, until the cache is cleared (default)
+* - `{type: "none"}`: none, every fetch decodes the block
+* - `{type: "lru", maxBlocks: Number, maxByteLength: Number}`: when one of these bounds is
+*   exceeded, the least recently fetched blocks are dropped. The size of a block is estimated
+*   from its typed arrays and raw buffers (see `estimateByteLength`). A bound that is not given
+*   is unbounded.
+*
+* It also counts the hits (a fetch that finds its block in the cache), the misses (a fetch that
+* has to decode its block) and the evictions (a block dropped to stay within the bounds).
+*/
+class BlockCache {
+
+  /**
+  * Throws an InputError if the policy is not valid.
+  * @param {Object} policy - the policy (default: {type: "unbounded"})
+  */
+  constructor( policy={type: "unbounded"} ){
+    this._blocks = new Map();
+    this._byteLength = 0;
+    this.resetStats();
+    this.setPolicy( policy );
+  }
+
+
+  /**
+  * Set the policy. The blocks already kept are dropped if they no longer fit.
+  * Throws an InputError if the policy is not valid.
+  * @param {Object} policy - in form of `{type: String, maxBlocks: Number, maxByteLength: Number}`
+  */
+  setPolicy( policy ){
+    if( !policy || POLICY_TYPES.indexOf( policy.type ) === -1 ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The type of a cache policy must be one of: " + POLICY_TYPES.join(", ") + "." );
+    }
+
+    var bounds = Object.assign( {}, DEFAULT_BOUNDS );
+
+    if( policy.type === "lru" ){
+      for(var name in bounds){
+        if( !(name in policy) ){
+          continue;
+        }
+
+        if( typeof policy[name] !== "number" || !(policy[name] >= 0) ){
+          throw new InputError( ErrorCodes.INVALID_INPUT, "The bound " + name + " of a cache policy must be a positive number.", {bound: name} );
+        }
+
+        bounds[ name ] = policy[ name ];
+      }
+    }
+
+    this._policy = Object.assign( {type: policy.type}, policy.type === "lru" ? bounds : {} );
+    this._trim();
+  }
+
+
+  /**
+  * Get the policy
+  * @return {Object} a copy of the policy, with all its bounds if it is "lru"
+  */
+  getPolicy(){
+    return Object.assign( {}, this._policy );
+  }
+
+
+  /**
+  * Tells if a block is kept
+  * @param {Number} n - the index of the block
+  * @return {Boolean} true if the block is in the cache
+  */
+  has( n ){
+    return this._blocks.has( n );
+  }
+
+
+  /**
+  * Get a block, which makes it the most recently used. This counts as a hit or a miss.
+  * @param {Number} n - the index of the block
+  * @return {Object} the decoded block, or null if it is not in the cache
+  */
+  get( n ){
+    if( !this._blocks.has( n ) ){
+      this._stats.misses ++;
+      return null;
+    }
+
+    var entry = this._blocks.get( n );
+    this._blocks.delete( n );
+    this._blocks.set( n, entry );
+    this._stats.hits ++;
+    return entry.block;
+  }
+
+
+  /**
+  * Keep a block, if the policy allows it. The least recently used blocks are dropped
+  * if it does not fit, and the block itself is not kept if it does not fit alone.
+  * @param {Number} n - the index of the block
+  * @param {Object} block - the decoded block
+  */
+  set( n, block ){
+    if( this._policy.type === "none" ){
+      return;
+    }
+
+    this.evict( n );
+
+    var byteLength = BlockCache.estimateByteLength( block );
+    this._blocks.set( n, {block: block, byteLength: byteLength} );
+    this._byteLength += byteLength;
+    this._trim();
+  }
+
+
+  /**
+  * Drop a block from the cache. This does not count as an eviction.
+  * @param {Number} n - the index of the block
+  * @return {Boolean} true if the block was in the cache
+  */
+  evict( n ){
+    if( !this._blocks.has( n ) ){
+      return false;
+    }
+
+    this._byteLength -= this._blocks.get( n ).byteLength;
+    this._blocks.delete( n );
+    return true;
+  }
+
+
+  /**
+  * Drop every block from the cache
+  */
+  clear(){
+    this._blocks.clear();
+    this._byteLength = 0;
+  }
+
+
+  /**
+  * Get the statistics of the cache
+  * @return {Object} in form of `{hits: Number, misses: Number, evictions: Number, blocks: Number,
+  * byteLength: Number}`, where `blocks` is the number of blocks kept and `byteLength` their estimated size
+  */
+  getStats(){
+    return {
+      hits: this._stats.hits,
+      misses: this._stats.misses,
+      evictions: this._stats.evictions,
+      blocks: this._blocks.size,
+      byteLength: this._byteLength
+    }
+  }
+
+
+  /**
+  * Set the hit, miss and eviction counts back to 0
+  */
+  resetStats(){
+    this._stats = {
+      hits: 0,
+      misses: 0,
+      evictions: 0
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Drop the least recently used blocks until the cache is within the bounds of its policy
+  */
+  _trim(){
+    if( this._policy.type === "none" ){
+      this.clear();
+      return;
+    }
+
+    if( this._policy.type !== "lru" ){
+      return;
+    }
+
+    while( this._blocks.size > this._policy.maxBlocks || this._byteLength > this._policy.maxByteLength ){
+      this.evict( this._blocks.keys().next().value );
+      this._stats.evictions ++;
+    }
+  }
+
+
+  /**
+  * [static]
+  * Estimate the memory used by a decoded block: the byte length of its typed arrays and
+  * raw buffers, 2 bytes per character of its strings and 8 bytes for any other value.
+  * A buffer shared by several typed arrays, like the input when decoding with stream views,
+  * is counted for each of them.
+  * @param {Object} block - the decoded block
+  * @return {Number} the size in bytes
+  */
+  static estimateByteLength( block ){
+    return sumByteLength( block, new Set() );
+  }
+
+} /* END of class BlockCache */
+
+export { BlockCache }
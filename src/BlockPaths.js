@@ -0,0 +1,83 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+/**
+* BlockPaths gathers some static methods about the names of the blocks.
+* A name is a slash-separated path, ie. "subject01/t1/mask", where each part
+* that comes before the last one is a group. A name without slash is at the root.
+* Like CodecUtils, it does not have to be instanciated.
+*/
+class BlockPaths {
+
+  /**
+  * [static]
+  * Tells if a name is valid: a non-empty string, that does not start or end with
+  * a slash and does not contain two slashes in a row
+  * @param {String} name - the candidate
+  * @return {Boolean} true if valid
+  */
+  static isValid( name ){
+    return typeof name === "string" && name.length > 0 && name.split("/").indexOf("") === -1;
+  }
+
+
+  /**
+  * [static]
+  * Get the path of a group without its leading and trailing slashes, so that
+  * "subject01/", "/subject01" and "subject01" are the same group
+  * @param {String} group - the path of the group, "" or "/" for the root
+  * @return {String} the path, or null if it is not valid
+  */
+  static normalizeGroup( group ){
+    if( typeof group !== "string" ){
+      return null;
+    }
+
+    group = group.replace(/^\/+|\/+$/g, "");
+
+    if( group !== "" && !BlockPaths.isValid( group ) ){
+      return null;
+    }
+
+    return group;
+  }
+
+
+  /**
+  * [static]
+  * Tells if a name is in a group, directly or in one of its subgroups
+  * @param {String} name - the name of a block
+  * @param {String} group - a normalized group path (see `normalizeGroup`), "" for the root
+  * @return {Boolean} true if the name is in the group
+  */
+  static isInGroup( name, group ){
+    return group === "" || name.indexOf( group + "/" ) === 0;
+  }
+
+
+  /**
+  * [static]
+  * Get the part of a name that comes right after a group, ie. "t1" for the name
+  * "subject01/t1/mask" in the group "subject01"
+  * @param {String} name - the name of a block
+  * @param {String} group - a normalized group path (see `normalizeGroup`), "" for the root
+  * @return {String} the part, or null if the name is not in the group
+  */
+  static getChild( name, group ){
+    if( !BlockPaths.isInGroup( name, group ) ){
+      return null;
+    }
+
+    var relativeName = group === "" ? name : name.slice( group.length + 1 );
+    return relativeName.split("/")[0];
+  }
+
+} /* END of class BlockPaths */
+
+export { BlockPaths }
@@ -0,0 +1,173 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { Logger } from './Logger.js';
+
+// the registered block types, by name
+const blockTypes = {};
+
+
+/**
+* The BlockTypes registry tells how to turn the objects of an application into PixBlocks
+* and back. The name of a type is written as `originalBlockType` in the block header and
+* as `type` in the PixBin index. When a block is decoded, the decoders look for its type
+* in the registry to rebuild an instance of the original class. The blocks of an
+* unregistered type are returned as plain objects `{originalBlockType, _data, _metadata}`.
+*
+* A block type is an object with:
+* - `type`: (optional) the class. Its instances are recognized by their constructor, so
+*   the name is kept even if a minifier changes `constructor.name`. When deserializing,
+*   if there is no `deserialize` hook, an instance is created with `new type()` and
+*   gets the `_data` and `_metadata` of the block.
+* - `serialize( obj )`: (optional) gets an instance, returns an object with `_data` and `_metadata`.
+*   When absent, the instance must have `_data` and `_metadata` itself.
+* - `deserialize( block )`: (optional) gets the plain decoded block `{originalBlockType, _data, _metadata}`,
+*   returns an instance.
+* At least `type` or `deserialize` must be given.
+*
+* BlockTypes does not have to be instanciated.
+*/
+class BlockTypes {
+
+  /**
+  * [static]
+  * Register a block type. If a block type with the same name exists, it is replaced.
+  * @param {String} name - name of the type, as written in the block header (ie. "Image2D")
+  * @param {Object} blockType - an object with `type`, `serialize` and `deserialize` (see above)
+  * @return {Boolean} true if registered, false if the block type is not valid
+  */
+  static register( name, blockType ){
+    if( typeof name !== "string" || !blockType || typeof blockType !== "object" ||
+        ("type" in blockType && typeof blockType.type !== "function") ||
+        ("serialize" in blockType && typeof blockType.serialize !== "function") ||
+        ("deserialize" in blockType && typeof blockType.deserialize !== "function") ||
+        (!blockType.type && !blockType.deserialize) ){
+      Logger.warn("A block type must have a name and a type (class) or a deserialize() method.");
+      return false;
+    }
+
+    blockTypes[ name ] = blockType;
+    return true;
+  }
+
+
+  /**
+  * [static]
+  * Remove a block type from the registry. Its blocks will then be decoded as plain objects.
+  * @param {String} name - name of the type
+  * @return {Boolean} true if it was registered
+  */
+  static unregister( name ){
+    if( !BlockTypes.has( name ) ){
+      return false;
+    }
+
+    delete blockTypes[ name ];
+    return true;
+  }
+
+
+  /**
+  * [static]
+  * Tells if a block type is registered
+  * @param {String} name - name of the type
+  * @return {Boolean} true if registered
+  */
+  static has( name ){
+    return blockTypes.hasOwnProperty( name );
+  }
+
+
+  /**
+  * [static]
+  * Get a block type
+  * @param {String} name - name of the type
+  * @return {Object} the block type, or null if not registered
+  */
+  static get( name ){
+    return BlockTypes.has( name ) ? blockTypes[ name ] : null;
+  }
+
+
+  /**
+  * [static]
+  * Get the names of all the registered block types
+  * @return {Array} list of names
+  */
+  static getNames(){
+    return Object.keys( blockTypes );
+  }
+
+
+  /**
+  * [static]
+  * Get the name under which an object is encoded: the name of the registered
+  * block type of its class if any, its `constructor.name` otherwise.
+  * @param {Object} obj - the object to encode
+  * @return {String} the name of its type, or null if obj is not an object
+  */
+  static getTypeName( obj ){
+    if( !obj || typeof obj !== "object" ){
+      return null;
+    }
+
+    for(var name in blockTypes){
+      if( blockTypes[ name ].type && obj.constructor === blockTypes[ name ].type ){
+        return name;
+      }
+    }
+
+    return obj.constructor ? obj.constructor.name : "Object";
+  }
+
+
+  /**
+  * [static]
+  * Get the object that holds the `_data` and `_metadata` to encode for an instance.
+  * This is the output of the `serialize` hook of its block type, or the instance itself.
+  * @param {Object} obj - the object to encode
+  * @param {String} name - name of its type (see `getTypeName`)
+  * @return {Object} an object with `_data` and `_metadata`
+  */
+  static serialize( obj, name ){
+    var blockType = BlockTypes.get( name );
+
+    if( blockType && blockType.serialize ){
+      return blockType.serialize( obj );
+    }
+
+    return obj;
+  }
+
+
+  /**
+  * [static]
+  * Rebuild an instance of the original class out of a decoded block
+  * @param {Object} block - the decoded block, in form of `{originalBlockType: String, _data: ..., _metadata: Object}`
+  * @return {Object} an instance, or the block as is if its type is not registered
+  */
+  static deserialize( block ){
+    var blockType = block ? BlockTypes.get( block.originalBlockType ) : null;
+
+    if( !blockType ){
+      return block;
+    }
+
+    if( blockType.deserialize ){
+      return blockType.deserialize( block );
+    }
+
+    var instance = new blockType.type();
+    instance._data = block._data;
+    instance._metadata = block._metadata;
+    return instance;
+  }
+
+} /* END of class BlockTypes */
+
+export { BlockTypes }
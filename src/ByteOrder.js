@@ -0,0 +1,73 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import codecutils from 'codecutils';
+
+
+/**
+* ByteOrder gathers some static methods to deal with the endianness of the
+* typed array streams. Like CodecUtils, it does not have to be instanciated.
+*/
+class ByteOrder {
+
+  /**
+  * Get whether or not the platform is using little endian.
+  * @return {Boolean} true if the platform is little endian, false if big endian
+  */
+  static isPlatformLittleEndian(){
+    return codecutils.CodecUtils.isPlatformLittleEndian();
+  }
+
+
+  /**
+  * Tells if a stream written with the given endianness has to be swapped to be
+  * read on this platform (or vice versa, to be written with this endianness)
+  * @param {Boolean} isLittleEndian - endianness of the stream
+  * @param {Number} bytesPerElements - number of bytes per element in the stream
+  * @return {Boolean} true if the bytes must be swapped
+  */
+  static needsSwap( isLittleEndian, bytesPerElements ){
+    return ( bytesPerElements > 1 && (!!isLittleEndian) !== ByteOrder.isPlatformLittleEndian() );
+  }
+
+
+  /**
+  * Swap the bytes of every element, in place.
+  * @param {Uint8Array} bytes - the byte view of a stream. Its length must be a multiple of bytesPerElements
+  * @param {Number} bytesPerElements - number of bytes per element (2, 4 or 8)
+  * @return {Uint8Array} the same byte view, swapped
+  */
+  static swapInPlace( bytes, bytesPerElements ){
+    var half = bytesPerElements >> 1;
+    var tmp = 0;
+
+    for(var e=0; e<bytes.length; e+=bytesPerElements){
+      for(var b=0; b<half; b++){
+        tmp = bytes[e + b];
+        bytes[e + b] = bytes[e + bytesPerElements - 1 - b];
+        bytes[e + bytesPerElements - 1 - b] = tmp;
+      }
+    }
+
+    return bytes;
+  }
+
+
+  /**
+  * Get a swapped copy of a byte stream, leaving the original untouched.
+  * @param {Uint8Array} bytes - the byte view of a stream
+  * @param {Number} bytesPerElements - number of bytes per element (2, 4 or 8)
+  * @return {Uint8Array} a swapped copy
+  */
+  static swapCopy( bytes, bytesPerElements ){
+    return ByteOrder.swapInPlace( new Uint8Array( bytes ), bytesPerElements );
+  }
+
+} /* END of class ByteOrder */
+
+export { ByteOrder }
@@ -0,0 +1,120 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import md5 from 'js-md5';
+import sha256 from 'js-sha256';
+import { TypedArrays } from './TypedArrays.js';
+import { Logger } from './Logger.js';
+
+
+// lookup table for CRC32, built at the first use
+var crc32Table = null;
+
+
+/**
+* [PRIVATE]
+* Compute the CRC32 (IEEE 802.3, like zlib) of some bytes
+* @param {Uint8Array} bytes - the data
+* @return {String} the CRC32 as a 8-character hexadecimal string
+*/
+function crc32( bytes ){
+  if( !crc32Table ){
+    crc32Table = new Uint32Array( 256 );
+
+    for(var n=0; n<256; n++){
+      var c = n;
+      for(var k=0; k<8; k++){
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crc32Table[n] = c;
+    }
+  }
+
+  var crc = 0xFFFFFFFF;
+
+  for(var i=0; i<bytes.length; i++){
+    crc = crc32Table[ (crc ^ bytes[i]) & 0xFF ] ^ (crc >>> 8);
+  }
+
+  crc = (crc ^ 0xFFFFFFFF) >>> 0;
+  return ("0000000" + crc.toString(16)).slice(-8);
+}
+
+
+// the available algorithms, by name. Each takes a Uint8Array and returns an hexadecimal string
+const algorithms = {
+  crc32: crc32,
+  md5: function( bytes ){
+    return md5( bytes );
+  },
+  sha256: function( bytes ){
+    return sha256( bytes );
+  }
+}
+
+
+/**
+* Checksum gathers the algorithms that can be used to verify the integrity of the
+* blocks of a PixBin and of the streams of a PixBlock: "crc32" (fast), "md5" (default)
+* and "sha256" (safer). The checksums are hexadecimal strings.
+* Checksum does not have to be instanciated.
+*/
+class Checksum {
+
+  /**
+  * [static]
+  * Compute the checksum of a buffer
+  * @param {ArrayBuffer|SharedArrayBuffer|Uint8Array} buff - the data
+  * @param {String} algorithm - one of "crc32", "md5" and "sha256" (default: "md5")
+  * @return {String} the checksum, as an hexadecimal string. null if the algorithm does not exist
+  */
+  static compute( buff, algorithm="md5" ){
+    if( !Checksum.has( algorithm ) ){
+      Logger.warn("The checksum algorithm " + algorithm + " does not exist.");
+      return null;
+    }
+
+    var bytes = TypedArrays.toUint8Array( buff );
+    return algorithms[ algorithm ]( bytes );
+  }
+
+
+  /**
+  * [static]
+  * Tells if an algorithm exists
+  * @param {String} algorithm - name of the algorithm
+  * @return {Boolean} true if it exists
+  */
+  static has( algorithm ){
+    return algorithms.hasOwnProperty( algorithm );
+  }
+
+
+  /**
+  * [static]
+  * Get the names of all the algorithms
+  * @return {Array} list of names
+  */
+  static getNames(){
+    return Object.keys( algorithms );
+  }
+
+
+  /**
+  * [static]
+  * Name of the algorithm used when none is specified, and to verify the files
+  * that do not mention their algorithm.
+  * @return {String} "md5"
+  */
+  static DEFAULT_ALGORITHM(){
+    return "md5";
+  }
+
+} /* END of class Checksum */
+
+export { Checksum }
@@ -0,0 +1,211 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import pako from 'pako';
+import { Lz4 } from './Lz4.js';
+import { Logger } from './Logger.js';
+
+// zlib strategies, so that they can be given by name
+const deflateStrategies = {
+  default: 0,
+  filtered: 1,
+  huffmanOnly: 2,
+  rle: 3,
+  fixed: 4
+}
+
+// the registered codecs, by name
+const codecs = {};
+
+
+/**
+* [PRIVATE]
+* Build the pako options from the parameters of the deflate-based codecs
+* @param {Object} params - can have `level` (0 to 9), `strategy` (Number or name), `windowBits` and `memLevel`
+* @return {Object} pako options
+*/
+function getDeflateOptions( params ){
+  var options = {};
+  params = params || {};
+
+  if( "level" in params )
+    options.level = params.level;
+
+  if( "strategy" in params )
+    options.strategy = ( params.strategy in deflateStrategies ) ? deflateStrategies[ params.strategy ] : params.strategy;
+
+  if( "windowBits" in params )
+    options.windowBits = params.windowBits;
+
+  if( "memLevel" in params )
+    options.memLevel = params.memLevel;
+
+  return options;
+}
+
+
+/**
+* [PRIVATE]
+* Inflate a deflate-based stream into a buffer of the expected size. The inflation stops
+* as soon as the output gets larger, so that a small corrupted or crafted stream cannot
+* make the decoder allocate a lot of memory.
+* @param {Uint8Array} bytes - the compressed stream
+* @param {Object} options - pako options, ie. `{raw: true}`
+* @param {Number} byteLength - the expected uncompressed size
+* @return {Uint8Array} the uncompressed stream
+*/
+function inflateBounded( bytes, options, byteLength ){
+  var inflator = new pako.Inflate( options );
+  var output = new Uint8Array( byteLength );
+  var outputByteLength = 0;
+
+  inflator.onData = function( chunk ){
+    if( outputByteLength + chunk.length > byteLength ){
+      throw new Error("the stream inflates to more than its expected " + byteLength + " bytes");
+    }
+
+    output.set( chunk, outputByteLength );
+    outputByteLength += chunk.length;
+  }
+
+  inflator.push( bytes, true );
+
+  if( inflator.err ){
+    throw new Error( inflator.msg );
+  }
+
+  return output.subarray( 0, outputByteLength );
+}
+
+
+/**
+* The CompressionCodecs registry gathers the codecs that can be used to compress
+* the data streams of a PixBlock. The name of the codec used for a stream (and its
+* parameters) is written in the `byteStreamInfo` of the block header, so that the
+* decoder knows how to decompress it.
+*
+* The built-in codecs are:
+* - "deflate": zlib, with the params `level` (0 to 9), `strategy` ("default", "filtered", "huffmanOnly", "rle", "fixed"), `windowBits` and `memLevel`
+* - "gzip": like deflate, but with a gzip header. Takes the same params.
+* - "raw": raw deflate, without header nor checksum. Takes the same params.
+* - "lz4": LZ4 block format, no params. Faster but compresses less.
+*
+* A codec is an object with two methods:
+* - `compress( bytes, params )`: gets a Uint8Array and the params, returns a Uint8Array
+* - `decompress( bytes, params, byteLength )`: gets a Uint8Array, the params and the expected
+*   uncompressed size, returns a Uint8Array. Can throw if the data is corrupted. The output must
+*   not be larger than `byteLength`: a codec should stop as soon as it is, rather than inflating
+*   a crafted stream entirely.
+*
+* CompressionCodecs does not have to be instanciated.
+*/
+class CompressionCodecs {
+
+  /**
+  * [static]
+  * Register a codec. If a codec with the same name exists, it is replaced.
+  * @param {String} name - name of the codec, as written in the block header
+  * @param {Object} codec - an object with the methods `compress` and `decompress`
+  * @return {Boolean} true if registered, false if the codec is not valid
+  */
+  static register( name, codec ){
+    if( typeof name !== "string" || !codec ||
+        typeof codec.compress !== "function" ||
+        typeof codec.decompress !== "function" ){
+      Logger.warn("A codec must have a name, a compress() and a decompress() method.");
+      return false;
+    }
+
+    codecs[ name ] = codec;
+    return true;
+  }
+
+
+  /**
+  * [static]
+  * Tells if a codec is registered
+  * @param {String} name - name of the codec
+  * @return {Boolean} true if registered
+  */
+  static has( name ){
+    return codecs.hasOwnProperty( name );
+  }
+
+
+  /**
+  * [static]
+  * Get a codec
+  * @param {String} name - name of the codec
+  * @return {Object} the codec, or null if not registered
+  */
+  static get( name ){
+    return CompressionCodecs.has( name ) ? codecs[ name ] : null;
+  }
+
+
+  /**
+  * [static]
+  * Get the names of all the registered codecs
+  * @return {Array} list of names
+  */
+  static getNames(){
+    return Object.keys( codecs );
+  }
+
+
+  /**
+  * [static]
+  * Name of the codec used when none is specified, and to decode the compressed
+  * streams of the files that do not mention their codec.
+  * @return {String} "deflate"
+  */
+  static DEFAULT_CODEC(){
+    return "deflate";
+  }
+
+} /* END of class CompressionCodecs */
+
+
+// Registering the built-in codecs
+CompressionCodecs.register( "deflate", {
+  compress: function( bytes, params ){
+    return pako.deflate( bytes, getDeflateOptions(params) );
+  },
+  decompress: function( bytes, params, byteLength ){
+    return inflateBounded( bytes, {}, byteLength );
+  }
+});
+
+CompressionCodecs.register( "gzip", {
+  compress: function( bytes, params ){
+    return pako.gzip( bytes, getDeflateOptions(params) );
+  },
+  decompress: function( bytes, params, byteLength ){
+    return inflateBounded( bytes, {}, byteLength );
+  }
+});
+
+CompressionCodecs.register( "raw", {
+  compress: function( bytes, params ){
+    return pako.deflateRaw( bytes, getDeflateOptions(params) );
+  },
+  decompress: function( bytes, params, byteLength ){
+    return inflateBounded( bytes, {raw: true}, byteLength );
+  }
+});
+
+CompressionCodecs.register( "lz4", {
+  compress: function( bytes, params ){
+    return Lz4.compress( bytes );
+  },
+  decompress: function( bytes, params, byteLength ){
+    return Lz4.decompress( bytes, byteLength );
+  }
+});
+
+export { CompressionCodecs }
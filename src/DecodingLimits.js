@@ -0,0 +1,124 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { ErrorCodes, InputError, LimitError } from './PixBinError.js';
+
+
+// the limits, unbounded by default
+const DEFAULT_LIMITS = {
+  maxIndexByteLength: Infinity,     // size of the serialized PixBin index
+  maxBlocks: Infinity,              // number of blocks listed in the PixBin index
+  maxBlockByteLength: Infinity,     // encoded size of a single block, as listed in the PixBin index
+  maxStreamByteLength: Infinity,    // decoded size of a single stream
+  maxDecodedByteLength: Infinity    // decoded size of all the streams (see `reserve`)
+}
+
+
+/**
+* DecodingLimits holds the caps the decoders enforce on the resources a file can make
+* them use, and counts the bytes decoded so far. When a cap is hit, a LimitError
+* with the code LIMIT_EXCEEDED is thrown, before anything large is allocated.
+* The limits are:
+* - `maxIndexByteLength`: size of the serialized PixBin index
+* - `maxBlocks`: number of blocks listed in the PixBin index
+* - `maxBlockByteLength`: encoded size of a single block, as listed in the PixBin index
+* - `maxStreamByteLength`: decoded size of a single stream
+* - `maxDecodedByteLength`: decoded size of all the streams, for a block with a `PixBlockDecoder`,
+*   or for all the blocks decoded from the same input with a `PixBinDecoder` or a `PixBinStreamDecoder`
+*
+* The decoders create their own instance from the object given to `setLimits(...)`.
+*/
+class DecodingLimits {
+
+  /**
+  * Throws an InputError if a limit does not exist or is not a positive number.
+  * @param {Object} limits - some of the limits, the others being unbounded (default: {})
+  */
+  constructor( limits={} ){
+    this._limits = Object.assign( {}, DEFAULT_LIMITS );
+    this._decodedByteLength = 0;
+
+    for(var name in limits){
+      if( !DEFAULT_LIMITS.hasOwnProperty( name ) ){
+        throw new InputError( ErrorCodes.INVALID_INPUT, "The limit " + name + " does not exist (available: " + Object.keys( DEFAULT_LIMITS ).join(", ") + ").", {limit: name} );
+      }
+
+      if( typeof limits[name] !== "number" || !(limits[name] >= 0) ){
+        throw new InputError( ErrorCodes.INVALID_INPUT, "The limit " + name + " must be a positive number.", {limit: name} );
+      }
+
+      this._limits[ name ] = limits[ name ];
+    }
+  }
+
+
+  /**
+  * Get the value of every limit
+  * @return {Object} a copy of the limits
+  */
+  getLimits(){
+    return Object.assign( {}, this._limits );
+  }
+
+
+  /**
+  * Get the number of bytes reserved by the decoded streams so far
+  * @return {Number} the byte length
+  */
+  getDecodedByteLength(){
+    return this._decodedByteLength;
+  }
+
+
+  /**
+  * Set the count of decoded bytes back to 0, ie. when the decoder gets a new input
+  */
+  resetDecodedByteLength(){
+    this._decodedByteLength = 0;
+  }
+
+
+  /**
+  * Throws a LimitError if a value is over its limit
+  * @param {String} name - name of the limit, ie. "maxBlocks"
+  * @param {Number} value - the value to check
+  * @param {Object} details - what the value is about, ie. `{stream: 2}` (default: null)
+  */
+  check( name, value, details=null ){
+    if( value > this._limits[ name ] ){
+      throw new LimitError( ErrorCodes.LIMIT_EXCEEDED, "The limit " + name + " (" + this._limits[ name ] + ") is exceeded: " + value + ".", Object.assign( {limit: name, value: value, max: this._limits[ name ]}, details ) );
+    }
+  }
+
+
+  /**
+  * Count some bytes that are about to be decoded. Throws a LimitError, without counting them,
+  * if this makes the total go over `maxDecodedByteLength`.
+  * @param {Number} byteLength - the number of bytes
+  * @param {Object} details - what the bytes are about (default: null)
+  */
+  reserve( byteLength, details=null ){
+    this.check( "maxDecodedByteLength", this._decodedByteLength + byteLength, details );
+    this._decodedByteLength += byteLength;
+  }
+
+
+  /**
+  * [static]
+  * Tells if a value read from a file is a valid byte length or element count,
+  * so that it can be used as an offset or a size.
+  * @param {Number} value - the value
+  * @return {Boolean} true if the value is a positive integer, not larger than Number.MAX_SAFE_INTEGER
+  */
+  static isValidLength( value ){
+    return typeof value === "number" && value >= 0 && value <= Number.MAX_SAFE_INTEGER && Math.floor( value ) === value;
+  }
+
+} /* END of class DecodingLimits */
+
+export { DecodingLimits }
@@ -0,0 +1,81 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+// the largest range a single read of a FileHandle can take (its length must fit in an Int32)
+const MAX_READ_BYTE_LENGTH = 0x40000000;
+
+
+/**
+* A FileHandleReader reads byte ranges from a Node file handle, as returned by
+* `fs.promises.open(...)`. It can be given to `PixBinDecoder.setInputReader(...)`
+* so that only the necessary part of a file is read.
+*
+* **Usage**
+* ```
+* fs.promises.open("file.pixp", "r").then(function( fileHandle ){
+*   return decoder.setInputReader( new FileHandleReader( fileHandle ) );
+* })
+* ```
+*/
+class FileHandleReader {
+
+  /**
+  * @param {FileHandle} fileHandle - an open Node file handle
+  */
+  constructor( fileHandle ){
+    this._fileHandle = fileHandle;
+  }
+
+
+  /**
+  * Get the size of the file
+  * @return {Promise} resolved with the byte length
+  */
+  getByteLength(){
+    return this._fileHandle.stat().then(function( stats ){
+      return stats.size;
+    });
+  }
+
+
+  /**
+  * Read a range of bytes. The output is shorter than `length` if the end of the
+  * file is reached before.
+  * @param {Number} offset - position of the first byte to read
+  * @param {Number} length - number of bytes to read
+  * @return {Promise} resolved with an ArrayBuffer
+  */
+  read( offset, length ){
+    var fileHandle = this._fileHandle;
+    var bytes = new Uint8Array( length );
+
+    function readFrom( bytesAlreadyRead ){
+      if( bytesAlreadyRead >= length ){
+        return Promise.resolve( bytes.buffer );
+      }
+
+      var bytesToRead = Math.min( length - bytesAlreadyRead, MAX_READ_BYTE_LENGTH );
+
+      return fileHandle.read( bytes, bytesAlreadyRead, bytesToRead, offset + bytesAlreadyRead )
+      .then(function( result ){
+        // end of file
+        if( result.bytesRead === 0 ){
+          return bytes.buffer.slice( 0, bytesAlreadyRead );
+        }
+
+        return readFrom( bytesAlreadyRead + result.bytesRead );
+      });
+    }
+
+    return readFrom( 0 );
+  }
+
+} /* END of class FileHandleReader */
+
+export { FileHandleReader }
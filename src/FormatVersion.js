@@ -0,0 +1,359 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { CompressionCodecs } from './CompressionCodecs.js';
+import { Checksum } from './Checksum.js';
+import { TypedArrays } from './TypedArrays.js';
+import { ErrorCodes, FormatError, UnsupportedError } from './PixBinError.js';
+
+
+// the features a decoder must understand to read a file that uses them
+const REQUIRED_FEATURES = [
+  "codecs",                 // streams compressed with another codec than deflate
+  "filters",                // streams filtered before compression
+  "extendedTypedArrays",    // Uint8ClampedArray, BigInt64Array or BigUint64Array streams
+  "hybridObject",           // typed arrays pulled out of a complex object
+  "taggedMetadata",         // block metadata, or metadata promoted to the index, in the tagged form of TaggedSerializer
+  "taggedUserObject",       // userObject of the index in the tagged form of TaggedSerializer
+  "streamAlignment",        // zero bytes before the streams, to align them
+  "rawBuffers",             // ArrayBuffer, SharedArrayBuffer or DataView streams
+  "ndArray",                // N-dimensional array stored as chunks
+  "sharedStreams"           // streams stored once in the PixBin and referred to by hash from the other blocks
+]
+
+// the features a decoder can ignore and still read the file
+const OPTIONAL_FEATURES = [
+  "streamChecksums",        // checksum of each stream in the block header
+  "checksumAlgorithms",     // block checksums computed with another algorithm than md5
+  "blockNames",             // names or paths of the blocks in the index
+  "promotedMetadata",       // metadata of the blocks copied in the index
+  "contentHashes"           // hash of the stored bytes of each stream in the block header
+]
+
+const EXTENDED_TYPED_ARRAYS = ["Uint8ClampedArray", "BigInt64Array", "BigUint64Array"];
+
+
+// the functions that bring a block header of a given version to the next one
+const blockHeaderUpgraders = {
+  0: function( header ){
+    header.byteStreamInfo.forEach(function( bsi ){
+      if( !bsi || typeof bsi !== "object" ){
+        return;
+      }
+
+      // the signed flag of the typed arrays used to be inverted, and the typed array deduced from it
+      if( bsi.isTypedArray && !bsi.arrayType ){
+        var arrayType = TypedArrays.getConstructor( bsi );
+
+        if( arrayType ){
+          bsi.arrayType = arrayType.name;
+          bsi.signed = !bsi.signed;
+        }
+      }
+
+      // deflate was the only codec
+      if( bsi.compressedByteLength && !bsi.codec ){
+        bsi.codec = CompressionCodecs.DEFAULT_CODEC();
+      }
+    });
+  }
+}
+
+// the functions that bring an index of a given version to the next one
+const indexUpgraders = {
+  0: function( index ){
+    // md5 was the only checksum algorithm
+    index.pixblocksInfo.forEach(function( blockInfo ){
+      if( blockInfo.checksum && !blockInfo.checksumAlgorithm ){
+        blockInfo.checksumAlgorithm = Checksum.DEFAULT_ALGORITHM();
+      }
+    });
+  }
+}
+
+
+/**
+* [PRIVATE]
+* Add a feature to a list, if not already in
+* @param {Array} features - the list of feature names
+* @param {String} feature - the name of the feature
+*/
+function addFeature( features, feature ){
+  if( features.indexOf( feature ) === -1 ){
+    features.push( feature );
+  }
+}
+
+
+/**
+* [PRIVATE]
+* Write the current version and the given features in a block header or an index.
+* The lists of features are only written when they are not empty.
+* @param {Object} obj - the block header or the index
+* @param {Object} features - in form of {required: Array, optional: Array}
+*/
+function stamp( obj, features ){
+  obj.formatVersion = FormatVersion.CURRENT_VERSION();
+  delete obj.requiredFeatures;
+  delete obj.optionalFeatures;
+
+  if( features.required.length ){
+    obj.requiredFeatures = features.required;
+  }
+
+  if( features.optional.length ){
+    obj.optionalFeatures = features.optional;
+  }
+}
+
+
+/**
+* [PRIVATE]
+* Check that the version and the required features of a block header or an index
+* can be decoded, then bring it to the current version.
+* Throws a FormatError if the version is not valid, or an UnsupportedError if
+* the version or one of the required features is unknown.
+* @param {Object} obj - the block header or the index
+* @param {Object} upgraders - the functions that bring obj from a version to the next
+* @param {String} badFormatCode - the code of the FormatError, ie. "BAD_HEADER"
+* @param {String} what - what obj is, for the messages
+* @return {Number} the version obj was written in
+*/
+function read( obj, upgraders, badFormatCode, what ){
+  // the files written before the format was versioned are version 0
+  var version = "formatVersion" in obj ? obj.formatVersion : 0;
+
+  if( typeof version !== "number" || version < 0 || Math.floor( version ) !== version ){
+    throw new FormatError( badFormatCode, "The format version of " + what + " is not valid.", {formatVersion: version} );
+  }
+
+  if( version > FormatVersion.CURRENT_VERSION() ){
+    throw new UnsupportedError( ErrorCodes.UNSUPPORTED_VERSION, what.charAt(0).toUpperCase() + what.slice(1) + " is written in version " + version + " of the format, this decoder only supports up to version " + FormatVersion.CURRENT_VERSION() + ".", {formatVersion: version} );
+  }
+
+  var requiredFeatures = obj.requiredFeatures || [];
+
+  if( !Array.isArray( requiredFeatures ) ){
+    throw new FormatError( badFormatCode, "The required features of " + what + " are not valid." );
+  }
+
+  requiredFeatures.forEach(function( feature ){
+    if( REQUIRED_FEATURES.indexOf( feature ) === -1 ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_FEATURE, "Decoding " + what + " requires the feature " + feature + ", that is not supported.", {feature: feature} );
+    }
+  });
+
+  for(var v=version; v<FormatVersion.CURRENT_VERSION(); v++){
+    if( v in upgraders ){
+      upgraders[ v ]( obj );
+    }
+  }
+
+  return version;
+}
+
+
+/**
+* FormatVersion knows the version of the PixBin format written by the encoders, and
+* the features a file can use. The index and every block header carry a `formatVersion`
+* and the lists of `requiredFeatures` (a decoder that does not know one of them must refuse
+* the file) and of `optionalFeatures` (that can be ignored). The files that have no version
+* are version 0.
+*
+* When decoding, the index and the block headers written in an older version are brought
+* to the current one in memory, so that the decoders only deal with the current version.
+* To rewrite the file itself, see `PixBinEditor.upgradeFormat()`.
+*
+* Like CodecUtils, it does not have to be instanciated.
+*/
+class FormatVersion {
+
+  /**
+  * [static]
+  * The version of the format written by the encoders
+  * @return {Number} the version
+  */
+  static CURRENT_VERSION(){
+    return 1;
+  }
+
+
+  /**
+  * [static]
+  * Get the names of the required features this decoder knows
+  * @return {Array} the names
+  */
+  static getRequiredFeatures(){
+    return REQUIRED_FEATURES.slice();
+  }
+
+
+  /**
+  * [static]
+  * Get the names of the optional features this decoder knows
+  * @return {Array} the names
+  */
+  static getOptionalFeatures(){
+    return OPTIONAL_FEATURES.slice();
+  }
+
+
+  /**
+  * [static]
+  * List the features a block header uses
+  * @param {Object} header - the block header
+  * @return {Object} in form of {required: Array, optional: Array}
+  */
+  static getBlockFeatures( header ){
+    var required = [];
+    var optional = [];
+
+    header.byteStreamInfo.forEach(function( bsi ){
+      if( bsi.compressedByteLength && bsi.codec && bsi.codec !== CompressionCodecs.DEFAULT_CODEC() ){
+        addFeature( required, "codecs" );
+      }
+
+      if( bsi.filters && bsi.filters.length ){
+        addFeature( required, "filters" );
+      }
+
+      if( EXTENDED_TYPED_ARRAYS.indexOf( bsi.arrayType ) !== -1 ){
+        addFeature( required, "extendedTypedArrays" );
+      }
+
+      if( bsi.checksum ){
+        addFeature( optional, "streamChecksums" );
+      }
+
+      if( bsi.padding ){
+        addFeature( required, "streamAlignment" );
+      }
+
+      if( bsi.isRawBuffer ){
+        addFeature( required, "rawBuffers" );
+      }
+
+      if( bsi.contentHash ){
+        addFeature( optional, "contentHashes" );
+      }
+
+      if( bsi.sharedStream ){
+        addFeature( required, "sharedStreams" );
+      }
+    });
+
+    if( header.useHybridObject ){
+      addFeature( required, "hybridObject" );
+    }
+
+    if( header.metadataSerialization === "tagged" ){
+      addFeature( required, "taggedMetadata" );
+    }
+
+    if( header.ndArray ){
+      addFeature( required, "ndArray" );
+    }
+
+    return {
+      required: required,
+      optional: optional
+    }
+  }
+
+
+  /**
+  * [static]
+  * List the features an index uses
+  * @param {Object} index - the PixBin index
+  * @return {Object} in form of {required: Array, optional: Array}
+  */
+  static getIndexFeatures( index ){
+    var required = [];
+    var optional = [];
+
+    if( index.userObjectSerialization === "tagged" ){
+      addFeature( required, "taggedUserObject" );
+    }
+
+    index.pixblocksInfo.forEach(function( blockInfo ){
+      if( blockInfo.checksumAlgorithm && blockInfo.checksumAlgorithm !== Checksum.DEFAULT_ALGORITHM() ){
+        addFeature( optional, "checksumAlgorithms" );
+      }
+
+      if( "name" in blockInfo ){
+        addFeature( optional, "blockNames" );
+      }
+
+      if( "metadata" in blockInfo ){
+        addFeature( optional, "promotedMetadata" );
+      }
+
+      if( blockInfo.metadataSerialization === "tagged" ){
+        addFeature( required, "taggedMetadata" );
+      }
+
+      if( blockInfo.sharedStreams || blockInfo.streamRefs ){
+        addFeature( required, "sharedStreams" );
+      }
+    });
+
+    return {
+      required: required,
+      optional: optional
+    }
+  }
+
+
+  /**
+  * [static]
+  * Write the current version and the features in a block header, before it is serialized
+  * @param {Object} header - the block header
+  */
+  static stampBlockHeader( header ){
+    stamp( header, FormatVersion.getBlockFeatures( header ) );
+  }
+
+
+  /**
+  * [static]
+  * Write the current version and the features in an index, before it is serialized
+  * @param {Object} index - the PixBin index
+  */
+  static stampIndex( index ){
+    stamp( index, FormatVersion.getIndexFeatures( index ) );
+  }
+
+
+  /**
+  * [static]
+  * Check that a parsed block header can be decoded, and bring it to the current version.
+  * Throws a FormatError (BAD_HEADER) if its version is not valid, or an UnsupportedError
+  * (UNSUPPORTED_VERSION or UNSUPPORTED_FEATURE) if it is too recent for this decoder.
+  * @param {Object} header - the block header, modified in place
+  * @return {Number} the version the header was written in
+  */
+  static readBlockHeader( header ){
+    return read( header, blockHeaderUpgraders, ErrorCodes.BAD_HEADER, "this PixBlock" );
+  }
+
+
+  /**
+  * [static]
+  * Check that a parsed index can be decoded, and bring it to the current version.
+  * Throws a FormatError (BAD_INDEX) if its version is not valid, or an UnsupportedError
+  * (UNSUPPORTED_VERSION or UNSUPPORTED_FEATURE) if it is too recent for this decoder.
+  * @param {Object} index - the PixBin index, modified in place
+  * @return {Number} the version the index was written in
+  */
+  static readIndex( index ){
+    return read( index, indexUpgraders, ErrorCodes.BAD_INDEX, "this PixBin" );
+  }
+
+} /* END of class FormatVersion */
+
+export { FormatVersion }
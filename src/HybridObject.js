@@ -0,0 +1,166 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { TypedArrays } from './TypedArrays.js';
+import { ErrorCodes, InputError, FormatError } from './PixBinError.js';
+
+
+// name of the attribute that marks a placeholder, like in TaggedSerializer
+const TAG = "__pixbin__";
+
+
+/**
+* HybridObject splits a complex `_data` object (case 3) into a JSON skeleton and the typed
+* arrays it contains, so that the typed arrays can be written as native streams instead of
+* being serialized as JSON. The raw byte containers (ArrayBuffer, SharedArrayBuffer, DataView)
+* are pulled out the same way. In the skeleton, each typed array is replaced by a placeholder
+* `{"__pixbin__": "Stream", "index": n}`, where `n` is the index of the stream in the
+* `byteStreamInfo` of the block (the skeleton being the stream 0). The plain objects that
+* happen to have a `__pixbin__` attribute are wrapped in `{"__pixbin__": "Object", "value": ...}`
+* so that they are not mistaken for placeholders.
+* HybridObject does not have to be instanciated.
+*/
+class HybridObject {
+
+  /**
+  * [static]
+  * Split an object into a skeleton and the typed arrays it contains. The objects that have
+  * a `toJSON` method (ie. Date) are not explored, the skeleton being serialized as JSON.
+  * @param {Object} data - a complex object, without cyclic structures
+  * @return {Object} in form of `{skeleton: Object, typedArrays: Array}`, or null if
+  * the object contains no typed array. `typedArrays` also lists the raw buffers
+  */
+  static split( data ){
+    var typedArrays = [];
+    var skeleton = HybridObject._splitValue( data, typedArrays, [] );
+
+    if( !typedArrays.length ){
+      return null;
+    }
+
+    return {
+      skeleton: skeleton,
+      typedArrays: typedArrays
+    }
+  }
+
+
+  /**
+  * [static]
+  * Rebuild the original object by replacing the placeholders of the skeleton with the streams.
+  * Throws a FormatError if a placeholder refers to a stream that does not exist.
+  * @param {Object} skeleton - the decoded skeleton
+  * @param {Array} streams - all the decoded streams of the block, the skeleton being the first
+  * @return {Object} the rebuilt object
+  */
+  static merge( skeleton, streams ){
+    if( Array.isArray( skeleton ) ){
+      return skeleton.map(function( element ){
+        return HybridObject.merge( element, streams );
+      });
+    }
+
+    if( !skeleton || typeof skeleton !== "object" ){
+      return skeleton;
+    }
+
+    if( !Object.prototype.hasOwnProperty.call( skeleton, TAG ) ){
+      return HybridObject._mergeEntries( skeleton, streams );
+    }
+
+    if( skeleton[ TAG ] === "Object" ){
+      return HybridObject._mergeEntries( skeleton.value, streams );
+    }
+
+    var index = skeleton.index;
+
+    if( skeleton[ TAG ] !== "Stream" || !(index > 0 && index < streams.length) ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The data of this PixBlock refers to a stream that does not exist.", {stream: index} );
+    }
+
+    return streams[ index ];
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Recursive part of `split`
+  * @param {Object} value - the value to split
+  * @param {Array} typedArrays - the typed arrays found so far, completed in place
+  * @param {Array} parents - the objects that contain this value, to spot cyclic structures
+  * @return {Object} the skeleton of this value
+  */
+  static _splitValue( value, typedArrays, parents ){
+    if( !value || typeof value !== "object" || typeof value.toJSON === "function" ){
+      return value;
+    }
+
+    if( TypedArrays.isTypedArray( value ) || TypedArrays.isRawBuffer( value ) ){
+      typedArrays.push( value );
+
+      var placeholder = {};
+      placeholder[ TAG ] = "Stream";
+      placeholder.index = typedArrays.length;
+      return placeholder;
+    }
+
+    if( parents.indexOf( value ) !== -1 ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The data object contains cyclic structures. Cannot be used." );
+    }
+
+    parents.push( value );
+    var skeleton = null;
+
+    if( Array.isArray( value ) ){
+      skeleton = value.map(function( element ){
+        return HybridObject._splitValue( element, typedArrays, parents );
+      });
+    }else{
+      skeleton = {};
+
+      for(var key in value){
+        if( Object.prototype.hasOwnProperty.call( value, key ) ){
+          skeleton[ key ] = HybridObject._splitValue( value[key], typedArrays, parents );
+        }
+      }
+
+      if( Object.prototype.hasOwnProperty.call( skeleton, TAG ) ){
+        var wrapper = {};
+        wrapper[ TAG ] = "Object";
+        wrapper.value = skeleton;
+        skeleton = wrapper;
+      }
+    }
+
+    parents.pop();
+    return skeleton;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Merge all the attributes of an object that is not a placeholder
+  * @param {Object} obj - the object
+  * @param {Array} streams - all the decoded streams of the block
+  * @return {Object} a new object with merged attributes
+  */
+  static _mergeEntries( obj, streams ){
+    var merged = {};
+
+    for(var key in obj){
+      if( Object.prototype.hasOwnProperty.call( obj, key ) ){
+        merged[ key ] = HybridObject.merge( obj[key], streams );
+      }
+    }
+
+    return merged;
+  }
+
+} /* END of class HybridObject */
+
+export { HybridObject }
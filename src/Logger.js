@@ -0,0 +1,120 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+// the default logger only prints the messages in the console
+const consoleLogger = {
+  warn: function( message, error ){
+    console.warn( message );
+  },
+  info: function( message ){
+    console.info( message );
+  }
+}
+
+// the logger currently in use. Can be anything with warn() and info() methods
+var currentLogger = consoleLogger;
+
+
+/**
+* Logger is where all the messages of the codec go. By default, they go to the console,
+* but another logger can be plugged with `Logger.setLogger(...)`, ie. the logger of a server.
+* Logger does not have to be instanciated.
+*
+* **Usage**
+* ```
+* // plugging a custom logger
+* Logger.setLogger({
+*   warn: function( message, error ){ ... },
+*   info: function( message ){ ... }
+* });
+*
+* // silencing everything
+* Logger.setLogger( null );
+* ```
+*/
+class Logger {
+
+  /**
+  * [static]
+  * Plug a logger
+  * @param {Object} logger - an object with the methods `warn( message, error )` and `info( message )`,
+  * or null to silence the codec
+  */
+  static setLogger( logger ){
+    currentLogger = logger;
+  }
+
+
+  /**
+  * [static]
+  * Go back to the default logger, that prints the messages in the console
+  */
+  static resetLogger(){
+    currentLogger = consoleLogger;
+  }
+
+
+  /**
+  * [static]
+  * Get the logger currently in use
+  * @return {Object} the logger, or null if silenced
+  */
+  static getLogger(){
+    return currentLogger;
+  }
+
+
+  /**
+  * [static]
+  * Log a warning
+  * @param {String} message - the message
+  * @param {PixBinError} error - the error that triggered this warning, if any
+  */
+  static warn( message, error ){
+    if( currentLogger && typeof currentLogger.warn === "function" ){
+      if( error ){
+        currentLogger.warn( message, error );
+      }else{
+        currentLogger.warn( message );
+      }
+    }
+  }
+
+
+  /**
+  * [static]
+  * Log an information
+  * @param {String} message - the message
+  */
+  static info( message ){
+    if( currentLogger && typeof currentLogger.info === "function" ){
+      currentLogger.info( message );
+    }
+  }
+
+
+  /**
+  * [static]
+  * Deal with an error: it is thrown in strict mode, and logged as a warning otherwise.
+  * @param {PixBinError} error - the error
+  * @param {Boolean} strict - true to throw the error
+  * @return {null} always null, when not throwing, so that it can be returned as a failed output
+  */
+  static report( error, strict ){
+    if( strict ){
+      throw error;
+    }
+
+    Logger.warn( "[" + error.code + "] " + error.message, error );
+    return null;
+  }
+
+} /* END of class Logger */
+
+export { Logger }
@@ -0,0 +1,230 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+// a match is at least 4 bytes long
+const MIN_MATCH = 4;
+
+// the last 5 bytes of a block are always literals
+const LAST_LITERALS = 5;
+
+// no match can start within the last 12 bytes of a block
+const MF_LIMIT = 12;
+
+// matches are searched within the last 64kB
+const MAX_DISTANCE = 65535;
+
+// number of bits of the hash table index
+const HASH_LOG = 16;
+
+
+/**
+* A pure Javascript implementation of the LZ4 block format (no frame, no checksum).
+* It is much faster to decompress than deflate, at the cost of a lower compression ratio.
+* See https://github.com/lz4/lz4/blob/dev/doc/lz4_Block_format.md
+*/
+class Lz4 {
+
+  /**
+  * [static]
+  * Get the maximum size of a compressed buffer, for a given input size
+  * @param {Number} byteLength - the size of the uncompressed buffer
+  * @return {Number} the maximum size of the compressed buffer
+  */
+  static compressBound( byteLength ){
+    return byteLength + Math.floor( byteLength / 255 ) + 16;
+  }
+
+
+  /**
+  * [static]
+  * Compress a buffer as a LZ4 block
+  * @param {Uint8Array} src - the bytes to compress
+  * @return {Uint8Array} the compressed bytes
+  */
+  static compress( src ){
+    var srcLength = src.length;
+    var dst = new Uint8Array( Lz4.compressBound(srcLength) );
+    var hashTable = new Int32Array( 1 << HASH_LOG ).fill( -1 );
+    var anchor = 0;
+    var pos = 0;
+    var d = 0;
+
+    if( srcLength > MF_LIMIT ){
+      var mfLimit = srcLength - MF_LIMIT;
+
+      while( pos < mfLimit ){
+        var sequence = Lz4._read32( src, pos );
+        var hash = Math.imul( sequence, 2654435761 ) >>> (32 - HASH_LOG);
+        var ref = hashTable[ hash ];
+        hashTable[ hash ] = pos;
+
+        if( ref < 0 || pos - ref > MAX_DISTANCE || Lz4._read32(src, ref) !== sequence ){
+          pos ++;
+          continue;
+        }
+
+        // extending the match, without eating the last literals
+        var matchLength = MIN_MATCH;
+        var maxMatchLength = srcLength - LAST_LITERALS - pos;
+
+        while( matchLength < maxMatchLength && src[ref + matchLength] === src[pos + matchLength] ){
+          matchLength ++;
+        }
+
+        d = Lz4._writeSequence( src, anchor, pos - anchor, dst, d, pos - ref, matchLength );
+        pos += matchLength;
+        anchor = pos;
+      }
+    }
+
+    // the last sequence is only made of literals
+    d = Lz4._writeSequence( src, anchor, srcLength - anchor, dst, d, 0, 0 );
+    return dst.slice( 0, d );
+  }
+
+
+  /**
+  * [static]
+  * Decompress a LZ4 block
+  * @param {Uint8Array} src - the compressed bytes
+  * @param {Number} byteLength - the size of the uncompressed data
+  * @return {Uint8Array} the uncompressed bytes
+  */
+  static decompress( src, byteLength ){
+    var dst = new Uint8Array( byteLength );
+    var srcLength = src.length;
+    var s = 0;
+    var d = 0;
+    var b = 0;
+
+    while( s < srcLength ){
+      var token = src[ s++ ];
+
+      // the literals
+      var literalLength = token >> 4;
+
+      if( literalLength === 15 ){
+        do{
+          b = src[ s++ ];
+          literalLength += b;
+        }while( b === 255 && s < srcLength );
+      }
+
+      if( s + literalLength > srcLength || d + literalLength > byteLength ){
+        throw new Error("Corrupted LZ4 block: literals out of bounds.");
+      }
+
+      dst.set( src.subarray(s, s + literalLength), d );
+      s += literalLength;
+      d += literalLength;
+
+      // the last sequence has no match
+      if( s >= srcLength ){
+        break;
+      }
+
+      // the match
+      var matchOffset = src[s] | (src[s + 1] << 8);
+      s += 2;
+
+      var matchLength = token & 15;
+
+      if( matchLength === 15 ){
+        do{
+          b = src[ s++ ];
+          matchLength += b;
+        }while( b === 255 && s < srcLength );
+      }
+
+      matchLength += MIN_MATCH;
+
+      if( matchOffset === 0 || matchOffset > d || d + matchLength > byteLength ){
+        throw new Error("Corrupted LZ4 block: match out of bounds.");
+      }
+
+      // byte by byte, since the match can overlap what is being written
+      for(var i=0; i<matchLength; i++){
+        dst[d] = dst[d - matchOffset];
+        d ++;
+      }
+    }
+
+    if( d !== byteLength ){
+      throw new Error("Corrupted LZ4 block: unexpected size.");
+    }
+
+    return dst;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Read 4 bytes as a 32 bits integer (little endian)
+  */
+  static _read32( bytes, pos ){
+    return bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24);
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Write a length that does not fit in the 4 bits of the token
+  * @return {Number} the new writing position
+  */
+  static _writeLength( dst, d, length ){
+    while( length >= 255 ){
+      dst[ d++ ] = 255;
+      length -= 255;
+    }
+    dst[ d++ ] = length;
+    return d;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Write a sequence: token, literals and match (offset and length)
+  * A matchLength of 0 means there is no match (last sequence)
+  * @return {Number} the new writing position
+  */
+  static _writeSequence( src, literalStart, literalLength, dst, d, matchOffset, matchLength ){
+    var tokenPos = d++;
+    var token = 0;
+
+    if( literalLength >= 15 ){
+      token = 15 << 4;
+      d = Lz4._writeLength( dst, d, literalLength - 15 );
+    }else{
+      token = literalLength << 4;
+    }
+
+    dst.set( src.subarray(literalStart, literalStart + literalLength), d );
+    d += literalLength;
+
+    if( matchLength ){
+      dst[ d++ ] = matchOffset & 255;
+      dst[ d++ ] = (matchOffset >> 8) & 255;
+
+      var encodedMatchLength = matchLength - MIN_MATCH;
+
+      if( encodedMatchLength >= 15 ){
+        token |= 15;
+        d = Lz4._writeLength( dst, d, encodedMatchLength - 15 );
+      }else{
+        token |= encodedMatchLength;
+      }
+    }
+
+    dst[ tokenPos ] = token;
+    return d;
+  }
+
+} /* END of class Lz4 */
+
+export { Lz4 }
@@ -0,0 +1,419 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { TypedArrays } from './TypedArrays.js';
+import { DecodingLimits } from './DecodingLimits.js';
+import { ErrorCodes, InputError } from './PixBinError.js';
+
+
+/**
+* [PRIVATE]
+* Get the number of elements of a shape
+* @param {Array} shape - the size along each dimension
+* @return {Number} the product of the sizes
+*/
+function getSize( shape ){
+  var size = 1;
+
+  for(var i=0; i<shape.length; i++){
+    size *= shape[i];
+  }
+
+  return size;
+}
+
+
+/**
+* [PRIVATE]
+* Get the number of elements between two consecutive indexes along each dimension,
+* the last dimension being the fastest (C order)
+* @param {Array} shape - the size along each dimension
+* @return {Array} the strides
+*/
+function getStrides( shape ){
+  var strides = new Array( shape.length );
+  var stride = 1;
+
+  for(var i=shape.length-1; i>=0; i--){
+    strides[i] = stride;
+    stride *= shape[i];
+  }
+
+  return strides;
+}
+
+
+/**
+* [PRIVATE]
+* Tells if a shape is an Array of at least one integer size, each not smaller than a minimum
+* @param {Array} shape - the candidate
+* @param {Number} minSize - the minimum size along a dimension
+* @return {Boolean} true if valid
+*/
+function isValidShape( shape, minSize ){
+  return Array.isArray( shape ) && shape.length > 0 && shape.every(function( size ){
+    return DecodingLimits.isValidLength( size ) && size >= minSize;
+  }) && DecodingLimits.isValidLength( getSize( shape ) );
+}
+
+
+/**
+* An NdArray is an N-dimensional array: a typed array and its shape, the last dimension being
+* the fastest (C order, ie. `[slices, rows, columns]` for a volume). When used as the `_data` of
+* a block, it is cut into chunks of `chunkShape` elements, each encoded as a stream of its own
+* (compressed separately, with its own filters and checksum). A hyper-rectangle of the array
+* can then be decoded by inflating only the chunks that cover it (see `PixBinDecoder.fetchRegion`),
+* like with the chunked datasets of HDF5 or Zarr. The chunks at the edges of the array are
+* cut to fit in it.
+*
+* **Usage**
+* ```
+* var volume = new NdArray( new Uint16Array(180*256*256), [180, 256, 256], [16, 64, 64] );
+* binEncoder.addInput( {_data: volume, _metadata: {}} );
+* ...
+* var slice = binDecoder.fetchRegion( 0, [90, 0, 0], [1, 256, 256] ); // an NdArray of shape [1, 256, 256]
+* ```
+*/
+class NdArray {
+
+  /**
+  * Throws an InputError if the data is not a typed array, or if the shapes are not valid.
+  * @param {TypedArray} data - the elements, in C order
+  * @param {Array} shape - the size along each dimension, whose product is the length of data
+  * @param {Array} chunkShape - the size of a chunk along each dimension (default: null, a single chunk)
+  */
+  constructor( data, shape, chunkShape=null ){
+    if( !TypedArrays.isTypedArray( data ) ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The data of an NdArray must be a typed array." );
+    }
+
+    if( !isValidShape( shape, 0 ) || getSize( shape ) !== data.length ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The shape of an NdArray must be an Array of sizes that match the length of its data.", {shape: shape} );
+    }
+
+    chunkShape = chunkShape || shape.map(function( size ){ return Math.max( 1, size ) });
+
+    if( !isValidShape( chunkShape, 1 ) || chunkShape.length !== shape.length ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The chunk shape of an NdArray must have a size of at least 1 along each dimension of the array.", {chunkShape: chunkShape} );
+    }
+
+    this._data = data;
+    this._shape = shape.slice();
+    this._chunkShape = chunkShape.slice();
+  }
+
+
+  /**
+  * Get the elements
+  * @return {TypedArray} the elements, in C order
+  */
+  getData(){
+    return this._data;
+  }
+
+
+  /**
+  * Get the shape
+  * @return {Array} the size along each dimension
+  */
+  getShape(){
+    return this._shape.slice();
+  }
+
+
+  /**
+  * Get the shape of the chunks
+  * @return {Array} the size of a chunk along each dimension
+  */
+  getChunkShape(){
+    return this._chunkShape.slice();
+  }
+
+
+  /**
+  * Get the type of the elements
+  * @return {String} the constructor name of the typed array, ie. "Float32Array"
+  */
+  getArrayType(){
+    return TypedArrays.getArrayType( this._data );
+  }
+
+
+  /**
+  * Get the element at some indexes
+  * @param {Array} indexes - the index along each dimension
+  * @return {Number} the element
+  */
+  get( indexes ){
+    var strides = getStrides( this._shape );
+    var offset = 0;
+
+    for(var i=0; i<indexes.length; i++){
+      offset += indexes[i] * strides[i];
+    }
+
+    return this._data[ offset ];
+  }
+
+
+  /**
+  * Cut the array into its chunks
+  * @return {Array} the elements of each chunk, in the order of the chunks (see `getChunkBox`)
+  */
+  split(){
+    var numberOfChunks = NdArray.getNumberOfChunks( this._shape, this._chunkShape );
+
+    // a single chunk is the data itself
+    if( numberOfChunks === 1 ){
+      return [ this._data ];
+    }
+
+    var chunks = new Array( numberOfChunks );
+    var zeros = this._shape.map(function(){ return 0 });
+
+    for(var i=0; i<numberOfChunks; i++){
+      var box = NdArray.getChunkBox( this._shape, this._chunkShape, i );
+      chunks[i] = new this._data.constructor( getSize( box.shape ) );
+      NdArray._copyBox( this._data, this._shape, box.origin, chunks[i], box.shape, zeros, box.shape );
+    }
+
+    return chunks;
+  }
+
+
+  /**
+  * [static]
+  * Rebuild an array out of all its chunks
+  * @param {Array} shape - the size along each dimension
+  * @param {Array} chunkShape - the size of a chunk along each dimension
+  * @param {Function} dataType - the constructor of the typed array
+  * @param {Array} chunks - the elements of each chunk
+  * @return {NdArray} the array
+  */
+  static merge( shape, chunkShape, dataType, chunks ){
+    if( chunks.length === 1 && chunks[0].length === getSize( shape ) ){
+      return new NdArray( chunks[0], shape, chunkShape );
+    }
+
+    var data = new dataType( getSize( shape ) );
+    var zeros = shape.map(function(){ return 0 });
+
+    for(var i=0; i<chunks.length; i++){
+      var box = NdArray.getChunkBox( shape, chunkShape, i );
+      NdArray._copyBox( chunks[i], box.shape, zeros, data, shape, box.origin, box.shape );
+    }
+
+    return new NdArray( data, shape, chunkShape );
+  }
+
+
+  /**
+  * [static]
+  * Get the number of chunks of an array
+  * @param {Array} shape - the size along each dimension
+  * @param {Array} chunkShape - the size of a chunk along each dimension
+  * @return {Number} the number of chunks
+  */
+  static getNumberOfChunks( shape, chunkShape ){
+    return getSize( NdArray._getChunkGrid( shape, chunkShape ) );
+  }
+
+
+  /**
+  * [static]
+  * Get the position and the size of a chunk in the array. The chunks are ordered
+  * like the elements, in C order.
+  * @param {Array} shape - the size along each dimension
+  * @param {Array} chunkShape - the size of a chunk along each dimension
+  * @param {Number} index - the index of the chunk
+  * @return {Object} in form of `{origin: Array, shape: Array}`
+  */
+  static getChunkBox( shape, chunkShape, index ){
+    var grid = NdArray._getChunkGrid( shape, chunkShape );
+    var origin = new Array( shape.length );
+    var boxShape = new Array( shape.length );
+
+    for(var i=shape.length-1; i>=0; i--){
+      origin[i] = ( index % grid[i] ) * chunkShape[i];
+      boxShape[i] = Math.min( chunkShape[i], shape[i] - origin[i] );
+      index = Math.floor( index / grid[i] );
+    }
+
+    return {
+      origin: origin,
+      shape: boxShape
+    }
+  }
+
+
+  /**
+  * [static]
+  * Check that a region is within an array.
+  * Throws an InputError (OUT_OF_RANGE) if not.
+  * @param {Array} shape - the size of the array along each dimension
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  */
+  static checkRegion( shape, start, count ){
+    var isValid = Array.isArray( start ) && Array.isArray( count ) &&
+      start.length === shape.length && count.length === shape.length &&
+      shape.every(function( size, i ){
+        return DecodingLimits.isValidLength( start[i] ) && DecodingLimits.isValidLength( count[i] ) && start[i] + count[i] <= size;
+      });
+
+    if( !isValid ){
+      throw new InputError( ErrorCodes.OUT_OF_RANGE, "The region does not fit in the array of shape [" + shape.join(", ") + "].", {start: start, count: count} );
+    }
+  }
+
+
+  /**
+  * [static]
+  * List the chunks that cover a region, in the order of the chunks
+  * @param {Array} shape - the size along each dimension
+  * @param {Array} chunkShape - the size of a chunk along each dimension
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  * @return {Array} in form of `[{index: Number, origin: Array, shape: Array}]`
+  */
+  static getRegionChunks( shape, chunkShape, start, count ){
+    if( getSize( count ) === 0 ){
+      return [];
+    }
+
+    var grid = NdArray._getChunkGrid( shape, chunkShape );
+    var gridStrides = getStrides( grid );
+    var first = start.map(function( s, i ){ return Math.floor( s / chunkShape[i] ) });
+    var last = start.map(function( s, i ){ return Math.floor( (s + count[i] - 1) / chunkShape[i] ) });
+    var regionGrid = first.map(function( f, i ){ return last[i] - f + 1 });
+    var chunks = [];
+
+    for(var n=0; n<getSize( regionGrid ); n++){
+      var rest = n;
+      var index = 0;
+
+      for(var i=grid.length-1; i>=0; i--){
+        index += ( first[i] + rest % regionGrid[i] ) * gridStrides[i];
+        rest = Math.floor( rest / regionGrid[i] );
+      }
+
+      var box = NdArray.getChunkBox( shape, chunkShape, index );
+      box.index = index;
+      chunks.push( box );
+    }
+
+    return chunks;
+  }
+
+
+  /**
+  * [static]
+  * Copy the part of a chunk that is in a region
+  * @param {TypedArray} chunkData - the elements of the chunk
+  * @param {Object} chunk - the position and the size of the chunk, in form of `{origin: Array, shape: Array}`
+  * @param {TypedArray} regionData - the elements of the region, completed in place
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  */
+  static copyChunkToRegion( chunkData, chunk, regionData, start, count ){
+    var rank = start.length;
+    var chunkOrigin = new Array( rank );
+    var regionOrigin = new Array( rank );
+    var boxShape = new Array( rank );
+
+    for(var i=0; i<rank; i++){
+      var low = Math.max( chunk.origin[i], start[i] );
+      var high = Math.min( chunk.origin[i] + chunk.shape[i], start[i] + count[i] );
+      chunkOrigin[i] = low - chunk.origin[i];
+      regionOrigin[i] = low - start[i];
+      boxShape[i] = Math.max( 0, high - low );
+    }
+
+    NdArray._copyBox( chunkData, chunk.shape, chunkOrigin, regionData, count, regionOrigin, boxShape );
+  }
+
+
+  /**
+  * [PRIVATE][static]
+  * Get the number of chunks along each dimension
+  * @param {Array} shape - the size along each dimension
+  * @param {Array} chunkShape - the size of a chunk along each dimension
+  * @return {Array} the number of chunks along each dimension
+  */
+  static _getChunkGrid( shape, chunkShape ){
+    return shape.map(function( size, i ){
+      return Math.ceil( size / chunkShape[i] );
+    });
+  }
+
+
+  /**
+  * [PRIVATE][static]
+  * Copy a hyper-rectangle of elements from an array to another, row by row
+  * @param {TypedArray} src - the elements of the source array
+  * @param {Array} srcShape - the shape of the source array
+  * @param {Array} srcOrigin - the position of the hyper-rectangle in the source array
+  * @param {TypedArray} dst - the elements of the destination array, modified in place
+  * @param {Array} dstShape - the shape of the destination array
+  * @param {Array} dstOrigin - the position of the hyper-rectangle in the destination array
+  * @param {Array} boxShape - the size of the hyper-rectangle along each dimension
+  */
+  static _copyBox( src, srcShape, srcOrigin, dst, dstShape, dstOrigin, boxShape ){
+    var size = getSize( boxShape );
+
+    if( size === 0 ){
+      return;
+    }
+
+    var rank = boxShape.length;
+    var rowLength = boxShape[ rank - 1 ];
+    var srcStrides = getStrides( srcShape );
+    var dstStrides = getStrides( dstShape );
+
+    for(var row=0; row<size/rowLength; row++){
+      var rest = row;
+      var srcOffset = srcOrigin[ rank - 1 ];
+      var dstOffset = dstOrigin[ rank - 1 ];
+
+      for(var i=rank-2; i>=0; i--){
+        var position = rest % boxShape[i];
+        rest = Math.floor( rest / boxShape[i] );
+        srcOffset += ( srcOrigin[i] + position ) * srcStrides[i];
+        dstOffset += ( dstOrigin[i] + position ) * dstStrides[i];
+      }
+
+      dst.set( src.subarray( srcOffset, srcOffset + rowLength ), dstOffset );
+    }
+  }
+
+
+  /**
+  * [static]
+  * Get the number of elements of a shape
+  * @param {Array} shape - the size along each dimension
+  * @return {Number} the number of elements
+  */
+  static getSize( shape ){
+    return getSize( shape );
+  }
+
+
+  /**
+  * [static]
+  * Tells if a shape is an Array of at least one integer size, each not smaller than a minimum
+  * @param {Array} shape - the candidate
+  * @param {Number} minSize - the minimum size along a dimension
+  * @return {Boolean} true if valid
+  */
+  static isValidShape( shape, minSize ){
+    return isValidShape( shape, minSize );
+  }
+
+} /* END of class NdArray */
+
+export { NdArray }
@@ -7,15 +7,25 @@
 */
 
 
-import md5 from 'js-md5';
 import codecutils from 'codecutils';
 import { PixBlockDecoder } from './PixBlockDecoder.js';
 import { PixBinEncoder } from './PixBinEncoder.js';
+import { Checksum } from './Checksum.js';
+import { TypedArrays } from './TypedArrays.js';
+import { Logger } from './Logger.js';
+import { TaggedSerializer } from './TaggedSerializer.js';
+import { DecodingLimits } from './DecodingLimits.js';
+import { BlockCache } from './BlockCache.js';
+import { FormatVersion } from './FormatVersion.js';
+import { BlockPaths } from './BlockPaths.js';
+import { ErrorCodes, PixBinError, InputError, FormatError, IntegrityError, UnsupportedError } from './PixBinError.js';
 
 /**
 * A PixBinDecoder instance decodes a *.pixp file and output an Image2D or Image3D.
-* The input, specified by `.addInput(...)` must be an ArrayBuffer
+* The input, specified by `.setInput(...)` must be an ArrayBuffer
 * (from an `UrlToArrayBufferFilter`, an `UrlToArrayBufferReader` or anothrer source ).
+* Alternatively, the input can be a byte-range reader specified with `.setInputReader(...)`,
+* so that only the primer, the index and the fetched blocks are read (see `fetchBlockAsync`).
 *
 * **Usage**
 * - [examples/pixpFileToImage2D.html](../examples/pixpFileToImage2D.html)
@@ -23,31 +33,118 @@ import { PixBinEncoder } from './PixBinEncoder.js';
 class PixBinDecoder {
   constructor(){
     this._verifyChecksum = false;
+    this._useStreamViews = false;
+    this._decodedSharedStreams = null;
+    this._strict = false;
+    this._lastError = null;
     this._input = null;
+    this._inputReader = null;
     this._output = null;
     this._binMeta = null;
     this._parsingInfo = {
       offsetToReachFirstBlock: -1,
       isLittleEndian: -1,
+      blockOffsets: []
     }
 
-    this._decodedBlocks = {};
+    this._sharedStreamLocations = new Map();
     this._isValid = false;
+    this._limits = new DecodingLimits();
+    this._cache = new BlockCache();
     this.reset();
   }
 
 
   /**
-  * Specify an input
-  * @param {ArrayBuffer} buff - the input
+  * Specify an input. When it is a view, only its own bytes are read.
+  * @param {ArrayBuffer|SharedArrayBuffer|Uint8Array} buff - the input. A Node Buffer is a Uint8Array
+  * and can be used, so can any other typed array or DataView.
   */
   setInput( buff ){
     this.reset();
 
-    if( buff instanceof ArrayBuffer ){
-      this._input = buff;
-      this._isValid = this._parseIndex();
+    var bytes = TypedArrays.toUint8Array( buff );
+
+    if( !bytes ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "Input should be an ArrayBuffer, a SharedArrayBuffer or a Uint8Array") );
+      return;
+    }
+
+    this._input = bytes;
+
+    try{
+      this._parseIndex();
+      this._isValid = true;
+    }catch(e){
+      this._fail( e );
+    }
+  }
+
+
+  /**
+  * Specify an input that is read by byte ranges, rather than being entirely loaded in memory.
+  * The reader must have a method `read( offset, length )` that returns a Promise
+  * resolved with an ArrayBuffer or a Uint8Array (ie. a Node Buffer). The built-in `FileHandleReader` (Node) and `BlobReader`
+  * (browser) can be used. Only the primer and the index are read at this point,
+  * then blocks have to be fetched with `fetchBlockAsync(...)`.
+  * If the reader also has a method `getByteLength()` that returns a Promise resolved with
+  * the size of the input, like the built-in readers, the index and every block it lists are checked
+  * to be within the input before being read.
+  * @param {Object} reader - an object with a `read( offset, length )` method
+  * @return {Promise} resolved with a Boolean, true if the PixBin index is valid, false if not
+  * or if it could not be read (rejected with the error in strict mode)
+  */
+  setInputReader( reader ){
+    var that = this;
+    this.reset();
+
+    if( !reader || typeof reader.read !== "function" ){
+      return new Promise(function( resolve ){
+        that._fail( new InputError(ErrorCodes.INVALID_INPUT, "The reader must have a read( offset, length ) method.") );
+        resolve( false );
+      });
     }
+
+    var primerByteLength = PixBinEncoder.MAGIC_NUMBER().length + 5;
+    var inputByteLength = null;
+    var primer = null;
+
+    var sizing = new Promise(function( resolve ){
+      resolve( typeof reader.getByteLength === "function" ? reader.getByteLength() : null );
+    }).catch(function( e ){
+      throw new InputError( ErrorCodes.READ_FAILED, "The size of the input could not be read. (" + e + ")", {cause: e} );
+    });
+
+    return sizing.then(function( byteLength ){
+      inputByteLength = byteLength;
+      return PixBinDecoder._readRange( reader, 0, primerByteLength );
+    }).then(function( primerBuff ){
+      primer = PixBinDecoder.parsePrimer( primerBuff );
+      that._limits.check( "maxIndexByteLength", primer.indexByteLength );
+
+      if( inputByteLength !== null && primer.indexByteOffset + primer.indexByteLength > inputByteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "The PixBin index is truncated." );
+      }
+
+      return PixBinDecoder._readRange( reader, primer.indexByteOffset, primer.indexByteLength );
+    }).then(function( indexBuff ){
+      if( indexBuff.byteLength !== primer.indexByteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "The PixBin index is truncated." );
+      }
+
+      that._setIndex( primer, indexBuff );
+
+      if( inputByteLength !== null ){
+        that._checkBlockBounds( inputByteLength );
+      }
+
+      that._inputReader = reader;
+      that._isValid = true;
+      return true;
+    }).catch(function( e ){
+      that._fail( e );
+      return false;
+    });
   }
 
 
@@ -86,6 +183,25 @@ class PixBinDecoder {
   }
 
 
+  /**
+  * Get the name of the software that created the file (see the "madeWith" option of `PixBinEncoder`)
+  * @return {String} the name, ie. "pixbincodec_js"
+  */
+  getBinCreatedWith(){
+    return this._binMeta.createdWith;
+  }
+
+
+  /**
+  * Get the version of the format the index of the PixBin file was written in
+  * (see `FormatVersion`). The files written before the format was versioned are version 0.
+  * @return {Number} the version
+  */
+  getBinFormatVersion(){
+    return this._binMeta.formatVersion || 0;
+  }
+
+
   /**
   * Get the description of the PixBin file
   * @return {String} the description
@@ -105,6 +221,15 @@ class PixBinDecoder {
   }
 
 
+  /**
+  * Get how the userObject was serialized (see `PixBinEncoder.setMetadataSerialization`)
+  * @return {String} "json" or "tagged"
+  */
+  getBinUserObjectSerialization(){
+    return this._binMeta.userObjectSerialization || "json";
+  }
+
+
   /**
   * Get the description of the block at the given index
   * @param {Number} n - the index of the block
@@ -112,8 +237,7 @@ class PixBinDecoder {
   */
   getBlockDescription( n ){
     if( n<0 || n >= this.getNumberOfBlocks() ){
-      console.warn("The block index is out of range.");
-      return null;
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
     }
     return this._binMeta.pixblocksInfo[n].description;
   }
@@ -127,26 +251,184 @@ class PixBinDecoder {
   */
   getBlockType( n ){
     if( n<0 || n >= this.getNumberOfBlocks() ){
-      console.warn("The block index is out of range.");
-      return null;
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
     }
     return this._binMeta.pixblocksInfo[n].type;
   }
 
 
+  /**
+  * Get the entry of the index that describes the block at the given index
+  * (type, description, byteLength, checksum, and name and metadata if any)
+  * @param {Number} n - the index of the block
+  * @return {Object} a copy of the index entry
+  */
+  getBlockInfo( n ){
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+    return Object.assign( {}, this._binMeta.pixblocksInfo[n] );
+  }
+
+
+  /**
+  * Get the name of a block (see the `name` of `PixBinEncoder.addInput`)
+  * @param {Number} n - the index of the block
+  * @return {String} the name, ie. "subject01/t1/mask", or null if the block has no name
+  */
+  getBlockName( n ){
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+    return "name" in this._binMeta.pixblocksInfo[n] ? this._binMeta.pixblocksInfo[n].name : null;
+  }
+
+
+  /**
+  * Get the index of the block that has the given name. Convenient to fetch a named
+  * block with `fetchBlockAsync(...)`.
+  * @param {String} name - the name of the block, ie. "subject01/t1/mask"
+  * @return {Number} the index of the block, or -1 if no block has this name
+  */
+  getBlockIndexByName( name ){
+    var pixblocksInfo = this._binMeta.pixblocksInfo;
+
+    for(var n=0; n<pixblocksInfo.length; n++){
+      if( pixblocksInfo[n].name === name ){
+        return n;
+      }
+    }
+
+    return -1;
+  }
+
+
+  /**
+  * Fetch the block that has the given name, like `fetchBlock(...)`
+  * @param {String} name - the name of the block, ie. "subject01/t1/mask"
+  * @param {Boolean} forceDecoding - force the decoding even though it was already decoded
+  * @return {Object} the decoded block, or null if no block has this name or it could not be decoded
+  */
+  fetchBlockByName( name, forceDecoding=false ){
+    var n = this.getBlockIndexByName( name );
+
+    if( n === -1 ){
+      return this._fail( new InputError(ErrorCodes.UNKNOWN_NAME, "No block is named " + name + ".", {name: name}) );
+    }
+
+    return this.fetchBlock( n, forceDecoding );
+  }
+
+
+  /**
+  * Search the blocks by their entry in the index, without decoding them.
+  * The query is either a function, called with a copy of the entry of each block and its index
+  * (see `getBlockInfo`) and that returns true for the blocks to keep, or an object with some of:
+  * - `type`: the type of the block
+  * - `name`: the name of the block
+  * - `group`: a group the block is in, directly or not, ie. "subject01" for "subject01/t1/mask"
+  * - `metadata`: some values of the promoted metadata (see `PixBinEncoder.setPromotedMetadata`),
+  *   ie. `{modality: "T1"}`, compared with `===`
+  * @param {Object|Function} query - the criteria, that must all match
+  * @return {Array} the indexes of the matching blocks, or null if the query is not valid
+  */
+  findBlocks( query ){
+    var predicate = query;
+
+    if( typeof query !== "function" ){
+      predicate = PixBinDecoder._createPredicate( query );
+
+      if( !predicate ){
+        return this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The query must be a function or an object with some of type, name, group and metadata.") );
+      }
+    }
+
+    var found = [];
+
+    for(var n=0; n<this.getNumberOfBlocks(); n++){
+      if( predicate( this.getBlockInfo(n), n ) ){
+        found.push( n );
+      }
+    }
+
+    return found;
+  }
+
+
+  /**
+  * List what is directly in a group, like a directory listing. Each element of the list
+  * is in form of `{name: String, path: String, block: Number, isGroup: Boolean}`, where `name`
+  * is the last part of `path`, `block` is the index of the block that has this path
+  * (or -1 if there is none) and `isGroup` tells if some other blocks are under this path.
+  * The blocks that have no name are not listed.
+  * @param {String} group - the path of the group, ie. "subject01" (default: "", the root)
+  * @return {Array} the elements of the group, in the order they appear in the index, or null
+  * if the path is not valid
+  */
+  listGroup( group="" ){
+    var groupPath = BlockPaths.normalizeGroup( group );
+
+    if( groupPath === null ){
+      return this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The group path " + group + " is not valid.", {group: group}) );
+    }
+
+    var elements = [];
+    var elementsByName = {};
+
+    this._binMeta.pixblocksInfo.forEach(function( blockInfo, n ){
+      if( !("name" in blockInfo) ){
+        return;
+      }
+
+      var childName = BlockPaths.getChild( blockInfo.name, groupPath );
+
+      if( childName === null ){
+        return;
+      }
+
+      if( !(childName in elementsByName) ){
+        elementsByName[ childName ] = {
+          name: childName,
+          path: groupPath === "" ? childName : groupPath + "/" + childName,
+          block: -1,
+          isGroup: false
+        }
+        elements.push( elementsByName[ childName ] );
+      }
+
+      var element = elementsByName[ childName ];
+
+      if( blockInfo.name === element.path ){
+        element.block = element.block === -1 ? n : element.block;
+      }else{
+        element.isGroup = true;
+      }
+    });
+
+    return elements;
+  }
+
+
   /**
   * reset I/O and data to query
   */
   reset(){
     this._isValid = false;
+    this._lastError = null;
     this._input = null;
+    this._inputReader = null;
     this._output = null;
     this._binMeta = null;
     this._parsingInfo = {
       offsetToReachFirstBlock: -1,
       isLittleEndian: -1,
+      blockOffsets: []
     }
-    this._decodedBlocks = {};
+    this._sharedStreamLocations = new Map();
+    this._cache.clear();
+    this._cache.resetStats();
+    this._clearSharedStreams();
+    this._limits.resetDecodedByteLength();
   }
 
 
@@ -161,34 +443,182 @@ class PixBinDecoder {
 
 
   /**
-  * [PRIVATE]
-  *
+  * Set a boolean to specify if the typed arrays that are stored uncompressed, with the
+  * endianness of the platform, are decoded as views on the input rather than copies.
+  * With an ArrayBuffer input, this needs the streams to be aligned in the whole PixBin
+  * (see `PixBinEncoder.setStreamAlignment`), the other streams are copied. With a reader
+  * input, the views are on the bytes read for the block. See `PixBlockDecoder.enableStreamViews`.
+  * @param {Boolean} b - true to decode as views, false to copy (default: false)
   */
-  _parseIndex(){
-    var input = this._input;
+  enableStreamViews( b ){
+    this._useStreamViews = b;
+  }
 
-    if( !input ){
-      console.warn("Input cannot be null");
+
+  /**
+  * Set a boolean to specify if the blocks that share a stream get the same decoded typed array
+  * or raw buffer, rather than a copy each. A stream is shared when the PixBin was encoded with
+  * `PixBinEncoder.enableStreamDeduplication`: it is stored once and the other blocks refer
+  * to it, which the decoder resolves whether this is enabled or not. The decoded streams are
+  * kept until the cache is cleared (see `clearCache`), even if their blocks are evicted,
+  * and modifying one of them modifies it in every block that shares it.
+  * The streams fetched with `fetchStream` are never shared.
+  * @param {Boolean} b - true to share the decoded streams, false to decode them for every block (default: false)
+  */
+  enableStreamSharing( b ){
+    this._decodedSharedStreams = b ? ( this._decodedSharedStreams || new Map() ) : null;
+  }
+
+
+  /**
+  * Set a boolean to specify if the errors should be thrown (strict mode) or
+  * only logged, the failing method returning null or false (default).
+  * In strict mode, the Promises returned by the async methods are rejected with the error.
+  * @param {Boolean} b - true to throw the errors, false to only log them
+  */
+  enableStrictMode( b ){
+    this._strict = b;
+  }
+
+
+  /**
+  * Get the last error that occured, whether it was thrown or only logged.
+  * Can be used to know why `isValid()` is false.
+  * @return {PixBinError} the error, or null if none
+  */
+  getLastError(){
+    return this._lastError;
+  }
+
+
+  /**
+  * Set the limits on the resources that decoding the input can use, for the files that
+  * come from untrusted sources. When a limit is hit, the method fails with a LimitError
+  * (code LIMIT_EXCEEDED), before anything large is read or allocated.
+  * The limits must be set before the input.
+  * @param {Object} limits - some of "maxIndexByteLength" (size of the serialized index),
+  * "maxBlocks" (number of blocks in the index), "maxBlockByteLength" (encoded size of a block),
+  * "maxStreamByteLength" (decoded size of a stream)
+  * and "maxDecodedByteLength" (decoded size of all the streams of all the blocks decoded
+  * from the input). The limits that are not given are unbounded.
+  * @return {Boolean} true if the limits are set, false if one of them is not valid
+  */
+  setLimits( limits ){
+    try{
+      this._limits = new DecodingLimits( limits );
+    }catch(e){
+      this._fail( e );
+      return false;
+    }
+
+    return true;
+  }
+
+
+  /**
+  * Get the limits on the resources that decoding the input can use (see `setLimits`)
+  * @return {Object} the value of every limit
+  */
+  getLimits(){
+    return this._limits.getLimits();
+  }
+
+
+  /**
+  * Set which decoded blocks are kept, so that fetching them again does not decode them again:
+  * - `{type: "unbounded"}`: every decoded block, for the life of the input (default)
+  * - `{type: "none"}`: none, every fetch decodes the block
+  * - `{type: "lru", maxBlocks: Number, maxByteLength: Number}`: the least recently fetched blocks
+  *   are dropped when there are more than `maxBlocks` of them, or when their estimated size goes
+  *   over `maxByteLength` bytes. A bound that is not given is unbounded.
+  * The blocks already kept are dropped if they no longer fit. Notice that, with the "lru" or
+  * "none" policy, the blocks decoded again count again in the `maxDecodedByteLength` limit.
+  * @param {Object} policy - the policy
+  * @return {Boolean} true if the policy is set, false if it is not valid
+  */
+  setCachePolicy( policy ){
+    try{
+      this._cache.setPolicy( policy );
+    }catch(e){
+      this._fail( e );
       return false;
     }
 
-    var inputByteLength = input.byteLength;
+    return true;
+  }
+
+
+  /**
+  * Get which decoded blocks are kept (see `setCachePolicy`)
+  * @return {Object} the policy, with all its bounds if it is "lru"
+  */
+  getCachePolicy(){
+    return this._cache.getPolicy();
+  }
+
+
+  /**
+  * Drop a decoded block from the cache, so that its memory can be reclaimed.
+  * It will be decoded again the next time it is fetched.
+  * @param {Number} n - the index of the block
+  * @return {Boolean} true if the block was in the cache
+  */
+  evictBlock( n ){
+    return this._cache.evict( n );
+  }
+
+
+  /**
+  * Drop all the decoded blocks from the cache, and the decoded streams shared by
+  * the blocks (see `enableStreamSharing`)
+  */
+  clearCache(){
+    this._cache.clear();
+    this._clearSharedStreams();
+  }
+
+
+  /**
+  * Get the statistics of the cache of decoded blocks, to tune its policy. They are reset
+  * when a new input is given.
+  * @return {Object} in form of `{hits: Number, misses: Number, evictions: Number, blocks: Number,
+  * byteLength: Number}`, where `hits` is the number of fetches that found their block in the cache,
+  * `misses` the number of fetches that decoded their block (not counting `forceDecoding`), `evictions`
+  * the number of blocks dropped by the "lru" policy, `blocks` the number of blocks kept and `byteLength`
+  * their estimated size (see `BlockCache.estimateByteLength`)
+  */
+  getCacheStats(){
+    return this._cache.getStats();
+  }
+
+
+  /**
+  * [static]
+  * Parse the primer of a PixBin: magic number, endianness and index byte length.
+  * Throws a PixBinError if the buffer is not a PixBin.
+  * @param {ArrayBuffer|Uint8Array} buff - a buffer that starts like a PixBin (it can be just the beginning of a PixBin)
+  * @return {Object} in form of {isLittleEndian: Boolean, indexByteOffset: Number, indexByteLength: Number}
+  */
+  static parsePrimer( buff ){
     var magicNumberToExpect = PixBinEncoder.MAGIC_NUMBER();
+    var bytes = TypedArrays.toUint8Array( buff );
+
+    if( !bytes ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The primer should be an ArrayBuffer or a Uint8Array." );
+    }
 
     // control 1: the file must be large enough
-    if( inputByteLength < (magicNumberToExpect.length + 5) ){
-      console.warn("This buffer does not match a PixBin file.");
-      return false;
+    if( bytes.byteLength < (magicNumberToExpect.length + 5) ){
+      throw new IntegrityError( ErrorCodes.TRUNCATED, "This buffer does not match a PixBin file. (too small)" );
     }
 
-    var view = new DataView( input );
+    var view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
     var movingByteOffset = 0;
-    var magicNumber = codecutils.CodecUtils.getString8FromBuffer(input, magicNumberToExpect.length )
+    var magicNumber = String.fromCharCode.apply( null, bytes.subarray(0, magicNumberToExpect.length) );
 
     // control 2: the magic number
     if( magicNumber !== magicNumberToExpect){
-      console.warn("This file is not of PixBin type. (wrong magic number)");
-      return false;
+      throw new FormatError( ErrorCodes.BAD_MAGIC_NUMBER, "This file is not of PixBin type. (wrong magic number)" );
     }
 
     movingByteOffset = magicNumberToExpect.length;
@@ -196,70 +626,1243 @@ class PixBinDecoder {
 
     // control 3: the endianess must be 0 or 1
     if(isLittleEndian != 0 && isLittleEndian != 1){
-      console.warn("This file is not of PixBin type. (wrong endianess code)");
-      return false;
+      throw new FormatError( ErrorCodes.BAD_ENDIANNESS, "This file is not of PixBin type. (wrong endianess code)", {endianness: isLittleEndian} );
     }
 
     movingByteOffset += 1;
     var pixBinIndexBinaryStringByteLength = view.getUint32( movingByteOffset, isLittleEndian );
     movingByteOffset += 4;
-    var pixBinIndexObj = codecutils.CodecUtils.ArrayBufferToObject( input.slice(movingByteOffset, movingByteOffset + pixBinIndexBinaryStringByteLength));
-    movingByteOffset += pixBinIndexBinaryStringByteLength;
 
-    this._parsingInfo.offsetToReachFirstBlock = movingByteOffset;
-    this._parsingInfo.isLittleEndian = isLittleEndian;
-    this._binMeta = pixBinIndexObj;
+    return {
+      isLittleEndian: isLittleEndian,
+      indexByteOffset: movingByteOffset,
+      indexByteLength: pixBinIndexBinaryStringByteLength
+    }
+  }
 
-    return true;
+
+  /**
+  * [static]
+  * Deserialize the index of a PixBin. If the userObject was written in a tagged form,
+  * it is restored (see `PixBinEncoder.setMetadataSerialization`).
+  * The index written in an older version of the format is brought to the current one (see `FormatVersion`).
+  * Throws a PixBinError if the index is not valid, if it lists more blocks or larger blocks than allowed,
+  * or if it is written in a version or with features this decoder does not support.
+  * @param {ArrayBuffer|Uint8Array} indexBuff - the buffer of the serialized index
+  * @param {DecodingLimits} limits - the limits to check (default: null)
+  * @return {Object} the index
+  */
+  static parseIndexBuffer( indexBuff, limits=null ){
+    var pixBinIndexObj = codecutils.CodecUtils.ArrayBufferToObject( indexBuff );
+
+    if( !pixBinIndexObj || !Array.isArray(pixBinIndexObj.pixblocksInfo) ){
+      throw new FormatError( ErrorCodes.BAD_INDEX, "The index of this PixBin could not be parsed." );
+    }
+
+    if( limits ){
+      limits.check( "maxBlocks", pixBinIndexObj.pixblocksInfo.length );
+    }
+
+    // the byte length of the blocks are used to locate them
+    pixBinIndexObj.pixblocksInfo.forEach(function( blockInfo, n ){
+      if( !blockInfo || typeof blockInfo !== "object" || !DecodingLimits.isValidLength( blockInfo.byteLength ) ){
+        throw new FormatError( ErrorCodes.BAD_INDEX, "The entry of the block #" + n + " in the index is not valid.", {block: n} );
+      }
+
+      if( limits ){
+        limits.check( "maxBlockByteLength", blockInfo.byteLength, {block: n} );
+      }
+
+      if( "name" in blockInfo && !BlockPaths.isValid( blockInfo.name ) ){
+        throw new FormatError( ErrorCodes.BAD_INDEX, "The name of the block #" + n + " in the index is not valid.", {block: n} );
+      }
+
+      if( !PixBinDecoder._hasValidSharedStreams( blockInfo ) ){
+        throw new FormatError( ErrorCodes.BAD_INDEX, "The shared streams of the block #" + n + " in the index are not valid.", {block: n} );
+      }
+    });
+
+    // the older indexes are brought to the current version
+    FormatVersion.readIndex( pixBinIndexObj );
+
+    // the promoted metadata are restored like the userObject, and then kept as is
+    pixBinIndexObj.pixblocksInfo.forEach(function( blockInfo ){
+      var metadataSerialization = blockInfo.metadataSerialization || "json";
+
+      if( metadataSerialization === "tagged" ){
+        blockInfo.metadata = TaggedSerializer.decode( blockInfo.metadata );
+      }else if( metadataSerialization !== "json" ){
+        throw new UnsupportedError( ErrorCodes.UNSUPPORTED_SERIALIZATION, "The metadata serialization " + metadataSerialization + " is not supported.", {serialization: metadataSerialization} );
+      }
+
+      delete blockInfo.metadataSerialization;
+    });
+
+    var userObjectSerialization = pixBinIndexObj.userObjectSerialization || "json";
+
+    if( userObjectSerialization === "tagged" ){
+      pixBinIndexObj.userObject = TaggedSerializer.decode( pixBinIndexObj.userObject );
+    }else if( userObjectSerialization !== "json" ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_SERIALIZATION, "The userObject serialization " + userObjectSerialization + " is not supported.", {serialization: userObjectSerialization} );
+    }
+
+    return pixBinIndexObj;
   }
 
 
   /**
-  * Fetch a block at the given index. The first time it called on a block,
-  * this block will be read from the stream and decoded.
-  * If a block is already decoded, it will be retrieved as is without trying to
-  * re-decode it, unless `forceDecoding` is `true`.
-  * @param {Number} n - the index of the block to fetch
-  * @param {Boolean} forceDecoding - force the decoding even though it was already decoded
-  * @return {Object} the decoded block, containing `_data_`, `_metadata` and `originalBlockType`
+  * [static]
+  * [PRIVATE]
+  * Check that the shared streams an index entry lists are within its block, and that
+  * the streams it refers to are hashes (see `PixBinEncoder.enableStreamDeduplication`)
+  * @param {Object} blockInfo - the entry of a block in the index
+  * @return {Boolean} true if they are valid, or if there is none
   */
-  fetchBlock( n , forceDecoding=false ){
-    var nbBlocks = this.getNumberOfBlocks()
-    if( n<0 || n >= nbBlocks ){
-      console.warn("The block index is out of range.");
-      return null;
+  static _hasValidSharedStreams( blockInfo ){
+    var sharedStreams = blockInfo.sharedStreams || {};
+    var streamRefs = blockInfo.streamRefs || [];
+
+    if( typeof sharedStreams !== "object" || !Array.isArray( streamRefs ) ){
+      return false;
     }
 
-    if( n in this._decodedBlocks && !forceDecoding){
-      return this._decodedBlocks[ n ];
+    for(var contentHash in sharedStreams){
+      var location = sharedStreams[ contentHash ];
+
+      if( !location ||
+          !DecodingLimits.isValidLength( location.byteOffset ) ||
+          !DecodingLimits.isValidLength( location.byteLength ) ||
+          location.byteOffset + location.byteLength > blockInfo.byteLength ){
+        return false;
+      }
     }
 
-    var offset = this._parsingInfo.offsetToReachFirstBlock;
+    return streamRefs.every(function( contentHash ){
+      return typeof contentHash === "string";
+    });
+  }
+
+
+  /**
+  * [static]
+  * [PRIVATE]
+  * Find where each shared stream is stored, out of the index entries
+  * @param {Array} pixblocksInfo - the entries of the index
+  * @return {Map} the locations by content hash, in form of `{block: Number, byteOffset: Number, byteLength: Number}`,
+  * where `byteOffset` is from the beginning of the block
+  */
+  static _locateSharedStreams( pixblocksInfo ){
+    var locations = new Map();
+
+    pixblocksInfo.forEach(function( blockInfo, n ){
+      var sharedStreams = blockInfo.sharedStreams || {};
+
+      for(var contentHash in sharedStreams){
+        if( !locations.has( contentHash ) ){
+          locations.set( contentHash, {
+            block: n,
+            byteOffset: sharedStreams[ contentHash ].byteOffset,
+            byteLength: sharedStreams[ contentHash ].byteLength
+          });
+        }
+      }
+    });
+
+    return locations;
+  }
+
 
-    for(var i=0; i<n; i++){
-      offset += this._binMeta.pixblocksInfo[i].byteLength;
+  /**
+  * [static]
+  * [PRIVATE]
+  * Turn the object form of a query of `findBlocks` into a predicate
+  * @param {Object} query - the criteria
+  * @return {Function} called with an index entry, or null if the query is not valid
+  */
+  static _createPredicate( query ){
+    if( !query || typeof query !== "object" ){
+      return null;
     }
 
-    var blockInfo = this._binMeta.pixblocksInfo[n];
-    var pixBlockBuff = this._input.slice(offset, offset + blockInfo.byteLength);
+    var group = "group" in query ? BlockPaths.normalizeGroup( query.group ) : "";
+    var metadata = query.metadata || {};
 
-    if( this._verifyChecksum && md5( pixBlockBuff ) !== blockInfo.checksum){
-      console.warn("The block #" + n + " is corrupted.");
+    if( group === null || typeof metadata !== "object" ){
       return null;
     }
 
+    return function( blockInfo ){
+      if( "type" in query && blockInfo.type !== query.type ){
+        return false;
+      }
+
+      if( "name" in query && blockInfo.name !== query.name ){
+        return false;
+      }
+
+      if( group !== "" && !("name" in blockInfo && BlockPaths.isInGroup( blockInfo.name, group )) ){
+        return false;
+      }
+
+      for(var key in metadata){
+        if( !blockInfo.metadata || blockInfo.metadata[ key ] !== metadata[ key ] ){
+          return false;
+        }
+      }
+
+      return true;
+    }
+  }
+
+
+  /**
+  * [static]
+  * Compare the checksum of a block buffer with the one from the index.
+  * The index entries that do not mention their algorithm use md5.
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, as stored in the PixBin, or a view on it
+  * @param {Object} blockInfo - the entry of this block in the PixBin index
+  * @return {Boolean} true if the checksums match
+  */
+  static verifyBlockBuffer( pixBlockBuff, blockInfo ){
+    var algorithm = blockInfo.checksumAlgorithm || Checksum.DEFAULT_ALGORITHM();
+    return Checksum.compute( pixBlockBuff, algorithm ) === blockInfo.checksum;
+  }
+
+
+  /**
+  * [static]
+  * Decode the buffer of a single block, after an optional checksum verification.
+  * Throws a PixBinError if the block is corrupted or not decodable, with the index
+  * of the block in its `details`.
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, as stored in the PixBin,
+  * or a view on it in the buffer of the PixBin
+  * @param {Object} blockInfo - the entry of this block in the PixBin index
+  * @param {Number} n - the index of the block (only used for errors)
+  * @param {Boolean} verifyChecksum - true to compare the checksum of the buffer with the one of the index
+  * @param {DecodingLimits} limits - the limits of the PixBin decoder, that count the decoded bytes (default: null)
+  * @param {Boolean} useStreamViews - true to decode the typed arrays as views when possible
+  * (see `PixBlockDecoder.enableStreamViews`, default: false)
+  * @param {Object} sharedStreams - the streams stored in other blocks that this block refers to, in form of
+  * `{stored: Object, decoded: Map}` (see `PixBlockDecoder.setSharedStreams`, default: null)
+  * @return {Object} the decoded block
+  */
+  static decodeBlockBuffer( pixBlockBuff, blockInfo, n, verifyChecksum, limits=null, useStreamViews=false, sharedStreams=null ){
+    if( verifyChecksum && !PixBinDecoder.verifyBlockBuffer( pixBlockBuff, blockInfo )){
+      throw new IntegrityError( ErrorCodes.CHECKSUM_MISMATCH, "The block #" + n + " is corrupted.", {block: n} );
+    }
+
+    var blockDecoder = null;
+
+    try{
+      blockDecoder = PixBinDecoder._createBlockDecoder( pixBlockBuff, limits, useStreamViews, sharedStreams );
+      blockDecoder.run();
+    }catch(e){
+      throw PixBinDecoder._toBlockError( e, n );
+    }
+
+    return blockDecoder.getOutput();
+  }
+
+
+  /**
+  * [static]
+  * Decode the buffer of a single block asynchronously, like `decodeBlockBuffer`
+  * (see `PixBlockDecoder.decodeAsync`).
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, as stored in the PixBin,
+  * or a view on it in the buffer of the PixBin
+  * @param {Object} blockInfo - the entry of this block in the PixBin index
+  * @param {Number} n - the index of the block (only used for errors)
+  * @param {Boolean} verifyChecksum - true to compare the checksum of the buffer with the one of the index
+  * @param {WorkerPool} pool - the workers to decompress the streams with, or null
+  * @param {DecodingLimits} limits - the limits of the PixBin decoder, that count the decoded bytes (default: null)
+  * @param {Boolean} useStreamViews - true to decode the typed arrays as views when possible
+  * (see `PixBlockDecoder.enableStreamViews`, default: false)
+  * @param {Object} sharedStreams - the streams stored in other blocks that this block refers to, in form of
+  * `{stored: Object, decoded: Map}` (see `PixBlockDecoder.setSharedStreams`, default: null)
+  * @return {Promise} resolved with the decoded block, rejected with a PixBinError
+  */
+  static decodeBlockBufferAsync( pixBlockBuff, blockInfo, n, verifyChecksum, pool, limits=null, useStreamViews=false, sharedStreams=null ){
+    return new Promise(function( resolve ){
+      if( verifyChecksum && !PixBinDecoder.verifyBlockBuffer( pixBlockBuff, blockInfo )){
+        throw new IntegrityError( ErrorCodes.CHECKSUM_MISMATCH, "The block #" + n + " is corrupted.", {block: n} );
+      }
+
+      var blockDecoder = PixBinDecoder._createBlockDecoder( pixBlockBuff, limits, useStreamViews, sharedStreams );
+
+      resolve( blockDecoder.decodeAsync( pool ).catch(function( e ){
+        throw PixBinDecoder._toBlockError( e, n );
+      }));
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Create a strict block decoder for the buffer of a block
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, or a view on it
+  * @param {DecodingLimits} limits - the limits of the PixBin decoder, or null
+  * @param {Boolean} useStreamViews - true to decode the typed arrays as views when possible
+  * @param {Object} sharedStreams - in form of `{stored: Object, decoded: Map}`, or null (default)
+  * @return {PixBlockDecoder} the block decoder
+  */
+  static _createBlockDecoder( pixBlockBuff, limits, useStreamViews, sharedStreams=null ){
     var blockDecoder = new PixBlockDecoder();
-    blockDecoder.setInput( pixBlockBuff )
-    blockDecoder.run();
-    var decodedBlock = blockDecoder.getOutput();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.enableStreamViews( useStreamViews );
 
-    if( !decodedBlock ){
-      console.warn("The block #" + n + " could not be decoded.");
-      return null;
+    if( sharedStreams ){
+      blockDecoder.setSharedStreams( sharedStreams.stored, sharedStreams.decoded );
     }
 
-    this._decodedBlocks[ n ] = decodedBlock;
-    return decodedBlock;
+    if( limits ){
+      blockDecoder.setLimits( limits );
+    }
+
+    blockDecoder.setInput( pixBlockBuff );
+    return blockDecoder;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Add the index of a block to the error of a block decoder
+  * @param {Error} error - the error
+  * @param {Number} n - the index of the block
+  * @return {Error} the error
+  */
+  static _toBlockError( error, n ){
+    if( error instanceof PixBinError ){
+      error.message = "The block #" + n + " could not be decoded: " + error.message;
+      error.details = Object.assign( {block: n}, error.details );
+    }
+    return error;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Parse the primer and the index of the input.
+  * Throws a PixBinError if the input is not a valid PixBin.
+  */
+  _parseIndex(){
+    var input = this._input;
+
+    if( !input ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "Input cannot be null" );
+    }
+
+    var primer = PixBinDecoder.parsePrimer( input );
+    this._limits.check( "maxIndexByteLength", primer.indexByteLength );
+
+    if( primer.indexByteOffset + primer.indexByteLength > input.byteLength ){
+      throw new IntegrityError( ErrorCodes.TRUNCATED, "The PixBin index is truncated." );
+    }
+
+    var indexBuff = input.subarray(primer.indexByteOffset, primer.indexByteOffset + primer.indexByteLength);
+    this._setIndex( primer, indexBuff );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Deserialize the index and precompute the byte offset of every block.
+  * Throws a PixBinError if the index is not valid.
+  * @param {Object} primer - the parsed primer, as returned by `PixBinDecoder.parsePrimer()`
+  * @param {ArrayBuffer|Uint8Array} indexBuff - the buffer of the serialized index
+  */
+  _setIndex( primer, indexBuff ){
+    var pixBinIndexObj = PixBinDecoder.parseIndexBuffer( indexBuff, this._limits );
+    var offset = primer.indexByteOffset + primer.indexByteLength;
+    var blockOffsets = new Array( pixBinIndexObj.pixblocksInfo.length );
+
+    this._parsingInfo.offsetToReachFirstBlock = offset;
+    this._parsingInfo.isLittleEndian = primer.isLittleEndian;
+
+    for(var i=0; i<blockOffsets.length; i++){
+      blockOffsets[i] = offset;
+      offset += pixBinIndexObj.pixblocksInfo[i].byteLength;
+    }
+
+    if( !DecodingLimits.isValidLength( offset ) ){
+      throw new FormatError( ErrorCodes.BAD_INDEX, "The blocks listed in the index are too large to be located." );
+    }
+
+    this._parsingInfo.blockOffsets = blockOffsets;
+    this._sharedStreamLocations = PixBinDecoder._locateSharedStreams( pixBinIndexObj.pixblocksInfo );
+    this._binMeta = pixBinIndexObj;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Check that every block listed in the index is within an input read by byte ranges,
+  * as `_getBlockBytes` does with an input in memory. Throws an IntegrityError if not.
+  * To be called after `_setIndex`.
+  * @param {Number} inputByteLength - the size of the input
+  */
+  _checkBlockBounds( inputByteLength ){
+    var blockOffsets = this._parsingInfo.blockOffsets;
+    var pixblocksInfo = this._binMeta.pixblocksInfo;
+
+    for(var n=0; n<blockOffsets.length; n++){
+      if( blockOffsets[n] + pixblocksInfo[n].byteLength > inputByteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "The block #" + n + " is truncated.", {block: n} );
+      }
+    }
+  }
+
+
+  /**
+  * Fetch a block at the given index. The first time it called on a block,
+  * this block will be read from the stream and decoded.
+  * If a block is already decoded and still in the cache (see `setCachePolicy`), it will be
+  * retrieved as is without trying to re-decode it, unless `forceDecoding` is `true`.
+  * @param {Number} n - the index of the block to fetch
+  * @param {Boolean} forceDecoding - force the decoding even though it was already decoded
+  * @return {Object} the decoded block, containing `_data_`, `_metadata` and `originalBlockType`
+  */
+  fetchBlock( n , forceDecoding=false ){
+    var nbBlocks = this.getNumberOfBlocks()
+    if( n<0 || n >= nbBlocks ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+
+    var cachedBlock = forceDecoding ? null : this._cache.get( n );
+
+    if( cachedBlock ){
+      return cachedBlock;
+    }
+
+    if( !this._input ){
+      return this._fail( new InputError(ErrorCodes.INVALID_OPERATION, "The input is read by byte ranges, use fetchBlockAsync() instead.") );
+    }
+
+    // the block is decoded where it is in the input, rather than copied
+    var pixBlockBytes = this._getBlockBytes( n );
+    return pixBlockBytes ? this._decodeBlock( pixBlockBytes, n ) : null;
+  }
+
+
+  /**
+  * Get the buffer of a block, as it is stored in the PixBin, without decoding it.
+  * Only available when the input is an ArrayBuffer.
+  * @param {Number} n - the index of the block
+  * @return {ArrayBuffer} a copy of the encoded block, or null
+  */
+  fetchRawBlock( n ){
+    var pixBlockBytes = this._getBlockBytes( n );
+    return pixBlockBytes ? pixBlockBytes.slice().buffer : null;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get a view on the bytes of a block in the input, when it is an ArrayBuffer
+  * @param {Number} n - the index of the block
+  * @return {Uint8Array} the view, or null
+  */
+  _getBlockBytes( n ){
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+
+    if( !this._input ){
+      return this._fail( new InputError(ErrorCodes.INVALID_OPERATION, "The input is read by byte ranges, raw blocks are not available.") );
+    }
+
+    var offset = this._parsingInfo.blockOffsets[n];
+    var byteLength = this._binMeta.pixblocksInfo[n].byteLength;
+
+    if( offset + byteLength > this._input.byteLength ){
+      return this._fail( new IntegrityError(ErrorCodes.TRUNCATED, "The block #" + n + " is truncated.", {block: n}) );
+    }
+
+    return this._input.subarray( offset, offset + byteLength );
+  }
+
+
+  /**
+  * Get the `_metadata` of a block without decoding its data streams: only the primer, the header
+  * and the metadata of the block are read, so nothing is inflated. The checksum of the block is
+  * not verified, since it covers the whole block. Only available when the input is an ArrayBuffer
+  * (see `getBlockMetadataAsync`).
+  * @param {Number} n - the index of the block
+  * @return {Object} the metadata, or null if they cannot be read
+  */
+  getBlockMetadata( n ){
+    var blockDecoder = this._createPrefixDecoder( n );
+    return blockDecoder ? this._readPrefix( blockDecoder, "getMetadata", n ) : null;
+  }
+
+
+  /**
+  * Get the description of the data streams of a block without decoding them: their type,
+  * typed array type, byte length, length, compressed byte length, codec, etc.
+  * (see `PixBlockDecoder.getStreamInfo`). Like `getBlockMetadata`, only the beginning
+  * of the block is read. Only available when the input is an ArrayBuffer
+  * (see `getBlockStreamInfoAsync`).
+  * @param {Number} n - the index of the block
+  * @return {Array} the byte stream info of each stream, or null if they cannot be read
+  */
+  getBlockStreamInfo( n ){
+    var blockDecoder = this._createPrefixDecoder( n );
+    return blockDecoder ? this._readPrefix( blockDecoder, "getStreamInfo", n ) : null;
+  }
+
+
+  /**
+  * Get the `_metadata` of a block asynchronously, like `getBlockMetadata(...)`.
+  * When the input was specified with `setInputReader(...)`, only the primer, the header
+  * and the metadata of the block are read from it.
+  * @param {Number} n - the index of the block
+  * @return {Promise} resolved with the metadata, or null if they cannot be read
+  * (rejected with the error in strict mode)
+  */
+  getBlockMetadataAsync( n ){
+    var that = this;
+
+    return this._createPrefixDecoderAsync( n ).then(function( blockDecoder ){
+      return blockDecoder ? that._readPrefix( blockDecoder, "getMetadata", n ) : null;
+    });
+  }
+
+
+  /**
+  * Get the description of the data streams of a block asynchronously, like `getBlockStreamInfo(...)`.
+  * When the input was specified with `setInputReader(...)`, only the primer, the header
+  * and the metadata of the block are read from it.
+  * @param {Number} n - the index of the block
+  * @return {Promise} resolved with the byte stream info of each stream, or null if they cannot be read
+  * (rejected with the error in strict mode)
+  */
+  getBlockStreamInfoAsync( n ){
+    var that = this;
+
+    return this._createPrefixDecoderAsync( n ).then(function( blockDecoder ){
+      return blockDecoder ? that._readPrefix( blockDecoder, "getStreamInfo", n ) : null;
+    });
+  }
+
+
+  /**
+  * Decode a single stream of a block, without decompressing its other streams: for a block
+  * whose `_data` is an Array of typed arrays, this is the element `streamIndex` of the Array
+  * (see `PixBlockDecoder.decodeSingleStream` for the other kinds of block). The block checksum
+  * is not verified, since it covers the whole block, and the stream is not kept like the blocks
+  * fetched with `fetchBlock`. Only available when the input is an ArrayBuffer (see `fetchStreamAsync`).
+  * @param {Number} n - the index of the block
+  * @param {Number} streamIndex - the index of the stream in the block
+  * @return {Object} the typed array, the raw buffer or the object, or null if it could not be decoded
+  */
+  fetchStream( n, streamIndex ){
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+
+    if( !this._input ){
+      return this._fail( new InputError(ErrorCodes.INVALID_OPERATION, "The input is read by byte ranges, use fetchStreamAsync() instead.") );
+    }
+
+    var pixBlockBytes = this._getBlockBytes( n );
+
+    if( !pixBlockBytes ){
+      return null;
+    }
+
+    try{
+      var sharedStreams = {
+        stored: this._getSharedStreams( n ),
+        decoded: null
+      }
+
+      return PixBinDecoder._createBlockDecoder( pixBlockBytes, this._limits, this._useStreamViews, sharedStreams ).decodeSingleStream( streamIndex );
+    }catch(e){
+      return this._fail( PixBinDecoder._toBlockError( e, n ) );
+    }
+  }
+
+
+  /**
+  * Decode a single stream of a block asynchronously, like `fetchStream(...)`.
+  * When the input was specified with `setInputReader(...)`, only the beginning of the block,
+  * up to the end of its metadata, and the stream are read from it.
+  * @param {Number} n - the index of the block
+  * @param {Number} streamIndex - the index of the stream in the block
+  * @return {Promise} resolved with the stream, or null if it could not be decoded
+  * (rejected with the error in strict mode)
+  */
+  fetchStreamAsync( n, streamIndex ){
+    var that = this;
+
+    if( !this._inputReader ){
+      return new Promise(function( resolve ){
+        resolve( that.fetchStream( n, streamIndex ) );
+      });
+    }
+
+    return this._createPrefixDecoderAsync( n ).then(function( blockDecoder ){
+      if( !blockDecoder ){
+        return null;
+      }
+
+      var offset = that._parsingInfo.blockOffsets[n];
+      var blockByteLength = that._binMeta.pixblocksInfo[n].byteLength;
+      blockDecoder.setLimits( that._limits );
+      var located = blockDecoder.locateStream( streamIndex );
+
+      if( located.stream.byteOffset + located.storedByteLength > blockByteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete data stream)", {stream: streamIndex} );
+      }
+
+      // a shared stream is read where it is stored, in its own block
+      if( located.stream.bsi.sharedStream ){
+        var contentHash = located.stream.bsi.contentHash;
+
+        return that._readSharedStream( contentHash, n ).then(function( storedBytes ){
+          var storedStreams = {};
+          storedStreams[ contentHash ] = storedBytes;
+          blockDecoder.setSharedStreams( storedStreams );
+          blockDecoder.enableStreamViews( that._useStreamViews );
+          return blockDecoder.decodeLocatedStream( located );
+        });
+      }
+
+      return PixBinDecoder._readRange( that._inputReader, offset + located.stream.byteOffset, located.storedByteLength ).then(function( streamBuff ){
+        if( streamBuff.byteLength !== located.storedByteLength ){
+          throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete data stream)", {stream: streamIndex} );
+        }
+
+        return PixBlockDecoder.decodeStoredStream( TypedArrays.toUint8Array( streamBuff ), located.stream, located.isLittleEndian, that._useStreamViews );
+      });
+    })
+    .catch(function( e ){
+      return that._fail( PixBinDecoder._toBlockError( e, n ) );
+    });
+  }
+
+
+  /**
+  * Decode a region of a block that contains an NdArray (see `NdArray`), by inflating only
+  * the chunks that cover it. The block checksum is not verified, since it covers the whole
+  * block, and the region is not kept like the blocks fetched with `fetchBlock`.
+  * Only available when the input is an ArrayBuffer (see `fetchRegionAsync`).
+  * @param {Number} n - the index of the block
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  * @return {NdArray} the region, of shape `count`, or null if it could not be decoded
+  */
+  fetchRegion( n, start, count ){
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+
+    if( !this._input ){
+      return this._fail( new InputError(ErrorCodes.INVALID_OPERATION, "The input is read by byte ranges, use fetchRegionAsync() instead.") );
+    }
+
+    var pixBlockBytes = this._getBlockBytes( n );
+
+    if( !pixBlockBytes ){
+      return null;
+    }
+
+    try{
+      return PixBinDecoder._createBlockDecoder( pixBlockBytes, this._limits, false ).decodeRegion( start, count );
+    }catch(e){
+      return this._fail( PixBinDecoder._toBlockError( e, n ) );
+    }
+  }
+
+
+  /**
+  * Decode a region of a block that contains an NdArray asynchronously, like `fetchRegion(...)`.
+  * When the input was specified with `setInputReader(...)`, only the beginning of the block,
+  * up to the end of its metadata, and the chunks that cover the region are read from it.
+  * @param {Number} n - the index of the block
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  * @return {Promise} resolved with the region, or null if it could not be decoded
+  * (rejected with the error in strict mode)
+  */
+  fetchRegionAsync( n, start, count ){
+    var that = this;
+
+    if( !this._inputReader ){
+      return new Promise(function( resolve ){
+        resolve( that.fetchRegion( n, start, count ) );
+      });
+    }
+
+    var offset = null;
+    var blockByteLength = null;
+    var region = null;
+
+    return this._createPrefixDecoderAsync( n ).then(function( blockDecoder ){
+      if( !blockDecoder ){
+        return null;
+      }
+
+      offset = that._parsingInfo.blockOffsets[n];
+      blockByteLength = that._binMeta.pixblocksInfo[n].byteLength;
+      blockDecoder.setLimits( that._limits );
+      region = blockDecoder.locateRegion( start, count );
+
+      // the chunks are read one by one, since the region may only cover a few of them
+      return Promise.all( region.chunks.map(function( chunk ){
+        if( chunk.byteOffset + chunk.storedByteLength > blockByteLength ){
+          throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete chunk)", {stream: chunk.index} );
+        }
+
+        return PixBinDecoder._readRange( that._inputReader, offset + chunk.byteOffset, chunk.storedByteLength ).then(function( chunkBuff ){
+          if( chunkBuff.byteLength !== chunk.storedByteLength ){
+            throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete chunk)", {stream: chunk.index} );
+          }
+
+          return PixBlockDecoder.decodeStoredStream( TypedArrays.toUint8Array( chunkBuff ), chunk, region.isLittleEndian, false );
+        });
+      }))
+      .then(function( chunkArrays ){
+        return PixBlockDecoder.buildRegion( region, chunkArrays );
+      });
+    })
+    .catch(function( e ){
+      return that._fail( PixBinDecoder._toBlockError( e, n ) );
+    });
+  }
+
+
+  /**
+  * Fetch a block at the given index, like `fetchBlock(...)` but asynchronously.
+  * When the input was specified with `setInputReader(...)`, only the bytes of this
+  * block are read. This also works when the input is an ArrayBuffer.
+  * @param {Number} n - the index of the block to fetch
+  * @param {Boolean} forceDecoding - force the decoding even though it was already decoded
+  * @param {WorkerPool} pool - the workers to decompress the streams with (default: null,
+  * the block is then decoded in the current thread)
+  * @return {Promise} resolved with the decoded block, or null if it could not be read or decoded
+  * (rejected with the error in strict mode)
+  */
+  fetchBlockAsync( n, forceDecoding=false, pool=null ){
+    var that = this;
+
+    if( !this._inputReader && !pool ){
+      return new Promise(function( resolve ){
+        resolve( that.fetchBlock( n, forceDecoding ) );
+      });
+    }
+
+    var nbBlocks = this.getNumberOfBlocks()
+    if( n<0 || n >= nbBlocks ){
+      return new Promise(function( resolve ){
+        resolve( that._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) ) );
+      });
+    }
+
+    var cachedBlock = forceDecoding ? null : this._cache.get( n );
+
+    if( cachedBlock ){
+      return Promise.resolve( cachedBlock );
+    }
+
+    var byteLength = this._binMeta.pixblocksInfo[n].byteLength;
+    var reading = this._inputReader ? PixBinDecoder._readRange( this._inputReader, this._parsingInfo.blockOffsets[n], byteLength ).catch(function( e ){
+      return that._fail( e );
+    }) : new Promise(function( resolve ){
+      resolve( that._getBlockBytes(n) );
+    });
+
+    // the shared streams stored in other blocks are read along with the block
+    var sharedReading = this._readSharedStreams( n ).catch(function( e ){
+      return that._fail( e );
+    });
+
+    return Promise.all( [reading, sharedReading] ).then(function( buffs ){
+      var pixBlockBuff = buffs[0];
+      var storedStreams = buffs[1];
+
+      if( !pixBlockBuff || !storedStreams ){
+        return null;
+      }
+
+      if( pixBlockBuff.byteLength !== byteLength ){
+        return that._fail( new IntegrityError(ErrorCodes.TRUNCATED, "The block #" + n + " is truncated.", {block: n}) );
+      }
+
+      return pool ? that._decodeBlockAsync( pixBlockBuff, n, pool, storedStreams ) : that._decodeBlock( pixBlockBuff, n, storedStreams );
+    });
+  }
+
+
+  /**
+  * Decode all the blocks asynchronously. The blocks, and the streams of each block, are
+  * decompressed in parallel by the workers of the pool, if any (see `fetchBlockAsync`).
+  * The blocks already decoded and still in the cache are not decoded again.
+  * @param {WorkerPool} pool - the workers to decompress the streams with (default: null)
+  * @return {Promise} resolved with an Array of decoded blocks, where the blocks that could not
+  * be decoded are null (rejected with the first error in strict mode)
+  */
+  decodeAsync( pool=null ){
+    var that = this;
+
+    if( !this._isValid ){
+      return new Promise(function( resolve ){
+        resolve( that._fail( new InputError(ErrorCodes.INVALID_INPUT, "The input is not a valid PixBin.") ) );
+      });
+    }
+
+    var fetchings = [];
+
+    for(var n=0; n<this.getNumberOfBlocks(); n++){
+      fetchings.push( this.fetchBlockAsync( n, false, pool ) );
+    }
+
+    return Promise.all( fetchings );
+  }
+
+
+  /**
+  * Verify the integrity of every block, without decoding their data.
+  * The checksum of each block is compared with the one of the index, and if the
+  * blocks were encoded with stream checksums, each stream is also verified.
+  * Only available when the input is an ArrayBuffer (see `verifyAsync` otherwise).
+  * @return {Object} a report in form of `{valid: Boolean, blocks: Array}`, where `valid`
+  * is true only if all the blocks and streams are intact, and each element of `blocks`
+  * is in form of `{index: Number, status: String, checksumAlgorithm: String, streams: Array}`.
+  * The status of a block is "intact", "mismatch" (wrong checksum), "truncated" (the block
+  * goes beyond the end of the input) or "unchecked" (no checksum or unknown algorithm).
+  * The elements of `streams` are in form of `{index: Number, status: String}`, with the same
+  * statuses (see `PixBlockDecoder.verifyStreams`). Returns null if the input is not valid.
+  */
+  verify(){
+    if( !this._isValid ){
+      return this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The input is not a valid PixBin.") );
+    }
+
+    if( !this._input ){
+      return this._fail( new InputError(ErrorCodes.INVALID_OPERATION, "The input is read by byte ranges, use verifyAsync() instead.") );
+    }
+
+    var blockReports = [];
+
+    for(var i=0; i<this.getNumberOfBlocks(); i++){
+      var offset = this._parsingInfo.blockOffsets[i];
+      var pixBlockBuff = this._input.subarray( offset, offset + this._binMeta.pixblocksInfo[i].byteLength );
+      blockReports.push( this._verifyBlock( pixBlockBuff, i ) );
+    }
+
+    return this._createVerificationReport( blockReports );
+  }
+
+
+  /**
+  * Verify the integrity of every block, like `verify()`, but asynchronously.
+  * When the input was specified with `setInputReader(...)`, the blocks are read one by one.
+  * @return {Promise} resolved with the report (see `verify()`), or null if a block could not be read
+  * (rejected with the error in strict mode)
+  */
+  verifyAsync(){
+    var that = this;
+
+    if( !this._inputReader ){
+      return new Promise(function( resolve ){
+        resolve( that.verify() );
+      });
+    }
+
+    var blockReports = [];
+    var verifying = Promise.resolve();
+
+    this._binMeta.pixblocksInfo.forEach(function( blockInfo, n ){
+      verifying = verifying.then(function(){
+        return PixBinDecoder._readRange( that._inputReader, that._parsingInfo.blockOffsets[n], blockInfo.byteLength );
+      }).then(function( pixBlockBuff ){
+        blockReports.push( that._verifyBlock( pixBlockBuff, n ) );
+      });
+    });
+
+    // the report would be incomplete without a block that could not be read
+    return verifying.then(function(){
+      return that._createVerificationReport( blockReports );
+    }).catch(function( e ){
+      return that._fail( e );
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Verify a block and its streams
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, possibly shorter than expected
+  * @param {Number} n - the index of the block
+  * @return {Object} the report of this block
+  */
+  _verifyBlock( pixBlockBuff, n ){
+    var blockInfo = this._binMeta.pixblocksInfo[n];
+    var algorithm = blockInfo.checksumAlgorithm || Checksum.DEFAULT_ALGORITHM();
+    var status = null;
+
+    if( pixBlockBuff.byteLength < blockInfo.byteLength ){
+      status = "truncated";
+    }else if( !blockInfo.checksum || !Checksum.has( algorithm ) ){
+      status = "unchecked";
+    }else{
+      status = PixBinDecoder.verifyBlockBuffer( pixBlockBuff, blockInfo ) ? "intact" : "mismatch";
+    }
+
+    var blockDecoder = new PixBlockDecoder();
+    blockDecoder.setInput( pixBlockBuff );
+
+    return {
+      index: n,
+      status: status,
+      checksumAlgorithm: algorithm,
+      streams: blockDecoder.verifyStreams() || []
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Build the final verification report out of the report of each block
+  * @param {Array} blockReports - the report of each block
+  * @return {Object} the report
+  */
+  _createVerificationReport( blockReports ){
+    var valid = blockReports.every(function( blockReport ){
+      return blockReport.status === "intact" && blockReport.streams.every(function( streamReport ){
+        return streamReport.status === "intact" || streamReport.status === "unchecked";
+      });
+    });
+
+    return {
+      valid: valid,
+      blocks: blockReports
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Decode the buffer of a block and keep it in the cache for the next time it is fetched
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, or a view on it
+  * @param {Number} n - the index of the block
+  * @param {Object} storedStreams - the stored bytes of the shared streams the block refers to,
+  * by content hash (default: null, they are taken from the input, see `_getSharedStreams`)
+  * @return {Object} the decoded block, or null
+  */
+  _decodeBlock( pixBlockBuff, n, storedStreams=null ){
+    var blockInfo = this._binMeta.pixblocksInfo[n];
+    var decodedBlock = null;
+
+    try{
+      var sharedStreams = {
+        stored: storedStreams || this._getSharedStreams( n ),
+        decoded: this._decodedSharedStreams
+      }
+
+      decodedBlock = PixBinDecoder.decodeBlockBuffer( pixBlockBuff, blockInfo, n, this._verifyChecksum, this._limits, this._useStreamViews, sharedStreams );
+    }catch(e){
+      return this._fail( e );
+    }
+
+    this._cache.set( n, decodedBlock );
+    return decodedBlock;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Create a block decoder for the beginning of a block, up to the end of its metadata
+  * (see `PixBlockDecoder.getPrefixByteLength`). Only the bytes needed are sliced from the input.
+  * @param {Number} n - the index of the block
+  * @return {PixBlockDecoder} the block decoder, in strict mode, or null
+  */
+  _createPrefixDecoder( n ){
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+    }
+
+    if( !this._input ){
+      return this._fail( new InputError(ErrorCodes.INVALID_OPERATION, "The input is read by byte ranges, use the async methods instead.") );
+    }
+
+    var offset = this._parsingInfo.blockOffsets[n];
+    var blockByteLength = this._binMeta.pixblocksInfo[n].byteLength;
+    var prefix = null;
+    var prefixByteLength = 0;
+    var nextByteLength = 5;
+
+    try{
+      while( nextByteLength > prefixByteLength ){
+        prefixByteLength = Math.min( nextByteLength, blockByteLength );
+        prefix = this._input.subarray( offset, offset + prefixByteLength );
+
+        // a truncated block goes as is to the block decoder, that tells what is missing
+        if( prefixByteLength === blockByteLength || prefix.byteLength < prefixByteLength ){
+          break;
+        }
+
+        nextByteLength = PixBlockDecoder.getPrefixByteLength( prefix );
+      }
+    }catch(e){
+      return this._fail( PixBinDecoder._toBlockError( e, n ) );
+    }
+
+    var blockDecoder = new PixBlockDecoder();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.setInput( prefix );
+    return blockDecoder;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Create a block decoder for the beginning of a block asynchronously, like `_createPrefixDecoder`.
+  * With an input reader, the primer, the header and the metadata are read one after the other.
+  * @param {Number} n - the index of the block
+  * @return {Promise} resolved with the block decoder, in strict mode, or null
+  */
+  _createPrefixDecoderAsync( n ){
+    var that = this;
+
+    if( !this._inputReader ){
+      return new Promise(function( resolve ){
+        resolve( that._createPrefixDecoder( n ) );
+      });
+    }
+
+    if( n<0 || n >= this.getNumberOfBlocks() ){
+      return new Promise(function( resolve ){
+        resolve( that._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) ) );
+      });
+    }
+
+    var offset = this._parsingInfo.blockOffsets[n];
+    var blockByteLength = this._binMeta.pixblocksInfo[n].byteLength;
+
+    function readPrefix( byteLength ){
+      byteLength = Math.min( byteLength, blockByteLength );
+
+      return PixBinDecoder._readRange( that._inputReader, offset, byteLength ).then(function( prefix ){
+        if( byteLength === blockByteLength || prefix.byteLength < byteLength ){
+          return prefix;
+        }
+
+        var nextByteLength = PixBlockDecoder.getPrefixByteLength( prefix );
+        return nextByteLength > byteLength ? readPrefix( nextByteLength ) : prefix;
+      });
+    }
+
+    return readPrefix( 5 ).then(function( prefix ){
+      var blockDecoder = new PixBlockDecoder();
+      blockDecoder.enableStrictMode( true );
+      blockDecoder.setInput( prefix );
+      return blockDecoder;
+    })
+    .catch(function( e ){
+      return that._fail( PixBinDecoder._toBlockError( e, n ) );
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Call a method of a block decoder created by `_createPrefixDecoder`
+  * @param {PixBlockDecoder} blockDecoder - the block decoder
+  * @param {String} methodName - "getMetadata" or "getStreamInfo"
+  * @param {Number} n - the index of the block
+  * @return {Object} the output of the method, or null
+  */
+  _readPrefix( blockDecoder, methodName, n ){
+    try{
+      return blockDecoder[ methodName ]();
+    }catch(e){
+      return this._fail( PixBinDecoder._toBlockError( e, n ) );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Decode the buffer of a block asynchronously and keep it in the cache for the next time it is fetched
+  * @param {ArrayBuffer|Uint8Array} pixBlockBuff - the buffer of the block, or a view on it
+  * @param {Number} n - the index of the block
+  * @param {WorkerPool} pool - the workers to decompress the streams with
+  * @param {Object} storedStreams - the stored bytes of the shared streams the block refers to,
+  * by content hash (default: null, they are taken from the input, see `_getSharedStreams`)
+  * @return {Promise} resolved with the decoded block, or null
+  */
+  _decodeBlockAsync( pixBlockBuff, n, pool, storedStreams=null ){
+    var that = this;
+    var blockInfo = this._binMeta.pixblocksInfo[n];
+
+    return new Promise(function( resolve ){
+      var sharedStreams = {
+        stored: storedStreams || that._getSharedStreams( n ),
+        decoded: that._decodedSharedStreams
+      }
+
+      resolve( PixBinDecoder.decodeBlockBufferAsync( pixBlockBuff, blockInfo, n, that._verifyChecksum, pool, that._limits, that._useStreamViews, sharedStreams ) );
+    })
+    .then(function( decodedBlock ){
+      that._cache.set( n, decodedBlock );
+      return decodedBlock;
+    })
+    .catch(function( e ){
+      return that._fail( e );
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Find where a shared stream is stored in the input.
+  * Throws a FormatError if the index does not tell.
+  * @param {String} contentHash - the hash of the stream
+  * @param {Number} n - the index of the block that refers to it
+  * @return {Object} in form of `{byteOffset: Number, byteLength: Number}`, where `byteOffset`
+  * is from the beginning of the input
+  */
+  _locateSharedStream( contentHash, n ){
+    var location = this._sharedStreamLocations.get( contentHash );
+
+    if( !location ){
+      throw new FormatError( ErrorCodes.BAD_INDEX, "The block #" + n + " refers to the shared stream " + contentHash + ", that is not stored in any block of the index.", {block: n, contentHash: contentHash} );
+    }
+
+    return {
+      byteOffset: this._parsingInfo.blockOffsets[ location.block ] + location.byteOffset,
+      byteLength: location.byteLength
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the stored bytes of the shared streams a block refers to, when the input is an ArrayBuffer.
+  * Throws a PixBinError if one of them is not in the input.
+  * @param {Number} n - the index of the block
+  * @return {Object} views on the input, by content hash
+  */
+  _getSharedStreams( n ){
+    var storedStreams = {};
+    var streamRefs = this._binMeta.pixblocksInfo[n].streamRefs || [];
+
+    for(var i=0; i<streamRefs.length; i++){
+      var location = this._locateSharedStream( streamRefs[i], n );
+
+      if( location.byteOffset + location.byteLength > this._input.byteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "The shared stream " + streamRefs[i] + " of the block #" + n + " is truncated.", {block: n, contentHash: streamRefs[i]} );
+      }
+
+      storedStreams[ streamRefs[i] ] = this._input.subarray( location.byteOffset, location.byteOffset + location.byteLength );
+    }
+
+    return storedStreams;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Read the stored bytes of a shared stream with the input reader
+  * @param {String} contentHash - the hash of the stream
+  * @param {Number} n - the index of the block that refers to it
+  * @return {Promise} resolved with the bytes, rejected with a PixBinError if they cannot be read
+  */
+  _readSharedStream( contentHash, n ){
+    var that = this;
+
+    return new Promise(function( resolve ){
+      var location = that._locateSharedStream( contentHash, n );
+
+      resolve( PixBinDecoder._readRange( that._inputReader, location.byteOffset, location.byteLength ).then(function( storedBuff ){
+        if( storedBuff.byteLength !== location.byteLength ){
+          throw new IntegrityError( ErrorCodes.TRUNCATED, "The shared stream " + contentHash + " of the block #" + n + " is truncated.", {block: n, contentHash: contentHash} );
+        }
+
+        return TypedArrays.toUint8Array( storedBuff );
+      }));
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the stored bytes of the shared streams a block refers to, from the input or with the input reader
+  * @param {Number} n - the index of the block
+  * @return {Promise} resolved with the bytes, by content hash, rejected with a PixBinError
+  * if one of them cannot be read
+  */
+  _readSharedStreams( n ){
+    var that = this;
+
+    if( !this._inputReader ){
+      return new Promise(function( resolve ){
+        resolve( that._getSharedStreams( n ) );
+      });
+    }
+
+    var streamRefs = this._binMeta.pixblocksInfo[n].streamRefs || [];
+
+    return Promise.all( streamRefs.map(function( contentHash ){
+      return that._readSharedStream( contentHash, n );
+    }))
+    .then(function( storedBuffs ){
+      var storedStreams = {};
+
+      streamRefs.forEach(function( contentHash, i ){
+        storedStreams[ contentHash ] = storedBuffs[i];
+      });
+
+      return storedStreams;
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Drop the decoded streams shared by the blocks, if they are kept (see `enableStreamSharing`)
+  */
+  _clearSharedStreams(){
+    if( this._decodedSharedStreams ){
+      this._decodedSharedStreams.clear();
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Keep track of an error, then throw it in strict mode or log it.
+  * The errors that are not PixBinErrors are unexpected and always thrown.
+  * @param {Error} error - the error
+  * @return {null} when not in strict mode
+  */
+  _fail( error ){
+    if( !(error instanceof PixBinError) ){
+      throw error;
+    }
+
+    this._lastError = error;
+    return Logger.report( error, this._strict );
+  }
+
+
+  /**
+  * [static]
+  * [PRIVATE]
+  * Read a range of bytes with a reader (see `setInputReader`). A reader that throws
+  * or rejects gives a Promise rejected with an InputError (code READ_FAILED).
+  * @param {Object} reader - an object with a `read( offset, length )` method
+  * @param {Number} offset - position of the first byte to read
+  * @param {Number} length - number of bytes to read
+  * @return {Promise} resolved with an ArrayBuffer or a Uint8Array
+  */
+  static _readRange( reader, offset, length ){
+    return new Promise(function( resolve ){
+      resolve( reader.read( offset, length ) );
+    }).catch(function( e ){
+      throw new InputError( ErrorCodes.READ_FAILED, "The bytes " + offset + " to " + ( offset + length ) + " could not be read. (" + e + ")", {byteOffset: offset, byteLength: length, cause: e} );
+    });
   }
 
 
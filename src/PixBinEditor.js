@@ -0,0 +1,904 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import codecutils from 'codecutils';
+import { PixBlockEncoder } from './PixBlockEncoder.js';
+import { PixBlockDecoder } from './PixBlockDecoder.js';
+import { PixBinEncoder } from './PixBinEncoder.js';
+import { PixBinDecoder } from './PixBinDecoder.js';
+import { Checksum } from './Checksum.js';
+import { FormatVersion } from './FormatVersion.js';
+import { StreamAlignment } from './StreamAlignment.js';
+import { BlockPaths } from './BlockPaths.js';
+import { Logger } from './Logger.js';
+import { ErrorCodes, PixBinError, InputError, IntegrityError, UnsupportedError } from './PixBinError.js';
+
+/**
+* A PixBinEditor modifies an existing PixBin without having to decode all its blocks.
+* Blocks can be appended, removed, replaced and reordered, and the `description`
+* and `userObject` of the PixBin can be changed. When `run()` is called, a new PixBin
+* is written: the untouched blocks are copied as is (and keep their checksum),
+* only the new inputs are encoded. With `upgradeFormat()`, the copied blocks are
+* rewritten in the current version of the format.
+* When the PixBin shares streams between its blocks (see `PixBinEncoder.enableStreamDeduplication`),
+* a shared stream is moved to the first block that still refers to it after the blocks were
+* removed, replaced or reordered: only the headers and the layout of the blocks involved are
+* rewritten, their streams are not decoded.
+*
+* **Usage**
+* ```
+* var editor = new PixBinEditor();
+* editor.setInput( existingPixBinBuffer );
+* editor.appendInput( {_data: new Float32Array(10), _metadata: {description: "derived"}} );
+* editor.removeBlock( 0 );
+* editor.run();
+* var newPixBinBuffer = editor.getOutput();
+* ```
+*/
+class PixBinEditor {
+  constructor(){
+    this._compress = true;
+    this._strict = false;
+    this._metadataSerialization = "json";
+    this.reset();
+  }
+
+
+  /**
+  * reset inputs and output
+  */
+  reset(){
+    this._blocks = [];
+    this._sharedStreams = {};
+    this._promotedMetadata = [];
+    this._output = null;
+    this._isValid = false;
+    this._lastError = null;
+    this._options = {
+      madeWith: "pixbincodec_js",
+      userObject: null,
+      description: null,
+    }
+  }
+
+
+  /**
+  * Specify the PixBin to edit. The options `description` and `userObject`
+  * are initialized with the ones of this PixBin, and the promoted metadata keys
+  * with the ones found in its index (see `setPromotedMetadata`).
+  * @param {ArrayBuffer|SharedArrayBuffer|Uint8Array} buff - the PixBin to edit (see `PixBinDecoder.setInput`)
+  */
+  setInput( buff ){
+    this.reset();
+
+    var binDecoder = new PixBinDecoder();
+    binDecoder.enableStrictMode( true );
+
+    try{
+      binDecoder.setInput( buff );
+    }catch(e){
+      if( e instanceof PixBinError ){
+        e.message = "The input of the PixBinEditor must be a valid PixBin: " + e.message;
+      }
+      this._fail( e );
+      return;
+    }
+
+    for(var i=0; i<binDecoder.getNumberOfBlocks(); i++){
+      var blockInfo = binDecoder.getBlockInfo( i );
+      var buffer = binDecoder.fetchRawBlock( i );
+
+      this._blocks.push({
+        buffer: buffer,
+        blockInfo: blockInfo,
+        input: null,
+        name: binDecoder.getBlockName( i )
+      });
+
+      // the shared streams remain available when their block is removed or replaced
+      for(var contentHash in blockInfo.sharedStreams){
+        if( !this._sharedStreams.hasOwnProperty( contentHash ) ){
+          this._sharedStreams[ contentHash ] = {
+            buffer: buffer,
+            byteOffset: blockInfo.sharedStreams[ contentHash ].byteOffset,
+            byteLength: blockInfo.sharedStreams[ contentHash ].byteLength
+          }
+        }
+      }
+
+      for(var key in blockInfo.metadata){
+        if( this._promotedMetadata.indexOf( key ) === -1 ){
+          this._promotedMetadata.push( key );
+        }
+      }
+    }
+
+    this._options.description = binDecoder.getBinDescription();
+    this._options.userObject = binDecoder.getBinUserObject();
+    this._metadataSerialization = binDecoder.getBinUserObjectSerialization();
+    this._isValid = true;
+  }
+
+
+  /**
+  * Tells if the input given with `setInput(...)` is a valid PixBin
+  * @return {Boolean} true if valid, false if not.
+  */
+  isValid(){
+    return this._isValid;
+  }
+
+
+  /**
+  * Set a boolean to secify if the data of the new inputs should be compressed or not.
+  * The blocks copied from the original PixBin keep their compression.
+  * @param {Boolean} b - true to compress, false to not compress
+  */
+  enableDataCompression( b ){
+    this._compress = b;
+  }
+
+
+  /**
+  * Specify how the userObject and the metadata of the new inputs are serialized:
+  * "json" or "tagged" (see `PixBinEncoder.setMetadataSerialization`). Initialized
+  * with the serialization of the userObject of the edited PixBin.
+  * @param {String} mode - "json" or "tagged"
+  * @return {Boolean} true if the mode is set, false if it does not exist
+  */
+  setMetadataSerialization( mode ){
+    if( mode !== "json" && mode !== "tagged" ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_SERIALIZATION, "The metadata serialization " + mode + " does not exist.", {serialization: mode}) );
+      return false;
+    }
+
+    this._metadataSerialization = mode;
+    return true;
+  }
+
+
+  /**
+  * Set a boolean to specify if the errors should be thrown (strict mode) or
+  * only logged, the failing method returning false (default).
+  * @param {Boolean} b - true to throw the errors, false to only log them
+  */
+  enableStrictMode( b ){
+    this._strict = b;
+  }
+
+
+  /**
+  * Get the last error that occured, whether it was thrown or only logged
+  * @return {PixBinError} the error, or null if none
+  */
+  getLastError(){
+    return this._lastError;
+  }
+
+
+  /**
+  * Choose the keys of the `_metadata` of the new inputs to copy in the index
+  * (see `PixBinEncoder.setPromotedMetadata`). The blocks copied from the original PixBin
+  * keep their index entry.
+  * @param {Array} keys - the metadata keys, ie. ["subject", "modality"]
+  * @return {Boolean} true if the keys are set, false if they are not an Array of strings
+  */
+  setPromotedMetadata( keys ){
+    if( !Array.isArray( keys ) || !keys.every(function( key ){ return typeof key === "string" }) ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The promoted metadata must be an Array of keys.") );
+      return false;
+    }
+
+    this._promotedMetadata = keys.slice();
+    return true;
+  }
+
+
+  /**
+  * Overwrite one of the options.
+  * @param {String} optionName - one of "madeWith" (default: "pixbincodec_js"), "userObject", "description"
+  * (both default to the one of the original PixBin)
+  */
+  setOption( optionName, value ){
+    if( optionName in this._options){
+      this._options[ optionName ] = value;
+    }
+  }
+
+
+  /**
+  * Get the value of an option
+  * @param {String} optionName - one of "madeWith", "userObject", "description"
+  * @return {Object} the value of the option
+  */
+  getOption( optionName ){
+    return this._options[ optionName ];
+  }
+
+
+  /**
+  * Get the number of blocks, including the ones that were appended
+  * @return {Number}
+  */
+  getNumberOfBlocks(){
+    return this._blocks.length;
+  }
+
+
+  /**
+  * Get the type of a block
+  * @param {Number} n - the index of the block
+  * @return {String} the type ( comes from constructor.name or from BlockTypes )
+  */
+  getBlockType( n ){
+    if( !this._isInRange(n) ){
+      return null;
+    }
+
+    var block = this._blocks[n];
+    return block.input ? block.input.originalBlockType : block.blockInfo.type;
+  }
+
+
+  /**
+  * Get the description of a block
+  * @param {Number} n - the index of the block
+  * @return {String} the description of this block
+  */
+  getBlockDescription( n ){
+    if( !this._isInRange(n) ){
+      return null;
+    }
+
+    var block = this._blocks[n];
+
+    if( block.input ){
+      return ( "description" in block.input._metadata ) ? block.input._metadata.description : null;
+    }
+    return block.blockInfo.description;
+  }
+
+
+  /**
+  * Get the name of a block
+  * @param {Number} n - the index of the block
+  * @return {String} the name, or null if the block has no name
+  */
+  getBlockName( n ){
+    if( !this._isInRange(n) ){
+      return null;
+    }
+
+    return this._blocks[n].name;
+  }
+
+
+  /**
+  * Give a new name to a block, or remove its name
+  * @param {Number} n - the index of the block
+  * @param {String} name - the new name, unique in the PixBin, or null to remove it
+  * @return {Boolean} true if the block was renamed
+  */
+  renameBlock( n, name ){
+    if( !this._isInRange(n) || !this._isNameAvailable(name, n) ){
+      return false;
+    }
+
+    this._blocks[n].name = name;
+    return true;
+  }
+
+
+  /**
+  * Add a new block at the end
+  * @param {Object} obj - an object that comtain _data and _metadata, or an instance of a class registered in `BlockTypes`
+  * @param {String} typeName - overrides the type of obj (default: null, see `PixBinEncoder.addInput`)
+  * @param {String} name - the name of the block, unique in the PixBin (default: null)
+  * @return {Boolean} true if the input was added, false if it is not a valid input
+  */
+  appendInput( obj, typeName=null, name=null ){
+    return this.insertInput( this._blocks.length, obj, typeName, name );
+  }
+
+
+  /**
+  * Add a new block at a given position
+  * @param {Number} n - the index the new block will have
+  * @param {Object} obj - an object that comtain _data and _metadata, or an instance of a class registered in `BlockTypes`
+  * @param {String} typeName - overrides the type of obj (default: null, see `PixBinEncoder.addInput`)
+  * @param {String} name - the name of the block, unique in the PixBin (default: null)
+  * @return {Boolean} true if the input was added, false if it is not a valid input
+  */
+  insertInput( n, obj, typeName=null, name=null ){
+    if( n<0 || n > this._blocks.length ){
+      this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+      return false;
+    }
+
+    if( !this._isNameAvailable( name, -1 ) ){
+      return false;
+    }
+
+    var input = this._toBlock( obj, typeName );
+
+    if( !input ){
+      return false;
+    }
+
+    this._blocks.splice( n, 0, {buffer: null, blockInfo: null, input: input, name: name} );
+    return true;
+  }
+
+
+  /**
+  * Replace a block by a new input
+  * @param {Number} n - the index of the block to replace
+  * @param {Object} obj - an object that comtain _data and _metadata, or an instance of a class registered in `BlockTypes`
+  * @param {String} typeName - overrides the type of obj (default: null, see `PixBinEncoder.addInput`)
+  * @param {String} name - the name of the new block (default: null, to keep the name of the replaced block)
+  * @return {Boolean} true if the block was replaced
+  */
+  replaceBlock( n, obj, typeName=null, name=null ){
+    if( !this._isInRange(n) || !this._isNameAvailable(name, n) ){
+      return false;
+    }
+
+    var input = this._toBlock( obj, typeName );
+
+    if( !input ){
+      return false;
+    }
+
+    this._blocks[n] = {buffer: null, blockInfo: null, input: input, name: name === null ? this._blocks[n].name : name};
+    return true;
+  }
+
+
+  /**
+  * Remove a block
+  * @param {Number} n - the index of the block to remove
+  * @return {Boolean} true if the block was removed
+  */
+  removeBlock( n ){
+    if( !this._isInRange(n) ){
+      return false;
+    }
+
+    this._blocks.splice( n, 1 );
+    return true;
+  }
+
+
+  /**
+  * Move a block to another position. The blocks in between are shifted.
+  * @param {Number} from - the current index of the block
+  * @param {Number} to - the index the block will have
+  * @return {Boolean} true if the block was moved
+  */
+  moveBlock( from, to ){
+    if( !this._isInRange(from) || !this._isInRange(to) ){
+      return false;
+    }
+
+    var block = this._blocks.splice( from, 1 )[0];
+    this._blocks.splice( to, 0, block );
+    return true;
+  }
+
+
+  /**
+  * Reorder the blocks
+  * @param {Array} order - the current indexes of the blocks, in their new order.
+  * It must contain every index once. ie. [2, 0, 1] puts the last block in first position.
+  * @return {Boolean} true if the blocks were reordered
+  */
+  reorderBlocks( order ){
+    var nbBlocks = this._blocks.length;
+
+    if( !Array.isArray(order) || order.length !== nbBlocks ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The new order must contain every block index once.") );
+      return false;
+    }
+
+    var used = new Array( nbBlocks ).fill( false );
+
+    for(var i=0; i<nbBlocks; i++){
+      if( !(order[i] >= 0 && order[i] < nbBlocks) || used[ order[i] ] ){
+        this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The new order must contain every block index once.") );
+        return false;
+      }
+      used[ order[i] ] = true;
+    }
+
+    var blocks = this._blocks;
+    this._blocks = order.map(function( n ){
+      return blocks[n];
+    });
+
+    return true;
+  }
+
+
+  /**
+  * Rewrite the blocks copied from the original PixBin in the current version of the format
+  * (see `FormatVersion`). The index is always written in the current version, so after that
+  * the whole output is. Only the headers of the blocks are rewritten: their metadata and streams
+  * are copied as is, without being decompressed (the headers are padded to keep the streams aligned),
+  * their checksum is computed again (after checking the original one) and the positions of the
+  * shared streams they store are updated in the index (see `PixBinEncoder.enableStreamDeduplication`).
+  * @return {Boolean} true if the blocks were upgraded, false if one of them is corrupted or could not be read
+  * (in which case none is)
+  */
+  upgradeFormat(){
+    var upgradedBlocks = [];
+
+    for(var i=0; i<this._blocks.length; i++){
+      var block = this._blocks[i];
+
+      if( block.input ){
+        upgradedBlocks.push( block );
+        continue;
+      }
+
+      try{
+        // a new checksum must not hide a block that was already corrupted
+        if( !PixBinDecoder.verifyBlockBuffer( block.buffer, block.blockInfo ) ){
+          throw new IntegrityError( ErrorCodes.CHECKSUM_MISMATCH, "The block is corrupted." );
+        }
+
+        var buffer = PixBinEditor._upgradeBlockBuffer( block.buffer );
+      }catch(e){
+        if( e instanceof PixBinError ){
+          e.message = "The block #" + i + " could not be upgraded: " + e.message;
+          e.details = Object.assign( {block: i}, e.details );
+        }
+        this._fail( e );
+        return false;
+      }
+
+      if( buffer === block.buffer ){
+        upgradedBlocks.push( block );
+        continue;
+      }
+
+      var algorithm = block.blockInfo.checksumAlgorithm || Checksum.DEFAULT_ALGORITHM();
+      var blockInfo = Object.assign( {}, block.blockInfo, {
+        byteLength: buffer.byteLength,
+        checksum: Checksum.compute( buffer, algorithm ),
+        checksumAlgorithm: algorithm
+      });
+
+      // only the header changed size, so the shared streams the block stores moved by as much
+      if( block.blockInfo.sharedStreams ){
+        var shift = buffer.byteLength - block.buffer.byteLength;
+        blockInfo.sharedStreams = {};
+
+        for(var contentHash in block.blockInfo.sharedStreams){
+          blockInfo.sharedStreams[ contentHash ] = {
+            byteOffset: block.blockInfo.sharedStreams[ contentHash ].byteOffset + shift,
+            byteLength: block.blockInfo.sharedStreams[ contentHash ].byteLength
+          }
+        }
+      }
+
+      upgradedBlocks.push( Object.assign( {}, block, {
+        buffer: buffer,
+        blockInfo: blockInfo
+      }));
+    }
+
+    this._blocks = upgradedBlocks;
+    return true;
+  }
+
+
+  /**
+  * Get the output
+  * @return {ArrayBuffer} the new PixBin
+  */
+  getOutput(){
+    return this._output;
+  }
+
+
+  /**
+  * Write the edited PixBin
+  */
+  run(){
+    this._output = null;
+
+    if( !this._blocks.length ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "A PixBin must contain at least one block.") );
+      return;
+    }
+
+    var blocks = this._relocateSharedStreams();
+
+    if( !blocks ){
+      return;
+    }
+
+    var binEncoder = new PixBinEncoder();
+    binEncoder.enableStrictMode( true );
+    binEncoder.enableDataCompression( this._compress );
+    binEncoder.setMetadataSerialization( this._metadataSerialization );
+    binEncoder.setPromotedMetadata( this._promotedMetadata );
+
+    for(var optionName in this._options){
+      binEncoder.setOption( optionName, this._options[optionName] );
+    }
+
+    blocks.forEach(function( block ){
+      if( block.input ){
+        binEncoder.addInput( block.input, null, block.name );
+      }else{
+        var blockInfo = Object.assign( {}, block.blockInfo );
+        delete blockInfo.name;
+
+        if( block.name !== null ){
+          blockInfo.name = block.name;
+        }
+
+        binEncoder.addEncodedBlock( block.buffer, blockInfo );
+      }
+    });
+
+    try{
+      binEncoder.run();
+    }catch(e){
+      this._fail( e );
+      return;
+    }
+
+    this._output = binEncoder.getOutput();
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Make sure that every shared stream is stored in the first block that refers to it,
+  * so that each block only refers to the streams of the previous blocks: a block that
+  * refers to a stream no previous block stores gets the bytes of this stream, and a block
+  * that stores a stream a previous block already stores refers to it instead.
+  * The blocks of the editor are not modified, so that `run()` can be called again after other edits.
+  * @return {Array} the blocks to write, where the rewritten ones are copies, or null if one
+  * of them could not be rewritten
+  */
+  _relocateSharedStreams(){
+    var storedHashes = {};
+    var sharedStreams = this._sharedStreams;
+    var blocks = [];
+
+    for(var i=0; i<this._blocks.length; i++){
+      var block = this._blocks[i];
+      var blockInfo = block.blockInfo;
+
+      if( block.input || !(blockInfo.sharedStreams || blockInfo.streamRefs) ){
+        blocks.push( block );
+        continue;
+      }
+
+      var toStore = ( blockInfo.streamRefs || [] ).filter(function( contentHash ){
+        return !storedHashes[ contentHash ] && sharedStreams.hasOwnProperty( contentHash );
+      });
+
+      var toRefer = Object.keys( blockInfo.sharedStreams || {} ).filter(function( contentHash ){
+        return storedHashes[ contentHash ];
+      });
+
+      if( toStore.length || toRefer.length ){
+        try{
+          block = this._rewriteSharedStreams( block, toStore, toRefer );
+        }catch(e){
+          if( e instanceof PixBinError ){
+            e.message = "The shared streams of the block #" + i + " could not be moved: " + e.message;
+            e.details = Object.assign( {block: i}, e.details );
+          }
+          this._fail( e );
+          return null;
+        }
+      }
+
+      for(var contentHash in block.blockInfo.sharedStreams){
+        storedHashes[ contentHash ] = true;
+      }
+
+      blocks.push( block );
+    }
+
+    return blocks;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Rewrite a copied block so that it stores some of the shared streams it refers to, and refers
+  * to some of the shared streams it stores. The other streams are copied as is, and keep their
+  * alignment (see `StreamAlignment.getLayoutAlignment`).
+  * Throws a PixBinError if the block cannot be read.
+  * @param {Object} block - the block, with its buffer and its index entry
+  * @param {Array} toStore - the hashes of the shared streams to write in the block
+  * @param {Array} toRefer - the hashes of the shared streams of the block to replace by a reference
+  * @return {Object} a copy of the block, with the new buffer and index entry
+  */
+  _rewriteSharedStreams( block, toStore, toRefer ){
+    var blockDecoder = new PixBlockDecoder();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.setInput( block.buffer );
+
+    var parsed = blockDecoder.getLayout();
+    var header = parsed.header;
+    var input = new Uint8Array( block.buffer );
+    var metadataEnd = parsed.metadataByteOffset + header.metadataByteLength;
+    var alignment = StreamAlignment.getLayoutAlignment( metadataEnd, block.buffer.byteLength );
+    var readingByteOffset = metadataEnd;
+    var pieces = [];
+
+    for(var i=0; i<header.byteStreamInfo.length; i++){
+      var bsi = header.byteStreamInfo[i];
+      var storedByteLength = PixBlockDecoder.getStoredByteLength( bsi );
+      readingByteOffset += bsi.padding || 0;
+      var bytes = null;
+      var streamAlignment = alignment;
+
+      // where the stream was, from the beginning of its block, tells its alignment
+      var originalByteOffset = readingByteOffset;
+
+      if( readingByteOffset + storedByteLength > input.byteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete data stream)", {stream: i} );
+      }
+
+      if( !bsi.sharedStream ){
+        bytes = input.subarray( readingByteOffset, readingByteOffset + storedByteLength );
+      }
+
+      readingByteOffset += storedByteLength;
+
+      if( !bsi.sharedStream && toRefer.indexOf( bsi.contentHash ) !== -1 ){
+        bsi.sharedStream = true;
+        bytes = null;
+      }else if( bsi.sharedStream && toStore.indexOf( bsi.contentHash ) !== -1 ){
+        var sharedStream = this._sharedStreams[ bsi.contentHash ];
+        bytes = new Uint8Array( sharedStream.buffer, sharedStream.byteOffset, sharedStream.byteLength );
+        originalByteOffset = sharedStream.byteOffset;
+        streamAlignment = Math.min( alignment, PixBinEditor._getBlockLayoutAlignment( sharedStream.buffer ) );
+        delete bsi.sharedStream;
+
+        if( header.streamChecksumAlgorithm ){
+          bsi.checksum = Checksum.compute( bytes, header.streamChecksumAlgorithm );
+        }
+
+        // the next references of the block to this stream are resolved by this one
+        toStore = toStore.filter(function( contentHash ){
+          return contentHash !== bsi.contentHash;
+        });
+      }
+
+      delete bsi.padding;
+
+      if( bsi.sharedStream ){
+        delete bsi.checksum;
+        continue;
+      }
+
+      pieces.push({
+        bsi: bsi,
+        bytes: bytes,
+        originalByteOffset: originalByteOffset,
+        alignment: streamAlignment
+      });
+    }
+
+    // the streams are placed at the same offset as before, modulo their alignment
+    var dataByteLength = 0;
+
+    pieces.forEach(function( piece ){
+      var padding = ( piece.originalByteOffset % piece.alignment - dataByteLength % piece.alignment + piece.alignment ) % piece.alignment;
+
+      if( padding ){
+        piece.bsi.padding = padding;
+      }
+
+      piece.byteOffset = dataByteLength + padding;
+      dataByteLength += padding + piece.bytes.byteLength;
+    });
+
+    FormatVersion.stampBlockHeader( header );
+    var headerBuffer = codecutils.CodecUtils.objectToArrayBuffer( header );
+    headerBuffer = StreamAlignment.padJsonBuffer( headerBuffer, StreamAlignment.getPadding( 5 + headerBuffer.byteLength + header.metadataByteLength, alignment ) );
+    var dataByteOffset = 5 + headerBuffer.byteLength + header.metadataByteLength;
+
+    var blockPrimer = new ArrayBuffer( 5 );
+    var blockPrimerView = new DataView( blockPrimer );
+    blockPrimerView.setUint8( 0, +parsed.isLittleEndian );
+    blockPrimerView.setUint32( 1, headerBuffer.byteLength, parsed.isLittleEndian );
+
+    var output = new Uint8Array( dataByteOffset + dataByteLength + StreamAlignment.getPadding( dataByteLength, alignment ) );
+    output.set( new Uint8Array( blockPrimer ), 0 );
+    output.set( new Uint8Array( headerBuffer ), 5 );
+    output.set( input.subarray( parsed.metadataByteOffset, metadataEnd ), 5 + headerBuffer.byteLength );
+
+    var blockSharedStreams = {};
+    var streamRefs = [];
+
+    pieces.forEach(function( piece ){
+      output.set( piece.bytes, dataByteOffset + piece.byteOffset );
+
+      if( typeof piece.bsi.contentHash === "string" && !blockSharedStreams.hasOwnProperty( piece.bsi.contentHash ) ){
+        blockSharedStreams[ piece.bsi.contentHash ] = {
+          byteOffset: dataByteOffset + piece.byteOffset,
+          byteLength: piece.bytes.byteLength
+        }
+      }
+    });
+
+    header.byteStreamInfo.forEach(function( bsi ){
+      if( bsi.sharedStream && streamRefs.indexOf( bsi.contentHash ) === -1 ){
+        streamRefs.push( bsi.contentHash );
+      }
+    });
+
+    var algorithm = block.blockInfo.checksumAlgorithm || Checksum.DEFAULT_ALGORITHM();
+    var blockInfo = Object.assign( {}, block.blockInfo, {
+      byteLength: output.byteLength,
+      checksum: Checksum.compute( output.buffer, algorithm ),
+      checksumAlgorithm: algorithm,
+      sharedStreams: blockSharedStreams
+    });
+
+    delete blockInfo.streamRefs;
+
+    if( streamRefs.length ){
+      blockInfo.streamRefs = streamRefs;
+    }
+
+    return Object.assign( {}, block, {
+      buffer: output.buffer,
+      blockInfo: blockInfo
+    });
+  }
+
+
+  /**
+  * [static]
+  * [PRIVATE]
+  * Get the alignment of the layout of an encoded block, out of its buffer (see `StreamAlignment.getLayoutAlignment`)
+  * Throws a PixBinError if the block cannot be read.
+  * @param {ArrayBuffer} buffer - the encoded block
+  * @return {Number} the alignment in bytes
+  */
+  static _getBlockLayoutAlignment( buffer ){
+    var blockDecoder = new PixBlockDecoder();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.setInput( buffer );
+
+    var parsed = blockDecoder.getLayout();
+    return StreamAlignment.getLayoutAlignment( parsed.metadataByteOffset + parsed.header.metadataByteLength, buffer.byteLength );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Check that a block index is in range, with a warning if not
+  * @param {Number} n - the index of a block
+  * @return {Boolean} true if in range
+  */
+  _isInRange( n ){
+    if( n<0 || n >= this._blocks.length ){
+      this._fail( new InputError(ErrorCodes.OUT_OF_RANGE, "The block index is out of range.", {block: n}) );
+      return false;
+    }
+    return true;
+  }
+
+
+  /**
+  * [static]
+  * [PRIVATE]
+  * Rewrite the header of an encoded block in the current version of the format.
+  * The header is padded so that the metadata end on the same alignment as before,
+  * and the streams that were aligned still are (see `StreamAlignment.getLayoutAlignment`).
+  * Throws a PixBinError if the block cannot be read.
+  * @param {ArrayBuffer} buffer - the encoded block
+  * @return {ArrayBuffer} the upgraded block, or the same buffer if it already is in the current version
+  */
+  static _upgradeBlockBuffer( buffer ){
+    var blockDecoder = new PixBlockDecoder();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.setInput( buffer );
+
+    // the header comes out of the decoder already brought to the current version
+    var parsed = blockDecoder.getLayout();
+
+    if( parsed.header.formatVersion === FormatVersion.CURRENT_VERSION() ){
+      return buffer;
+    }
+
+    var metadataByteLength = parsed.header.metadataByteLength;
+    var alignment = StreamAlignment.getLayoutAlignment( parsed.metadataByteOffset + metadataByteLength, buffer.byteLength );
+
+    FormatVersion.stampBlockHeader( parsed.header );
+    var headerBuffer = codecutils.CodecUtils.objectToArrayBuffer( parsed.header );
+    headerBuffer = StreamAlignment.padJsonBuffer( headerBuffer, StreamAlignment.getPadding( 5 + headerBuffer.byteLength + metadataByteLength, alignment ) );
+
+    var blockPrimer = new ArrayBuffer( 5 );
+    var blockPrimerView = new DataView( blockPrimer );
+    blockPrimerView.setUint8( 0, +parsed.isLittleEndian );
+    blockPrimerView.setUint32( 1, headerBuffer.byteLength, parsed.isLittleEndian );
+
+    return codecutils.CodecUtils.mergeBuffers([
+      blockPrimer,
+      headerBuffer,
+      buffer.slice( parsed.metadataByteOffset )
+    ]);
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Check that a name can be given to a block, with a warning if not
+  * @param {String} name - the name, or null for no name
+  * @param {Number} n - the index of the block that gets the name, or -1 for a new block
+  * @return {Boolean} true if the name is valid and no other block has it
+  */
+  _isNameAvailable( name, n ){
+    if( name === null ){
+      return true;
+    }
+
+    if( !BlockPaths.isValid( name ) ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The block name " + name + " is not valid. It must be a non-empty string, with slashes only between the parts of a path.", {name: name}) );
+      return false;
+    }
+
+    for(var i=0; i<this._blocks.length; i++){
+      if( i !== n && this._blocks[i].name === name ){
+        this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The block name " + name + " is already used.", {name: name, block: i}) );
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the block to encode out of an input, with a warning if it cannot be encoded
+  * @param {Object} obj - an object that comtain _data and _metadata, or an instance of a registered class
+  * @param {String} typeName - overrides the type of obj
+  * @return {Object} the block to encode, or null if obj cannot be encoded
+  */
+  _toBlock( obj, typeName ){
+    try{
+      return PixBlockEncoder.toBlock( obj, typeName );
+    }catch(e){
+      this._fail( e );
+      return null;
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Keep track of an error, then throw it in strict mode or log it.
+  * The errors that are not PixBinErrors are unexpected and always thrown.
+  * @param {Error} error - the error
+  */
+  _fail( error ){
+    if( !(error instanceof PixBinError) ){
+      throw error;
+    }
+
+    this._lastError = error;
+    Logger.report( error, this._strict );
+  }
+
+} /* END of class PixBinEditor */
+
+export { PixBinEditor }
@@ -7,9 +7,34 @@
 */
 
 import pako from 'pako';
-import md5 from 'js-md5';
 import codecutils from 'codecutils';
 import { PixBlockEncoder } from './PixBlockEncoder.js';
+import { StreamStore } from './StreamStore.js';
+import { ByteOrder } from './ByteOrder.js';
+import { SinkWriter } from './SinkWriter.js';
+import { CompressionCodecs } from './CompressionCodecs.js';
+import { StreamFilters } from './StreamFilters.js';
+import { Checksum } from './Checksum.js';
+import { Logger } from './Logger.js';
+import { TaggedSerializer } from './TaggedSerializer.js';
+import { FormatVersion } from './FormatVersion.js';
+import { BlockPaths } from './BlockPaths.js';
+import { StreamAlignment } from './StreamAlignment.js';
+import { ErrorCodes, PixBinError, InputError, IntegrityError, UnsupportedError } from './PixBinError.js';
+
+
+/**
+* [PRIVATE]
+* Wraps a block that is already encoded, so that it can be added to the inputs
+* and copied as is in the output.
+*/
+class EncodedBlock {
+  constructor( pixBlockBuff, blockInfo ){
+    this.buffer = pixBlockBuff;
+    this.blockInfo = blockInfo;
+  }
+}
+
 
 /**
 * A PixBinEncoder instance takes an Image2D or Image3D as input with `addInput(...)`
@@ -26,6 +51,17 @@ import { PixBlockEncoder } from './PixBlockEncoder.js';
 class PixBinEncoder {
   constructor(){
     this._compress = true;
+    this._codec = CompressionCodecs.DEFAULT_CODEC();
+    this._codecParams = null;
+    this._filters = [];
+    this._checksumAlgorithm = Checksum.DEFAULT_ALGORITHM();
+    this._streamChecksums = false;
+    this._metadataSerialization = "json";
+    this._promotedMetadata = [];
+    this._isLittleEndian = ByteOrder.isPlatformLittleEndian();
+    this._streamAlignment = 0;
+    this._deduplicateStreams = false;
+    this._strict = false;
     this.reset();
   }
 
@@ -46,6 +82,7 @@ class PixBinEncoder {
   reset(){
     this._inputs = [];
     this._output = null;
+    this._lastError = null;
     this._options = {
       madeWith: "pixbincodec_js",
       userObject: null,
@@ -63,6 +100,179 @@ class PixBinEncoder {
   }
 
 
+  /**
+  * Set a boolean to specify if the errors should be thrown (strict mode) or
+  * only logged (default). When not strict, the inputs that cannot be encoded are skipped.
+  * @param {Boolean} b - true to throw the errors, false to only log them
+  */
+  enableStrictMode( b ){
+    this._strict = b;
+  }
+
+
+  /**
+  * Get the last error that occured, whether it was thrown or only logged
+  * @return {PixBinError} the error, or null if none
+  */
+  getLastError(){
+    return this._lastError;
+  }
+
+
+  /**
+  * Specify the codec used to compress the data streams of every block, when the
+  * compression is enabled (see `enableDataCompression`). The codec must be registered in `CompressionCodecs`.
+  * @param {String} name - name of the codec, ie. "deflate" (default), "gzip", "raw" or "lz4"
+  * @param {Object} params - parameters of the codec, ie. `{level: 9}` for "deflate" (default: null)
+  * @return {Boolean} true if the codec is set, false if it is not registered
+  */
+  setCompressionCodec( name, params=null ){
+    if( !CompressionCodecs.has( name ) ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_CODEC, "The compression codec " + name + " is not registered.", {codec: name}) );
+      return false;
+    }
+
+    this._codec = name;
+    this._codecParams = params;
+    return true;
+  }
+
+
+  /**
+  * Specify the filters to apply to the typed array streams of every block before they
+  * are compressed (see `PixBlockEncoder.setFilters`).
+  * @param {Array} filterNames - names of the filters, ie. ["delta", "shuffle"] (default: [])
+  * @return {Boolean} true if the filters are set, false if one of them is not registered
+  */
+  setFilters( filterNames ){
+    filterNames = filterNames || [];
+
+    for(var i=0; i<filterNames.length; i++){
+      if( !StreamFilters.has( filterNames[i] ) ){
+        this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_FILTER, "The filter " + filterNames[i] + " is not registered.", {filter: filterNames[i]}) );
+        return false;
+      }
+    }
+
+    this._filters = filterNames.slice();
+    return true;
+  }
+
+
+  /**
+  * Specify the algorithm used to compute the checksum of each block, written in the index.
+  * The same algorithm is used for the stream checksums (see `enableStreamChecksums`).
+  * @param {String} algorithm - one of "crc32", "md5" (default) and "sha256"
+  * @return {Boolean} true if the algorithm is set, false if it does not exist
+  */
+  setChecksumAlgorithm( algorithm ){
+    if( !Checksum.has( algorithm ) ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_CHECKSUM, "The checksum algorithm " + algorithm + " does not exist.", {algorithm: algorithm}) );
+      return false;
+    }
+
+    this._checksumAlgorithm = algorithm;
+    return true;
+  }
+
+
+  /**
+  * Specify whether a checksum of each data stream should be written in the header
+  * of every block, in addition to the checksum of the whole block. This helps knowing
+  * what part of a corrupted block is damaged (see `PixBinDecoder.verify`).
+  * @param {Boolean} b - true to write stream checksums, false to not (default: false)
+  */
+  enableStreamChecksums( b ){
+    this._streamChecksums = b;
+  }
+
+
+  /**
+  * Specify how the metadata of every block and the userObject of the PixBin are serialized:
+  * "json" (default) or "tagged", that keeps the Dates, typed arrays, Maps, Sets, BigInts, etc.
+  * (see `PixBlockEncoder.setMetadataSerialization`)
+  * @param {String} mode - "json" or "tagged"
+  * @return {Boolean} true if the mode is set, false if it does not exist
+  */
+  setMetadataSerialization( mode ){
+    if( mode !== "json" && mode !== "tagged" ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_SERIALIZATION, "The metadata serialization " + mode + " does not exist.", {serialization: mode}) );
+      return false;
+    }
+
+    this._metadataSerialization = mode;
+    return true;
+  }
+
+
+  /**
+  * Choose some keys of the `_metadata` of the blocks to copy in the index, so that the blocks
+  * can be searched by them without being decoded (see `PixBinDecoder.findBlocks`).
+  * The `description` is always copied. The values are serialized like the userObject
+  * (see `setMetadataSerialization`), so they should be small.
+  * @param {Array} keys - the metadata keys, ie. ["subject", "modality"] (default: [])
+  * @return {Boolean} true if the keys are set, false if they are not an Array of strings
+  */
+  setPromotedMetadata( keys ){
+    if( !Array.isArray( keys ) || !keys.every(function( key ){ return typeof key === "string" }) ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The promoted metadata must be an Array of keys.") );
+      return false;
+    }
+
+    this._promotedMetadata = keys.slice();
+    return true;
+  }
+
+
+  /**
+  * Set the endianness used to write the PixBin primer and all its blocks.
+  * By default, the endianness of the platform is used.
+  * @param {Boolean} isLittleEndian - true for little endian, false for big endian
+  */
+  setTargetEndianness( isLittleEndian ){
+    this._isLittleEndian = !!isLittleEndian;
+  }
+
+
+  /**
+  * Specify how the data streams of every block are aligned, so that the uncompressed ones
+  * can be decoded as views on the input (see `PixBlockEncoder.setStreamAlignment` and
+  * `PixBinDecoder.enableStreamViews`). The index is padded so that the first block is aligned,
+  * then every encoded block is padded so that the next one is. The blocks added with
+  * `addEncodedBlock` are copied as they are, so the blocks after them are only aligned if
+  * they were encoded with the same alignment.
+  * @param {Number|String} alignment - 0 for no alignment (default), "element",
+  * or a power of two number of bytes, ie. 8
+  * @return {Boolean} true if the alignment is set, false if it is not valid
+  */
+  setStreamAlignment( alignment ){
+    if( !StreamAlignment.isValid( alignment ) ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The stream alignment must be 0, \"element\" or a power of two.", {alignment: alignment}) );
+      return false;
+    }
+
+    this._streamAlignment = alignment;
+    return true;
+  }
+
+
+  /**
+  * Specify whether the identical streams are stored only once in the PixBin. Each stream is
+  * identified by the sha256 of its bytes, as stored (after compression), and a stream already
+  * stored by a previous block, or earlier in the same block, is replaced by a reference to it.
+  * The decoders resolve the references transparently (see `PixBinDecoder.enableStreamSharing`
+  * to also share the decoded typed arrays). The chunks of an NdArray are never shared.
+  * With `encodeAsync`, the blocks are then encoded one after the other, their streams still
+  * being compressed in parallel. The blocks added with `addEncodedBlock` keep their references,
+  * so the blocks that store the streams they refer to must be in the PixBin too, before them
+  * (see `PixBinEditor`, that moves the shared streams when needed).
+  * @param {Boolean} b - true to store the identical streams once, false to store every copy (default: false)
+  */
+  enableStreamDeduplication( b ){
+    this._deduplicateStreams = b;
+  }
+
+
   /**
   * Overwrite one of the default options.
   * @param {String} optionName - one of "madeWith" (default: "pixbincodec_js"), "userObject" (default: null), "description" (default: null)
@@ -76,12 +286,46 @@ class PixBinEncoder {
 
   /**
   * Add an input. Multiple inputs can be added.
-  * @param {Object} obj - an object that comtain _data and _metadata
+  * @param {Object} obj - an object that comtain _data and _metadata, or an instance of a class registered in `BlockTypes`
+  * @param {String} typeName - the type written in the block and in the index, overrides the registered
+  * name or the `constructor.name` of obj (default: null)
+  * @param {String} name - a name to find the block by, unique in the PixBin. It can be a slash-separated
+  * path, ie. "subject01/t1/mask" (default: null, the block has no name)
+  */
+  addInput( obj, typeName=null, name=null ){
+    try{
+      this._checkName( name );
+      this._inputs.push( PixBlockEncoder.toBlock( obj, typeName, name ) );
+    }catch(e){
+      this._fail( e );
+    }
+  }
+
+
+  /**
+  * Add a block that is already encoded, for example taken from another PixBin.
+  * It is copied as is in the output, without being decoded.
+  * @param {ArrayBuffer} pixBlockBuff - the encoded PixBlock
+  * @param {Object} blockInfo - the entry of this block in the index of its original PixBin.
+  * Its `checksum`, `name` and promoted `metadata` are kept as is, and its `sharedStreams` and
+  * `streamRefs` tell the streams it shares with the other blocks (see `enableStreamDeduplication`).
+  * Encoding fails with an InputError if the block refers to a stream that is not stored in this
+  * block or a previous one.
   */
-  addInput( obj ){
-    if(PixBlockEncoder.isGoodCandidate( obj )){
-      this._inputs.push( obj );
+  addEncodedBlock( pixBlockBuff, blockInfo ){
+    if( !(pixBlockBuff instanceof ArrayBuffer) || !blockInfo ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "An encoded block must be an ArrayBuffer, along with its index entry.") );
+      return;
     }
+
+    try{
+      this._checkName( "name" in blockInfo ? blockInfo.name : null );
+    }catch(e){
+      this._fail( e );
+      return;
+    }
+
+    this._inputs.push( new EncodedBlock(pixBlockBuff, blockInfo) );
   }
 
 
@@ -99,14 +343,244 @@ class PixBinEncoder {
   */
   run(){
     if( !this._inputs.length ){
-      console.warn("The encoder must be specified at least one input.");
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The encoder must be specified at least one input.") );
       return;
     }
 
     var that = this;
+    var pixBinIndex = this._createIndex();
+    var blockEncoder = this._createBlockEncoder();
+    var streamStore = new StreamStore();
+
+    // array of binary blocks (each are Uint8Array or ArrayBuffer)
+    var pixBlocks = []
+
+    this._inputs.forEach(function( input, index ){
+      that._setStreamStore( blockEncoder, streamStore, pixBlocks.length );
+      var encodedBlock = that._encodeBlock( blockEncoder, input, index );
+
+      if( !encodedBlock ){
+        return;
+      }
+
+      // adding an entry to the PixBin index
+      pixBinIndex.pixblocksInfo.push( that._createIndexEntry( input, encodedBlock ) )
+      pixBlocks.push( encodedBlock )
+    });
+
+    if( !pixBlocks.length ){
+      Logger.warn("No input was compatible for PixBlock encoding.");
+    }
+
+    try{
+      this._addSharedStreams( pixBinIndex, streamStore );
+    }catch(e){
+      this._fail( e );
+      return;
+    }
+
+    var allBuffers = this._createPrimerAndIndexBuffers( pixBinIndex ).concat( pixBlocks )
+    this._output = codecutils.CodecUtils.mergeBuffers( allBuffers )
+  }
+
+
+  /**
+  * Launch the encoding asynchronously. The blocks, and the streams of each block, are
+  * compressed in parallel by the workers of the pool, if any, or one after the other in the
+  * current thread (see `PixBlockEncoder.encodeAsync`). The output is the same as with `run()`.
+  * When the streams are deduplicated, only the streams of each block are compressed in parallel
+  * (see `enableStreamDeduplication`).
+  * @param {WorkerPool} pool - the workers to compress the streams with (default: null)
+  * @return {Promise} resolved with the output, or null if there is no input or a block refers
+  * to a shared stream that is not stored (rejected with the error in strict mode)
+  */
+  encodeAsync( pool=null ){
+    var that = this;
+
+    if( !this._inputs.length ){
+      return new Promise(function( resolve ){
+        resolve( that._fail( new InputError(ErrorCodes.INVALID_INPUT, "The encoder must be specified at least one input.") ) );
+      });
+    }
+
+    var pixBinIndex = this._createIndex();
+    var streamStore = new StreamStore();
+    var encoding = null;
+
+    if( this._deduplicateStreams ){
+      // a block must know the streams stored by the blocks before it
+      encoding = this._inputs.reduce(function( previous, input, index ){
+        return previous.then(function( encodedBlocks ){
+          var blockEncoder = that._createBlockEncoder();
+          that._setStreamStore( blockEncoder, streamStore, encodedBlocks.filter( Boolean ).length );
+
+          return that._encodeBlockAsync( blockEncoder, input, index, pool ).then(function( encodedBlock ){
+            return encodedBlocks.concat( [encodedBlock] );
+          });
+        });
+      }, Promise.resolve( [] ));
+    }else{
+      // a block encoder per input, since they run at the same time
+      encoding = Promise.all( this._inputs.map(function( input, index ){
+        return that._encodeBlockAsync( that._createBlockEncoder(), input, index, pool );
+      }));
+    }
+
+    return encoding.then(function( encodedBlocks ){
+      // array of binary blocks (each are Uint8Array or ArrayBuffer)
+      var pixBlocks = []
+
+      encodedBlocks.forEach(function( encodedBlock, index ){
+        if( !encodedBlock ){
+          return;
+        }
+
+        // adding an entry to the PixBin index
+        pixBinIndex.pixblocksInfo.push( that._createIndexEntry( that._inputs[index], encodedBlock ) )
+        pixBlocks.push( encodedBlock )
+      });
+
+      if( !pixBlocks.length ){
+        Logger.warn("No input was compatible for PixBlock encoding.");
+      }
+
+      try{
+        that._addSharedStreams( pixBinIndex, streamStore );
+      }catch(e){
+        return that._fail( e );
+      }
+
+      var allBuffers = that._createPrimerAndIndexBuffers( pixBinIndex ).concat( pixBlocks )
+      that._output = codecutils.CodecUtils.mergeBuffers( allBuffers )
+      return that._output;
+    });
+  }
+
+
+  /**
+  * Launch the encoding and write the PixBin to a sink as it goes, rather than
+  * building the whole output buffer in memory (`getOutput()` remains null).
+  * Since the index comes before the blocks, the encoding is done in two passes:
+  * the first one only computes the size and checksum of each block for the index,
+  * the second one encodes the blocks again and writes them one by one.
+  * This means only one encoded block is held in memory at a time, at the cost
+  * of encoding every block twice.
+  * @param {Object} sink - a Node Writable, a WHATWG WritableStream or a function
+  * called with each ArrayBuffer to write (it can return a Promise to make the encoder wait)
+  * @param {Boolean} closeSink - close the sink (`end()` or `close()`) once everything is written,
+  * or abort it (`destroy()` or `abort()`) if the encoding fails (default: true)
+  * @return {Promise} resolved with the total number of bytes written, rejected with an Error
+  * (a PixBinError if the inputs or the sink are not valid, or if an input is modified during
+  * the encoding, whether the strict mode is enabled or not)
+  */
+  runToSink( sink, closeSink=true ){
+    var that = this;
+    this._output = null;
+
+    if( !this._inputs.length ){
+      this._lastError = new InputError( ErrorCodes.INVALID_INPUT, "The encoder must be specified at least one input." );
+      return Promise.reject( this._lastError );
+    }
+
+    var writer = null;
+    var pixBinIndex = this._createIndex();
+    var blockEncoder = this._createBlockEncoder();
+    var encodableInputs = [];
+    var blockChecksums = [];
+
+    // the sink is not left open as if the output was complete
+    function abortSink( e ){
+      if( !closeSink || !writer ){
+        return Promise.reject( e );
+      }
+
+      return writer.abort( e ).then(function(){
+        throw e;
+      });
+    }
+
+    // each pass has its own, so that the blocks are encoded the same way twice
+    var streamStore = new StreamStore();
+
+    try{
+      writer = new SinkWriter( sink );
+
+      // first pass: filling the index, and dropping the encoded blocks
+      this._inputs.forEach(function( input, index ){
+        that._setStreamStore( blockEncoder, streamStore, encodableInputs.length );
+        var encodedBlock = that._encodeBlock( blockEncoder, input, index );
+
+        if( !encodedBlock ){
+          return;
+        }
+
+        var entry = that._createIndexEntry( input, encodedBlock );
+        pixBinIndex.pixblocksInfo.push( entry );
+        encodableInputs.push( input );
+
+        // the checksum of an encoded block in the index is given with it, rather than computed
+        blockChecksums.push( input instanceof EncodedBlock ? Checksum.compute( encodedBlock, that._checksumAlgorithm ) : entry.checksum );
+      });
+
+      this._addSharedStreams( pixBinIndex, streamStore );
+    }catch( e ){
+      if( e instanceof PixBinError ){
+        this._lastError = e;
+      }
+      return abortSink( e );
+    }
+
+    if( !encodableInputs.length ){
+      Logger.warn("No input was compatible for PixBlock encoding.");
+    }
+
+    var headerBuffers = this._createPrimerAndIndexBuffers( pixBinIndex );
+    var totalByteLength = headerBuffers[0].byteLength + headerBuffers[1].byteLength;
+
+    var writing = writer.write( headerBuffers[0] ).then(function(){
+      return writer.write( headerBuffers[1] );
+    });
+
+    // second pass: encoding again each block, and writting it right away
+    streamStore = new StreamStore();
+
+    encodableInputs.forEach(function( input, index ){
+      writing = writing.then(function(){
+        that._setStreamStore( blockEncoder, streamStore, index );
+        var encodedBlock = that._encodeBlock( blockEncoder, input, index );
+
+        // not strict mode: the error is already reported
+        if( !encodedBlock ){
+          throw that._lastError;
+        }
+
+        // an input modified during the encoding would not match the index already written
+        if( encodedBlock.byteLength !== pixBinIndex.pixblocksInfo[index].byteLength ||
+            Checksum.compute( encodedBlock, that._checksumAlgorithm ) !== blockChecksums[index] ){
+          that._lastError = new IntegrityError( ErrorCodes.CHECKSUM_MISMATCH, "The input of index " + index + " was not encoded the same way twice: it was modified during the encoding.", {input: index} );
+          throw that._lastError;
+        }
+
+        totalByteLength += encodedBlock.byteLength;
+        return writer.write( encodedBlock );
+      });
+    });
+
+    return writing.then(function(){
+      return closeSink ? writer.close() : null;
+    }, abortSink).then(function(){
+      return totalByteLength;
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Create the index of the PixBin, with an empty list of blocks
+  * @return {Object} the index, to be serialized at the begining of the PixBin
+  */
+  _createIndex(){
     var today = new Date();
-    var isLittleEndian = codecutils.CodecUtils.isPlatformLittleEndian();
-    var blockEncoder = new PixBlockEncoder();
 
     // this object is the JSON description at the begining of a PixBin
     var pixBinIndex = {
@@ -117,51 +591,287 @@ class PixBinEncoder {
       pixblocksInfo: []
     }
 
-    // array of binary blocks (each are Uint8Array or ArrayBuffer)
-    var pixBlocks = []
+    // the index remains JSON, but the userObject can be given in a tagged form
+    if( this._metadataSerialization === "tagged" ){
+      pixBinIndex.userObject = TaggedSerializer.encode( this._options.userObject );
+      pixBinIndex.userObjectSerialization = "tagged";
+    }
+
+    return pixBinIndex;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Create a block encoder, setup with the settings of this PixBinEncoder
+  * @return {PixBlockEncoder} the block encoder
+  */
+  _createBlockEncoder(){
+    var blockEncoder = new PixBlockEncoder();
+    blockEncoder.enableStrictMode( true );
+    blockEncoder.setTargetEndianness( this._isLittleEndian );
+    blockEncoder.enableDataCompression( this._compress );
+    blockEncoder.setCompressionCodec( this._codec, this._codecParams );
+    blockEncoder.setFilters( this._filters );
+    blockEncoder.enableStreamChecksums( this._streamChecksums, this._checksumAlgorithm );
+    blockEncoder.setMetadataSerialization( this._metadataSerialization );
+    blockEncoder.setStreamAlignment( this._streamAlignment );
+    return blockEncoder;
+  }
 
-    // just a convenient shortcut
+
+  /**
+  * [PRIVATE]
+  * Give the streams stored so far to a block encoder, when the streams are deduplicated
+  * (see `enableStreamDeduplication`)
+  * @param {PixBlockEncoder} blockEncoder - the encoder of the next block
+  * @param {StreamStore} streamStore - the streams stored by the previous blocks
+  * @param {Number} blockIndex - the index of the next block in the PixBin
+  */
+  _setStreamStore( blockEncoder, streamStore, blockIndex ){
+    if( this._deduplicateStreams ){
+      blockEncoder.setStreamStore( streamStore, blockIndex );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Write in the index entry of each block the streams it stores for the other blocks and
+  * the streams it refers to, so that the decoders can locate them without reading the blocks.
+  * The blocks added with `addEncodedBlock` come with the shared streams of their original PixBin.
+  * Throws an InputError if a block refers to a stream that is not stored in this block or a previous one.
+  * @param {Object} pixBinIndex - the index, with an entry per block
+  * @param {StreamStore} streamStore - the streams stored and referred to by the encoded blocks
+  */
+  _addSharedStreams( pixBinIndex, streamStore ){
     var pixblocksInfo = pixBinIndex.pixblocksInfo;
 
+    pixblocksInfo.forEach(function( blockInfo, n ){
+      var sharedStreams = blockInfo.sharedStreams || {};
 
-    this._inputs.forEach(function( input, index ){
+      for(var contentHash in sharedStreams){
+        streamStore.addStream( contentHash, n, sharedStreams[ contentHash ].byteOffset, sharedStreams[ contentHash ].byteLength );
+      }
+
+      ( blockInfo.streamRefs || [] ).forEach(function( contentHash ){
+        streamStore.addReference( contentHash, n );
+      });
+    });
+
+    streamStore.checkReferences();
+
+    pixblocksInfo.forEach(function( blockInfo, n ){
+      var sharedStreams = streamStore.getSharedStreams( n );
+      var streamRefs = streamStore.getReferences( n );
+      delete blockInfo.sharedStreams;
+      delete blockInfo.streamRefs;
+
+      if( sharedStreams ){
+        blockInfo.sharedStreams = sharedStreams;
+      }
+
+      if( streamRefs ){
+        blockInfo.streamRefs = streamRefs;
+      }
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Encode a single input into a PixBlock. Already encoded blocks are returned as is.
+  * @param {PixBlockEncoder} blockEncoder - the encoder to use
+  * @param {Object} input - the input, with _data and _metadata
+  * @param {Number} index - index of the input (only used for warnings)
+  * @return {ArrayBuffer} the encoded block, or null if not encodable
+  */
+  _encodeBlock( blockEncoder, input, index ){
+    if( input instanceof EncodedBlock ){
+      return input.buffer;
+    }
+
+    try{
       blockEncoder.setInput( input );
-      blockEncoder.enableDataCompression( that._compress )
       blockEncoder.run();
+    }catch(e){
+      return this._failEncoding( e, index );
+    }
 
-      var encodedBlock = blockEncoder.getOutput();
+    return blockEncoder.getOutput();
+  }
 
-      if( !encodedBlock ){
-        console.warn("The input of index " + index + " could not be encoded as a PixBlock.");
-        return;
-      }
 
-      // adding an entry to the PixBin index
-      var pixBinIndexEntry = {
-        type        : input.constructor.name,
+  /**
+  * [PRIVATE]
+  * Encode a single input into a PixBlock, asynchronously (see `_encodeBlock`)
+  * @param {PixBlockEncoder} blockEncoder - the encoder to use
+  * @param {Object} input - the input, with _data and _metadata
+  * @param {Number} index - index of the input (only used for warnings)
+  * @param {WorkerPool} pool - the workers to compress the streams with, or null
+  * @return {Promise} resolved with the encoded block, or null if not encodable
+  */
+  _encodeBlockAsync( blockEncoder, input, index, pool ){
+    var that = this;
+
+    if( input instanceof EncodedBlock ){
+      return Promise.resolve( input.buffer );
+    }
+
+    return new Promise(function( resolve ){
+      blockEncoder.setInput( input );
+      resolve( blockEncoder.encodeAsync( pool ) );
+    })
+    .catch(function( e ){
+      return that._failEncoding( e, index );
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Report an error of a block encoder, with the index of its input
+  * @param {Error} error - the error
+  * @param {Number} index - index of the input
+  * @return {null} when not in strict mode
+  */
+  _failEncoding( error, index ){
+    if( error instanceof PixBinError ){
+      error.message = "The input of index " + index + " could not be encoded as a PixBlock: " + error.message;
+      error.details = Object.assign( {input: index}, error.details );
+    }
+    return this._fail( error );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Keep track of an error, then throw it in strict mode or log it.
+  * The errors that are not PixBinErrors are unexpected and always thrown.
+  * @param {Error} error - the error
+  * @return {null} when not in strict mode
+  */
+  _fail( error ){
+    if( !(error instanceof PixBinError) ){
+      throw error;
+    }
+
+    this._lastError = error;
+    return Logger.report( error, this._strict );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Create the entry of the PixBin index that describes an encoded block
+  * @param {Object} input - the input, with _data and _metadata
+  * @param {ArrayBuffer} encodedBlock - the encoded block
+  * @return {Object} the index entry
+  */
+  _createIndexEntry( input, encodedBlock ){
+    var entry = null;
+
+    if( input instanceof EncodedBlock ){
+      entry = Object.assign( {}, input.blockInfo, {byteLength: encodedBlock.byteLength} );
+    }else{
+      entry = {
+        type        : input.originalBlockType,
         description : ( "description" in input._metadata ) ? input._metadata.description : null,
         byteLength  : encodedBlock.byteLength,
-        checksum    : md5( encodedBlock ),
+        checksum    : Checksum.compute( encodedBlock, this._checksumAlgorithm ),
+        checksumAlgorithm : this._checksumAlgorithm
       };
 
-      pixblocksInfo.push( pixBinIndexEntry )
-      pixBlocks.push( encodedBlock )
+      if( input.name !== null ){
+        entry.name = input.name;
+      }
+
+      var metadata = this._getPromotedMetadata( input._metadata );
+
+      if( metadata ){
+        entry.metadata = metadata;
+      }
+    }
+
+    // like the userObject, the promoted metadata can be given in a tagged form
+    delete entry.metadataSerialization;
+
+    if( entry.metadata && this._metadataSerialization === "tagged" ){
+      entry.metadata = TaggedSerializer.encode( entry.metadata );
+      entry.metadataSerialization = "tagged";
+    }
+
+    return entry;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the values of the promoted metadata keys (see `setPromotedMetadata`)
+  * @param {Object} metadata - the _metadata of an input
+  * @return {Object} the values of the keys that are in metadata, or null if there is none
+  */
+  _getPromotedMetadata( metadata ){
+    var promoted = null;
+
+    this._promotedMetadata.forEach(function( key ){
+      if( key in metadata ){
+        promoted = promoted || {};
+        promoted[ key ] = metadata[ key ];
+      }
     });
 
+    return promoted;
+  }
 
-    if( !pixBlocks.length ){
-      console.warn("No input was compatible for PixBlock encoding.");
+
+  /**
+  * [PRIVATE]
+  * Throws an InputError if a block name is not valid or already used by another input
+  * @param {String} name - the name, or null for a block without name
+  */
+  _checkName( name ){
+    if( name === null ){
+      return;
     }
 
-    // Building the header ArrayBuffer of the file. It contains:
-    // - A ASCII string "pixpipe". 7 x Uint8 of charcodes (7 bytes)
-    // - A flag for encoding endianess, 0: big, 1: little. 1 x Uint8 (1 byte)
-    // - The byte length of the PixBin meta binary object. 1 x Uint32 (4 bytes)
+    if( !BlockPaths.isValid( name ) ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The block name " + name + " is not valid. It must be a non-empty string, with slashes only between the parts of a path.", {name: name} );
+    }
+
+    var isUsed = this._inputs.some(function( input ){
+      return ( input instanceof EncodedBlock ? input.blockInfo.name : input.name ) === name;
+    });
+
+    if( isUsed ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The block name " + name + " is already used.", {name: name} );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Serialize the index and build the primer that goes before it.
+  * The primer contains:
+  * - The ASCII string "PIXPIPE_PIXBIN". 14 x Uint8 of charcodes (14 bytes)
+  * - A flag for encoding endianess, 0: big, 1: little. 1 x Uint8 (1 byte)
+  * - The byte length of the PixBin index binary object. 1 x Uint32 (4 bytes)
+  * @param {Object} pixBinIndex - the index
+  * @return {Array} the primer buffer and the index buffer (ArrayBuffers)
+  */
+  _createPrimerAndIndexBuffers( pixBinIndex ){
+    var isLittleEndian = this._isLittleEndian;
+    FormatVersion.stampIndex( pixBinIndex );
 
     // encoding the meta object into an ArrayBuffer
     var pixBinIndexBinaryString = codecutils.CodecUtils.objectToArrayBuffer(pixBinIndex);
     var magicNumber = PixBinEncoder.MAGIC_NUMBER();
 
+    // the index is padded so that the first block is aligned
+    var firstBlockOffset = magicNumber.length + 5 + pixBinIndexBinaryString.byteLength;
+    var padding = StreamAlignment.getPadding( firstBlockOffset, StreamAlignment.getBlockAlignment(this._streamAlignment) );
+    pixBinIndexBinaryString = StreamAlignment.padJsonBuffer( pixBinIndexBinaryString, padding );
+
     // the +5 stands for 1 endiannes byte (Uint8) + 4 bytes (1xUint32) of header length
     var binPrimer = new ArrayBuffer( magicNumber.length + 5 );
     var binPrimerView = new DataView( binPrimer );
@@ -170,13 +880,10 @@ class PixBinEncoder {
     binPrimerView.setUint8( magicNumber.length, (+isLittleEndian))
     binPrimerView.setUint32( magicNumber.length + 1, pixBinIndexBinaryString.byteLength, isLittleEndian );
 
-    var allBuffers = [binPrimer, pixBinIndexBinaryString].concat( pixBlocks )
-    this._output = codecutils.CodecUtils.mergeBuffers( allBuffers )
-
+    return [binPrimer, pixBinIndexBinaryString];
   }
 
 
-
 } /* END of class PixBinEncoder */
 
 export { PixBinEncoder }
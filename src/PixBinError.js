@@ -0,0 +1,141 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+/**
+* The machine-readable codes carried by the errors, grouped by error class
+*/
+const ErrorCodes = {
+  // InputError
+  INVALID_INPUT: "INVALID_INPUT",             // the input given to a codec is not usable
+  OUT_OF_RANGE: "OUT_OF_RANGE",               // a block or stream index does not exist
+  INVALID_OPERATION: "INVALID_OPERATION",     // the method cannot be used with this kind of input
+  READ_FAILED: "READ_FAILED",                 // the reader of the input failed (see `setInputReader`)
+  UNKNOWN_NAME: "UNKNOWN_NAME",               // no block has this name
+
+  // FormatError
+  BAD_MAGIC_NUMBER: "BAD_MAGIC_NUMBER",       // the buffer does not start with PIXPIPE_PIXBIN
+  BAD_ENDIANNESS: "BAD_ENDIANNESS",           // the endianness byte is neither 0 nor 1
+  BAD_INDEX: "BAD_INDEX",                     // the PixBin index cannot be parsed
+  BAD_HEADER: "BAD_HEADER",                   // the PixBlock header cannot be parsed
+  DECOMPRESSION_FAILED: "DECOMPRESSION_FAILED", // the codec could not decompress a stream
+
+  // IntegrityError
+  TRUNCATED: "TRUNCATED",                     // the data is shorter than announced
+  CHECKSUM_MISMATCH: "CHECKSUM_MISMATCH",     // the checksum does not match the data
+  MISSING_STREAM: "MISSING_STREAM",           // a block refers to a shared stream that is not available
+
+  // UnsupportedError
+  UNSUPPORTED_TYPE: "UNSUPPORTED_TYPE",       // a kind of data that cannot be encoded/decoded
+  UNSUPPORTED_CODEC: "UNSUPPORTED_CODEC",     // a compression codec that is not registered
+  UNSUPPORTED_FILTER: "UNSUPPORTED_FILTER",   // a filter that is not registered
+  UNSUPPORTED_CHECKSUM: "UNSUPPORTED_CHECKSUM", // a checksum algorithm that does not exist
+  UNSUPPORTED_SERIALIZATION: "UNSUPPORTED_SERIALIZATION", // a metadata serialization mode that does not exist
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION", // a file written in a more recent version of the format
+  UNSUPPORTED_FEATURE: "UNSUPPORTED_FEATURE", // a file that requires a feature this decoder does not know
+
+  // LimitError
+  LIMIT_EXCEEDED: "LIMIT_EXCEEDED"            // decoding would use more than a limit allows (see `setLimits`)
+}
+
+
+/**
+* A PixBinError is the base of all the errors raised by the codec. On top of a message,
+* it carries a machine-readable `code` (see `ErrorCodes`) and possibly some `details`
+* (ie. the index of the block concerned).
+* By default, the codec only logs the errors (see `Logger`) and returns null or false.
+* When the strict mode is enabled (`enableStrictMode(true)`), they are thrown.
+* In both cases, the last error is available with `getLastError()`.
+*/
+class PixBinError extends Error {
+
+  /**
+  * @param {String} code - one of the ErrorCodes
+  * @param {String} message - a human-readable message
+  * @param {Object} details - some additional information (default: null)
+  */
+  constructor( code, message, details=null ){
+    super( message );
+    // because extending the builtin Error is not properly supported once transpiled in ES5
+    Object.setPrototypeOf( this, PixBinError.prototype );
+    this.name = "PixBinError";
+    this.code = code;
+    this.details = details;
+  }
+
+} /* END of class PixBinError */
+
+
+/**
+* An InputError is raised when the input or an argument given to a codec is not usable.
+* Codes: INVALID_INPUT, OUT_OF_RANGE, INVALID_OPERATION, READ_FAILED, UNKNOWN_NAME
+*/
+class InputError extends PixBinError {
+  constructor( code, message, details=null ){
+    super( code, message, details );
+    Object.setPrototypeOf( this, InputError.prototype );
+    this.name = "InputError";
+  }
+} /* END of class InputError */
+
+
+/**
+* A FormatError is raised when a buffer is not a valid PixBin or PixBlock.
+* Codes: BAD_MAGIC_NUMBER, BAD_ENDIANNESS, BAD_INDEX, BAD_HEADER, DECOMPRESSION_FAILED
+*/
+class FormatError extends PixBinError {
+  constructor( code, message, details=null ){
+    super( code, message, details );
+    Object.setPrototypeOf( this, FormatError.prototype );
+    this.name = "FormatError";
+  }
+} /* END of class FormatError */
+
+
+/**
+* An IntegrityError is raised when the data is corrupted or incomplete.
+* Codes: TRUNCATED, CHECKSUM_MISMATCH, MISSING_STREAM
+*/
+class IntegrityError extends PixBinError {
+  constructor( code, message, details=null ){
+    super( code, message, details );
+    Object.setPrototypeOf( this, IntegrityError.prototype );
+    this.name = "IntegrityError";
+  }
+} /* END of class IntegrityError */
+
+
+/**
+* An UnsupportedError is raised when something is valid but cannot be handled
+* by this codec (ie. a compression codec that is not registered).
+* Codes: UNSUPPORTED_TYPE, UNSUPPORTED_CODEC, UNSUPPORTED_FILTER, UNSUPPORTED_CHECKSUM, UNSUPPORTED_SERIALIZATION,
+* UNSUPPORTED_VERSION, UNSUPPORTED_FEATURE
+*/
+class UnsupportedError extends PixBinError {
+  constructor( code, message, details=null ){
+    super( code, message, details );
+    Object.setPrototypeOf( this, UnsupportedError.prototype );
+    this.name = "UnsupportedError";
+  }
+} /* END of class UnsupportedError */
+
+
+/**
+* A LimitError is raised when decoding a file would use more resources than the limits
+* of the decoder allow (see `setLimits`), ie. an index or a stream that is too large.
+* Codes: LIMIT_EXCEEDED
+*/
+class LimitError extends PixBinError {
+  constructor( code, message, details=null ){
+    super( code, message, details );
+    Object.setPrototypeOf( this, LimitError.prototype );
+    this.name = "LimitError";
+  }
+} /* END of class LimitError */
+
+export { ErrorCodes, PixBinError, InputError, FormatError, IntegrityError, UnsupportedError, LimitError }
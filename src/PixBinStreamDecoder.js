@@ -0,0 +1,677 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { PixBinDecoder } from './PixBinDecoder.js';
+import { PixBinEncoder } from './PixBinEncoder.js';
+import { DecodingLimits } from './DecodingLimits.js';
+import { TypedArrays } from './TypedArrays.js';
+import { Logger } from './Logger.js';
+import { ErrorCodes, PixBinError, InputError, IntegrityError } from './PixBinError.js';
+
+// the successive parts of a PixBin the decoder is waiting for
+const parsingSteps = {
+  primer: 1,
+  index: 2,
+  blocks: 3,
+  done: 4
+}
+
+
+/**
+* A PixBinStreamDecoder decodes a PixBin that arrives chunk by chunk, without
+* having to buffer the whole file first. Chunks are given with `.push(...)`
+* (or automatically from a stream with `.consume(...)`) and the decoder emits
+* events as soon as the parts of the PixBin are complete:
+* - "index": when the primer and the index are parsed. The callback is called with the index object
+* - "block": when a block is fully received. The callback is called with the decoded block
+*   (or its raw ArrayBuffer, see `enableRawBlocks`), the index of the block and its entry in the index
+* - "error": when something goes wrong. The callback is called with a PixBinError
+* - "end": when the last block was emitted
+*
+* **Usage**
+* ```
+* var decoder = new PixBinStreamDecoder();
+* decoder.on("block", function(block, n, blockInfo){ ... });
+* decoder.consume( fs.createReadStream("file.pixp") ).then( ... );
+* ```
+*/
+class PixBinStreamDecoder {
+  constructor(){
+    this._verifyChecksum = false;
+    this._emitRawBlocks = false;
+    this._strict = false;
+    this._limits = new DecodingLimits();
+    this._events = {
+      index: [],
+      block: [],
+      error: [],
+      end: []
+    };
+    this.reset();
+  }
+
+
+  /**
+  * reset the parsing state and the pending data. The event callbacks are kept.
+  */
+  reset(){
+    this._pendingChunks = [];
+    this._pendingByteLength = 0;
+    this._step = parsingSteps.primer;
+    this._primer = null;
+    this._binMeta = null;
+    this._nextBlock = 0;
+    this._storedSharedStreams = {};
+    this._sharedStreamRefCounts = {};
+    this._isValid = true;
+    this._lastError = null;
+    this._deferredError = null;
+    this._limits.resetDecodedByteLength();
+  }
+
+
+  /**
+  * Specify wether or not the decoder must perform a checksum verification
+  * of each block before emitting it. A corrupted block triggers an "error" event
+  * and is not emitted.
+  * @param {Boolean} b - true to perfom verification, false to skip it (default: false)
+  */
+  enableBlockVerification( b ){
+    this._verifyChecksum = b;
+  }
+
+
+  /**
+  * Specify wether the "block" events should carry the decoded blocks or their raw
+  * ArrayBuffer (as stored in the PixBin, ready to be decoded by a PixBlockDecoder)
+  * @param {Boolean} b - true to emit raw buffers, false to emit decoded blocks (default: false)
+  */
+  enableRawBlocks( b ){
+    this._emitRawBlocks = b;
+  }
+
+
+  /**
+  * Set a boolean to specify if the errors should be thrown by `push(...)` and `end()`
+  * (strict mode), after the "error" event is triggered, or only logged (default).
+  * A block that cannot be decoded does not stop `push(...)`: the other blocks of the chunk
+  * are still emitted, then the first error is thrown.
+  * @param {Boolean} b - true to throw the errors, false to only log them
+  */
+  enableStrictMode( b ){
+    this._strict = b;
+  }
+
+
+  /**
+  * Get the last error that occured, whether it was thrown or only logged
+  * @return {PixBinError} the error, or null if none
+  */
+  getLastError(){
+    return this._lastError;
+  }
+
+
+  /**
+  * Set the limits on the resources that decoding the PixBin can use (see `PixBinDecoder.setLimits`).
+  * Since the decoded blocks are emitted rather than kept, "maxDecodedByteLength" is
+  * the decoded size of all the blocks emitted since the last `reset()`.
+  * @param {Object} limits - some of "maxIndexByteLength", "maxBlocks", "maxBlockByteLength", "maxStreamByteLength"
+  * and "maxDecodedByteLength". The limits that are not given are unbounded.
+  * @return {Boolean} true if the limits are set, false if one of them is not valid
+  */
+  setLimits( limits ){
+    try{
+      this._limits = new DecodingLimits( limits );
+    }catch(e){
+      this._fail( e, false );
+      return false;
+    }
+
+    return true;
+  }
+
+
+  /**
+  * Get the limits on the resources that decoding the PixBin can use (see `setLimits`)
+  * @return {Object} the value of every limit
+  */
+  getLimits(){
+    return this._limits.getLimits();
+  }
+
+
+  /**
+  * Define a callback for a given event
+  * @param {String} eventId - one of "index", "block", "error" and "end"
+  * @param {Function} callback - function to call when the event happens
+  */
+  on( eventId, callback ){
+    if( !(eventId in this._events) ){
+      Logger.warn("The event " + eventId + " does not exist.");
+      return;
+    }
+
+    if( typeof callback === "function" ){
+      this._events[ eventId ].push( callback );
+    }
+  }
+
+
+  /**
+  * Get the index of the PixBin, once parsed
+  * @return {Object} the index, or null if not parsed yet
+  */
+  getIndex(){
+    return this._binMeta;
+  }
+
+
+  /**
+  * Get the number of blocks encoded in this PixBin file, once the index is parsed
+  * @return {Number} the number of blocks, or -1 if the index is not parsed yet
+  */
+  getNumberOfBlocks(){
+    return this._binMeta ? this._binMeta.pixblocksInfo.length : -1;
+  }
+
+
+  /**
+  * Tells if the data received so far is valid. Turns false as soon as an error
+  * makes the rest of the stream unreadable (wrong magic number, truncated file, etc.)
+  * @return {Boolean} true if valid, false if not.
+  */
+  isValid(){
+    return this._isValid;
+  }
+
+
+  /**
+  * Tells if all the blocks listed in the index were received
+  * @return {Boolean} true if complete
+  */
+  isComplete(){
+    return this._step === parsingSteps.done;
+  }
+
+
+  /**
+  * Give a new chunk of the PixBin to the decoder. The events are triggered
+  * synchronously when this chunk completes a part of the PixBin.
+  * @param {ArrayBuffer|SharedArrayBuffer|Uint8Array} chunk - the chunk. A Node Buffer is a Uint8Array and can be used.
+  */
+  push( chunk ){
+    if( !this._isValid || this._step === parsingSteps.done ){
+      return;
+    }
+
+    var bytes = TypedArrays.toUint8Array( chunk );
+
+    if( !bytes ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "A chunk must be an ArrayBuffer, a SharedArrayBuffer or a Uint8Array."), false );
+      this._reportDeferredError();
+      return;
+    }
+
+    if( !bytes.byteLength ){
+      return;
+    }
+
+    this._pendingChunks.push( bytes );
+    this._pendingByteLength += bytes.byteLength;
+    this._parse();
+    this._reportDeferredError();
+  }
+
+
+  /**
+  * Tell the decoder there is no more chunk to come. An "error" event is triggered
+  * if the PixBin is incomplete.
+  */
+  end(){
+    if( !this._isValid ){
+      return;
+    }
+
+    if( this._step !== parsingSteps.done ){
+      this._fail( new IntegrityError(ErrorCodes.TRUNCATED, "The stream ended before the whole PixBin was received.") );
+    }
+  }
+
+
+  /**
+  * Read a whole stream and push its chunks to the decoder.
+  * Works with a Node Readable (ie. from `fs.createReadStream`) and with a WHATWG
+  * ReadableStream (ie. `response.body` from `fetch`). The stream is destroyed, or canceled,
+  * as soon as the PixBin turns out unreadable or `push(...)` throws.
+  * @param {Object} stream - a Node Readable or a WHATWG ReadableStream
+  * @return {Promise} resolved with the index when the stream is entirely consumed,
+  * rejected with an Error if the stream fails, or with the PixBinError that made the PixBin unreadable
+  */
+  consume( stream ){
+    var that = this;
+
+    return new Promise(function( resolve, reject ){
+      var settled = false;
+
+      function settle(){
+        if( settled ) return;
+
+        try{
+          that.end();
+        }catch( e ){
+          abort( e );
+          return;
+        }
+
+        settled = true;
+
+        if( that._isValid ){
+          resolve( that._binMeta );
+        }else{
+          reject( that._lastError );
+        }
+      }
+
+      function abort( e ){
+        if( settled ) return;
+        settled = true;
+        that._isValid = false;
+        reject( e );
+      }
+
+      // WHATWG ReadableStream
+      if( stream && typeof stream.getReader === "function" ){
+        var reader = stream.getReader();
+
+        var readNext = function(){
+          reader.read().then(function( result ){
+            if( result.done ){
+              settle();
+              return;
+            }
+
+            that.push( result.value );
+
+            if( !that._isValid ){
+              reader.cancel().catch(function(){});
+              settle();
+              return;
+            }
+
+            readNext();
+          }).catch(function( e ){
+            // the stream is not read further when a chunk cannot be pushed
+            reader.cancel().catch(function(){});
+            abort( e );
+          });
+        }
+
+        readNext();
+
+      // Node Readable
+      }else if( stream && typeof stream.on === "function" ){
+        var destroy = function(){
+          if( typeof stream.destroy === "function" ){
+            stream.destroy();
+          }
+        }
+
+        stream.on("data", function( chunk ){
+          try{
+            that.push( chunk );
+          }catch( e ){
+            destroy();
+            abort( e );
+            return;
+          }
+
+          if( !that._isValid ){
+            destroy();
+            settle();
+          }
+        });
+        stream.on("end", settle);
+        stream.on("error", abort);
+
+      }else{
+        abort( new InputError(ErrorCodes.INVALID_INPUT, "The stream must be a Node Readable or a WHATWG ReadableStream.") );
+      }
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Consume as much of the pending data as possible
+  */
+  _parse(){
+    var keepParsing = true;
+
+    while( keepParsing && this._isValid ){
+      switch (this._step) {
+
+        case parsingSteps.primer:
+          keepParsing = this._parsePrimer();
+          break;
+
+        case parsingSteps.index:
+          keepParsing = this._parseIndex();
+          break;
+
+        case parsingSteps.blocks:
+          keepParsing = this._parseBlock();
+          break;
+
+        default:
+          keepParsing = false;
+      }
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Parse the primer if enough data was received
+  * @return {Boolean} true if the primer was parsed
+  */
+  _parsePrimer(){
+    var primerByteLength = PixBinEncoder.MAGIC_NUMBER().length + 5;
+
+    if( this._pendingByteLength < primerByteLength ){
+      return false;
+    }
+
+    var primer = null;
+
+    try{
+      primer = PixBinDecoder.parsePrimer( this._take( primerByteLength ) );
+      this._limits.check( "maxIndexByteLength", primer.indexByteLength );
+    }catch( e ){
+      this._fail( e );
+      return false;
+    }
+
+    this._primer = primer;
+    this._step = parsingSteps.index;
+    return true;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Parse the index if enough data was received
+  * @return {Boolean} true if the index was parsed
+  */
+  _parseIndex(){
+    if( this._pendingByteLength < this._primer.indexByteLength ){
+      return false;
+    }
+
+    var pixBinIndexObj = null;
+
+    try{
+      pixBinIndexObj = PixBinDecoder.parseIndexBuffer( this._take( this._primer.indexByteLength ), this._limits );
+    }catch( e ){
+      this._fail( e );
+      return false;
+    }
+
+    this._binMeta = pixBinIndexObj;
+    this._sharedStreamRefCounts = PixBinStreamDecoder._countStreamRefs( pixBinIndexObj.pixblocksInfo );
+    this._step = parsingSteps.blocks;
+    this._trigger( "index", pixBinIndexObj );
+    this._checkEnd();
+    return true;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Emit the next block if it was entirely received
+  * @return {Boolean} true if a block was emitted
+  */
+  _parseBlock(){
+    var n = this._nextBlock;
+    var blockInfo = this._binMeta.pixblocksInfo[ n ];
+
+    if( this._pendingByteLength < blockInfo.byteLength ){
+      return false;
+    }
+
+    var pixBlockBuff = this._take( blockInfo.byteLength );
+    this._nextBlock ++;
+
+    // an unexpected error of this block is thrown once the end is checked
+    try{
+      if( this._emitRawBlocks ){
+        this._emitRawBlock( pixBlockBuff, blockInfo, n );
+      }else{
+        this._emitDecodedBlock( pixBlockBuff, blockInfo, n );
+      }
+    }finally{
+      this._checkEnd();
+    }
+
+    return true;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Decode a block and emit it. A block that cannot be decoded triggers an "error"
+  * event, but does not prevent from decoding the next ones.
+  * The shared streams the block stores are kept for the next blocks that refer to them
+  * (see `PixBinEncoder.enableStreamDeduplication`), since the blocks are not kept.
+  * A block that refers to a shared stream stored in a later block cannot be decoded.
+  * @param {ArrayBuffer} pixBlockBuff - the buffer of the block
+  * @param {Object} blockInfo - the entry of this block in the index
+  * @param {Number} n - the index of the block
+  */
+  _emitDecodedBlock( pixBlockBuff, blockInfo, n ){
+    var decodedBlock = null;
+    var storedStreams = this._keepSharedStreams( pixBlockBuff, blockInfo );
+
+    try{
+      var sharedStreams = {
+        stored: storedStreams,
+        decoded: null
+      }
+
+      decodedBlock = PixBinDecoder.decodeBlockBuffer( pixBlockBuff, blockInfo, n, this._verifyChecksum, this._limits, false, sharedStreams );
+    }catch( e ){
+      this._fail( e, false );
+      return;
+    }
+
+    this._trigger( "block", decodedBlock, n, blockInfo );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Keep a copy of the shared streams stored in a block, then drop the ones that
+  * this block is the last to refer to
+  * @param {ArrayBuffer} pixBlockBuff - the buffer of the block
+  * @param {Object} blockInfo - the entry of this block in the index
+  * @return {Object} the stored bytes of the shared streams this block can refer to, by content hash
+  */
+  _keepSharedStreams( pixBlockBuff, blockInfo ){
+    var pixBlockBytes = new Uint8Array( pixBlockBuff );
+    var sharedStreams = blockInfo.sharedStreams || {};
+    var streamRefs = blockInfo.streamRefs || [];
+
+    for(var contentHash in sharedStreams){
+      var location = sharedStreams[ contentHash ];
+
+      if( this._sharedStreamRefCounts[ contentHash ] && !this._storedSharedStreams.hasOwnProperty( contentHash ) ){
+        this._storedSharedStreams[ contentHash ] = pixBlockBytes.slice( location.byteOffset, location.byteOffset + location.byteLength );
+      }
+    }
+
+    // the block being decoded still gets the streams it is the last to refer to
+    var storedStreams = this._storedSharedStreams;
+    this._storedSharedStreams = Object.assign( {}, storedStreams );
+
+    streamRefs.forEach(function( contentHash ){
+      this._sharedStreamRefCounts[ contentHash ] --;
+
+      if( this._sharedStreamRefCounts[ contentHash ] === 0 ){
+        delete this._sharedStreamRefCounts[ contentHash ];
+        delete this._storedSharedStreams[ contentHash ];
+      }
+    }, this);
+
+    return storedStreams;
+  }
+
+
+  /**
+  * [static]
+  * [PRIVATE]
+  * Count the blocks that refer to each shared stream
+  * @param {Array} pixblocksInfo - the entries of the index
+  * @return {Object} the number of blocks, by content hash
+  */
+  static _countStreamRefs( pixblocksInfo ){
+    var refCounts = {};
+
+    pixblocksInfo.forEach(function( blockInfo ){
+      (blockInfo.streamRefs || []).forEach(function( contentHash ){
+        refCounts[ contentHash ] = ( refCounts[ contentHash ] || 0 ) + 1;
+      });
+    });
+
+    return refCounts;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Emit a block as a raw buffer, after an optional checksum verification
+  * @param {ArrayBuffer} pixBlockBuff - the buffer of the block
+  * @param {Object} blockInfo - the entry of this block in the index
+  * @param {Number} n - the index of the block
+  */
+  _emitRawBlock( pixBlockBuff, blockInfo, n ){
+    if( this._verifyChecksum && !PixBinDecoder.verifyBlockBuffer( pixBlockBuff, blockInfo ) ){
+      this._fail( new IntegrityError(ErrorCodes.CHECKSUM_MISMATCH, "The block #" + n + " is corrupted.", {block: n}), false );
+      return;
+    }
+
+    this._trigger( "block", pixBlockBuff, n, blockInfo );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Switch to the final step if all the blocks were emitted
+  */
+  _checkEnd(){
+    if( this._nextBlock >= this._binMeta.pixblocksInfo.length ){
+      this._step = parsingSteps.done;
+      this._pendingChunks = [];
+      this._pendingByteLength = 0;
+      this._trigger( "end" );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Remove the given number of bytes from the pending chunks
+  * @param {Number} byteLength - number of bytes to take. Must not be larger than what is pending.
+  * @return {ArrayBuffer} a buffer with the bytes
+  */
+  _take( byteLength ){
+    var out = new Uint8Array( byteLength );
+    var outOffset = 0;
+
+    while( outOffset < byteLength ){
+      var chunk = this._pendingChunks[0];
+      var toCopy = Math.min( chunk.byteLength, byteLength - outOffset );
+      out.set( chunk.subarray(0, toCopy), outOffset );
+      outOffset += toCopy;
+
+      if( toCopy === chunk.byteLength ){
+        this._pendingChunks.shift();
+      }else{
+        this._pendingChunks[0] = chunk.subarray( toCopy );
+      }
+    }
+
+    this._pendingByteLength -= byteLength;
+    return out.buffer;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Trigger an "error" event, then throw the error in strict mode or log it.
+  * A fatal error invalidates the decoder. In strict mode, a non-fatal error is
+  * thrown by `_reportDeferredError`, once the pending data is parsed.
+  * The errors that are not PixBinErrors are unexpected and always thrown.
+  * @param {Error} error - the error
+  * @param {Boolean} fatal - true if the rest of the stream cannot be read (default: true)
+  */
+  _fail( error, fatal=true ){
+    if( !(error instanceof PixBinError) ){
+      throw error;
+    }
+
+    this._lastError = error;
+
+    if( fatal ){
+      this._isValid = false;
+      this._pendingChunks = [];
+      this._pendingByteLength = 0;
+    }
+
+    this._trigger( "error", error );
+
+    if( !fatal && this._strict ){
+      this._deferredError = this._deferredError || error;
+      return;
+    }
+
+    Logger.report( error, this._strict );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Throw the first non-fatal error met while parsing the pending data, if any (strict mode only)
+  */
+  _reportDeferredError(){
+    var error = this._deferredError;
+
+    if( error ){
+      this._deferredError = null;
+      Logger.report( error, this._strict );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Call all the callbacks registered for an event
+  * @param {String} eventId - the event
+  */
+  _trigger( eventId ){
+    var args = Array.prototype.slice.call( arguments, 1 );
+    var callbacks = this._events[ eventId ];
+
+    for(var i=0; i<callbacks.length; i++){
+      callbacks[i].apply( this, args );
+    }
+  }
+
+
+} /* END of class PixBinStreamDecoder */
+
+export { PixBinStreamDecoder }
@@ -6,12 +6,31 @@
 * Lab       MCIN - Montreal Neurological Institute
 */
 
-import pako from 'pako';
 import codecutils from 'codecutils';
+import { ByteOrder } from './ByteOrder.js';
+import { CompressionCodecs } from './CompressionCodecs.js';
+import { StreamFilters } from './StreamFilters.js';
+import { Checksum } from './Checksum.js';
+import { TypedArrays } from './TypedArrays.js';
+import { TaggedSerializer } from './TaggedSerializer.js';
+import { HybridObject } from './HybridObject.js';
+import { NdArray } from './NdArray.js';
+import { BlockTypes } from './BlockTypes.js';
+import { DecodingLimits } from './DecodingLimits.js';
+import { FormatVersion } from './FormatVersion.js';
+import { Logger } from './Logger.js';
+import { ErrorCodes, PixBinError, InputError, FormatError, IntegrityError, UnsupportedError } from './PixBinError.js';
 
 
 class PixBlockDecoder {
   constructor(){
+    this._strict = false;
+    this._useStreamViews = false;
+    this._streamSubset = null;
+    this._sharedStreams = null;
+    this._decodedSharedStreams = null;
+    this._limits = new DecodingLimits();
+    this._ownsLimits = true;
     this.reset();
   }
 
@@ -22,25 +41,143 @@ class PixBlockDecoder {
   reset(){
     this._input = null;
     this._output = null;
+    this._lastError = null;
   }
 
 
   /**
-  * Specify an input
-  * @param {ArrayBuffer} buff - the arraybuffer that contains some data to be deserialized
+  * Set a boolean to specify if the errors should be thrown (strict mode) or
+  * only logged, the failing method returning null (default).
+  * @param {Boolean} b - true to throw the errors, false to only log them
+  */
+  enableStrictMode( b ){
+    this._strict = b;
+  }
+
+
+  /**
+  * Get the last error that occured, whether it was thrown or only logged
+  * @return {PixBinError} the error, or null if none
+  */
+  getLastError(){
+    return this._lastError;
+  }
+
+
+  /**
+  * Set a boolean to specify if the typed arrays that are stored uncompressed, with the
+  * endianness of the platform, are decoded as views on the input buffer rather than copies.
+  * This is only possible when a stream starts on a multiple of its number of bytes per element
+  * in the input buffer (see `PixBlockEncoder.setStreamAlignment`), the other streams are copied.
+  * The views share the memory of the input: modifying one modifies the input, and the
+  * input cannot be garbage collected as long as a view is in use.
+  * @param {Boolean} b - true to decode as views, false to copy (default: false)
+  */
+  enableStreamViews( b ){
+    this._useStreamViews = b;
+  }
+
+
+  /**
+  * Decode only some of the streams of the blocks whose `_data` is an Array of typed arrays
+  * or objects (case 2). The other streams are neither decompressed nor allocated, and are
+  * null in the decoded `_data`. The other kinds of block are still decoded whole, since their
+  * streams make a single value (see `decodeSingleStream` to get one of their streams).
+  * @param {Array} streamIndexes - the indexes of the streams to decode, or null for all of them (default)
+  * @return {Boolean} true if the subset is set, false if it is not valid
+  */
+  setStreamSubset( streamIndexes ){
+    if( streamIndexes !== null && !(Array.isArray( streamIndexes ) && streamIndexes.every( DecodingLimits.isValidLength )) ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The stream subset must be an Array of stream indexes, or null.") );
+      return false;
+    }
+
+    this._streamSubset = streamIndexes ? streamIndexes.slice() : null;
+    return true;
+  }
+
+
+  /**
+  * Get the indexes of the streams to decode (see `setStreamSubset`)
+  * @return {Array} the indexes, or null for all of them
+  */
+  getStreamSubset(){
+    return this._streamSubset ? this._streamSubset.slice() : null;
+  }
+
+
+  /**
+  * Give the shared streams the block refers to. When a PixBin is encoded with
+  * `PixBinEncoder.enableStreamDeduplication`, a stream already stored in another block is
+  * not written again: its byte stream info has `sharedStream: true` and the `contentHash`
+  * of the stored bytes, that are found elsewhere in the PixBin (see `PixBinDecoder`).
+  * Decoding a shared stream that was not given fails with an IntegrityError (MISSING_STREAM).
+  * @param {Object} storedStreams - the stored bytes (Uint8Array) of the shared streams, by content hash,
+  * or null for none (default)
+  * @param {Map} decodedStreams - where the typed arrays and raw buffers decoded from a stream that
+  * has a content hash are kept, so that the blocks that share this stream get the same decoded value
+  * rather than a copy each. The Map is filled by the decoder, and can be shared by several decoders
+  * (default: null, every stream is decoded on its own)
+  */
+  setSharedStreams( storedStreams, decodedStreams=null ){
+    this._sharedStreams = storedStreams;
+    this._decodedSharedStreams = decodedStreams;
+  }
+
+
+  /**
+  * Set the limits on the resources that decoding a block can use, for the input
+  * that comes from untrusted sources. When a limit is hit, the decoding fails with
+  * a LimitError, before the streams are decompressed.
+  * @param {Object} limits - some of "maxStreamByteLength" (decoded size of a stream) and
+  * "maxDecodedByteLength" (decoded size of all the streams of the block). The limits
+  * that are not given are unbounded.
+  * @return {Boolean} true if the limits are set, false if one of them is not valid
+  */
+  setLimits( limits ){
+    try{
+      // the DecodingLimits of a PixBinDecoder are shared, to count the bytes of all its blocks
+      this._ownsLimits = !(limits instanceof DecodingLimits);
+      this._limits = this._ownsLimits ? new DecodingLimits( limits ) : limits;
+    }catch(e){
+      this._fail( e );
+      return false;
+    }
+
+    return true;
+  }
+
+
+  /**
+  * Get the limits on the resources that decoding a block can use (see `setLimits`)
+  * @return {Object} the value of every limit
+  */
+  getLimits(){
+    return this._limits.getLimits();
+  }
+
+
+  /**
+  * Specify an input. When it is a view, only its own bytes are read, and the stream
+  * views (see `enableStreamViews`) are on the buffer it is a view on.
+  * @param {ArrayBuffer|SharedArrayBuffer|Uint8Array} buff - the buffer that contains some data to
+  * be deserialized. A Node Buffer is a Uint8Array and can be used, so can any other typed array or DataView.
   */
   setInput( buff ){
+    var bytes = TypedArrays.toUint8Array( buff );
+
     // check input
-    if( !(buff instanceof ArrayBuffer) ){
-      console.warn("Input should be a valid ArrayBuffer");
+    if( !bytes ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "Input should be an ArrayBuffer, a SharedArrayBuffer or a Uint8Array") );
       return;
     }
-    this._input = buff;
+    this._input = bytes;
   }
 
 
   /**
-  * Get the output
+  * Get the output. If the type of the block is registered in `BlockTypes`, this is an
+  * instance of the original class, otherwise a plain object `{originalBlockType, _data, _metadata}`
   * @return {Object} the output, or null
   */
   getOutput(){
@@ -52,10 +189,840 @@ class PixBlockDecoder {
   * Launch the decoding
   */
   run(){
+    this._output = null;
+
+    try{
+      this._output = BlockTypes.deserialize( this._decode() );
+    }catch(e){
+      this._fail( e );
+    }
+  }
+
+
+  /**
+  * Launch the decoding asynchronously. The compressed streams are decompressed and unfiltered
+  * in parallel by the workers of the pool, if any, or one after the other in the current thread.
+  * The output is the same as with `run()`.
+  * @param {WorkerPool} pool - the workers to decompress the streams with (default: null)
+  * @return {Promise} resolved with the output, or null if the block could not be decoded
+  * (rejected with the error in strict mode)
+  */
+  decodeAsync( pool=null ){
+    var that = this;
+    this._output = null;
 
+    return new Promise(function( resolve ){
+      resolve( that._parseBlock() );
+    })
+    .then(function( parsedBlock ){
+      return Promise.all( parsedBlock.streams.map(function( stream ){
+        // not in the subset
+        if( !stream ){
+          return null;
+        }
+
+        var sharingKey = that._getSharingKey( stream.bsi, parsedBlock.isLittleEndian );
+
+        if( sharingKey && that._decodedSharedStreams.has( sharingKey ) ){
+          return that._decodedSharedStreams.get( sharingKey );
+        }
+
+        return that._decodeStreamAsync( stream, parsedBlock.isLittleEndian, pool ).then(function( dataStream ){
+          if( sharingKey ){
+            that._decodedSharedStreams.set( sharingKey, dataStream );
+          }
+
+          return dataStream;
+        });
+      }))
+      .then(function( dataStreams ){
+        that._output = BlockTypes.deserialize( that._buildOutput( parsedBlock, dataStreams ) );
+        return that._output;
+      });
+    })
+    .catch(function( e ){
+      return that._fail( e );
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Convert a stream of the input back to an actual typedArray/Object, asynchronously:
+  * a compressed stream is decompressed by a worker of the pool, if any
+  * @param {Object} stream - a stream located by `_parseBlock`
+  * @param {Boolean} isLittleEndian - the endianness used to write the block
+  * @param {WorkerPool} pool - the workers to decompress the stream with, or null
+  * @return {Promise} resolved with the typed array or the object
+  */
+  _decodeStreamAsync( stream, isLittleEndian, pool ){
+    var storedBytes = this._getStoredBytes( stream );
+
+    if( !stream.bsi.compressedByteLength ){
+      return Promise.resolve( PixBlockDecoder.decodeStoredStream( storedBytes, stream, isLittleEndian, this._useStreamViews ) );
+    }
+
+    // the bytes given to a worker are transferred, so they must be a copy of the input
+    var task = {
+      bytes: pool ? storedBytes.slice() : storedBytes,
+      bsi: stream.bsi,
+      isLittleEndian: isLittleEndian
+    }
+
+    var decoding = pool ? pool.run( "decodeStream", task, [task.bytes.buffer] ) : Promise.resolve( PixBlockDecoder.decodeStream( task ) );
+
+    return decoding.then(function( decodedStream ){
+      return PixBlockDecoder._toDataStream( decodedStream.bytes, stream );
+    });
+  }
+
+
+  /**
+  * [static]
+  * Decompress and unfilter a stream, then convert it to the endianness of the platform if it
+  * is a typed array. This is what the workers of a WorkerPool do when decoding asynchronously,
+  * so it only depends on the given task.
+  * Throws a PixBinError if the codec or a filter is not registered, or if the decompression fails.
+  * @param {Object} task - in form of `{bytes: Uint8Array, bsi: Object, isLittleEndian: Boolean}`,
+  * where `bytes` is the compressed stream and `bsi` its byte stream info
+  * @return {Object} in form of `{bytes: Uint8Array}`, `bytes` not being a view on a larger buffer
+  */
+  static decodeStream( task ){
+    var bytes = PixBlockDecoder._decompressStream( task.bytes, task.bsi );
+
+    if( task.bsi.isTypedArray ){
+      bytes = PixBlockDecoder._unfilterStream( bytes, task.bsi, task.isLittleEndian );
+      PixBlockDecoder._toPlatformEndianness( bytes, task.isLittleEndian, task.bsi.bytesPerElements );
+    }
+
+    return {
+      bytes: bytes
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Decode the input
+  * @return {Object} the decoded block, in form of `{originalBlockType: String, _data: ..., _metadata: Object}`
+  */
+  _decode(){
+    var parsedBlock = this._parseBlock();
+
+    var dataStreams = parsedBlock.streams.map(function( stream ){
+      return stream ? this._decodeStream( stream, parsedBlock.isLittleEndian ) : null;
+    }, this);
+
+    return this._buildOutput( parsedBlock, dataStreams );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Parse the header and the metadata of the input, and locate every data stream.
+  * Throws a PixBinError if the input is not a valid PixBlock.
+  * @return {Object} in form of `{isLittleEndian: Boolean, header: Object, metadata: Object, streams: Array}`,
+  * where each stream is in form of `{index: Number, bsi: Object, byteOffset: Number, dataType: Function}`, or null
+  * if it is not in the stream subset (see `setStreamSubset`)
+  */
+  _parseBlock(){
     var input = this._input;
-    var view = new DataView( input );
-    var isLtlt = view.getUint8( 0 );
+    var parsedHeader = this._parseHeader();
+    var pixBlockHeader = parsedHeader.header;
+    var readingByteOffset = parsedHeader.metadataByteOffset;
+    var decodedByteLength = 0;
+
+    var metadataObject = this._parseMetadata( parsedHeader );
+    readingByteOffset += pixBlockHeader.metadataByteLength;
+
+    // only the streams of an Array can be skipped, the others make a single value
+    var streamSubset = pixBlockHeader.useMultipleDataStreams ? this._streamSubset : null;
+
+    if( streamSubset ){
+      PixBlockDecoder._checkStreamIndexes( streamSubset, pixBlockHeader.byteStreamInfo.length );
+    }
+
+    var streams = [];
+
+    for(var i=0; i<pixBlockHeader.byteStreamInfo.length; i++){
+      var bsi = pixBlockHeader.byteStreamInfo[i];
+      var storedByteLength = PixBlockDecoder.getStoredByteLength( bsi );
+
+      // the zero bytes that align the stream
+      readingByteOffset += bsi.padding || 0;
+
+      // the streams that are not decoded are jumped over
+      if( streamSubset && streamSubset.indexOf( i ) === -1 ){
+        streams.push( null );
+        readingByteOffset += storedByteLength;
+        continue;
+      }
+
+      var stream = this._createStream( bsi, i, readingByteOffset );
+      decodedByteLength += bsi.byteLength;
+
+      if( readingByteOffset + storedByteLength > input.byteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete data stream)", {stream: i} );
+      }
+
+      streams.push( stream );
+      readingByteOffset += storedByteLength;
+    }
+
+    this._reserve( decodedByteLength );
+
+    return {
+      isLittleEndian: parsedHeader.isLittleEndian,
+      header: pixBlockHeader,
+      metadata: metadataObject,
+      streams: streams
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Describe a stream of the block, after checking that its byte stream info can be trusted
+  * and that it is within the limits.
+  * Throws a PixBinError if not.
+  * @param {Object} bsi - the byte stream info of the stream
+  * @param {Number} i - the index of the stream
+  * @param {Number} byteOffset - the position of the stream from the beginning of the block
+  * @return {Object} in form of `{index: Number, bsi: Object, byteOffset: Number, dataType: Function}`
+  */
+  _createStream( bsi, i, byteOffset ){
+    // constructor of a typed array, or Object for a complex object
+    var dataType = this._getDataTypeFromByteStreamInfo( bsi );
+
+    if( bsi.isTypedArray && bsi.length * dataType.BYTES_PER_ELEMENT !== bsi.byteLength ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The byteLength of the stream #" + i + " does not match its length.", {stream: i} );
+    }
+
+    this._limits.check( "maxStreamByteLength", bsi.byteLength, {stream: i} );
+
+    return {
+      index: i,
+      bsi: bsi,
+      byteOffset: byteOffset,
+      dataType: dataType
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Count the decoded size of the streams in the limits
+  * Throws a LimitError if it goes over maxDecodedByteLength.
+  * @param {Number} decodedByteLength - the decoded size of the streams
+  */
+  _reserve( decodedByteLength ){
+    // every decoding of a block counts on its own, unless the limits are shared
+    if( this._ownsLimits ){
+      this._limits.resetDecodedByteLength();
+    }
+
+    this._limits.reserve( decodedByteLength );
+  }
+
+
+  /**
+  * [PRIVATE][static]
+  * Check that some stream indexes exist in a block.
+  * Throws an InputError (OUT_OF_RANGE) if not.
+  * @param {Array} streamIndexes - the indexes
+  * @param {Number} numberOfStreams - the number of streams of the block
+  */
+  static _checkStreamIndexes( streamIndexes, numberOfStreams ){
+    streamIndexes.forEach(function( streamIndex ){
+      if( !DecodingLimits.isValidLength( streamIndex ) || streamIndex >= numberOfStreams ){
+        throw new InputError( ErrorCodes.OUT_OF_RANGE, "The stream index is out of range.", {stream: streamIndex} );
+      }
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Convert a stream of the input back to an actual typedArray/Object
+  * @param {Object} stream - a stream located by `_parseBlock`
+  * @param {Boolean} isLittleEndian - the endianness used to write the block
+  * @return {Object} the typed array or the object
+  */
+  _decodeStream( stream, isLittleEndian ){
+    var sharingKey = this._getSharingKey( stream.bsi, isLittleEndian );
+
+    if( sharingKey && this._decodedSharedStreams.has( sharingKey ) ){
+      return this._decodedSharedStreams.get( sharingKey );
+    }
+
+    var dataStream = PixBlockDecoder.decodeStoredStream( this._getStoredBytes( stream ), stream, isLittleEndian, this._useStreamViews );
+
+    if( sharingKey ){
+      this._decodedSharedStreams.set( sharingKey, dataStream );
+    }
+
+    return dataStream;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the bytes of a stream as it is stored: in the input, or in the shared streams
+  * if the stream is stored in another block (see `setSharedStreams`).
+  * Throws a PixBinError if a shared stream is not available.
+  * @param {Object} stream - a stream located by `_parseBlock`
+  * @return {Uint8Array} the stored bytes, a view on the input or on a shared stream
+  */
+  _getStoredBytes( stream ){
+    var bsi = stream.bsi;
+
+    if( !bsi.sharedStream ){
+      return this._input.subarray( stream.byteOffset, stream.byteOffset + PixBlockDecoder.getStoredByteLength( bsi ) );
+    }
+
+    var sharedStreams = this._sharedStreams || {};
+
+    if( !sharedStreams.hasOwnProperty( bsi.contentHash ) ){
+      throw new IntegrityError( ErrorCodes.MISSING_STREAM, "The stream #" + stream.index + " is stored in another block, that was not given. (shared stream " + bsi.contentHash + ")", {stream: stream.index, contentHash: bsi.contentHash} );
+    }
+
+    var storedBytes = TypedArrays.toUint8Array( sharedStreams[ bsi.contentHash ] );
+
+    if( !storedBytes || storedBytes.byteLength !== (bsi.compressedByteLength || bsi.byteLength) ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The shared stream of the stream #" + stream.index + " does not have the byte length of the stream.", {stream: stream.index, contentHash: bsi.contentHash} );
+    }
+
+    return storedBytes;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the key under which the decoded value of a stream is kept in the decoded shared
+  * streams (see `setSharedStreams`): the content hash, along with everything that tells
+  * how the stored bytes are decoded. Only the typed arrays and the raw buffers are kept,
+  * since the objects can be modified when the block is put together (ie. a hybrid object).
+  * @param {Object} bsi - the byte stream info of the stream
+  * @param {Boolean} isLittleEndian - the endianness used to write the block
+  * @return {String} the key, or null if the decoded stream is not kept
+  */
+  _getSharingKey( bsi, isLittleEndian ){
+    if( !this._decodedSharedStreams || typeof bsi.contentHash !== "string" || !(bsi.isTypedArray || bsi.isRawBuffer) ){
+      return null;
+    }
+
+    return JSON.stringify([
+      bsi.contentHash,
+      bsi.type,
+      bsi.arrayType || null,
+      bsi.byteLength,
+      bsi.compressedByteLength || null,
+      bsi.codec || null,
+      bsi.codecParams || null,
+      bsi.filters || null,
+      isLittleEndian
+    ]);
+  }
+
+
+  /**
+  * [static]
+  * Get the number of bytes a stream takes in the block, without its padding
+  * @param {Object} bsi - the byte stream info of the stream
+  * @return {Number} the compressed byte length if the stream is compressed, its byte length
+  * otherwise, or 0 if it is a shared stream stored in another block
+  */
+  static getStoredByteLength( bsi ){
+    if( bsi.sharedStream ){
+      return 0;
+    }
+
+    // compressedByteLength acts as a flag: if not null, it means data were compressed
+    return bsi.compressedByteLength || bsi.byteLength;
+  }
+
+
+  /**
+  * [static]
+  * Convert a stream, as it is stored, back to an actual typedArray/Object
+  * @param {Uint8Array} bytes - the stored stream, can be a view on the input
+  * @param {Object} stream - in form of `{bsi: Object, dataType: Function}` (see `_parseBlock`)
+  * @param {Boolean} isLittleEndian - the endianness used to write the block
+  * @param {Boolean} useStreamViews - true to return a view on the buffer of bytes when possible (see `enableStreamViews`)
+  * @return {Object} the typed array, the raw buffer or the object
+  */
+  static decodeStoredStream( bytes, stream, isLittleEndian, useStreamViews ){
+    var bsi = stream.bsi;
+
+    // meaning, the stream is compresed
+    if( bsi.compressedByteLength ){
+      var decodedStream = PixBlockDecoder.decodeStream({
+        bytes: bytes,
+        bsi: bsi,
+        isLittleEndian: isLittleEndian
+      });
+
+      return PixBlockDecoder._toDataStream( decodedStream.bytes, stream );
+    }
+
+    // the stream were NOT compressed
+    if( bsi.isRawBuffer ){
+      if( useStreamViews && stream.dataType === DataView ){
+        return new DataView( bytes.buffer, bytes.byteOffset, bsi.byteLength );
+      }
+
+      return PixBlockDecoder._toRawBuffer( bytes.slice(), stream.dataType );
+    }
+
+    if( !bsi.isTypedArray ){
+      return codecutils.CodecUtils.ArrayBufferToObject( bytes.slice().buffer );
+    }
+
+    // a view is possible if no swap is needed and the stream is aligned in the buffer
+    if( useStreamViews &&
+        !ByteOrder.needsSwap( isLittleEndian, bsi.bytesPerElements ) &&
+        bytes.byteOffset % stream.dataType.BYTES_PER_ELEMENT === 0 ){
+      return new stream.dataType( bytes.buffer, bytes.byteOffset, bsi.length );
+    }
+
+    // the copy is safe to swap in place
+    var copiedBytes = bytes.slice();
+    PixBlockDecoder._toPlatformEndianness( copiedBytes, isLittleEndian, bsi.bytesPerElements );
+    return new stream.dataType( copiedBytes.buffer );
+  }
+
+
+  /**
+  * [PRIVATE][static]
+  * Build a typedArray/Object out of a decoded stream
+  * @param {Uint8Array} bytes - the output of `decodeStream`
+  * @param {Object} stream - a stream located by `_parseBlock`
+  * @return {Object} the typed array or the object
+  */
+  static _toDataStream( bytes, stream ){
+    if( stream.bsi.isRawBuffer ){
+      return PixBlockDecoder._toRawBuffer( bytes, stream.dataType );
+    }
+
+    if( stream.bsi.isTypedArray ){
+      return new stream.dataType( bytes.buffer );
+    }
+
+    return codecutils.CodecUtils.ArrayBufferToObject( bytes.buffer );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Build a raw buffer out of the bytes of a stream
+  * @param {Uint8Array} bytes - the bytes, not shared with the input nor a view on a larger buffer
+  * @param {Function} dataType - ArrayBuffer, SharedArrayBuffer or DataView
+  * @return {Object} the raw buffer
+  */
+  static _toRawBuffer( bytes, dataType ){
+    if( dataType === DataView ){
+      return new DataView( bytes.buffer );
+    }
+
+    if( dataType === ArrayBuffer ){
+      return bytes.buffer;
+    }
+
+    var rawBuffer = new dataType( bytes.byteLength );
+    new Uint8Array( rawBuffer ).set( bytes );
+    return rawBuffer;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Put the decoded streams and the metadata together
+  * @param {Object} parsedBlock - the output of `_parseBlock`
+  * @param {Array} dataStreams - the decoded streams
+  * @return {Object} the decoded block, in form of `{originalBlockType: String, _data: ..., _metadata: Object}`
+  */
+  _buildOutput( parsedBlock, dataStreams ){
+    var pixBlockHeader = parsedBlock.header;
+    var data = dataStreams;
+
+    // If data is a complex object, its typed arrays are put back in its skeleton.
+    // Otherwise, if data is a single typed array (= not composed of a subset)
+    // we get rid of the useless wrapping array
+    if( pixBlockHeader.ndArray ){
+      data = NdArray.merge( pixBlockHeader.ndArray.shape, pixBlockHeader.ndArray.chunkShape, TypedArrays.getConstructor( pixBlockHeader.ndArray ), dataStreams );
+    }else if( pixBlockHeader.useHybridObject ){
+      data = HybridObject.merge( dataStreams[0], dataStreams );
+    }else if( !pixBlockHeader.useMultipleDataStreams ){
+      data = dataStreams[0]
+    }
+
+    return {
+      originalBlockType: pixBlockHeader.originalBlockType,
+      _data: data,
+      _metadata: parsedBlock.metadata
+    };
+  }
+
+
+  /**
+  * Verify the checksum of each data stream, without decoding them. This is only
+  * possible if the block was encoded with stream checksums (see `PixBlockEncoder.enableStreamChecksums`).
+  * The shared streams stored in another block are unchecked, they are verified with their block.
+  * @return {Array} one element per stream, in form of `{index: Number, status: String}`
+  * where the status is "intact", "mismatch", "truncated" (the stream goes beyond the end of the input)
+  * or "unchecked" (the stream has no checksum). Returns null if the header cannot be parsed.
+  */
+  verifyStreams(){
+    var parsedHeader = null;
+
+    try{
+      parsedHeader = this._parseHeader();
+    }catch(e){
+      return this._fail( e );
+    }
+
+    var input = this._input;
+    var pixBlockHeader = parsedHeader.header;
+    var algorithm = pixBlockHeader.streamChecksumAlgorithm || Checksum.DEFAULT_ALGORITHM();
+    var readingByteOffset = parsedHeader.metadataByteOffset + pixBlockHeader.metadataByteLength;
+    var report = [];
+
+    for(var i=0; i<pixBlockHeader.byteStreamInfo.length; i++){
+      var bsi = pixBlockHeader.byteStreamInfo[i];
+      var storedByteLength = PixBlockDecoder.getStoredByteLength( bsi );
+      var status = null;
+      readingByteOffset += bsi.padding || 0;
+
+      if( readingByteOffset + storedByteLength > input.byteLength ){
+        status = "truncated";
+      }else if( !bsi.checksum ){
+        status = "unchecked";
+      }else if( !Checksum.has(algorithm) ){
+        Logger.warn("The checksum algorithm " + algorithm + " is not available.");
+        status = "unchecked";
+      }else{
+        var storedStream = input.subarray( readingByteOffset, readingByteOffset + storedByteLength );
+        status = ( Checksum.compute( storedStream, algorithm ) === bsi.checksum ) ? "intact" : "mismatch";
+      }
+
+      report.push({
+        index: i,
+        status: status
+      });
+
+      readingByteOffset += storedByteLength;
+    }
+
+    return report;
+  }
+
+
+  /**
+  * Get the header of the block, without decoding its metadata nor its data streams.
+  * The `byteStreamInfo` of the header gives the type, byte length and compressed
+  * byte length of each stream. The input can be only the beginning of the block,
+  * up to the end of its metadata (see `getPrefixByteLength`).
+  * @return {Object} the header, or null if it cannot be parsed
+  */
+  getHeader(){
+    try{
+      return this._parseHeader().header;
+    }catch(e){
+      return this._fail( e );
+    }
+  }
+
+
+  /**
+  * Get the metadata of the block, without decoding its data streams.
+  * The input can be only the beginning of the block, up to the end of its metadata
+  * (see `getPrefixByteLength`).
+  * @return {Object} the metadata, or null if they cannot be parsed
+  */
+  getMetadata(){
+    try{
+      return this._parseMetadata( this._parseHeader() );
+    }catch(e){
+      return this._fail( e );
+    }
+  }
+
+
+  /**
+  * Get the description of the data streams of the block, without decoding them: type,
+  * typed array type, byte length, length, compressed byte length, codec, etc.
+  * (see the `byteStreamInfo` of the block header in pixbinformat.md).
+  * The input can be only the beginning of the block, up to the end of its metadata
+  * (see `getPrefixByteLength`).
+  * @return {Array} the byte stream info of each stream, or null if the header cannot be parsed
+  */
+  getStreamInfo(){
+    try{
+      return this._parseHeader().header.byteStreamInfo;
+    }catch(e){
+      return this._fail( e );
+    }
+  }
+
+
+  /**
+  * Get the layout of the block: its endianness, its header (brought to the current version
+  * of the format, see `FormatVersion`) and where its metadata start, so that the block can be
+  * rewritten without decoding its metadata nor its data streams. The input can be only
+  * the beginning of the block, up to the end of its metadata (see `getPrefixByteLength`).
+  * @return {Object} in form of `{isLittleEndian: Boolean, header: Object, metadataByteOffset: Number}`,
+  * or null if the header cannot be parsed
+  */
+  getLayout(){
+    try{
+      return this._parseHeader();
+    }catch(e){
+      return this._fail( e );
+    }
+  }
+
+
+  /**
+  * Decode a single stream of the block, without decompressing the others: it is found with
+  * the byte lengths of the streams that come before it. The input only has to be complete
+  * up to the end of this stream. The stream is returned as it is stored, so for a complex
+  * object with typed arrays (see `getHeader().useHybridObject`), the stream 0 is the skeleton
+  * of the object and the others are its typed arrays, and for an NdArray, each stream is a chunk.
+  * A shared stream is taken from the shared streams (see `setSharedStreams`).
+  * @param {Number} streamIndex - the index of the stream, in the byte stream info (see `getStreamInfo`)
+  * @return {Object} the typed array, the raw buffer or the object, or null if it could not be decoded
+  */
+  decodeSingleStream( streamIndex ){
+    try{
+      var located = this.locateStream( streamIndex );
+      var stream = located.stream;
+
+      if( stream.byteOffset + located.storedByteLength > this._input.byteLength ){
+        throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete data stream)", {stream: streamIndex} );
+      }
+
+      return this.decodeLocatedStream( located );
+    }catch(e){
+      return this._fail( e );
+    }
+  }
+
+
+  /**
+  * Find a stream of the block, and count its decoded size in the limits.
+  * Only the header has to be in the input.
+  * Throws a PixBinError if the stream does not exist or cannot be decoded.
+  * @param {Number} streamIndex - the index of the stream
+  * @return {Object} in form of `{isLittleEndian: Boolean, stream: Object, storedByteLength: Number}`,
+  * where `stream` is like the ones of `_parseBlock` and `storedByteLength` is 0 for a shared stream
+  */
+  locateStream( streamIndex ){
+    var parsedHeader = this._parseHeader();
+    var byteStreamInfo = parsedHeader.header.byteStreamInfo;
+
+    PixBlockDecoder._checkStreamIndexes( [streamIndex], byteStreamInfo.length );
+
+    var byteOffset = parsedHeader.metadataByteOffset + parsedHeader.header.metadataByteLength;
+
+    for(var i=0; i<streamIndex; i++){
+      byteOffset += (byteStreamInfo[i].padding || 0) + PixBlockDecoder.getStoredByteLength( byteStreamInfo[i] );
+    }
+
+    var bsi = byteStreamInfo[ streamIndex ];
+    var stream = this._createStream( bsi, streamIndex, byteOffset + (bsi.padding || 0) );
+    this._reserve( bsi.byteLength );
+
+    return {
+      isLittleEndian: parsedHeader.isLittleEndian,
+      stream: stream,
+      storedByteLength: PixBlockDecoder.getStoredByteLength( bsi )
+    }
+  }
+
+
+  /**
+  * Decode a stream found with `locateStream`, from the input or, if it is stored in another
+  * block, from the shared streams (see `setSharedStreams`). It is not counted in the limits again.
+  * Throws a PixBinError if the stream cannot be decoded.
+  * @param {Object} located - the output of `locateStream`
+  * @return {Object} the typed array, the raw buffer or the object
+  */
+  decodeLocatedStream( located ){
+    return this._decodeStream( located.stream, located.isLittleEndian );
+  }
+
+
+  /**
+  * Decode a region of a block that contains an NdArray, by decoding only the chunks that
+  * cover it. The input only has to be complete up to the end of the last of these chunks.
+  * The checksums are not verified.
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  * @return {NdArray} the region, of shape `count`, or null if it could not be decoded
+  */
+  decodeRegion( start, count ){
+    try{
+      var region = this.locateRegion( start, count );
+      var input = this._input;
+
+      var chunkArrays = region.chunks.map(function( chunk ){
+        if( chunk.byteOffset + chunk.storedByteLength > input.byteLength ){
+          throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete chunk)", {stream: chunk.index} );
+        }
+
+        return PixBlockDecoder.decodeStoredStream( input.subarray( chunk.byteOffset, chunk.byteOffset + chunk.storedByteLength ), chunk, region.isLittleEndian, false );
+      });
+
+      return PixBlockDecoder.buildRegion( region, chunkArrays );
+    }catch(e){
+      return this._fail( e );
+    }
+  }
+
+
+  /**
+  * Find the chunks that cover a region of the NdArray of the block, and count their decoded
+  * size in the limits. Only the header has to be in the input.
+  * Throws a PixBinError if the block does not contain an NdArray or if the region is not in it.
+  * @param {Array} start - the first index of the region along each dimension
+  * @param {Array} count - the size of the region along each dimension
+  * @return {Object} in form of `{isLittleEndian: Boolean, start: Array, count: Array, dataType: Function, chunks: Array}`,
+  * where each chunk is in form of `{index: Number, origin: Array, shape: Array, bsi: Object, byteOffset: Number,
+  * storedByteLength: Number, dataType: Function}`, `byteOffset` being from the beginning of the block
+  */
+  locateRegion( start, count ){
+    var parsedHeader = this._parseHeader();
+    var pixBlockHeader = parsedHeader.header;
+    var ndArray = pixBlockHeader.ndArray;
+
+    if( !ndArray ){
+      throw new InputError( ErrorCodes.INVALID_OPERATION, "This PixBlock does not contain an NdArray." );
+    }
+
+    NdArray.checkRegion( ndArray.shape, start, count );
+
+    var dataByteOffset = parsedHeader.metadataByteOffset + pixBlockHeader.metadataByteLength;
+    var decodedByteLength = 0;
+
+    var chunks = NdArray.getRegionChunks( ndArray.shape, ndArray.chunkShape, start, count ).map(function( chunk ){
+      var bsi = pixBlockHeader.byteStreamInfo[ chunk.index ];
+
+      this._limits.check( "maxStreamByteLength", bsi.byteLength, {stream: chunk.index} );
+      decodedByteLength += bsi.byteLength;
+
+      chunk.bsi = bsi;
+      chunk.byteOffset = dataByteOffset + ndArray.chunkByteOffsets[ chunk.index ];
+      chunk.storedByteLength = bsi.compressedByteLength || bsi.byteLength;
+      chunk.dataType = this._getDataTypeFromByteStreamInfo( bsi );
+      return chunk;
+    }, this);
+
+    this._reserve( decodedByteLength );
+
+    return {
+      isLittleEndian: parsedHeader.isLittleEndian,
+      start: start.slice(),
+      count: count.slice(),
+      dataType: TypedArrays.getConstructor( ndArray ),
+      chunks: chunks
+    }
+  }
+
+
+  /**
+  * [static]
+  * Put the parts of the decoded chunks that are in a region together
+  * @param {Object} region - the output of `locateRegion`
+  * @param {Array} chunkArrays - the elements of each chunk of the region
+  * @return {NdArray} the region
+  */
+  static buildRegion( region, chunkArrays ){
+    var data = new region.dataType( NdArray.getSize( region.count ) );
+
+    for(var i=0; i<region.chunks.length; i++){
+      NdArray.copyChunkToRegion( chunkArrays[i], region.chunks[i], data, region.start, region.count );
+    }
+
+    return new NdArray( data, region.count );
+  }
+
+
+  /**
+  * [static]
+  * Get the byte length of the beginning of a block that goes up to the end of its metadata,
+  * which is all `getHeader`, `getMetadata` and `getStreamInfo` need. This is found in
+  * up to three steps: called with the first bytes of the block, it returns the byte length of
+  * the primer (5 bytes), then of the primer and the header, then of the primer, the header
+  * and the metadata, that no longer changes when called again with that many bytes.
+  * Throws a PixBinError if the primer or the header is not valid.
+  * @param {ArrayBuffer|Uint8Array} buff - the beginning of a block, of any length
+  * @return {Number} the byte length to read next
+  */
+  static getPrefixByteLength( buff ){
+    if( buff.byteLength < 5 ){
+      return 5;
+    }
+
+    var bytes = TypedArrays.toUint8Array( buff );
+    var view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+    var isLittleEndian = view.getUint8(0);
+
+    if( isLittleEndian !== 0 && isLittleEndian !== 1 ){
+      throw new FormatError( ErrorCodes.BAD_ENDIANNESS, "This buffer is not a PixBlock. (wrong endianess code)", {endianness: isLittleEndian} );
+    }
+
+    var headerEnd = 5 + view.getUint32( 1, !!isLittleEndian );
+
+    if( buff.byteLength < headerEnd ){
+      return headerEnd;
+    }
+
+    var pixBlockHeader = codecutils.CodecUtils.ArrayBufferToObject( bytes.slice(5, headerEnd).buffer );
+
+    if( !pixBlockHeader || !DecodingLimits.isValidLength( pixBlockHeader.metadataByteLength ) ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The header of this PixBlock could not be parsed." );
+    }
+
+    return headerEnd + pixBlockHeader.metadataByteLength;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Deserialize the metadata of the block
+  * @param {Object} parsedHeader - the output of `_parseHeader`
+  * @return {Object} the metadata
+  */
+  _parseMetadata( parsedHeader ){
+    var metadataByteOffset = parsedHeader.metadataByteOffset;
+    var metadataBuffer = this._input.slice( metadataByteOffset, metadataByteOffset + parsedHeader.header.metadataByteLength ).buffer;
+
+    if( parsedHeader.header.metadataSerialization === "tagged" ){
+      return TaggedSerializer.arrayBufferToObject( metadataBuffer );
+    }
+
+    return codecutils.CodecUtils.ArrayBufferToObject( metadataBuffer );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Parse the primer and the header of the block
+  * Throws a PixBinError if the input is not a valid PixBlock.
+  * @return {Object} in form of `{isLittleEndian: Boolean, header: Object, metadataByteOffset: Number}`
+  */
+  _parseHeader(){
+    var input = this._input;
+
+    if( !input ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "An input must be given to the PixBlockDecoder." );
+    }
+
+    if( input.byteLength < 5 ){
+      throw new IntegrityError( ErrorCodes.TRUNCATED, "This buffer is not a PixBlock. (too small)" );
+    }
+
+    var view = new DataView( input.buffer, input.byteOffset, input.byteLength );
     var readingByteOffset = 0;
 
     // primer, part 1
@@ -63,122 +1030,251 @@ class PixBlockDecoder {
     var isLittleEndian = view.getUint8(0)
     readingByteOffset += 1
 
+    if( isLittleEndian !== 0 && isLittleEndian !== 1 ){
+      throw new FormatError( ErrorCodes.BAD_ENDIANNESS, "This buffer is not a PixBlock. (wrong endianess code)", {endianness: isLittleEndian} );
+    }
+
+    isLittleEndian = !!isLittleEndian;
+
     // primer, part 2
     // get the length of the string buffer (unicode json) that follows
-    var pixBlockHeaderBufferByteLength = view.getUint32(1, readingByteOffset);
+    var pixBlockHeaderBufferByteLength = view.getUint32(readingByteOffset, isLittleEndian);
     readingByteOffset += 4;
 
+    if( readingByteOffset + pixBlockHeaderBufferByteLength > input.byteLength ){
+      throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete header)" );
+    }
+
     // get the string buffer
-    var pixBlockHeaderBuffer = input.slice( readingByteOffset, readingByteOffset + pixBlockHeaderBufferByteLength )
+    var pixBlockHeaderBuffer = input.slice( readingByteOffset, readingByteOffset + pixBlockHeaderBufferByteLength ).buffer
     var pixBlockHeader = codecutils.CodecUtils.ArrayBufferToObject( pixBlockHeaderBuffer );
     readingByteOffset += pixBlockHeaderBufferByteLength;
 
-    // fetching the metadata
-    var metadataBuffer = input.slice( readingByteOffset, readingByteOffset + pixBlockHeader.metadataByteLength );
-    var metadataObject = codecutils.CodecUtils.ArrayBufferToObject( metadataBuffer );
-    readingByteOffset += pixBlockHeader.metadataByteLength;
+    if( !pixBlockHeader || !Array.isArray(pixBlockHeader.byteStreamInfo) ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The header of this PixBlock could not be parsed." );
+    }
 
-    // the data streams are the byte streams when they are converted back to actual typedArrays/Objects
-    var dataStreams = []
+    // the older headers are brought to the current version
+    FormatVersion.readBlockHeader( pixBlockHeader );
 
-    for(var i=0; i<pixBlockHeader.byteStreamInfo.length; i++){
-      // act as a flag: if not null, it means data were compressed
-      var compressedByteLength = pixBlockHeader.byteStreamInfo[i].compressedByteLength
+    // no flag means JSON, like in the files written before the tagged serialization
+    var metadataSerialization = pixBlockHeader.metadataSerialization || "json";
 
-      // create a typed array out of the inflated buffer
-      var dataStreamConstructor = this._getDataTypeFromByteStreamInfo(pixBlockHeader.byteStreamInfo[i]);
+    if( metadataSerialization !== "json" && metadataSerialization !== "tagged" ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_SERIALIZATION, "The metadata serialization " + metadataSerialization + " is not supported.", {serialization: metadataSerialization} );
+    }
 
-      // know if it's a typed array or a complex object
-      var isTypedArray = pixBlockHeader.byteStreamInfo[i].isTypedArray;
+    if( !DecodingLimits.isValidLength( pixBlockHeader.metadataByteLength ) ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The metadataByteLength of this PixBlock is not valid." );
+    }
 
-      // meaning, the stream is compresed
-      if( compressedByteLength ){
-        // fetch the compresed dataStream
-        var compressedByteStream = new Uint8Array( input, readingByteOffset, compressedByteLength );
+    if( readingByteOffset + pixBlockHeader.metadataByteLength > input.byteLength ){
+      throw new IntegrityError( ErrorCodes.TRUNCATED, "This PixBlock is truncated. (incomplete metadata)" );
+    }
 
-        // inflate the dataStream
-        var inflatedByteStream = pako.inflate( compressedByteStream );
+    pixBlockHeader.byteStreamInfo.forEach( PixBlockDecoder._validateByteStreamInfo );
 
-        var dataStream = null;
-        /*
-        if( dataStreamConstructor === Object){
-          dataStream = codecutils.CodecUtils.ArrayBufferToObject( inflatedByteStream.buffer  );
-        }else{
-          dataStream = new dataStreamConstructor( inflatedByteStream.buffer );
-        }
-        */
+    if( pixBlockHeader.ndArray ){
+      PixBlockDecoder._validateNdArray( pixBlockHeader );
+    }
 
-        if( isTypedArray ){
-          dataStream = new dataStreamConstructor( inflatedByteStream.buffer );
-        }else{
-          dataStream = codecutils.CodecUtils.ArrayBufferToObject( inflatedByteStream.buffer  );
-        }
+    return {
+      isLittleEndian: isLittleEndian,
+      header: pixBlockHeader,
+      metadataByteOffset: readingByteOffset
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Check that the sizes of a byte stream info can be trusted to locate and allocate the stream.
+  * Throws a FormatError if not.
+  * @param {Object} bsi - the byte stream info
+  * @param {Number} i - the index of the stream
+  */
+  static _validateByteStreamInfo( bsi, i ){
+    if( !bsi || typeof bsi !== "object" ||
+        !DecodingLimits.isValidLength( bsi.byteLength ) ||
+        (bsi.compressedByteLength && !DecodingLimits.isValidLength( bsi.compressedByteLength )) ||
+        (bsi.padding && !DecodingLimits.isValidLength( bsi.padding )) ||
+        (bsi.isTypedArray && !DecodingLimits.isValidLength( bsi.length )) ||
+        (bsi.sharedStream && typeof bsi.contentHash !== "string") ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The byte stream info of the stream #" + i + " is not valid.", {stream: i} );
+    }
+  }
 
-        dataStreams.push( dataStream )
-        readingByteOffset += compressedByteLength;
 
+  /**
+  * [PRIVATE]
+  * Check that the description of an NdArray matches its chunks, so that a region can be
+  * decoded without looking at the other chunks.
+  * Throws a FormatError if not, or an UnsupportedError if its type is not available.
+  * @param {Object} header - the block header, with a `ndArray`
+  */
+  static _validateNdArray( header ){
+    var ndArray = header.ndArray;
+    var byteStreamInfo = header.byteStreamInfo;
+
+    if( typeof ndArray !== "object" ||
+        !NdArray.isValidShape( ndArray.shape, 0 ) ||
+        !NdArray.isValidShape( ndArray.chunkShape, 1 ) ||
+        ndArray.chunkShape.length !== ndArray.shape.length ||
+        typeof ndArray.arrayType !== "string" ||
+        !Array.isArray( ndArray.chunkByteOffsets ) ||
+        NdArray.getNumberOfChunks( ndArray.shape, ndArray.chunkShape ) !== byteStreamInfo.length ||
+        ndArray.chunkByteOffsets.length !== byteStreamInfo.length ){
+      throw new FormatError( ErrorCodes.BAD_HEADER, "The NdArray of this PixBlock is not valid." );
+    }
+
+    if( !TypedArrays.getConstructor( ndArray ) ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "The NdArray type " + ndArray.arrayType + " is not available on this platform.", {arrayType: ndArray.arrayType} );
+    }
+
+    var chunkByteOffset = 0;
+
+    for(var i=0; i<byteStreamInfo.length; i++){
+      var bsi = byteStreamInfo[i];
+      var chunkBox = NdArray.getChunkBox( ndArray.shape, ndArray.chunkShape, i );
+      chunkByteOffset += bsi.padding || 0;
+
+      if( !bsi.isTypedArray || bsi.sharedStream || bsi.arrayType !== ndArray.arrayType ||
+          bsi.length !== NdArray.getSize( chunkBox.shape ) ||
+          ndArray.chunkByteOffsets[i] !== chunkByteOffset ){
+        throw new FormatError( ErrorCodes.BAD_HEADER, "The chunk #" + i + " of the NdArray of this PixBlock is not valid.", {stream: i} );
       }
-      // the stream were NOT compressed
-      else{
-        var dataStream = null;
-        if( isTypedArray ){
-         dataStream = codecutils.CodecUtils.extractTypedArray(
-           input,
-           readingByteOffset,
-           this._getDataTypeFromByteStreamInfo(pixBlockHeader.byteStreamInfo[i]),
-           pixBlockHeader.byteStreamInfo[i].length
-         )
-        }else{
-          var objectBuffer = codecutils.CodecUtils.extractTypedArray(
-           input,
-           readingByteOffset,
-           Uint8Array,
-           pixBlockHeader.byteStreamInfo[i].byteLength
-          )
-          dataStream = codecutils.CodecUtils.ArrayBufferToObject( objectBuffer.buffer );
-        }
 
+      chunkByteOffset += PixBlockDecoder.getStoredByteLength( bsi );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Decompress a stream with the codec mentioned in its byte stream info.
+  * The streams that do not mention a codec were compressed with deflate.
+  * @param {Uint8Array} compressedByteStream - the compressed stream
+  * @param {Object} bsi - the byte stream info of this stream
+  * @return {Uint8Array} the decompressed stream (not a view on a larger buffer)
+  */
+  static _decompressStream( compressedByteStream, bsi ){
+    var codecName = bsi.codec || CompressionCodecs.DEFAULT_CODEC();
+    var codec = CompressionCodecs.get( codecName );
+
+    if( !codec ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_CODEC, "The stream is compressed with the codec " + codecName + ", that is not registered (available: " + CompressionCodecs.getNames().join(", ") + ").", {codec: codecName} );
+    }
+
+    var inflatedByteStream = null;
+
+    try{
+      inflatedByteStream = codec.decompress( compressedByteStream, bsi.codecParams || null, bsi.byteLength );
+    }catch( e ){
+      throw new FormatError( ErrorCodes.DECOMPRESSION_FAILED, "The stream could not be decompressed with the codec " + codecName + ": " + e, {codec: codecName} );
+    }
+
+    if( inflatedByteStream.byteLength !== bsi.byteLength ){
+      throw new FormatError( ErrorCodes.DECOMPRESSION_FAILED, "The stream decompressed with the codec " + codecName + " has " + inflatedByteStream.byteLength + " bytes instead of " + bsi.byteLength + ".", {codec: codecName} );
+    }
+
+    // the .buffer of the inflated stream is used to build the output, so it must not be larger than the stream
+    if( inflatedByteStream.byteOffset !== 0 || inflatedByteStream.byteLength !== inflatedByteStream.buffer.byteLength ){
+      inflatedByteStream = inflatedByteStream.slice();
+    }
+
+    return inflatedByteStream;
+  }
 
-        dataStreams.push( dataStream )
-        readingByteOffset += pixBlockHeader.byteStreamInfo[i].byteLength;
+
+  /**
+  * [PRIVATE]
+  * Reverse the filters that were applied to a typed array stream before its compression
+  * @param {Uint8Array} bytes - the decompressed stream
+  * @param {Object} bsi - the byte stream info of this stream
+  * @param {Boolean} isLittleEndian - the endianness used to write the stream
+  * @return {Uint8Array} the unfiltered stream
+  */
+  static _unfilterStream( bytes, bsi, isLittleEndian ){
+    var filterNames = bsi.filters || [];
+    var filterInfo = {
+      type: bsi.type,
+      bytesPerElements: bsi.bytesPerElements,
+      isLittleEndian: isLittleEndian
+    }
+
+    for(var i=filterNames.length-1; i>=0; i--){
+      var filter = StreamFilters.get( filterNames[i] );
+
+      if( !filter ){
+        throw new UnsupportedError( ErrorCodes.UNSUPPORTED_FILTER, "The stream was filtered with " + filterNames[i] + ", that is not registered (available: " + StreamFilters.getNames().join(", ") + ").", {filter: filterNames[i]} );
       }
+
+      bytes = filter.decode( bytes, filterInfo );
     }
 
-    // If data is a single typed array (= not composed of a subset)
-    // we get rid of the useless wrapping array
-    if( !pixBlockHeader.useMultipleDataStreams ){
-      dataStreams = dataStreams[0]
+    return bytes;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Swap the bytes of a stream in place if it was not written with the endianness
+  * of the platform. Nothing happens otherwise.
+  * @param {Uint8Array} bytes - the byte view of the stream, must not be shared with the input
+  * @param {Boolean} isLittleEndian - the endianness used to write the stream
+  * @param {Number} bytesPerElements - number of bytes per element of the stream
+  */
+  static _toPlatformEndianness( bytes, isLittleEndian, bytesPerElements ){
+    if( ByteOrder.needsSwap( isLittleEndian, bytesPerElements ) ){
+      ByteOrder.swapInPlace( bytes, bytesPerElements );
     }
+  }
 
-    this._output = {
-      originalBlockType: pixBlockHeader.originalBlockType,
-      _data: dataStreams,
-      _metadata: metadataObject
-    };
+
+  /**
+  * [PRIVATE]
+  * Keep track of an error, then throw it in strict mode or log it.
+  * The errors that are not PixBinErrors are unexpected and always thrown.
+  * @param {Error} error - the error
+  * @return {null} when not in strict mode
+  */
+  _fail( error ){
+    if( !(error instanceof PixBinError) ){
+      throw error;
+    }
+
+    this._lastError = error;
+    return Logger.report( error, this._strict );
   }
 
 
   /**
   * Get the array type based on byte stream info.
   * The returned object can be used as a constructor
-  * @return {Function} constructor of a typed array
+  * @return {Function} constructor of a typed array or of a raw buffer, or Object if the stream is a serialized object
   */
   _getDataTypeFromByteStreamInfo( bsi ){
-    var dataType = "Object";
-    var globalObject = codecutils.CodecUtils.getGlobalObject()
+    if( bsi.isRawBuffer ){
+      var rawBufferType = TypedArrays.getRawBufferConstructor( bsi.type );
+
+      if( !rawBufferType ){
+        throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "The raw buffer type " + bsi.type + " is not supported.", {type: bsi.type} );
+      }
 
-    if( bsi.type === "int" ){
-      dataType = bsi.signed ? "Uint" : "Int";
-      dataType += bsi.bytesPerElements*8 + "Array";
+      return rawBufferType;
+    }
+
+    if( !bsi.isTypedArray ){
+      return Object;
+    }
 
-    }else if( bsi.type === "float" ){
-      dataType = "Float";
-      dataType += bsi.bytesPerElements*8 + "Array";
-      var globalObject = codecutils.CodecUtils.getGlobalObject()
+    var dataType = TypedArrays.getConstructor( bsi );
 
+    if( !dataType ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "The stream type " + (bsi.arrayType || bsi.type) + " is not available on this platform.", {arrayType: bsi.arrayType || null} );
     }
 
-    return ( globalObject[ dataType ] )
+    return dataType;
   }
 
 
@@ -7,15 +7,49 @@
 */
 
 
-import pako from 'pako';
 import codecutils from 'codecutils';
+import { ByteOrder } from './ByteOrder.js';
+import { CompressionCodecs } from './CompressionCodecs.js';
+import { StreamFilters } from './StreamFilters.js';
+import { Checksum } from './Checksum.js';
+import { TypedArrays } from './TypedArrays.js';
+import { TaggedSerializer } from './TaggedSerializer.js';
+import { HybridObject } from './HybridObject.js';
+import { NdArray } from './NdArray.js';
+import { BlockTypes } from './BlockTypes.js';
+import { FormatVersion } from './FormatVersion.js';
+import { StreamAlignment } from './StreamAlignment.js';
+import { StreamStore } from './StreamStore.js';
+import { Logger } from './Logger.js';
+import { ErrorCodes, PixBinError, InputError, UnsupportedError } from './PixBinError.js';
 
 // list of different kinds of data we accept as input
 const dataCases = {
   invalid: null,  // the data is not compatible (Number, String)
-  typedArray: 1,  // the data is compatible, as a typed array
+  typedArray: 1,  // the data is compatible, as a typed array or raw bytes (ArrayBuffer, DataView)
   mixedArrays: 2, // the data is compatible, as an array of typed array
-  complexObject: 3 // a complex object is also compatible (can be a untyped array)
+  complexObject: 3, // a complex object is also compatible (can be a untyped array)
+  ndArray: 4      // an NdArray, written as one stream per chunk
+}
+
+// the ways the metadata can be serialized
+const metadataSerializations = [
+  "json",   // plain JSON, the default
+  "tagged"  // JSON that keeps Date, typed arrays, Map, Set, BigInt, etc. (see TaggedSerializer)
+]
+
+
+/**
+* [PRIVATE]
+* An input that went through its block type (see BlockTypes) and is ready to be encoded.
+*/
+class SerializedBlock {
+  constructor( originalBlockType, data, metadata, name=null ){
+    this.originalBlockType = originalBlockType;
+    this._data = data;
+    this._metadata = metadata;
+    this.name = name;
+  }
 }
 
 
@@ -23,6 +57,16 @@ class PixBlockEncoder {
 
   constructor(){
     this._compress = false;
+    this._codec = CompressionCodecs.DEFAULT_CODEC();
+    this._codecParams = null;
+    this._filters = [];
+    this._streamChecksumAlgorithm = null;
+    this._metadataSerialization = "json";
+    this._isLittleEndian = ByteOrder.isPlatformLittleEndian();
+    this._streamAlignment = 0;
+    this._streamStore = null;
+    this._blockIndex = 0;
+    this._strict = false;
     this.reset()
   }
 
@@ -34,6 +78,26 @@ class PixBlockEncoder {
     this._input = null;
     this._inputCase = null;
     this._output = null;
+    this._lastError = null;
+  }
+
+
+  /**
+  * Set a boolean to specify if the errors should be thrown (strict mode) or
+  * only logged, the failing method returning null or false (default).
+  * @param {Boolean} b - true to throw the errors, false to only log them
+  */
+  enableStrictMode( b ){
+    this._strict = b;
+  }
+
+
+  /**
+  * Get the last error that occured, whether it was thrown or only logged
+  * @return {PixBinError} the error, or null if none
+  */
+  getLastError(){
+    return this._lastError;
   }
 
 
@@ -46,14 +110,154 @@ class PixBlockEncoder {
   }
 
 
+  /**
+  * Specify the codec used to compress the data streams, when the compression is enabled
+  * (see `enableDataCompression`). The codec must be registered in `CompressionCodecs`.
+  * @param {String} name - name of the codec, ie. "deflate" (default), "gzip", "raw" or "lz4"
+  * @param {Object} params - parameters of the codec, ie. `{level: 9}` for "deflate" (default: null)
+  * @return {Boolean} true if the codec is set, false if it is not registered
+  */
+  setCompressionCodec( name, params=null ){
+    if( !CompressionCodecs.has( name ) ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_CODEC, "The compression codec " + name + " is not registered.", {codec: name}) );
+      return false;
+    }
+
+    this._codec = name;
+    this._codecParams = params;
+    return true;
+  }
+
+
+  /**
+  * Specify the filters to apply to the typed array streams before they are compressed.
+  * The filters are only applied when the compression is enabled, in the given order,
+  * and only to the streams they accept (ie. "delta" only applies to integer arrays).
+  * The filters must be registered in `StreamFilters`.
+  * @param {Array} filterNames - names of the filters, ie. ["delta", "shuffle"] (default: [])
+  * @return {Boolean} true if the filters are set, false if one of them is not registered
+  */
+  setFilters( filterNames ){
+    filterNames = filterNames || [];
+
+    for(var i=0; i<filterNames.length; i++){
+      if( !StreamFilters.has( filterNames[i] ) ){
+        this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_FILTER, "The filter " + filterNames[i] + " is not registered.", {filter: filterNames[i]}) );
+        return false;
+      }
+    }
+
+    this._filters = filterNames.slice();
+    return true;
+  }
+
+
+  /**
+  * Specify whether a checksum of each data stream should be written in the block header,
+  * so that a corrupted stream can be spotted without decoding it (see `PixBlockDecoder.verifyStreams`).
+  * The checksums are computed on the streams as they are stored (after compression).
+  * @param {Boolean} b - true to write stream checksums, false to not (default: false)
+  * @param {String} algorithm - one of "crc32", "md5" (default) and "sha256"
+  * @return {Boolean} true if the setting is applied, false if the algorithm does not exist
+  */
+  enableStreamChecksums( b, algorithm="md5" ){
+    if( b && !Checksum.has( algorithm ) ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_CHECKSUM, "The checksum algorithm " + algorithm + " does not exist.", {algorithm: algorithm}) );
+      return false;
+    }
+
+    this._streamChecksumAlgorithm = b ? algorithm : null;
+    return true;
+  }
+
+
+  /**
+  * Specify how the metadata are serialized. With "json" (default), they go through
+  * a plain JSON round-trip: a Date comes back as a string, a typed array as an object, etc.
+  * With "tagged", the Dates, typed arrays, ArrayBuffers, Maps, Sets, BigInts, NaN, Infinity
+  * and undefined values are restored as they were (see `TaggedSerializer`). The mode is written
+  * in the block header, but the decoders prior to this mode cannot read tagged metadata properly.
+  * @param {String} mode - "json" or "tagged"
+  * @return {Boolean} true if the mode is set, false if it does not exist
+  */
+  setMetadataSerialization( mode ){
+    if( metadataSerializations.indexOf( mode ) === -1 ){
+      this._fail( new UnsupportedError(ErrorCodes.UNSUPPORTED_SERIALIZATION, "The metadata serialization " + mode + " does not exist.", {serialization: mode}) );
+      return false;
+    }
+
+    this._metadataSerialization = mode;
+    return true;
+  }
+
+
+  /**
+  * Set the endianness used to write the block. By default, the block is written
+  * with the endianness of the platform. When a different endianness is chosen,
+  * the typed array streams are byte-swapped before being (optionally) compressed.
+  * @param {Boolean} isLittleEndian - true for little endian, false for big endian
+  */
+  setTargetEndianness( isLittleEndian ){
+    this._isLittleEndian = !!isLittleEndian;
+  }
+
+
+  /**
+  * Specify how the data streams are aligned in the block. With "element", each typed array
+  * starts on a multiple of its number of bytes per element. With a number of bytes, every
+  * stream starts on a multiple of it. The alignment is obtained with zero bytes written
+  * before the streams, recorded as their `padding` in the block header, and the block
+  * is padded at its end so that the next block of a PixBin is aligned as well.
+  * Aligned streams that are not compressed can be decoded as views on the input
+  * (see `PixBlockDecoder.enableStreamViews`). The decoders prior to the alignment
+  * cannot read an aligned block.
+  * @param {Number|String} alignment - 0 for no alignment (default), "element",
+  * or a power of two number of bytes, ie. 8
+  * @return {Boolean} true if the alignment is set, false if it is not valid
+  */
+  setStreamAlignment( alignment ){
+    if( !StreamAlignment.isValid( alignment ) ){
+      this._fail( new InputError(ErrorCodes.INVALID_INPUT, "The stream alignment must be 0, \"element\" or a power of two.", {alignment: alignment}) );
+      return false;
+    }
+
+    this._streamAlignment = alignment;
+    return true;
+  }
+
+
+  /**
+  * Share the streams of the next blocks with the other blocks of a PixBin (see
+  * `PixBinEncoder.enableStreamDeduplication`): the streams whose stored bytes are already
+  * in the store, or earlier in the same block, are not written again but refer to them
+  * by their hash, and the other ones are added to the store. The streams of an NdArray
+  * are never shared, so that its chunks can be located in the block alone.
+  * @param {StreamStore} streamStore - the streams written so far, or null to not share the streams (default)
+  * @param {Number} blockIndex - the index in the PixBin of the next block to encode
+  */
+  setStreamStore( streamStore, blockIndex ){
+    this._streamStore = streamStore;
+    this._blockIndex = blockIndex;
+  }
+
+
   /**
   * Specify an input to the encoder
-  * @param {Object} obj - an object candidate, containing a _data and _metadata attributes
+  * @param {Object} obj - an object candidate, containing a _data and _metadata attributes,
+  * or an instance of a class registered in `BlockTypes`
+  * @param {String} typeName - the type written in the block, overrides the registered
+  * name or the `constructor.name` of obj (default: null)
   */
-  setInput( obj ){
-    this._inputCase = PixBlockEncoder.isGoodCandidate( obj );
-    if(this._inputCase){
-      this._input = obj;
+  setInput( obj, typeName=null ){
+    this._input = null;
+    this._inputCase = null;
+
+    try{
+      var block = PixBlockEncoder.toBlock( obj, typeName );
+      this._inputCase = PixBlockEncoder.determineDataCase( block._data );
+      this._input = block;
+    }catch(e){
+      this._fail( e );
     }
   }
 
@@ -70,227 +274,633 @@ class PixBlockEncoder {
   /**
   * Check if the given object is a good intput candidate
   * @param {Object} obj - an object candidate, containing a _data and _metadata attributes
+  * @param {Boolean} strict - true to throw the error instead of logging it (default: false)
   * @return {Boolean} true if good candidate, false if not
   */
-  static isGoodCandidate( obj ){
-    if( !obj ){
-      console.warn("Input object cannot be null.");
+  static isGoodCandidate( obj, strict=false ){
+    try{
+      return PixBlockEncoder.determineDataCase( PixBlockEncoder.toBlock( obj )._data );
+    }catch(e){
+      if( !(e instanceof PixBinError) ){
+        throw e;
+      }
+      Logger.report( e, strict );
       return false;
     }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Check if the given object is a good intput candidate, throws if not
+  * @param {Object} obj - an object candidate, containing a _data and _metadata attributes
+  * @return {Number} the data case
+  */
+  static _validateCandidate( obj ){
+    if( !obj ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "Input object cannot be null." );
+    }
+
+    if( typeof obj !== "object" ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "Input must be an object." );
+    }
 
     if( !("_metadata" in obj)){
-      console.warn("Input object must contain a _metadata object.");
-      return false;
+      throw new InputError( ErrorCodes.INVALID_INPUT, "Input object must contain a _metadata object." );
     }
 
     if( !("_data" in obj)){
-      console.warn("Input object must contain a _data object.");
-      return false;
+      throw new InputError( ErrorCodes.INVALID_INPUT, "Input object must contain a _data object." );
     }
 
     var metadata = obj._metadata;
     var data = obj._data;
 
     // check: metadata should not contain cyclic structures
+    // (the BigInts, that JSON does not support, are fine with the tagged serialization)
     try{
-      JSON.stringify( metadata );
+      JSON.stringify( metadata, function( key, value ){
+        return ( typeof value === "bigint" ) ? value.toString() : value;
+      });
     }catch(e){
-      console.warn("The metadata object contains cyclic structures. Cannot be used.");
-      return false;
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The metadata object contains cyclic structures. Cannot be used." );
     }
 
     var inputCase = PixBlockEncoder.determineDataCase( data );
 
     // testing the case based on the kinf of data we want to input
     if( inputCase === dataCases.invalid ){
-      console.warn("The input is invalid.");
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "The input is invalid.", {type: typeof data} );
     }
 
     return inputCase;
   }
 
 
+  /**
+  * [static]
+  * Get the _data, _metadata and type name of an input, through its block type if it is registered.
+  * Throws a PixBinError if the input is not a good candidate.
+  * @param {Object} obj - an object candidate, or an instance of a registered class
+  * @param {String} typeName - overrides the type name of obj (default: null)
+  * @param {String} name - the name of the block in the PixBin index (default: null)
+  * @return {SerializedBlock} the block to encode. obj is returned as is if it is already one
+  * and no name is given.
+  */
+  static toBlock( obj, typeName=null, name=null ){
+    if( obj instanceof SerializedBlock ){
+      return name === null ? obj : new SerializedBlock( obj.originalBlockType, obj._data, obj._metadata, name );
+    }
+
+    var originalBlockType = typeName || BlockTypes.getTypeName( obj );
+    var source = BlockTypes.serialize( obj, originalBlockType );
+    PixBlockEncoder._validateCandidate( source );
+    return new SerializedBlock( originalBlockType, source._data, source._metadata, name );
+  }
+
+
   /**
   * Launch the encoding of the block
   */
   run(){
-    var input = this._input;
+    var prepared = null;
 
-    if( !input || !this._inputCase ){
-      console.warn("An input must be given to the PixBlockEncoder.");
+    try{
+      prepared = this._prepare();
+
+      if( this._compress ){
+        for(var i=0; i<prepared.streams.length; i++){
+          var encodedStream = PixBlockEncoder.encodeStream( this._getStreamTask( prepared.streams[i], false ) );
+          this._setEncodedStream( prepared.streams[i], encodedStream );
+        }
+      }
+    }catch(e){
+      this._fail( e );
       return;
     }
 
-    var compress = this._compress;
-    var data = input._data;
-    var encodedData = null;
-    var compressedData = null;
+    this._output = this._assemble( prepared );
+  }
 
-    var byteStreamInfo = [];
-    var useMultipleDataStreams = false;
 
-    switch (this._inputCase) {
+  /**
+  * Launch the encoding of the block asynchronously. The streams are filtered and compressed
+  * in parallel by the workers of the pool, if any, or one after the other in the current thread.
+  * The output is the same as with `run()`.
+  * @param {WorkerPool} pool - the workers to compress the streams with (default: null)
+  * @return {Promise} resolved with the output, or null if the block could not be encoded
+  * (rejected with the error in strict mode)
+  */
+  encodeAsync( pool=null ){
+    var that = this;
+
+    return new Promise(function( resolve ){
+      resolve( that._prepare() );
+    })
+    .then(function( prepared ){
+      if( !that._compress ){
+        return prepared;
+      }
 
-      // The input is a typed array ********************************
-      case dataCases.typedArray:
-        {
-          // no real need to compress the data here
-          encodedData = data;
-          var byteStreamInfoSubset = this._getDataSubsetInfo(data);
+      return Promise.all( prepared.streams.map(function( stream ){
+        var task = that._getStreamTask( stream, !!pool );
+        var encoding = pool ? pool.run( "encodeStream", task, [task.bytes.buffer] ) : Promise.resolve( PixBlockEncoder.encodeStream( task ) );
+
+        return encoding.then(function( encodedStream ){
+          that._setEncodedStream( stream, encodedStream );
+        });
+      }))
+      .then(function(){
+        return prepared;
+      });
+    })
+    .then(function( prepared ){
+      that._output = that._assemble( prepared );
+      return that._output;
+    })
+    .catch(function( e ){
+      return that._fail( e );
+    });
+  }
 
-          // additional compression flag
-          byteStreamInfoSubset.compressedByteLength = null;
 
-          if(this._compress){
-            encodedData = pako.deflate( encodedData.buffer );
-            byteStreamInfoSubset.compressedByteLength = encodedData.byteLength;
-          }
+  /**
+  * [static]
+  * Filter and compress a stream. This is what the workers of a WorkerPool do
+  * when encoding asynchronously, so it only depends on the given task.
+  * Throws a PixBinError if a filter or the codec is not registered.
+  * @param {Object} task - in form of `{bytes: Uint8Array, filterInfo: Object, filters: Array,
+  * codec: String, codecParams: Object}`, where `filterInfo` is null if the stream is not a typed array
+  * (see `StreamFilters` for the filterInfo)
+  * @return {Object} in form of `{bytes: Uint8Array, filters: Array}`, where `filters` are the names
+  * of the filters that were actually applied and `bytes` is not a view on a larger buffer
+  */
+  static encodeStream( task ){
+    var bytes = task.bytes;
+    var appliedFilters = [];
 
-          byteStreamInfo.push( byteStreamInfoSubset )
-        }
-        break;
+    for(var i=0; task.filterInfo && i<task.filters.length; i++){
+      var filter = StreamFilters.get( task.filters[i] );
 
+      if( !filter ){
+        throw new UnsupportedError( ErrorCodes.UNSUPPORTED_FILTER, "The filter " + task.filters[i] + " is not registered.", {filter: task.filters[i]} );
+      }
 
-      // The input is an Array of typed arrays *********************
-      case dataCases.mixedArrays:
-        {
-          useMultipleDataStreams = true;
-          compressedData = [];
+      if( filter.accepts( task.filterInfo ) ){
+        bytes = filter.encode( bytes, task.filterInfo );
+        appliedFilters.push( task.filters[i] );
+      }
+    }
 
-          encodedData = new Array( data.length )
+    var codec = CompressionCodecs.get( task.codec );
 
-          // collect bytestream info for each subset of data
-          for(var i=0; i<data.length; i++){
-            var currentDataStream = data[i];
-            var byteStreamInfoSubset = this._getDataSubsetInfo( currentDataStream );
+    if( !codec ){
+      throw new UnsupportedError( ErrorCodes.UNSUPPORTED_CODEC, "The compression codec " + task.codec + " is not registered.", {codec: task.codec} );
+    }
 
-            // if not a typed array, this subset needs further modifications
-            if( !byteStreamInfoSubset.isTypedArray ){
-              currentDataStream = new Uint8Array( codecutils.CodecUtils.objectToArrayBuffer( currentDataStream ) );
-              byteStreamInfoSubset.byteLength = currentDataStream.byteLength;
-            }
+    var compressed = codec.compress( bytes, task.codecParams );
 
-            if(this._compress){
-              var compressedDataSubset = pako.deflate( currentDataStream.buffer );
-              byteStreamInfoSubset.compressedByteLength = compressedDataSubset.byteLength;
-              compressedData.push( compressedDataSubset );
-            }
+    // the .buffer of the stream is transferred from the workers, so it must not be larger than the stream
+    if( compressed.byteOffset !== 0 || compressed.byteLength !== compressed.buffer.byteLength ){
+      compressed = compressed.slice();
+    }
 
-            byteStreamInfo.push( byteStreamInfoSubset )
+    return {
+      bytes: compressed,
+      filters: appliedFilters
+    }
+  }
 
-            encodedData[i] = currentDataStream;
-          }
 
-          if(this._compress){
-            encodedData = compressedData
-          }
-        }
+  /**
+  * [STATIC]
+  * Give in what case we fall when we want to use this data.
+  * Cases are described at the top
+  * @param {Whatever} data - a piec of data, object, array, typed array...
+  * @return {Number} the case
+  */
+  static determineDataCase( data ){
+    if( data instanceof Object ){
+      if( data instanceof NdArray )
+        return dataCases.ndArray;
+
+      if( TypedArrays.isTypedArray( data ) || TypedArrays.isRawBuffer( data ) )
+        return dataCases.typedArray;
+
+      /*
+      if( data instanceof Array )
+        if(data.every( function(element){ return codecutils.CodecUtils.isTypedArray(element) }))
+          return dataCases.mixedArrays;
+      */
+
+      // TODO: change the name of this case, since we want to accept Arrays of whatever
+      if( data instanceof Array )
+        return dataCases.mixedArrays;
+
+      return dataCases.complexObject;
+    }else{
+      return dataCases.invalid;
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Keep track of an error, then throw it in strict mode or log it.
+  * The errors that are not PixBinErrors are unexpected and always thrown.
+  * @param {Error} error - the error
+  * @return {null} when not in strict mode
+  */
+  _fail( error ){
+    if( !(error instanceof PixBinError) ){
+      throw error;
+    }
+
+    this._lastError = error;
+    return Logger.report( error, this._strict );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Prepare the encoding of the input: the metadata are serialized, the typed arrays are
+  * converted to the target endianness and the objects are serialized.
+  * Throws a PixBinError if the input cannot be encoded.
+  * @return {Object} in form of `{header: Object, metadataBuffer: ArrayBuffer, streams: Array}`,
+  * where each stream is in form of `{bytes: Uint8Array, bsi: Object, isOwned: Boolean}`, `bsi`
+  * being its byte stream info in the header and `isOwned` telling if `bytes` is a copy of the input
+  */
+  _prepare(){
+    var input = this._input;
+
+    if( !input || !this._inputCase ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "An input must be given to the PixBlockEncoder." );
+    }
+
+    var data = input._data;
+    var dataStreams = null;
+    var useMultipleDataStreams = false;
+    var useHybridObject = false;
+    var ndArray = null;
+
+    switch (this._inputCase) {
+
+      // The input is a typed array ********************************
+      case dataCases.typedArray:
+        dataStreams = [ data ];
         break;
 
       // The input is an Array of typed arrays *********************
+      case dataCases.mixedArrays:
+        useMultipleDataStreams = true;
+        dataStreams = data;
+        break;
+
+      // The input is a complex object *****************************
       case dataCases.complexObject:
         {
-          var byteStreamInfoSubset = this._getDataSubsetInfo( data );
-
-          // replace the original data object with this uncompressed serialized version.
-          // We wrap it into a Uint8Array so that we can call .buffer on it, just like all the others
-          encodedData = new Uint8Array( codecutils.CodecUtils.objectToArrayBuffer( data ) );
-          byteStreamInfoSubset.byteLength = encodedData.byteLength;
-
-          if(this._compress){
-            encodedData = pako.deflate( encodedData );
-            byteStreamInfoSubset.compressedByteLength = encodedData.byteLength;
+          // the typed arrays and raw buffers it contains are written as native streams, after its skeleton
+          var hybridObject = HybridObject.split( data );
+
+          if( hybridObject ){
+            useHybridObject = true;
+            dataStreams = [hybridObject.skeleton].concat( hybridObject.typedArrays );
+          }else{
+            dataStreams = [ data ];
           }
+        }
+        break;
 
-          byteStreamInfo.push( byteStreamInfoSubset );
+      // The input is an NdArray *********************************
+      case dataCases.ndArray:
+        dataStreams = data.split();
+        ndArray = {
+          shape: data.getShape(),
+          chunkShape: data.getChunkShape(),
+          arrayType: data.getArrayType()
         }
         break;
 
       default:
-        console.warn("A problem occured.");
-        return;
+        throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "A problem occured." );
     }
 
     // the metadata are converted into a buffer
-    var metadataBuffer = codecutils.CodecUtils.objectToArrayBuffer( input._metadata );
+    var metadataBuffer = null;
+
+    if( this._metadataSerialization === "tagged" ){
+      metadataBuffer = TaggedSerializer.objectToArrayBuffer( input._metadata );
+    }else{
+      metadataBuffer = codecutils.CodecUtils.objectToArrayBuffer( input._metadata );
+    }
+
+    if( !metadataBuffer ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The metadata cannot be serialized as JSON (the tagged serialization may help)." );
+    }
+
+    var streams = dataStreams.map( this._prepareStream, this );
 
     var pixBlockHeader = {
-      byteStreamInfo         : byteStreamInfo,
+      byteStreamInfo         : streams.map(function( stream ){ return stream.bsi }),
       useMultipleDataStreams : useMultipleDataStreams,
-      originalBlockType      : input.constructor.name,
+      originalBlockType      : input.originalBlockType,
       metadataByteLength     : metadataBuffer.byteLength
     }
 
+    // the JSON serialization is implied by the absence of this flag, so that older decoders can read it
+    if( this._metadataSerialization !== "json" ){
+      pixBlockHeader.metadataSerialization = this._metadataSerialization;
+    }
+
+    // the first stream is the skeleton of the object, the others are the typed arrays it contains
+    if( useHybridObject ){
+      pixBlockHeader.useHybridObject = true;
+    }
+
+    // each stream is a chunk, their offsets are added when the block is assembled
+    if( ndArray ){
+      pixBlockHeader.ndArray = ndArray;
+    }
+
+    return {
+      header: pixBlockHeader,
+      metadataBuffer: metadataBuffer,
+      streams: streams
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Prepare a single stream, that can be a typed array or an object to serialize
+  * @param {Object} dataStream - the stream
+  * @return {Object} in form of `{bytes: Uint8Array, bsi: Object, isOwned: Boolean}` (see `_prepare`)
+  */
+  _prepareStream( dataStream ){
+    var byteStreamInfoSubset = this._getDataSubsetInfo( dataStream );
+    var bytes = null;
+    var isOwned = true;
+
+    // only the bytes of a view are written, not the whole buffer it is a view on
+    if( byteStreamInfoSubset.isRawBuffer ){
+      bytes = TypedArrays.toUint8Array( dataStream );
+      isOwned = false;
+    }else if( !byteStreamInfoSubset.isTypedArray ){
+      // if not a typed array, this subset needs further modifications
+      bytes = new Uint8Array( codecutils.CodecUtils.objectToArrayBuffer( dataStream ) );
+      byteStreamInfoSubset.byteLength = bytes.byteLength;
+    }else{
+      var targetStream = this._toTargetEndianness( dataStream );
+      isOwned = ( targetStream !== dataStream );
+      bytes = TypedArrays.toUint8Array( targetStream );
+    }
+
+    return {
+      bytes: bytes,
+      bsi: byteStreamInfoSubset,
+      isOwned: isOwned
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Build the task to give to `encodeStream` for a prepared stream
+  * @param {Object} stream - a prepared stream (see `_prepare`)
+  * @param {Boolean} toTransfer - true if the bytes will be transferred to a worker, so they
+  * are copied if they belong to the input
+  * @return {Object} the task
+  */
+  _getStreamTask( stream, toTransfer ){
+    var filterInfo = null;
+
+    if( stream.bsi.isTypedArray ){
+      filterInfo = {
+        type: stream.bsi.type,
+        bytesPerElements: stream.bsi.bytesPerElements,
+        isLittleEndian: this._isLittleEndian
+      }
+    }
+
+    return {
+      bytes: ( toTransfer && !stream.isOwned ) ? stream.bytes.slice() : stream.bytes,
+      filterInfo: filterInfo,
+      filters: this._filters,
+      codec: this._codec,
+      codecParams: this._codecParams
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Replace the bytes of a prepared stream by its compressed version. The codec, its params,
+  * the compressed size and the names of the filters are added to the byte stream info.
+  * @param {Object} stream - a prepared stream (see `_prepare`)
+  * @param {Object} encodedStream - the output of `encodeStream`
+  */
+  _setEncodedStream( stream, encodedStream ){
+    if( encodedStream.filters.length ){
+      stream.bsi.filters = encodedStream.filters;
+    }
+
+    stream.bsi.compressedByteLength = encodedStream.bytes.byteLength;
+    stream.bsi.codec = this._codec;
+    stream.bsi.codecParams = this._codecParams;
+    stream.bytes = encodedStream.bytes;
+    stream.isOwned = true;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Build the block out of the prepared header, metadata and streams
+  * @param {Object} prepared - the output of `_prepare`, with the streams as they must be written
+  * @return {ArrayBuffer} the block
+  */
+  _assemble( prepared ){
+    var pixBlockHeader = prepared.header;
+    var streams = prepared.streams;
+    var streamStore = pixBlockHeader.ndArray ? null : this._streamStore;
+
+    // the streams already stored are replaced by a reference to their hash
+    if( streamStore ){
+      PixBlockEncoder._shareStreams( streams, streamStore );
+    }
+
+    // adding the checksum of each stream, as it is stored
+    if( this._streamChecksumAlgorithm ){
+      for(var i=0; i<streams.length; i++){
+        if( !streams[i].bsi.sharedStream ){
+          streams[i].bsi.checksum = Checksum.compute( streams[i].bytes, this._streamChecksumAlgorithm );
+        }
+      }
+
+      pixBlockHeader.streamChecksumAlgorithm = this._streamChecksumAlgorithm;
+    }
+
+    // the padding of the streams is counted from the end of the metadata,
+    // which is itself aligned by padding the header
+    var blockAlignment = StreamAlignment.getBlockAlignment( this._streamAlignment );
+    var dataByteLength = 0;
+    var chunkByteOffsets = [];
+
+    for(var i=0; i<streams.length; i++){
+      // a shared stream has no byte in the block, so nothing to align
+      var padding = streams[i].bsi.sharedStream ? 0 : StreamAlignment.getPadding( dataByteLength, this._getStreamAlignment( streams[i].bsi ) );
+
+      if( padding ){
+        streams[i].bsi.padding = padding;
+      }
+
+      chunkByteOffsets.push( dataByteLength + padding );
+      dataByteLength += padding + streams[i].bytes.byteLength;
+    }
+
+    // where each chunk of an NdArray starts, from the end of the metadata,
+    // so that a region can be read without the other chunks
+    if( pixBlockHeader.ndArray ){
+      pixBlockHeader.ndArray.chunkByteOffsets = chunkByteOffsets;
+    }
+
+    FormatVersion.stampBlockHeader( pixBlockHeader );
+
     // converting the pixBlockHeader obj into a buffer
     var pixBlockHeaderBuff = codecutils.CodecUtils.objectToArrayBuffer( pixBlockHeader );
+    var metadataByteOffset = 5 + pixBlockHeaderBuff.byteLength;
+    pixBlockHeaderBuff = StreamAlignment.padJsonBuffer( pixBlockHeaderBuff, StreamAlignment.getPadding( metadataByteOffset + prepared.metadataBuffer.byteLength, blockAlignment ) );
+
+    // the stored streams are located from the beginning of the block, to be found by the other blocks
+    if( streamStore ){
+      var dataByteOffset = 5 + pixBlockHeaderBuff.byteLength + prepared.metadataBuffer.byteLength;
+
+      for(var i=0; i<streams.length; i++){
+        if( streams[i].bsi.sharedStream ){
+          streamStore.addReference( streams[i].bsi.contentHash, this._blockIndex );
+        }else{
+          streamStore.addStream( streams[i].bsi.contentHash, this._blockIndex, dataByteOffset + chunkByteOffsets[i], streams[i].bytes.byteLength );
+        }
+      }
+    }
+
+    // primer, part 1: endianess
+    // primer, part 2: size of the header buff
+    var blockPrimer = new ArrayBuffer( 5 );
+    var blockPrimerView = new DataView( blockPrimer );
+    blockPrimerView.setUint8( 0, +this._isLittleEndian );
+    blockPrimerView.setUint32( 1, pixBlockHeaderBuff.byteLength, this._isLittleEndian );
 
     // this list will then be transformed into a single buffer
     var allBuffers = [
-      // primer, part 1: endianess
-      new Uint8Array( [ + codecutils.CodecUtils.isPlatformLittleEndian() ] ).buffer,
-      // primer, part 2: size of the header buff
-      new Uint32Array( [pixBlockHeaderBuff.byteLength] ).buffer,
+      blockPrimer,
 
       // the header buff
       pixBlockHeaderBuff,
 
       // the metadata buffer
-      metadataBuffer
+      prepared.metadataBuffer
     ]
 
-    // adding the actual encodedData buffer to the list
-    if( useMultipleDataStreams ){
-      for(var i=0; i<encodedData.length; i++){
-          allBuffers.push( encodedData[i].buffer )
+    // adding the actual data buffers to the list. The streams can be views on larger
+    // buffers (ie. a subarray), that mergeBuffers reads through their own byte range
+    for(var i=0; i<streams.length; i++){
+      if( streams[i].bsi.padding ){
+        allBuffers.push( new ArrayBuffer(streams[i].bsi.padding) );
       }
-    }else{
-      allBuffers.push( encodedData.buffer )
+
+      allBuffers.push( streams[i].bytes )
     }
 
-    this._output = codecutils.CodecUtils.mergeBuffers( allBuffers );
+    // so that the next block of a PixBin is aligned too
+    var blockPadding = StreamAlignment.getPadding( dataByteLength, blockAlignment );
+
+    if( blockPadding ){
+      allBuffers.push( new ArrayBuffer(blockPadding) );
+    }
+
+    return codecutils.CodecUtils.mergeBuffers( allBuffers );
   }
 
 
   /**
-  * [STATIC]
-  * Give in what case we fall when we want to use this data.
-  * Cases are described at the top
-  * @param {Whatever} data - a piec of data, object, array, typed array...
-  * @return {Number} the case
+  * [PRIVATE][static]
+  * Add the hash of its stored bytes to the byte stream info of each stream, and turn the
+  * streams that are already in the store, or earlier in the block, into shared streams:
+  * they keep their byte stream info, so that they are decoded the same way, but they
+  * have no byte in the block.
+  * @param {Array} streams - the prepared streams (see `_prepare`), as they must be written
+  * @param {StreamStore} streamStore - the streams stored in the previous blocks
   */
-  static determineDataCase( data ){
-    if( data instanceof Object ){
-      if( codecutils.CodecUtils.isTypedArray( data ) )
-        return dataCases.typedArray;
+  static _shareStreams( streams, streamStore ){
+    var blockHashes = [];
+
+    streams.forEach(function( stream ){
+      var contentHash = StreamStore.computeHash( stream.bytes );
+      stream.bsi.contentHash = contentHash;
+
+      if( streamStore.has( contentHash ) || blockHashes.indexOf( contentHash ) !== -1 ){
+        stream.bsi.sharedStream = true;
+        stream.bytes = new Uint8Array( 0 );
+        stream.isOwned = true;
+      }else{
+        blockHashes.push( contentHash );
+      }
+    });
+  }
 
-      /*
-      if( data instanceof Array )
-        if(data.every( function(element){ return codecutils.CodecUtils.isTypedArray(element) }))
-          return dataCases.mixedArrays;
-      */
 
-      // TODO: change the name of this case, since we want to accept Arrays of whatever
-      if( data instanceof Array )
-        return dataCases.mixedArrays;
+  /**
+  * [PRIVATE]
+  * Get the alignment of a stream in the block
+  * @param {Object} bsi - the byte stream info of the stream
+  * @return {Number} the alignment in bytes, 0 for none
+  */
+  _getStreamAlignment( bsi ){
+    if( this._streamAlignment === "element" ){
+      return bsi.isTypedArray ? bsi.bytesPerElements : 0;
+    }
 
-      return dataCases.complexObject;
-    }else{
-      return dataCases.invalid;
+    return this._streamAlignment;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get the typed array as it should be written, with the target endianness.
+  * If no swapping is necessary, the typed array is returned as is.
+  * @param {TypedArray} typedArray - a typed array, in the endianness of the platform
+  * @return {TypedArray} a typed array that can be written
+  */
+  _toTargetEndianness( typedArray ){
+    if( !ByteOrder.needsSwap( this._isLittleEndian, typedArray.BYTES_PER_ELEMENT ) ){
+      return typedArray;
     }
+
+    return ByteOrder.swapCopy( TypedArrays.toUint8Array( typedArray ), typedArray.BYTES_PER_ELEMENT );
   }
 
 
   /**
   * [PRIVATE]
   * Return some infomation about the data subset so that it's easier to parse later
-  * @param {Object} subset - can be a typedArray or a complex object
+  * @param {Object} subset - can be a typedArray, a raw buffer or a complex object
   * @return {Object} reconstruction info about this subset
   */
   _getDataSubsetInfo( subset ){
     var infoObj = null;
+    var rawBufferType = TypedArrays.getRawBufferType( subset );
 
-    if( codecutils.CodecUtils.isTypedArray(subset) ){
-      infoObj = codecutils.CodecUtils.getTypedArrayInfo( subset );
+    if( rawBufferType ){
+      infoObj = {
+        type: rawBufferType,
+        compressedByteLength: null,
+        byteLength: subset.byteLength,
+        length: null,
+        isTypedArray: false,
+        isRawBuffer: true
+      }
+    }else if( TypedArrays.isTypedArray(subset) ){
+      infoObj = TypedArrays.getInfo( subset );
       infoObj.isTypedArray = true;
       infoObj.compressedByteLength = null;
     }else{
@@ -0,0 +1,166 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { ErrorCodes, InputError } from './PixBinError.js';
+
+// the different kinds of sink we can write to
+const sinkTypes = {
+  nodeWritable: 1,    // a Node Writable, like from fs.createWriteStream
+  whatwgWritable: 2,  // a WHATWG WritableStream
+  callback: 3         // a function called with every buffer
+}
+
+
+/**
+* A SinkWriter wraps a Node Writable, a WHATWG WritableStream or a callback function
+* so that they can all be written the same way, while respecting backpressure.
+* Every writing returns a Promise that is resolved when the sink is ready to take more.
+*/
+class SinkWriter {
+
+  /**
+  * @param {Object} sink - a Node Writable, a WHATWG WritableStream or a function
+  * called with each ArrayBuffer to write (it can return a Promise to make the writer wait)
+  */
+  constructor( sink ){
+    this._sink = sink;
+    this._writer = null;
+    this._sinkType = SinkWriter.determineSinkType( sink );
+
+    if( !this._sinkType ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The sink must be a Node Writable, a WHATWG WritableStream or a function." );
+    }
+
+    if( this._sinkType === sinkTypes.whatwgWritable ){
+      this._writer = sink.getWriter();
+    }
+  }
+
+
+  /**
+  * [static]
+  * Give the kind of sink
+  * @param {Object} sink - a candidate sink
+  * @return {Number} the sink type, or null if not a sink
+  */
+  static determineSinkType( sink ){
+    if( typeof sink === "function" )
+      return sinkTypes.callback;
+
+    if( sink && typeof sink.getWriter === "function" )
+      return sinkTypes.whatwgWritable;
+
+    if( sink && typeof sink.write === "function" && typeof sink.once === "function" )
+      return sinkTypes.nodeWritable;
+
+    return null;
+  }
+
+
+  /**
+  * Write a buffer to the sink
+  * @param {ArrayBuffer} buff - the buffer to write
+  * @return {Promise} resolved when the sink is ready to take more data
+  */
+  write( buff ){
+    var sink = this._sink;
+    var bytes = new Uint8Array( buff );
+
+    switch (this._sinkType) {
+      case sinkTypes.callback:
+        try{
+          return Promise.resolve( sink( buff ) );
+        }catch( e ){
+          return Promise.reject( e );
+        }
+
+      case sinkTypes.whatwgWritable:
+        var writer = this._writer;
+        return writer.ready.then(function(){
+          return writer.write( bytes );
+        });
+
+      case sinkTypes.nodeWritable:
+        return new Promise(function( resolve, reject ){
+          function onError( e ){
+            reject( e );
+          }
+
+          sink.once("error", onError);
+
+          var canContinue = sink.write( bytes, function( e ){
+            sink.removeListener("error", onError);
+
+            if( e ){
+              reject( e );
+            }else if( canContinue ){
+              resolve();
+            }
+          });
+
+          // backpressure: the buffer of the stream is full
+          if( !canContinue ){
+            sink.once("drain", resolve);
+          }
+        });
+    }
+  }
+
+
+  /**
+  * Close the sink. Nothing happens for a callback sink.
+  * @return {Promise} resolved when the sink is closed
+  */
+  close(){
+    var sink = this._sink;
+
+    switch (this._sinkType) {
+      case sinkTypes.whatwgWritable:
+        return this._writer.close();
+
+      case sinkTypes.nodeWritable:
+        return new Promise(function( resolve, reject ){
+          sink.once("error", reject);
+          sink.end( resolve );
+        });
+
+      default:
+        return Promise.resolve();
+    }
+  }
+
+
+  /**
+  * Abort the writing, when it failed: a WHATWG WritableStream is aborted and a Node Writable
+  * is destroyed, so that what was written is not taken for a complete output.
+  * Nothing happens for a callback sink.
+  * @param {Error} reason - the error that made the writing fail
+  * @return {Promise} resolved when the sink is aborted, never rejected
+  */
+  abort( reason ){
+    var sink = this._sink;
+
+    switch (this._sinkType) {
+      case sinkTypes.whatwgWritable:
+        return this._writer.abort( reason ).catch(function(){});
+
+      case sinkTypes.nodeWritable:
+        // destroyed without an error, so that it does not emit one nobody listens to
+        if( typeof sink.destroy === "function" ){
+          sink.destroy();
+        }
+        return Promise.resolve();
+
+      default:
+        return Promise.resolve();
+    }
+  }
+
+} /* END of class SinkWriter */
+
+export { SinkWriter }
@@ -0,0 +1,107 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+
+// the largest number of bytes per element of a typed array
+const MAX_BYTES_PER_ELEMENT = 8;
+
+// the largest alignment a rewritten block keeps, beyond which the padding would cost too much
+const MAX_LAYOUT_ALIGNMENT = 4096;
+
+
+/**
+* StreamAlignment gathers some static methods about the alignment of the streams,
+* of the blocks and of the index (see `PixBlockEncoder.setStreamAlignment`).
+* They are shared by the encoders, that write the padding, and by the editor, that
+* has to keep it when it rewrites a block.
+* Like CodecUtils, it does not have to be instanciated.
+*/
+class StreamAlignment {
+
+  /**
+  * [static]
+  * Tells if a stream alignment is valid: 0, "element" or a power of two number of bytes
+  * @param {Number|String} alignment - the candidate
+  * @return {Boolean} true if valid
+  */
+  static isValid( alignment ){
+    if( alignment === 0 || alignment === "element" ){
+      return true;
+    }
+
+    return typeof alignment === "number" && alignment >= 1 && Math.floor( alignment ) === alignment && ( alignment & (alignment - 1) ) === 0;
+  }
+
+
+  /**
+  * [static]
+  * Get the alignment of the blocks for a stream alignment. With "element", the blocks
+  * are aligned on the largest number of bytes per element, so that any stream can be.
+  * @param {Number|String} alignment - a valid stream alignment
+  * @return {Number} the alignment in bytes, 0 for none
+  */
+  static getBlockAlignment( alignment ){
+    return alignment === "element" ? MAX_BYTES_PER_ELEMENT : alignment;
+  }
+
+
+  /**
+  * [static]
+  * Get the alignment of the layout of an encoded block: the largest power of two that divides both
+  * the end of its metadata and its byte length. The streams of a block encoded with a stream
+  * alignment are aligned on at most this many bytes, so a block that is rewritten keeps them
+  * aligned by keeping the end of its metadata on a multiple of it.
+  * @param {Number} metadataEnd - the offset of the end of the metadata, from the beginning of the block
+  * @param {Number} byteLength - the byte length of the block
+  * @return {Number} the alignment in bytes, at least 1
+  */
+  static getLayoutAlignment( metadataEnd, byteLength ){
+    var alignment = 1;
+
+    while( alignment < MAX_LAYOUT_ALIGNMENT && metadataEnd % (alignment * 2) === 0 && byteLength % (alignment * 2) === 0 ){
+      alignment *= 2;
+    }
+
+    return alignment;
+  }
+
+
+  /**
+  * [static]
+  * Get the number of bytes to add after an offset to reach a multiple of the alignment
+  * @param {Number} byteOffset - the offset
+  * @param {Number} alignment - the alignment in bytes, 0 for none
+  * @return {Number} the number of bytes
+  */
+  static getPadding( byteOffset, alignment ){
+    return alignment ? ( alignment - byteOffset % alignment ) % alignment : 0;
+  }
+
+
+  /**
+  * [static]
+  * Add trailing spaces to a serialized JSON object, that are ignored when it is parsed.
+  * This is how the header of a block and the index are padded.
+  * @param {ArrayBuffer} buff - the serialized object
+  * @param {Number} padding - the number of spaces
+  * @return {ArrayBuffer} buff if padding is 0, a padded copy otherwise
+  */
+  static padJsonBuffer( buff, padding ){
+    if( !padding ){
+      return buff;
+    }
+
+    var padded = new Uint8Array( buff.byteLength + padding );
+    padded.fill( 0x20 );
+    padded.set( new Uint8Array(buff) );
+    return padded.buffer;
+  }
+
+} /* END of class StreamAlignment */
+
+export { StreamAlignment }
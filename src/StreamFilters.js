@@ -0,0 +1,303 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { Logger } from './Logger.js';
+
+// the registered filters, by name
+const filters = {};
+
+
+/**
+* The StreamFilters registry gathers the reversible filters that can be applied to
+* the typed array streams of a PixBlock before they are compressed. Well chosen, a filter
+* rearranges the bytes so that the compression codec performs better.
+* The names of the filters applied to a stream are written in its `byteStreamInfo`,
+* so that the decoder can reverse them.
+*
+* The built-in filters are:
+* - "shuffle": groups the first bytes of all the elements, then the second bytes, etc. (like HDF5 shuffle)
+* - "bitshuffle": same idea at the bit level, groups the first bits of all the elements, then the second bits, etc.
+* - "delta": replaces each element by its difference with the previous one (integer arrays only)
+*
+* A filter is an object with three methods:
+* - `accepts( info )`: tells if the filter can be applied to a stream
+* - `encode( bytes, info )`: gets a Uint8Array, returns a new filtered Uint8Array of the same size
+* - `decode( bytes, info )`: gets a filtered Uint8Array, returns the original Uint8Array
+* where `info` is `{type: "int" or "float", bytesPerElements: Number, isLittleEndian: Boolean}`,
+* `isLittleEndian` being the endianness of the elements in `bytes`.
+*
+* StreamFilters does not have to be instanciated.
+*/
+class StreamFilters {
+
+  /**
+  * [static]
+  * Register a filter. If a filter with the same name exists, it is replaced.
+  * @param {String} name - name of the filter, as written in the block header
+  * @param {Object} filter - an object with the methods `accepts`, `encode` and `decode`
+  * @return {Boolean} true if registered, false if the filter is not valid
+  */
+  static register( name, filter ){
+    if( typeof name !== "string" || !filter ||
+        typeof filter.accepts !== "function" ||
+        typeof filter.encode !== "function" ||
+        typeof filter.decode !== "function" ){
+      Logger.warn("A filter must have a name, an accepts(), an encode() and a decode() method.");
+      return false;
+    }
+
+    filters[ name ] = filter;
+    return true;
+  }
+
+
+  /**
+  * [static]
+  * Tells if a filter is registered
+  * @param {String} name - name of the filter
+  * @return {Boolean} true if registered
+  */
+  static has( name ){
+    return filters.hasOwnProperty( name );
+  }
+
+
+  /**
+  * [static]
+  * Get a filter
+  * @param {String} name - name of the filter
+  * @return {Object} the filter, or null if not registered
+  */
+  static get( name ){
+    return StreamFilters.has( name ) ? filters[ name ] : null;
+  }
+
+
+  /**
+  * [static]
+  * Get the names of all the registered filters
+  * @return {Array} list of names
+  */
+  static getNames(){
+    return Object.keys( filters );
+  }
+
+
+  /**
+  * [static]
+  * Byte shuffle: the byte b of the element e goes to b * numberOfElements + e
+  * @param {Uint8Array} bytes - the bytes to shuffle
+  * @param {Number} bytesPerElements - number of bytes per element
+  * @return {Uint8Array} the shuffled bytes
+  */
+  static shuffle( bytes, bytesPerElements ){
+    var numberOfElements = Math.floor( bytes.length / bytesPerElements );
+    var out = new Uint8Array( bytes.length );
+
+    for(var e=0; e<numberOfElements; e++){
+      for(var b=0; b<bytesPerElements; b++){
+        out[ b * numberOfElements + e ] = bytes[ e * bytesPerElements + b ];
+      }
+    }
+
+    // trailing bytes that do not make a whole element (should not happen)
+    out.set( bytes.subarray(numberOfElements * bytesPerElements), numberOfElements * bytesPerElements );
+    return out;
+  }
+
+
+  /**
+  * [static]
+  * Reverse of `shuffle`
+  * @param {Uint8Array} bytes - the shuffled bytes
+  * @param {Number} bytesPerElements - number of bytes per element
+  * @return {Uint8Array} the unshuffled bytes
+  */
+  static unshuffle( bytes, bytesPerElements ){
+    var numberOfElements = Math.floor( bytes.length / bytesPerElements );
+    var out = new Uint8Array( bytes.length );
+
+    for(var e=0; e<numberOfElements; e++){
+      for(var b=0; b<bytesPerElements; b++){
+        out[ e * bytesPerElements + b ] = bytes[ b * numberOfElements + e ];
+      }
+    }
+
+    out.set( bytes.subarray(numberOfElements * bytesPerElements), numberOfElements * bytesPerElements );
+    return out;
+  }
+
+
+  /**
+  * [static]
+  * Bit shuffle: the bit t of the byte b of the element e goes to the bit plane
+  * (b * 8 + t), at the position e. Like the bitshuffle library, the elements are
+  * processed by groups of 8 and the remaining elements are copied as they are.
+  * @param {Uint8Array} bytes - the bytes to shuffle
+  * @param {Number} bytesPerElements - number of bytes per element
+  * @return {Uint8Array} the shuffled bytes
+  */
+  static bitshuffle( bytes, bytesPerElements ){
+    var numberOfElements = Math.floor( bytes.length / bytesPerElements );
+    var shuffledElements = numberOfElements - (numberOfElements % 8);
+    var planeByteLength = shuffledElements / 8;
+    var out = new Uint8Array( bytes.length );
+
+    for(var e=0; e<shuffledElements; e++){
+      var planeByte = e >> 3;
+      var planeBit = 1 << (e & 7);
+
+      for(var b=0; b<bytesPerElements; b++){
+        var value = bytes[ e * bytesPerElements + b ];
+
+        for(var t=0; value && t<8; t++, value >>= 1){
+          if( value & 1 ){
+            out[ (b * 8 + t) * planeByteLength + planeByte ] |= planeBit;
+          }
+        }
+      }
+    }
+
+    out.set( bytes.subarray(shuffledElements * bytesPerElements), shuffledElements * bytesPerElements );
+    return out;
+  }
+
+
+  /**
+  * [static]
+  * Reverse of `bitshuffle`
+  * @param {Uint8Array} bytes - the shuffled bytes
+  * @param {Number} bytesPerElements - number of bytes per element
+  * @return {Uint8Array} the unshuffled bytes
+  */
+  static bitunshuffle( bytes, bytesPerElements ){
+    var numberOfElements = Math.floor( bytes.length / bytesPerElements );
+    var shuffledElements = numberOfElements - (numberOfElements % 8);
+    var planeByteLength = shuffledElements / 8;
+    var out = new Uint8Array( bytes.length );
+
+    for(var plane=0; plane<bytesPerElements * 8; plane++){
+      var b = plane >> 3;
+      var bit = 1 << (plane & 7);
+
+      for(var p=0; p<planeByteLength; p++){
+        var value = bytes[ plane * planeByteLength + p ];
+
+        for(var i=0; value && i<8; i++, value >>= 1){
+          if( value & 1 ){
+            out[ ((p << 3) + i) * bytesPerElements + b ] |= bit;
+          }
+        }
+      }
+    }
+
+    out.set( bytes.subarray(shuffledElements * bytesPerElements), shuffledElements * bytesPerElements );
+    return out;
+  }
+
+
+  /**
+  * [static]
+  * First-order delta of integers: each element is replaced by its difference
+  * with the previous one, modulo 2^(8 * bytesPerElements), so that it is reversible
+  * for signed and unsigned integers.
+  * @param {Uint8Array} bytes - the bytes of the integer elements
+  * @param {Number} bytesPerElements - number of bytes per element (1, 2, 4 or 8)
+  * @param {Boolean} isLittleEndian - the endianness of the elements
+  * @param {Boolean} reverse - true to undo the delta (cumulative sum)
+  * @return {Uint8Array} the transformed bytes
+  */
+  static delta( bytes, bytesPerElements, isLittleEndian, reverse ){
+    var out = new Uint8Array( bytes.length );
+    var inView = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+    var outView = new DataView( out.buffer );
+    var numberOfElements = Math.floor( bytes.length / bytesPerElements );
+    var previous = 0;
+    var current = 0;
+    var i = 0;
+
+    switch (bytesPerElements) {
+      case 1:
+        for(i=0; i<numberOfElements; i++){
+          current = bytes[i];
+          out[i] = reverse ? (current + previous) : (current - previous);
+          previous = reverse ? out[i] : current;
+        }
+        break;
+
+      case 2:
+        for(i=0; i<numberOfElements; i++){
+          current = inView.getUint16( i * 2, isLittleEndian );
+          outView.setUint16( i * 2, reverse ? (current + previous) : (current - previous), isLittleEndian );
+          previous = reverse ? outView.getUint16( i * 2, isLittleEndian ) : current;
+        }
+        break;
+
+      case 4:
+        for(i=0; i<numberOfElements; i++){
+          current = inView.getUint32( i * 4, isLittleEndian );
+          outView.setUint32( i * 4, reverse ? (current + previous) : (current - previous), isLittleEndian );
+          previous = reverse ? outView.getUint32( i * 4, isLittleEndian ) : current;
+        }
+        break;
+
+      case 8:
+        // 64 bits integers must be read as BigInt. setBigUint64 wraps around 2^64 by itself.
+        previous = BigInt( 0 );
+        for(i=0; i<numberOfElements; i++){
+          current = inView.getBigUint64( i * 8, isLittleEndian );
+          outView.setBigUint64( i * 8, BigInt.asUintN( 64, reverse ? (current + previous) : (current - previous) ), isLittleEndian );
+          previous = reverse ? outView.getBigUint64( i * 8, isLittleEndian ) : current;
+        }
+        break;
+    }
+
+    return out;
+  }
+
+} /* END of class StreamFilters */
+
+
+// Registering the built-in filters
+StreamFilters.register( "shuffle", {
+  accepts: function( info ){
+    return info.bytesPerElements > 1;
+  },
+  encode: function( bytes, info ){
+    return StreamFilters.shuffle( bytes, info.bytesPerElements );
+  },
+  decode: function( bytes, info ){
+    return StreamFilters.unshuffle( bytes, info.bytesPerElements );
+  }
+});
+
+StreamFilters.register( "bitshuffle", {
+  accepts: function( info ){
+    return true;
+  },
+  encode: function( bytes, info ){
+    return StreamFilters.bitshuffle( bytes, info.bytesPerElements );
+  },
+  decode: function( bytes, info ){
+    return StreamFilters.bitunshuffle( bytes, info.bytesPerElements );
+  }
+});
+
+StreamFilters.register( "delta", {
+  accepts: function( info ){
+    return info.type === "int" && [1, 2, 4, 8].indexOf( info.bytesPerElements ) !== -1;
+  },
+  encode: function( bytes, info ){
+    return StreamFilters.delta( bytes, info.bytesPerElements, info.isLittleEndian, false );
+  },
+  decode: function( bytes, info ){
+    return StreamFilters.delta( bytes, info.bytesPerElements, info.isLittleEndian, true );
+  }
+});
+
+export { StreamFilters }
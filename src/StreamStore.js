@@ -0,0 +1,161 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { Checksum } from './Checksum.js';
+import { ErrorCodes, InputError } from './PixBinError.js';
+
+
+/**
+* A StreamStore keeps track of the streams written in the blocks of a PixBin, by the hash
+* of their stored bytes (see `computeHash`), so that a block that contains a stream already
+* written refers to it rather than storing it again (see `PixBinEncoder.enableStreamDeduplication`).
+* The blocks are identified by their index in the PixBin, and the streams by their position
+* from the beginning of their block.
+*/
+class StreamStore {
+
+  constructor(){
+    this._streams = {};
+    this._references = [];
+  }
+
+
+  /**
+  * Tells if a stream with this hash is already stored in a block
+  * @param {String} contentHash - the hash of the stream
+  * @return {Boolean} true if it is stored
+  */
+  has( contentHash ){
+    return this._streams.hasOwnProperty( contentHash );
+  }
+
+
+  /**
+  * Add a stream that is stored in a block. If a stream with the same hash is
+  * already stored, the one of the first block is kept.
+  * @param {String} contentHash - the hash of the stream
+  * @param {Number} block - the index of the block
+  * @param {Number} byteOffset - the position of the stream from the beginning of the block
+  * @param {Number} byteLength - the byte length of the stream, as stored
+  */
+  addStream( contentHash, block, byteOffset, byteLength ){
+    var isReferenced = false;
+
+    if( this.has( contentHash ) ){
+      if( this._streams[ contentHash ].block <= block ){
+        return;
+      }
+
+      isReferenced = this._streams[ contentHash ].isReferenced;
+    }
+
+    this._streams[ contentHash ] = {
+      block: block,
+      byteOffset: byteOffset,
+      byteLength: byteLength,
+      isReferenced: isReferenced
+    }
+  }
+
+
+  /**
+  * Add a reference of a block to a stream stored in a previous block, or earlier in the same one.
+  * The stream does not have to be added yet (see `checkReferences`).
+  * @param {String} contentHash - the hash of the stream
+  * @param {Number} block - the index of the block that refers to the stream
+  */
+  addReference( contentHash, block ){
+    this._references.push({
+      contentHash: contentHash,
+      block: block
+    });
+
+    if( this.has( contentHash ) ){
+      this._streams[ contentHash ].isReferenced = true;
+    }
+  }
+
+
+  /**
+  * Get the streams stored in a block that other blocks refer to, as they are described
+  * in the entry of the block in the PixBin index
+  * @param {Number} block - the index of the block
+  * @return {Object} in form of `{contentHash: {byteOffset: Number, byteLength: Number}}`,
+  * or null if the block has none
+  */
+  getSharedStreams( block ){
+    var sharedStreams = null;
+
+    for(var contentHash in this._streams){
+      var stream = this._streams[ contentHash ];
+
+      if( stream.block === block && stream.isReferenced ){
+        sharedStreams = sharedStreams || {};
+        sharedStreams[ contentHash ] = {
+          byteOffset: stream.byteOffset,
+          byteLength: stream.byteLength
+        }
+      }
+    }
+
+    return sharedStreams;
+  }
+
+
+  /**
+  * Get the hashes of the streams a block refers to
+  * @param {Number} block - the index of the block
+  * @return {Array} the hashes, each once, or null if the block has no reference
+  */
+  getReferences( block ){
+    var contentHashes = [];
+
+    this._references.forEach(function( reference ){
+      if( reference.block === block && contentHashes.indexOf( reference.contentHash ) === -1 ){
+        contentHashes.push( reference.contentHash );
+      }
+    });
+
+    return contentHashes.length ? contentHashes : null;
+  }
+
+
+  /**
+  * Check that every stream a block refers to is stored in this block or a previous one,
+  * so that the blocks can be decoded in order, and mark the streams that are referenced
+  * before they were added.
+  * Throws an InputError if a stream is not stored, or only in a later block.
+  */
+  checkReferences(){
+    this._references.forEach(function( reference ){
+      if( !this.has( reference.contentHash ) ){
+        throw new InputError( ErrorCodes.INVALID_INPUT, "The block #" + reference.block + " refers to the shared stream " + reference.contentHash + ", that is not stored in any block of the PixBin.", {block: reference.block, contentHash: reference.contentHash} );
+      }
+
+      if( this._streams[ reference.contentHash ].block > reference.block ){
+        throw new InputError( ErrorCodes.INVALID_INPUT, "The block #" + reference.block + " refers to the shared stream " + reference.contentHash + ", that is only stored in the later block #" + this._streams[ reference.contentHash ].block + ".", {block: reference.block, contentHash: reference.contentHash} );
+      }
+
+      this._streams[ reference.contentHash ].isReferenced = true;
+    }, this);
+  }
+
+
+  /**
+  * [static]
+  * Compute the hash that identifies a stream by its content: the sha256 of its bytes, as stored
+  * @param {Uint8Array} bytes - the stream, as stored in the block
+  * @return {String} the hash, as a hexadecimal string
+  */
+  static computeHash( bytes ){
+    return Checksum.compute( bytes, "sha256" );
+  }
+
+} /* END of class StreamStore */
+
+export { StreamStore }
@@ -0,0 +1,381 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import codecutils from 'codecutils';
+import { ByteOrder } from './ByteOrder.js';
+import { TypedArrays } from './TypedArrays.js';
+import { Logger } from './Logger.js';
+import { ErrorCodes, InputError, UnsupportedError } from './PixBinError.js';
+
+
+// name of the attribute that marks a tagged value
+const TAG = "__pixbin__";
+
+// the 64 characters of base64
+const BASE64_CHARS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+
+/**
+* [PRIVATE]
+* Encode some bytes in base64
+* @param {Uint8Array} bytes - the bytes
+* @return {String} the base64 string
+*/
+function bytesToBase64( bytes ){
+  var out = [];
+  var i = 0;
+  var n = 0;
+
+  for(i=0; i+2<bytes.length; i+=3){
+    n = (bytes[i] << 16) | (bytes[i+1] << 8) | bytes[i+2];
+    out.push( BASE64_CHARS[n >> 18] + BASE64_CHARS[(n >> 12) & 63] + BASE64_CHARS[(n >> 6) & 63] + BASE64_CHARS[n & 63] );
+  }
+
+  var remaining = bytes.length - i;
+
+  if( remaining === 1 ){
+    n = bytes[i] << 16;
+    out.push( BASE64_CHARS[n >> 18] + BASE64_CHARS[(n >> 12) & 63] + "==" );
+  }else if( remaining === 2 ){
+    n = (bytes[i] << 16) | (bytes[i+1] << 8);
+    out.push( BASE64_CHARS[n >> 18] + BASE64_CHARS[(n >> 12) & 63] + BASE64_CHARS[(n >> 6) & 63] + "=" );
+  }
+
+  return out.join("");
+}
+
+
+/**
+* [PRIVATE]
+* Decode a base64 string
+* @param {String} str - the base64 string
+* @return {Uint8Array} the bytes
+*/
+function base64ToBytes( str ){
+  var padding = 0;
+
+  if( str.length && str[str.length - 1] === "=" ) padding ++;
+  if( str.length > 1 && str[str.length - 2] === "=" ) padding ++;
+
+  var bytes = new Uint8Array( (str.length / 4) * 3 - padding );
+  var b = 0;
+
+  for(var i=0; i<str.length; i+=4){
+    var n = 0;
+
+    for(var c=0; c<4; c++){
+      var index = BASE64_CHARS.indexOf( str[i + c] );
+      n = (n << 6) | (index < 0 ? 0 : index);
+    }
+
+    if( b < bytes.length ) bytes[ b++ ] = n >> 16;
+    if( b < bytes.length ) bytes[ b++ ] = (n >> 8) & 255;
+    if( b < bytes.length ) bytes[ b++ ] = n & 255;
+  }
+
+  return bytes;
+}
+
+
+/**
+* [PRIVATE]
+* Build a tagged value
+* @param {String} type - the tag
+* @param {Object} value - the JSON-compatible value
+* @return {Object} the tagged value
+*/
+function tag( type, value ){
+  var tagged = {};
+  tagged[ TAG ] = type;
+
+  if( value !== undefined ){
+    tagged.value = value;
+  }
+
+  return tagged;
+}
+
+
+/**
+* The TaggedSerializer converts values to and from a JSON-compatible form that
+* keeps what a plain JSON round-trip loses: Date, typed arrays, ArrayBuffer, DataView,
+* Map, Set, BigInt, NaN, Infinity, -0 and undefined. Each of them is replaced by
+* a tagged object, ie. `{"__pixbin__": "Date", "value": 1514764800000}`. The typed arrays
+* and buffers are stored in base64, in little endian. The plain objects that happen
+* to have a `__pixbin__` attribute are tagged as well, so that they are not mistaken
+* for tagged values. Like JSON, the functions and symbols are dropped.
+*
+* This is the "tagged" serialization of the metadata (see `PixBlockEncoder.setMetadataSerialization`).
+* TaggedSerializer does not have to be instanciated.
+*/
+class TaggedSerializer {
+
+  /**
+  * [static]
+  * Convert a value into its JSON-compatible tagged form
+  * @param {Object} value - any value, without cyclic structures
+  * @return {Object} a value that can be given to JSON.stringify
+  */
+  static encode( value ){
+    return TaggedSerializer._encodeValue( value, [] );
+  }
+
+
+  /**
+  * [static]
+  * Convert a tagged value back into the original value
+  * @param {Object} tagged - a value from `TaggedSerializer.encode`, possibly JSON-parsed
+  * @return {Object} the original value
+  */
+  static decode( tagged ){
+    if( Array.isArray( tagged ) ){
+      return tagged.map( TaggedSerializer.decode );
+    }
+
+    if( !tagged || typeof tagged !== "object" ){
+      return tagged;
+    }
+
+    if( !Object.prototype.hasOwnProperty.call( tagged, TAG ) ){
+      return TaggedSerializer._decodeEntries( tagged );
+    }
+
+    var value = tagged.value;
+
+    switch (tagged[ TAG ]) {
+      case "undefined":
+        return undefined;
+
+      case "Number":
+        return ( value === "-0" ) ? -0 : Number( value );
+
+      case "BigInt":
+        return BigInt( value );
+
+      case "Date":
+        return new Date( TaggedSerializer.decode( value ) );
+
+      case "Object":
+        return TaggedSerializer._decodeEntries( value );
+
+      case "Map":
+        return new Map( value.map(function( entry ){
+          return [ TaggedSerializer.decode( entry[0] ), TaggedSerializer.decode( entry[1] ) ];
+        }));
+
+      case "Set":
+        return new Set( value.map( TaggedSerializer.decode ) );
+
+      case "ArrayBuffer":
+        return base64ToBytes( value ).buffer;
+
+      case "DataView":
+        return new DataView( base64ToBytes( value ).buffer );
+
+      case "TypedArray":
+        {
+          var arrayType = TypedArrays.getConstructor( {arrayType: tagged.arrayType} );
+
+          if( !arrayType ){
+            throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "The typed array type " + tagged.arrayType + " is not available on this platform.", {arrayType: tagged.arrayType} );
+          }
+
+          var bytes = base64ToBytes( value );
+
+          if( ByteOrder.needsSwap( true, arrayType.BYTES_PER_ELEMENT ) ){
+            ByteOrder.swapInPlace( bytes, arrayType.BYTES_PER_ELEMENT );
+          }
+
+          return new arrayType( bytes.buffer );
+        }
+
+      default:
+        throw new UnsupportedError( ErrorCodes.UNSUPPORTED_TYPE, "The tagged type " + tagged[ TAG ] + " is unknown.", {type: tagged[ TAG ]} );
+    }
+  }
+
+
+  /**
+  * [static]
+  * Serialize an object into a buffer of tagged JSON (UTF-8)
+  * @param {Object} obj - any value, without cyclic structures
+  * @return {ArrayBuffer} the buffer
+  */
+  static objectToArrayBuffer( obj ){
+    return codecutils.CodecUtils.unicodeToArrayBuffer( JSON.stringify( TaggedSerializer.encode( obj ) ) );
+  }
+
+
+  /**
+  * [static]
+  * Deserialize a buffer of tagged JSON
+  * @param {ArrayBuffer} buff - a buffer from `TaggedSerializer.objectToArrayBuffer`
+  * @return {Object} the object, or null if the buffer could not be parsed
+  */
+  static arrayBufferToObject( buff ){
+    var tagged = null;
+
+    try{
+      tagged = JSON.parse( codecutils.CodecUtils.arrayBufferToUnicode( buff ) );
+    }catch(e){
+      Logger.warn("The tagged object could not be parsed: " + e);
+      return null;
+    }
+
+    return TaggedSerializer.decode( tagged );
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Recursive part of `encode`
+  * @param {Object} value - the value to encode
+  * @param {Array} parents - the objects that contain this value, to spot cyclic structures
+  * @return {Object} the tagged value, or undefined if the value must be dropped
+  */
+  static _encodeValue( value, parents ){
+    switch (typeof value) {
+      case "undefined":
+        return tag( "undefined" );
+
+      case "bigint":
+        return tag( "BigInt", value.toString() );
+
+      case "number":
+        if( value !== value || value === Infinity || value === -Infinity ){
+          return tag( "Number", String( value ) );
+        }
+        if( value === 0 && 1/value < 0 ){
+          return tag( "Number", "-0" );
+        }
+        return value;
+
+      case "function":
+      case "symbol":
+        return undefined;
+
+      case "object":
+        break;
+
+      default:
+        return value;
+    }
+
+    if( value === null ){
+      return null;
+    }
+
+    if( parents.indexOf( value ) !== -1 ){
+      throw new InputError( ErrorCodes.INVALID_INPUT, "The object contains cyclic structures. Cannot be serialized." );
+    }
+
+    if( value instanceof Date ){
+      return tag( "Date", TaggedSerializer._encodeValue( value.getTime(), parents ) );
+    }
+
+    var arrayType = TypedArrays.getArrayType( value );
+
+    if( arrayType ){
+      var bytes = new Uint8Array( value.buffer, value.byteOffset, value.byteLength );
+
+      // typed arrays are stored in little endian
+      bytes = ByteOrder.needsSwap( true, value.BYTES_PER_ELEMENT ) ? ByteOrder.swapCopy( bytes, value.BYTES_PER_ELEMENT ) : bytes;
+
+      var tagged = tag( "TypedArray", bytesToBase64( bytes ) );
+      tagged.arrayType = arrayType;
+      return tagged;
+    }
+
+    if( value instanceof ArrayBuffer ){
+      return tag( "ArrayBuffer", bytesToBase64( new Uint8Array(value) ) );
+    }
+
+    if( value instanceof DataView ){
+      return tag( "DataView", bytesToBase64( new Uint8Array(value.buffer, value.byteOffset, value.byteLength) ) );
+    }
+
+    parents.push( value );
+    var encoded = null;
+
+    if( Array.isArray( value ) ){
+      encoded = new Array( value.length );
+
+      for(var i=0; i<value.length; i++){
+        var encodedElement = TaggedSerializer._encodeValue( value[i], parents );
+        // like JSON, what cannot be serialized becomes null in an array
+        encoded[i] = ( encodedElement === undefined ) ? null : encodedElement;
+      }
+
+    }else if( value instanceof Map ){
+      var entries = [];
+
+      value.forEach(function( v, k ){
+        entries.push([ TaggedSerializer._encodeValue( k, parents ), TaggedSerializer._encodeValue( v, parents ) ]);
+      });
+
+      encoded = tag( "Map", entries );
+
+    }else if( value instanceof Set ){
+      var elements = [];
+
+      value.forEach(function( v ){
+        elements.push( TaggedSerializer._encodeValue( v, parents ) );
+      });
+
+      encoded = tag( "Set", elements );
+
+    }else if( typeof value.toJSON === "function" ){
+      encoded = TaggedSerializer._encodeValue( value.toJSON(), parents );
+
+    }else{
+      encoded = {};
+
+      for(var key in value){
+        if( !Object.prototype.hasOwnProperty.call( value, key ) ){
+          continue;
+        }
+
+        var encodedAttribute = TaggedSerializer._encodeValue( value[key], parents );
+
+        if( encodedAttribute !== undefined ){
+          encoded[ key ] = encodedAttribute;
+        }
+      }
+
+      // an object that looks like a tagged value must be tagged itself
+      if( Object.prototype.hasOwnProperty.call( encoded, TAG ) ){
+        encoded = tag( "Object", encoded );
+      }
+    }
+
+    parents.pop();
+    return encoded;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Decode all the attributes of an untagged object
+  * @param {Object} obj - the object
+  * @return {Object} a new object with decoded attributes
+  */
+  static _decodeEntries( obj ){
+    var decoded = {};
+
+    for(var key in obj){
+      if( Object.prototype.hasOwnProperty.call( obj, key ) ){
+        decoded[ key ] = TaggedSerializer.decode( obj[key] );
+      }
+    }
+
+    return decoded;
+  }
+
+} /* END of class TaggedSerializer */
+
+export { TaggedSerializer }
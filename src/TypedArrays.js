@@ -0,0 +1,198 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import codecutils from 'codecutils';
+
+
+// every standard typed array, by constructor name
+const arrayTypes = {
+  Int8Array:          { type: "int",   signed: true  },
+  Uint8Array:         { type: "int",   signed: false },
+  Uint8ClampedArray:  { type: "int",   signed: false },
+  Int16Array:         { type: "int",   signed: true  },
+  Uint16Array:        { type: "int",   signed: false },
+  Int32Array:         { type: "int",   signed: true  },
+  Uint32Array:        { type: "int",   signed: false },
+  Float32Array:       { type: "float", signed: true  },
+  Float64Array:       { type: "float", signed: true  },
+  BigInt64Array:      { type: "int",   signed: true  },
+  BigUint64Array:     { type: "int",   signed: false }
+}
+
+// the containers of raw bytes, that are written as byte streams
+const rawBufferTypes = ["ArrayBuffer", "SharedArrayBuffer", "DataView"];
+
+
+/**
+* TypedArrays gathers some static methods to describe the typed array streams in
+* the header of a PixBlock, and to find back their constructor when decoding.
+* Unlike CodecUtils, every standard typed array is supported, including
+* Uint8ClampedArray, BigInt64Array and BigUint64Array. The raw byte containers
+* (ArrayBuffer, SharedArrayBuffer and DataView) are also written as native streams.
+* Like CodecUtils, it does not have to be instanciated.
+*/
+class TypedArrays {
+
+  /**
+  * [static]
+  * Get the constructor name of a typed array
+  * @param {Object} obj - a candidate
+  * @return {String} the name, ie. "Float32Array", or null if obj is not a typed array
+  */
+  static getArrayType( obj ){
+    if( !obj || !ArrayBuffer.isView( obj ) ){
+      return null;
+    }
+
+    var globalObject = codecutils.CodecUtils.getGlobalObject();
+
+    for(var arrayType in arrayTypes){
+      if( typeof globalObject[ arrayType ] === "function" && obj instanceof globalObject[ arrayType ] ){
+        return arrayType;
+      }
+    }
+
+    return null;
+  }
+
+
+  /**
+  * [static]
+  * Tells if an object is a typed array (a DataView is not)
+  * @param {Object} obj - a candidate
+  * @return {Boolean} true if obj is a typed array
+  */
+  static isTypedArray( obj ){
+    return TypedArrays.getArrayType( obj ) !== null;
+  }
+
+
+  /**
+  * [static]
+  * Get some info about the given typed array, to be written in the byte stream info
+  * @param {TypedArray} typedArray - one of the typed arrays
+  * @return {Object} in form of {type: String, signed: Boolean, arrayType: String,
+  * bytesPerElements: Number, byteLength: Number, length: Number}
+  */
+  static getInfo( typedArray ){
+    var arrayType = TypedArrays.getArrayType( typedArray );
+
+    return {
+      type: arrayTypes[ arrayType ].type,
+      signed: arrayTypes[ arrayType ].signed,
+      arrayType: arrayType,
+      bytesPerElements: typedArray.BYTES_PER_ELEMENT,
+      byteLength: typedArray.byteLength,
+      length: typedArray.length
+    }
+  }
+
+
+  /**
+  * [static]
+  * Get the constructor name of a raw byte container
+  * @param {Object} obj - a candidate
+  * @return {String} "ArrayBuffer", "SharedArrayBuffer" or "DataView", or null if obj is none of them
+  */
+  static getRawBufferType( obj ){
+    if( !obj || typeof obj !== "object" ){
+      return null;
+    }
+
+    var globalObject = codecutils.CodecUtils.getGlobalObject();
+
+    for(var i=0; i<rawBufferTypes.length; i++){
+      if( typeof globalObject[ rawBufferTypes[i] ] === "function" && obj instanceof globalObject[ rawBufferTypes[i] ] ){
+        return rawBufferTypes[i];
+      }
+    }
+
+    return null;
+  }
+
+
+  /**
+  * [static]
+  * Tells if an object is a raw byte container: an ArrayBuffer, a SharedArrayBuffer or a DataView
+  * @param {Object} obj - a candidate
+  * @return {Boolean} true if obj is a raw byte container
+  */
+  static isRawBuffer( obj ){
+    return TypedArrays.getRawBufferType( obj ) !== null;
+  }
+
+
+  /**
+  * [static]
+  * Get the constructor of a raw byte container, by name. Where SharedArrayBuffer is not
+  * available (ie. a browser page that is not cross-origin isolated), ArrayBuffer is used instead.
+  * @param {String} rawBufferType - "ArrayBuffer", "SharedArrayBuffer" or "DataView"
+  * @return {Function} the constructor, or null if the name is not a raw byte container
+  */
+  static getRawBufferConstructor( rawBufferType ){
+    if( rawBufferTypes.indexOf( rawBufferType ) === -1 ){
+      return null;
+    }
+
+    var globalObject = codecutils.CodecUtils.getGlobalObject();
+    return typeof globalObject[ rawBufferType ] === "function" ? globalObject[ rawBufferType ] : ArrayBuffer;
+  }
+
+
+  /**
+  * [static]
+  * Get the bytes of a binary input as a Uint8Array, without copying them. Only the bytes
+  * of a view are taken, not the whole buffer it is a view on.
+  * @param {Object} buff - an ArrayBuffer, a SharedArrayBuffer, a typed array (ie. a Node Buffer) or a DataView
+  * @return {Uint8Array} the bytes, or null if buff is none of them
+  */
+  static toUint8Array( buff ){
+    if( buff && ArrayBuffer.isView( buff ) ){
+      return new Uint8Array( buff.buffer, buff.byteOffset, buff.byteLength );
+    }
+
+    var rawBufferType = TypedArrays.getRawBufferType( buff );
+
+    if( rawBufferType === "ArrayBuffer" || rawBufferType === "SharedArrayBuffer" ){
+      return new Uint8Array( buff );
+    }
+
+    return null;
+  }
+
+
+  /**
+  * [static]
+  * Get the typed array constructor described by a byte stream info.
+  * The byte stream info written before `arrayType` was added carry an inverted `signed` flag,
+  * (true for unsigned integers), that is still honored when `arrayType` is missing.
+  * @param {Object} bsi - the byte stream info of a typed array stream
+  * @return {Function} the constructor, or null if it is not available on this platform
+  */
+  static getConstructor( bsi ){
+    var globalObject = codecutils.CodecUtils.getGlobalObject();
+    var arrayType = bsi.arrayType;
+
+    if( !arrayType ){
+      if( bsi.type === "int" ){
+        arrayType = ( bsi.signed ? "Uint" : "Int" ) + bsi.bytesPerElements*8 + "Array";
+      }else if( bsi.type === "float" ){
+        arrayType = "Float" + bsi.bytesPerElements*8 + "Array";
+      }
+    }
+
+    if( !(arrayType in arrayTypes) || typeof globalObject[ arrayType ] !== "function" ){
+      return null;
+    }
+
+    return globalObject[ arrayType ];
+  }
+
+} /* END of class TypedArrays */
+
+export { TypedArrays }
@@ -0,0 +1,312 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+import { PixBlockEncoder } from './PixBlockEncoder.js';
+import { PixBlockDecoder } from './PixBlockDecoder.js';
+import { ErrorCodes, PixBinError, InputError, FormatError, IntegrityError, UnsupportedError, LimitError } from './PixBinError.js';
+
+
+// the operations a worker can run, by name. Each takes a task and returns an object with `bytes`
+const operations = {
+  encodeStream: function( task ){
+    return PixBlockEncoder.encodeStream( task );
+  },
+  decodeStream: function( task ){
+    return PixBlockDecoder.decodeStream( task );
+  }
+}
+
+// the error classes, to rebuild the errors sent by the workers
+const errorClasses = {
+  PixBinError: PixBinError,
+  InputError: InputError,
+  FormatError: FormatError,
+  IntegrityError: IntegrityError,
+  UnsupportedError: UnsupportedError,
+  LimitError: LimitError
+}
+
+
+/**
+* [PRIVATE]
+* Listen to the messages of a Node worker or MessagePort, or of a Web Worker or worker scope
+* @param {Object} target - the worker, or the port of the worker to its parent
+* @param {Function} callback - called with the data of each message
+*/
+function onMessage( target, callback ){
+  if( typeof target.on === "function" ){
+    target.on( "message", callback );
+  }else{
+    target.addEventListener( "message", function( evt ){
+      callback( evt.data );
+    });
+  }
+}
+
+
+/**
+* [PRIVATE]
+* Listen to the failure of a Node worker or of a Web Worker
+* @param {Object} worker - the worker
+* @param {Function} callback - called with the error
+*/
+function onError( worker, callback ){
+  if( typeof worker.on === "function" ){
+    worker.on( "error", callback );
+  }else{
+    worker.addEventListener( "error", callback );
+  }
+}
+
+
+/**
+* A WorkerPool spreads the compression and decompression of the streams over several
+* Web Workers or Node `worker_threads`, for the async methods `encodeAsync` and `decodeAsync`
+* of the encoders and decoders. The buffers are transferred to and from the workers, not copied.
+*
+* The workers are created lazily by a function given to the constructor. Each of them
+* must run a script that loads pixbincodec and calls `WorkerPool.serve(...)`. Since the codecs
+* and filters are looked up in the worker, the custom ones must be registered there as well.
+*
+* **Usage**
+* ```
+* // worker.js, with Node
+* var pixbincodec = require("pixbincodec");
+* pixbincodec.WorkerPool.serve( require("worker_threads").parentPort );
+*
+* // worker.js, in a browser
+* importScripts("pixbincodec.js");
+* pixbincodec.WorkerPool.serve( self );
+*
+* // main thread
+* var pool = new WorkerPool( function(){ return new Worker("worker.js") }, 4 );
+* binEncoder.encodeAsync( pool ).then(function( output ){ ... pool.terminate() });
+* ```
+*/
+class WorkerPool {
+
+  /**
+  * @param {Function} createWorker - returns a new Web Worker or Node Worker running `WorkerPool.serve`
+  * @param {Number} size - maximum number of workers (default: 4)
+  */
+  constructor( createWorker, size=4 ){
+    this._createWorker = createWorker;
+    this._size = Math.max( 1, size );
+    this._workers = [];
+    this._queue = [];
+    this._pendingTasks = {};
+    this._taskCounter = 0;
+  }
+
+
+  /**
+  * Get the maximum number of workers
+  * @return {Number} the size of the pool
+  */
+  getSize(){
+    return this._size;
+  }
+
+
+  /**
+  * Run an operation in one of the workers. If they are all busy, the task waits for one.
+  * @param {String} operation - "encodeStream" (see `PixBlockEncoder.encodeStream`) or
+  * "decodeStream" (see `PixBlockDecoder.decodeStream`)
+  * @param {Object} task - the input of the operation
+  * @param {Array} transfer - the ArrayBuffers of the task to transfer to the worker (default: [])
+  * @return {Promise} resolved with the output of the operation, rejected with its error
+  */
+  run( operation, task, transfer=[] ){
+    var that = this;
+
+    return new Promise(function( resolve, reject ){
+      that._queue.push({
+        id: that._taskCounter ++,
+        operation: operation,
+        task: task,
+        transfer: transfer,
+        resolve: resolve,
+        reject: reject
+      });
+
+      that._dispatch();
+    });
+  }
+
+
+  /**
+  * Stop all the workers. The tasks that are still running or waiting are rejected.
+  * The pool can still be used after that, new workers are then created.
+  */
+  terminate(){
+    var error = new InputError( ErrorCodes.INVALID_OPERATION, "The WorkerPool was terminated." );
+
+    this._workers.forEach(function( entry ){
+      entry.worker.terminate();
+    });
+
+    for(var id in this._pendingTasks){
+      this._pendingTasks[ id ].reject( error );
+    }
+
+    this._queue.forEach(function( pendingTask ){
+      pendingTask.reject( error );
+    });
+
+    this._workers = [];
+    this._queue = [];
+    this._pendingTasks = {};
+  }
+
+
+  /**
+  * [static]
+  * Run an operation in the current thread
+  * @param {String} operation - "encodeStream" or "decodeStream"
+  * @param {Object} task - the input of the operation
+  * @return {Object} the output of the operation
+  */
+  static runTask( operation, task ){
+    if( !operations.hasOwnProperty( operation ) ){
+      throw new InputError( ErrorCodes.INVALID_OPERATION, "The operation " + operation + " does not exist.", {operation: operation} );
+    }
+
+    return operations[ operation ]( task );
+  }
+
+
+  /**
+  * [static]
+  * Make the current worker run the tasks sent by a WorkerPool. To be called in the script
+  * of the workers.
+  * @param {Object} port - `require("worker_threads").parentPort` with Node, `self` in a Web Worker
+  */
+  static serve( port ){
+    onMessage( port, function( message ){
+      var result = null;
+
+      try{
+        result = WorkerPool.runTask( message.operation, message.task );
+      }catch( e ){
+        port.postMessage({
+          id: message.id,
+          error: {
+            name: e.name,
+            code: e.code,
+            message: e.message,
+            details: e.details
+          }
+        });
+        return;
+      }
+
+      port.postMessage( {id: message.id, result: result}, [result.bytes.buffer] );
+    });
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Send the waiting tasks to the idle workers, creating workers if needed
+  */
+  _dispatch(){
+    while( this._queue.length ){
+      var entry = this._getIdleWorker();
+
+      if( !entry ){
+        return;
+      }
+
+      var pendingTask = this._queue.shift();
+      entry.taskId = pendingTask.id;
+      this._pendingTasks[ pendingTask.id ] = pendingTask;
+
+      entry.worker.postMessage({
+        id: pendingTask.id,
+        operation: pendingTask.operation,
+        task: pendingTask.task
+      }, pendingTask.transfer );
+    }
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Get a worker that is not running any task
+  * @return {Object} in form of `{worker: Worker, taskId: Number}`, or null if they are all busy
+  */
+  _getIdleWorker(){
+    for(var i=0; i<this._workers.length; i++){
+      if( this._workers[i].taskId === null ){
+        return this._workers[i];
+      }
+    }
+
+    if( this._workers.length >= this._size ){
+      return null;
+    }
+
+    var that = this;
+    var entry = {
+      worker: this._createWorker(),
+      taskId: null
+    }
+
+    onMessage( entry.worker, function( message ){
+      that._settle( entry, message );
+    });
+
+    // a worker that crashes is dropped, with the task it was running
+    onError( entry.worker, function( error ){
+      var index = that._workers.indexOf( entry );
+
+      if( index !== -1 ){
+        that._workers.splice( index, 1 );
+      }
+
+      if( entry.taskId !== null && entry.taskId in that._pendingTasks ){
+        var pendingTask = that._pendingTasks[ entry.taskId ];
+        delete that._pendingTasks[ entry.taskId ];
+        pendingTask.reject( error instanceof Error ? error : new Error( error.message ) );
+      }
+
+      that._dispatch();
+    });
+
+    this._workers.push( entry );
+    return entry;
+  }
+
+
+  /**
+  * [PRIVATE]
+  * Resolve or reject a task with the message of the worker that ran it
+  * @param {Object} entry - the worker entry
+  * @param {Object} message - the message of the worker, in form of `{id, result}` or `{id, error}`
+  */
+  _settle( entry, message ){
+    var pendingTask = this._pendingTasks[ message.id ];
+    delete this._pendingTasks[ message.id ];
+    entry.taskId = null;
+
+    if( pendingTask ){
+      if( message.error ){
+        var ErrorClass = errorClasses[ message.error.name ];
+        var error = ErrorClass ? new ErrorClass( message.error.code, message.error.message, message.error.details ) : new Error( message.error.message );
+        pendingTask.reject( error );
+      }else{
+        pendingTask.resolve( message.result );
+      }
+    }
+
+    this._dispatch();
+  }
+
+} /* END of class WorkerPool */
+
+export { WorkerPool }
@@ -10,3 +10,17 @@ export { PixBlockEncoder } from './PixBlockEncoder.js';
 export { PixBlockDecoder } from './PixBlockDecoder.js';
 export { PixBinEncoder } from './PixBinEncoder.js';
 export { PixBinDecoder } from './PixBinDecoder.js';
+export { PixBinStreamDecoder } from './PixBinStreamDecoder.js';
+export { FileHandleReader } from './FileHandleReader.js';
+export { BlobReader } from './BlobReader.js';
+export { PixBinEditor } from './PixBinEditor.js';
+export { CompressionCodecs } from './CompressionCodecs.js';
+export { StreamFilters } from './StreamFilters.js';
+export { Checksum } from './Checksum.js';
+export { TaggedSerializer } from './TaggedSerializer.js';
+export { BlockTypes } from './BlockTypes.js';
+export { NdArray } from './NdArray.js';
+export { FormatVersion } from './FormatVersion.js';
+export { WorkerPool } from './WorkerPool.js';
+export { Logger } from './Logger.js';
+export { ErrorCodes, PixBinError, InputError, FormatError, IntegrityError, UnsupportedError, LimitError } from './PixBinError.js';
@@ -0,0 +1,211 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+pixbincodec.Logger.setLogger( null );
+
+
+// the streams every frame has in common
+const mask = new Uint8Array( 50000 ).map(function( v, i ){ return i % 7 === 0 ? 1 : 0 });
+const coordinates = new Float64Array( 3000 ).map(function( v, i ){ return i / 3 });
+
+
+// 4 frames sharing 2 of their 3 streams
+function createFrames(){
+  return [0, 1, 2, 3].map(function( k ){
+    return { _data: [ new Float32Array( 1001 ).fill( k ), mask, coordinates ], _metadata: {k: k} };
+  });
+}
+
+
+function createDeduplicatedPixBin( setup=null ){
+  return helpers.encodePixBin( createFrames(), function( encoder ){
+    encoder.enableStreamDeduplication( true );
+
+    if( setup ){
+      setup( encoder );
+    }
+  });
+}
+
+
+// check a PixBin against the frames it is expected to hold, in order, through every decoder
+function assertFrames( pixBin, frameIndexes ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  decoder.enableBlockVerification( true );
+  decoder.setInput( pixBin );
+  assert.strictEqual( decoder.getNumberOfBlocks(), frameIndexes.length );
+
+  frameIndexes.forEach(function( k, n ){
+    var block = decoder.fetchBlock( n );
+
+    if( k === "new" ){
+      assert.strictEqual( block._metadata.isNew, true );
+      assert.deepStrictEqual( block._data[0], mask );
+      return;
+    }
+
+    assert.strictEqual( block._metadata.k, k );
+    assert.deepStrictEqual( block._data, [ new Float32Array( 1001 ).fill( k ), mask, coordinates ] );
+  });
+
+  assert.strictEqual( decoder.verify().valid, true );
+
+  // a block only refers to the shared streams stored before it, or in itself
+  var storedHashes = {};
+
+  frameIndexes.forEach(function( k, n ){
+    var blockInfo = decoder.getBlockInfo( n );
+    Object.assign( storedHashes, blockInfo.sharedStreams );
+
+    (blockInfo.streamRefs || []).forEach(function( contentHash ){
+      assert.ok( contentHash in storedHashes, "the block #" + n + " refers to a stream stored after it" );
+    });
+  });
+
+  var streamDecoder = new pixbincodec.PixBinStreamDecoder();
+  var blocks = [];
+  streamDecoder.enableStrictMode( true );
+  streamDecoder.on("block", function( block, n ){ blocks[n] = block });
+  streamDecoder.push( pixBin );
+  streamDecoder.end();
+  assert.strictEqual( blocks.length, frameIndexes.length );
+
+  return decoder;
+}
+
+
+test("the identical streams are stored once", function(){
+  var pixBin = createDeduplicatedPixBin();
+  var reference = helpers.encodePixBin( createFrames() );
+  var decoder = assertFrames( pixBin, [0, 1, 2, 3] );
+
+  assert.ok( pixBin.byteLength < reference.byteLength / 2 );
+  assert.strictEqual( Object.keys( decoder.getBlockInfo( 0 ).sharedStreams ).length, 2 );
+  assert.strictEqual( decoder.getBlockInfo( 3 ).streamRefs.length, 2 );
+});
+
+
+test("the decoded shared streams are the same typed arrays with enableStreamSharing", function(){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStreamSharing( true );
+  decoder.setInput( createDeduplicatedPixBin() );
+
+  assert.strictEqual( decoder.fetchBlock( 0 )._data[1], decoder.fetchBlock( 3 )._data[1] );
+  assert.notStrictEqual( decoder.fetchBlock( 0 )._data[0], decoder.fetchBlock( 3 )._data[0] );
+});
+
+
+test("a block decoded on its own needs its shared streams", function(){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.setInput( createDeduplicatedPixBin() );
+
+  var blockDecoder = new pixbincodec.PixBlockDecoder();
+  blockDecoder.enableStrictMode( true );
+  blockDecoder.setInput( decoder.fetchRawBlock( 2 ) );
+
+  assert.throws(function(){
+    blockDecoder.run();
+  }, function( error ){
+    return error.code === pixbincodec.ErrorCodes.MISSING_STREAM;
+  });
+});
+
+
+test("fetchStreamAsync reads a shared stream where it is stored, and fails with READ_FAILED if it cannot", function(){
+  var bytes = helpers.toBytes( createDeduplicatedPixBin() );
+  var readCount = 0;
+  var failingRead = Infinity;
+  var decoder = new pixbincodec.PixBinDecoder();
+
+  // a reader that fails from the read of index failingRead
+  var reader = {
+    read: function( offset, length ){
+      readCount ++;
+
+      if( readCount >= failingRead ){
+        return Promise.reject( new Error( "EIO: i/o error, read" ) );
+      }
+
+      return Promise.resolve( bytes.subarray( offset, offset + length ) );
+    }
+  }
+
+  return decoder.setInputReader( reader ).then(function(){
+    return decoder.fetchStreamAsync( 2, 1 );
+  })
+  .then(function( stream ){
+    assert.deepStrictEqual( stream, mask );
+
+    // the shared stream is the last range that is read, this time it fails
+    failingRead = readCount;
+    readCount = 0;
+    return decoder.setInputReader( reader );
+  })
+  .then(function(){
+    return decoder.fetchStreamAsync( 2, 1 );
+  })
+  .then(function( stream ){
+    assert.strictEqual( stream, null );
+    assert.strictEqual( decoder.getLastError().code, pixbincodec.ErrorCodes.READ_FAILED );
+  });
+});
+
+
+test("the encoder rejects a block that refers to a stream stored in a later block", function(){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.setInput( createDeduplicatedPixBin() );
+
+  var encoder = new pixbincodec.PixBinEncoder();
+  encoder.addEncodedBlock( decoder.fetchRawBlock( 1 ), decoder.getBlockInfo( 1 ) );
+  encoder.addEncodedBlock( decoder.fetchRawBlock( 0 ), decoder.getBlockInfo( 0 ) );
+  encoder.run();
+
+  assert.strictEqual( encoder.getOutput(), null );
+  assert.strictEqual( encoder.getLastError().code, pixbincodec.ErrorCodes.INVALID_INPUT );
+});
+
+
+[
+  { name: "compressed" },
+  { name: "uncompressed", setup: function( e ){ e.enableDataCompression( false ) } },
+  { name: "aligned on the elements, with stream checksums", setup: function( e ){ e.enableDataCompression( false ); e.setStreamAlignment( "element" ); e.enableStreamChecksums( true ) } },
+  { name: "aligned on 64 bytes", setup: function( e ){ e.setStreamAlignment( 64 ) } }
+].forEach(function( configuration ){
+  test("the editor moves the shared streams to the first block that refers to them, " + configuration.name, function(){
+    var pixBin = createDeduplicatedPixBin( configuration.setup );
+
+    function edit( fn, frameIndexes, input=pixBin ){
+      var editor = new pixbincodec.PixBinEditor();
+      editor.enableStrictMode( true );
+      editor.setInput( input );
+      fn( editor );
+      editor.run();
+      assertFrames( editor.getOutput(), frameIndexes );
+      return editor.getOutput();
+    }
+
+    edit(function( editor ){ editor.removeBlock( 0 ) }, [1, 2, 3]);
+    edit(function( editor ){ editor.removeBlock( 0 ); editor.removeBlock( 0 ) }, [2, 3]);
+    edit(function( editor ){ editor.replaceBlock( 0, {_data: [mask], _metadata: {isNew: true}} ) }, ["new", 1, 2, 3]);
+    edit(function( editor ){ editor.moveBlock( 0, 3 ) }, [1, 2, 3, 0]);
+    edit(function( editor ){ editor.upgradeFormat(); editor.reorderBlocks([1, 0, 3, 2]) }, [1, 0, 3, 2]);
+
+    // the streams are moved rather than duplicated
+    var reversed = edit(function( editor ){ editor.reorderBlocks([3, 2, 1, 0]) }, [3, 2, 1, 0]);
+    assert.ok( Math.abs( reversed.byteLength - pixBin.byteLength ) < 2000 );
+
+    // and they can be moved again
+    edit(function( editor ){ editor.reorderBlocks([3, 2, 1, 0]) }, [0, 1, 2, 3], reversed);
+  });
+});
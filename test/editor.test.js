@@ -0,0 +1,244 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+pixbincodec.Logger.setLogger( null );
+
+
+function createInputs(){
+  return [
+    { _data: new Int16Array([ -3, -2, -1, 0, 1, 2, 3 ]), _metadata: {k: 0} },
+    { _data: new Float32Array( 1000 ).fill( 0.5 ), _metadata: {k: 1} },
+    { _data: { labels: new Uint32Array([ 7, 8, 9 ]), name: "mesh" }, _metadata: {k: 2} }
+  ];
+}
+
+
+// bring the header of a block back to how the encoders wrote it before the format was versioned,
+// keeping the end of its metadata on a multiple of alignment
+function downgradeBlock( pixBlockBuff, alignment=0 ){
+  return helpers.craftBlockHeader( pixBlockBuff, function( header ){
+    delete header.formatVersion;
+    delete header.requiredFeatures;
+    delete header.optionalFeatures;
+
+    header.byteStreamInfo.forEach(function( bsi ){
+      // the signed flag was inverted, and the typed array deduced from it
+      if( bsi.isTypedArray ){
+        bsi.signed = !bsi.signed;
+        delete bsi.arrayType;
+      }
+
+      delete bsi.codec;
+    });
+  }, alignment );
+}
+
+
+// a PixBin whose blocks are written in the version 0 of the format, with setup called on the encoder
+function createVersion0PixBin( inputs, setup=null, alignment=0 ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  decoder.setInput( helpers.encodePixBin( inputs, setup ) );
+
+  var encoder = new pixbincodec.PixBinEncoder();
+  encoder.enableStrictMode( true );
+
+  for(var n=0; n<decoder.getNumberOfBlocks(); n++){
+    var original = decoder.fetchRawBlock( n );
+    var pixBlockBuff = downgradeBlock( original, alignment );
+    var blockInfo = Object.assign( {}, decoder.getBlockInfo( n ), {
+      byteLength: pixBlockBuff.byteLength,
+      checksum: pixbincodec.Checksum.compute( pixBlockBuff, "md5" ),
+      checksumAlgorithm: "md5"
+    });
+
+    // the shared streams moved along with the end of the header
+    for(var contentHash in blockInfo.sharedStreams){
+      blockInfo.sharedStreams[ contentHash ].byteOffset += pixBlockBuff.byteLength - original.byteLength;
+    }
+
+    encoder.addEncodedBlock( pixBlockBuff, blockInfo );
+  }
+
+  encoder.run();
+  return encoder.getOutput();
+}
+
+
+// the headers of the blocks of a PixBin, as they are written
+function getBlockHeaders( pixBin ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  decoder.setInput( pixBin );
+
+  var headers = [];
+
+  for(var n=0; n<decoder.getNumberOfBlocks(); n++){
+    var pixBlock = helpers.toBytes( decoder.fetchRawBlock( n ) );
+    var headerByteLength = new DataView( pixBlock.buffer, pixBlock.byteOffset ).getUint32( 1, !!pixBlock[0] );
+    headers.push( JSON.parse( pixBlock.subarray( 5, 5 + headerByteLength ).toString() ) );
+  }
+
+  return headers;
+}
+
+
+// for each block of a PixBin, tells if its typed array is decoded as a view on the block
+function getStreamViews( pixBin ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  decoder.setInput( pixBin );
+
+  var views = [];
+
+  for(var n=0; n<decoder.getNumberOfBlocks(); n++){
+    var pixBlockBuff = decoder.fetchRawBlock( n );
+    var blockDecoder = new pixbincodec.PixBlockDecoder();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.enableStreamViews( true );
+    blockDecoder.setInput( pixBlockBuff );
+    blockDecoder.run();
+    views.push( blockDecoder.getOutput()._data.buffer === pixBlockBuff );
+  }
+
+  return views;
+}
+
+
+function assertSameBlocks( pixBin, inputs ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  decoder.enableBlockVerification( true );
+  decoder.setInput( pixBin );
+
+  assert.strictEqual( decoder.getNumberOfBlocks(), inputs.length );
+
+  inputs.forEach(function( input, n ){
+    var block = decoder.fetchBlock( n );
+    assert.deepStrictEqual( block._data, input._data );
+    assert.deepStrictEqual( block._metadata, input._metadata );
+  });
+}
+
+
+test("upgradeFormat rewrites the blocks of an older version in the current one", function(){
+  var inputs = createInputs();
+  var pixBin = createVersion0PixBin( inputs );
+
+  // the older blocks are decoded as they are
+  assertSameBlocks( pixBin, inputs );
+
+  var editor = new pixbincodec.PixBinEditor();
+  editor.enableStrictMode( true );
+  editor.setInput( pixBin );
+  assert.ok( editor.upgradeFormat() );
+  editor.run();
+
+  var output = editor.getOutput();
+  var headers = getBlockHeaders( output );
+  assertSameBlocks( output, inputs );
+
+  headers.forEach(function( header ){
+    assert.strictEqual( header.formatVersion, pixbincodec.FormatVersion.CURRENT_VERSION() );
+  });
+
+  var bsi = headers[0].byteStreamInfo[0];
+  assert.strictEqual( bsi.arrayType, "Int16Array" );
+  assert.strictEqual( bsi.signed, true );
+  assert.strictEqual( bsi.codec, "deflate" );
+});
+
+
+test("upgradeFormat keeps the streams of an aligned block aligned", function(){
+  var inputs = [
+    { _data: new Float64Array( 100 ).fill( 0.25 ), _metadata: {k: 0} },
+    { _data: new Int16Array([ -3, -2, -1, 0, 1, 2, 3 ]), _metadata: {k: 1} },
+    { _data: new Float32Array( 33 ).fill( 2 ), _metadata: {k: 2} }
+  ];
+
+  var pixBin = createVersion0PixBin( inputs, function( encoder ){
+    encoder.enableDataCompression( false );
+    encoder.setStreamAlignment( 64 );
+  }, 64 );
+
+  assert.deepStrictEqual( getStreamViews( pixBin ), [true, true, true] );
+
+  var editor = new pixbincodec.PixBinEditor();
+  editor.enableStrictMode( true );
+  editor.setInput( pixBin );
+  assert.ok( editor.upgradeFormat() );
+  editor.run();
+
+  var output = editor.getOutput();
+  assertSameBlocks( output, inputs );
+  assert.deepStrictEqual( getStreamViews( output ), [true, true, true] );
+
+  getBlockHeaders( output ).forEach(function( header ){
+    assert.strictEqual( header.formatVersion, pixbincodec.FormatVersion.CURRENT_VERSION() );
+  });
+});
+
+
+test("upgradeFormat keeps the shared streams of an aligned block where the index says", function(){
+  var shared = new Float64Array( 100 ).fill( 0.25 );
+  var inputs = [
+    { _data: [ shared, new Int16Array([ -3, -2, -1, 0, 1, 2, 3 ]) ], _metadata: {k: 0} },
+    { _data: [ new Float32Array( 33 ).fill( 2 ), shared ], _metadata: {k: 1} },
+    { _data: shared, _metadata: {k: 2} }
+  ];
+
+  var pixBin = createVersion0PixBin( inputs, function( encoder ){
+    encoder.enableDataCompression( false );
+    encoder.setStreamAlignment( 64 );
+    encoder.enableStreamDeduplication( true );
+  }, 64 );
+
+  assertSameBlocks( pixBin, inputs );
+
+  var editor = new pixbincodec.PixBinEditor();
+  editor.enableStrictMode( true );
+  editor.setInput( pixBin );
+  assert.ok( editor.upgradeFormat() );
+  editor.run();
+
+  var output = editor.getOutput();
+  assertSameBlocks( output, inputs );
+
+  getBlockHeaders( output ).forEach(function( header ){
+    assert.strictEqual( header.formatVersion, pixbincodec.FormatVersion.CURRENT_VERSION() );
+  });
+
+  // the stream is still stored once, in the first block, and aligned
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.setInput( output );
+  var locations = Object.values( decoder.getBlockInfo( 0 ).sharedStreams );
+
+  assert.ok( locations.length > 0 );
+  assert.ok( locations.every(function( location ){ return location.byteOffset % 64 === 0 }) );
+  assert.strictEqual( decoder.getBlockInfo( 1 ).streamRefs.length, 1 );
+  assert.strictEqual( decoder.getBlockInfo( 2 ).streamRefs.length, 1 );
+});
+
+
+test("upgradeFormat does not rewrite a corrupted block", function(){
+  var pixBin = new Uint8Array( createVersion0PixBin( createInputs() ) );
+  pixBin[ pixBin.byteLength - 2 ] ^= 0xff;
+
+  var editor = new pixbincodec.PixBinEditor();
+  editor.setInput( pixBin.buffer );
+  assert.strictEqual( editor.upgradeFormat(), false );
+
+  var error = editor.getLastError();
+  assert.strictEqual( error.code, pixbincodec.ErrorCodes.CHECKSUM_MISMATCH );
+  assert.strictEqual( error.details.block, 2 );
+});
@@ -0,0 +1,178 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+// Helpers shared by the tests, to build inputs
+
+const assert = require("node:assert");
+const pixbincodec = require("..");
+
+
+/**
+* Get the bytes of a buffer or a view as a Node Buffer, without copying them
+* @param {ArrayBuffer|TypedArray|DataView} buff - the buffer
+* @return {Buffer} the bytes
+*/
+function toBytes( buff ){
+  if( ArrayBuffer.isView( buff ) ){
+    return Buffer.from( buff.buffer, buff.byteOffset, buff.byteLength );
+  }
+
+  return Buffer.from( buff );
+}
+
+
+/**
+* Check that two buffers or views have the same bytes
+* @param {ArrayBuffer|TypedArray|DataView} actual - the buffer to check
+* @param {ArrayBuffer|TypedArray|DataView} expected - the expected one
+* @param {String} message - the message of the assertion
+*/
+function assertSameBytes( actual, expected, message ){
+  assert.ok( toBytes( actual ).equals( toBytes( expected ) ), message );
+}
+
+
+/**
+* Encode some inputs in a PixBin
+* @param {Array} inputs - the inputs, with _data and _metadata
+* @param {Function} setup - called with the encoder before the inputs are added (default: null)
+* @return {ArrayBuffer} the PixBin
+*/
+function encodePixBin( inputs, setup=null ){
+  var encoder = new pixbincodec.PixBinEncoder();
+  encoder.enableStrictMode( true );
+
+  if( setup ){
+    setup( encoder );
+  }
+
+  inputs.forEach(function( input ){
+    encoder.addInput( input );
+  });
+
+  encoder.run();
+  return encoder.getOutput();
+}
+
+
+/**
+* Rewrite the index of a PixBin, the primer and the blocks being kept as they are
+* @param {ArrayBuffer} pixBinBuff - the PixBin
+* @param {Function} mutate - called with the parsed index, to modify it in place
+* @return {ArrayBuffer} the new PixBin
+*/
+function craftIndex( pixBinBuff, mutate ){
+  var bytes = toBytes( pixBinBuff );
+  var primer = pixbincodec.PixBinDecoder.parsePrimer( pixBinBuff );
+  var indexEnd = primer.indexByteOffset + primer.indexByteLength;
+  var index = JSON.parse( bytes.subarray( primer.indexByteOffset, indexEnd ).toString() );
+
+  mutate( index );
+
+  var indexBytes = Buffer.from( JSON.stringify( index ) );
+  var primerBytes = Buffer.from( bytes.subarray( 0, primer.indexByteOffset ) );
+
+  // the byte length of the index ends the primer
+  new DataView( primerBytes.buffer, primerBytes.byteOffset ).setUint32( primerBytes.byteLength - 4, indexBytes.byteLength, primer.isLittleEndian );
+  var out = Buffer.concat([ primerBytes, indexBytes, bytes.subarray( indexEnd ) ]);
+  return out.buffer.slice( out.byteOffset, out.byteOffset + out.byteLength );
+}
+
+
+/**
+* Rewrite the header of a PixBlock, the metadata and the streams being kept as they are
+* @param {ArrayBuffer} pixBlockBuff - the PixBlock
+* @param {Function} mutate - called with the parsed header, to modify it in place
+* @param {Number} alignment - the header is padded with spaces so that the metadata end
+* on a multiple of it, as an encoder with a stream alignment does (default: 0, no padding)
+* @return {ArrayBuffer} the new PixBlock
+*/
+function craftBlockHeader( pixBlockBuff, mutate, alignment=0 ){
+  var bytes = toBytes( pixBlockBuff );
+  var isLittleEndian = !!bytes[0];
+  var view = new DataView( bytes.buffer, bytes.byteOffset, bytes.byteLength );
+  var headerByteLength = view.getUint32( 1, isLittleEndian );
+  var header = JSON.parse( bytes.subarray( 5, 5 + headerByteLength ).toString() );
+
+  mutate( header );
+
+  var headerBytes = Buffer.from( JSON.stringify( header ) );
+
+  if( alignment ){
+    var metadataEnd = 5 + headerBytes.byteLength + header.metadataByteLength;
+    headerBytes = Buffer.concat([ headerBytes, Buffer.alloc( ( alignment - metadataEnd % alignment ) % alignment, " " ) ]);
+  }
+
+  var out = Buffer.alloc( 5 + headerBytes.byteLength + bytes.byteLength - 5 - headerByteLength );
+  out[0] = bytes[0];
+  new DataView( out.buffer, out.byteOffset ).setUint32( 1, headerBytes.byteLength, isLittleEndian );
+  headerBytes.copy( out, 5 );
+  bytes.copy( out, 5 + headerBytes.byteLength, 5 + headerByteLength );
+  return out.buffer.slice( out.byteOffset, out.byteOffset + out.byteLength );
+}
+
+
+/**
+* Extract a region of a row-major N-dimensional array, element by element
+* @param {TypedArray} data - the elements of the array
+* @param {Array} shape - the size of each dimension
+* @param {Array} start - the first position of the region
+* @param {Array} count - the size of the region along each dimension
+* @return {TypedArray} the elements of the region, of the same type as `data`
+*/
+function sliceRegion( data, shape, start, count ){
+  var size = count.reduce(function( a, b ){ return a * b }, 1);
+  var out = new data.constructor( size );
+  var strides = new Array( shape.length );
+  var stride = 1;
+
+  for(var d=shape.length-1; d>=0; d--){
+    strides[d] = stride;
+    stride *= shape[d];
+  }
+
+  for(var k=0; k<size; k++){
+    var rest = k;
+    var offset = 0;
+
+    for(var d=count.length-1; d>=0; d--){
+      offset += ( start[d] + rest % count[d] ) * strides[d];
+      rest = Math.floor( rest / count[d] );
+    }
+
+    out[k] = data[ offset ];
+  }
+
+  return out;
+}
+
+
+/**
+* Get a pseudo-random generator, so that the tests are reproducible
+* @param {Number} seed - the seed
+* @return {Function} called with n, returns an integer in [0, n[
+*/
+function createRandom( seed ){
+  var state = seed;
+
+  return function( n ){
+    state = ( state * 1103515245 + 12345 ) % 2147483648;
+    return Math.floor( state / 2147483648 * n );
+  }
+}
+
+
+module.exports = {
+  toBytes: toBytes,
+  assertSameBytes: assertSameBytes,
+  encodePixBin: encodePixBin,
+  craftIndex: craftIndex,
+  craftBlockHeader: craftBlockHeader,
+  sliceRegion: sliceRegion,
+  createRandom: createRandom
+}
@@ -0,0 +1,120 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const path = require("path");
+const worker_threads = require("worker_threads");
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+
+function createInputs(){
+  var volume = new Float32Array( 200000 );
+
+  for(var i=0; i<volume.length; i++){
+    volume[i] = Math.sin( i / 100 );
+  }
+
+  return [
+    { _data: volume, _metadata: {description: "volume"} },
+    { _data: [ new Uint16Array([1, 2, 3, 4]), {a: 1}, new Int32Array( 1000 ).fill( -5 ) ], _metadata: {} },
+    { _data: { vertices: new Float64Array( 3000 ).fill( 0.25 ), name: "mesh" }, _metadata: {} },
+    { _data: createNdArray(), _metadata: {} },
+    { _data: { plain: [1, 2] }, _metadata: {} }
+  ];
+}
+
+
+// an NdArray of 30x40 elements, in chunks of 8x16
+function createNdArray(){
+  var data = new Int16Array( 30 * 40 );
+
+  for(var i=0; i<data.length; i++){
+    data[i] = ( i * 7 ) % 1000;
+  }
+
+  return new pixbincodec.NdArray( data, [30, 40], [8, 16] );
+}
+
+
+// the settings of the encoder that are compared
+const configurations = [
+  { name: "deflate" },
+  { name: "big endian, lz4 with filters", setup: function( e ){ e.setTargetEndianness( false ); e.setCompressionCodec( "lz4" ); e.setFilters(["delta", "shuffle"]) } },
+  { name: "aligned with stream checksums", setup: function( e ){ e.setStreamAlignment( 16 ); e.enableStreamChecksums( true ) } },
+  { name: "deduplicated", setup: function( e ){ e.enableStreamDeduplication( true ) } }
+];
+
+
+function createEncoder( inputs, setup ){
+  var encoder = new pixbincodec.PixBinEncoder();
+  encoder.enableStrictMode( true );
+
+  if( setup ){
+    setup( encoder );
+  }
+
+  inputs.forEach(function( input ){
+    encoder.addInput( input );
+  });
+
+  return encoder;
+}
+
+
+// the date of the index is the only thing that can differ between two encodings,
+// it is blanked out without changing the size of the index
+function withoutDate( buff ){
+  var pixBin = helpers.toBytes( buff ).toString( "latin1" ).replace( /"date":"[^"]*"/, function( date ){
+    return '"date":"' + " ".repeat( date.length - 9 ) + '"';
+  });
+
+  return Buffer.from( pixBin, "latin1" );
+}
+
+
+configurations.forEach(function( configuration ){
+  test("encodeAsync with a pool writes the same bytes as run, " + configuration.name, function(){
+    var pool = new pixbincodec.WorkerPool(function(){
+      return new worker_threads.Worker( path.join( __dirname, "worker.js" ) );
+    }, 3);
+
+    var inputs = createInputs();
+    var encoder = createEncoder( inputs, configuration.setup );
+    encoder.run();
+    var reference = withoutDate( encoder.getOutput() );
+
+    return createEncoder( inputs, configuration.setup ).encodeAsync( pool ).then(function( output ){
+      helpers.assertSameBytes( withoutDate( output ), reference, "the output of the pool differs" );
+
+      // the inputs are not transferred to the workers
+      assert.strictEqual( inputs[0]._data[1], Math.fround( Math.sin( 0.01 ) ) );
+      return createEncoder( inputs, configuration.setup ).encodeAsync();
+    })
+    .then(function( output ){
+      helpers.assertSameBytes( withoutDate( output ), reference, "the output without a pool differs" );
+
+      var decoder = new pixbincodec.PixBinDecoder();
+      decoder.enableStrictMode( true );
+      decoder.setInput( output );
+      return decoder.decodeAsync( pool );
+    })
+    .then(function( blocks ){
+      var decoder = new pixbincodec.PixBinDecoder();
+      decoder.setInput( reference );
+
+      blocks.forEach(function( block, n ){
+        assert.deepStrictEqual( block, decoder.fetchBlock( n ) );
+      });
+    })
+    .finally(function(){
+      pool.terminate();
+    });
+  });
+});
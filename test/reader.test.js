@@ -0,0 +1,208 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+pixbincodec.Logger.setLogger( null );
+
+
+function createInputs(){
+  return [
+    { _data: new Float32Array( 5000 ).fill( 0.5 ), _metadata: {description: "volume"} },
+    { _data: [ new Uint16Array([1, 2, 3, 65535]), new Float64Array([-1, 0, 1]) ], _metadata: {} },
+    { _data: { plain: [1, 2, 3] }, _metadata: {} }
+  ];
+}
+
+
+function assertSameBlock( block, input ){
+  assert.deepStrictEqual( block._metadata, input._metadata );
+  assert.deepStrictEqual( block._data, input._data );
+}
+
+
+// a reader of a buffer that fails from the read of index `failingRead`, by throwing or rejecting
+function createFailingReader( buff, failingRead, throwing ){
+  var bytes = helpers.toBytes( buff );
+  var readCount = 0;
+
+  return {
+    read: function( offset, length ){
+      readCount ++;
+
+      if( readCount >= failingRead ){
+        if( throwing ){
+          throw new RangeError( "Invalid typed array length" );
+        }
+
+        return Promise.reject( new Error( "EIO: i/o error, read" ) );
+      }
+
+      return Promise.resolve( bytes.buffer.slice( bytes.byteOffset + offset, bytes.byteOffset + Math.min( offset + length, bytes.byteLength ) ) );
+    }
+  }
+}
+
+
+test("round-trip through a FileHandleReader", function(){
+  var inputs = createInputs();
+  var directory = fs.mkdtempSync( path.join(os.tmpdir(), "pixbincodec-") );
+  var filePath = path.join( directory, "roundtrip.pixp" );
+  fs.writeFileSync( filePath, helpers.toBytes( helpers.encodePixBin( inputs ) ) );
+
+  return fs.promises.open( filePath, "r" ).then(function( fileHandle ){
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.enableStrictMode( true );
+
+    return decoder.setInputReader( new pixbincodec.FileHandleReader( fileHandle ) )
+    .then(function( isValid ){
+      assert.ok( isValid );
+
+      return Promise.all( inputs.map(function( input, n ){
+        return decoder.fetchBlockAsync( n );
+      }));
+    })
+    .then(function( blocks ){
+      blocks.forEach(function( block, n ){
+        assertSameBlock( block, inputs[n] );
+      });
+
+      return decoder.fetchStreamAsync( 1, 0 );
+    })
+    .then(function( stream ){
+      assert.deepStrictEqual( stream, inputs[1]._data[0] );
+      return decoder.verifyAsync();
+    })
+    .then(function( report ){
+      assert.strictEqual( report.valid, true );
+    })
+    .finally(function(){
+      return fileHandle.close().then(function(){
+        fs.rmSync( directory, {recursive: true} );
+      });
+    });
+  });
+});
+
+
+test("round-trip through a BlobReader", function(){
+  var inputs = createInputs();
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+  var blob = new Blob([ helpers.toBytes( helpers.encodePixBin( inputs ) ) ]);
+
+  return decoder.setInputReader( new pixbincodec.BlobReader( blob ) ).then(function( isValid ){
+    assert.ok( isValid );
+    return decoder.fetchBlockAsync( 2 );
+  })
+  .then(function( block ){
+    assertSameBlock( block, inputs[2] );
+  });
+});
+
+
+[false, true].forEach(function( throwing ){
+  test("a reader that fails " + ( throwing ? "by throwing" : "by rejecting" ), function(){
+    var pixBin = helpers.encodePixBin( createInputs() );
+    var decoder = new pixbincodec.PixBinDecoder();
+
+    return new pixbincodec.PixBinDecoder().setInputReader( createFailingReader( pixBin, 2, throwing ) ).then(function( isValid ){
+      assert.strictEqual( isValid, false );
+
+      // the primer and the index are read, then it fails
+      return decoder.setInputReader( createFailingReader( pixBin, 3, throwing ) );
+    })
+    .then(function( isValid ){
+      assert.ok( isValid );
+      var fetching = decoder.fetchBlockAsync( 0 );
+      assert.ok( fetching instanceof Promise );
+      return fetching;
+    })
+    .then(function( block ){
+      assert.strictEqual( block, null );
+      assert.strictEqual( decoder.getLastError().code, pixbincodec.ErrorCodes.READ_FAILED );
+      return decoder.verifyAsync();
+    })
+    .then(function( report ){
+      assert.strictEqual( report, null );
+      return decoder.getBlockMetadataAsync( 0 );
+    })
+    .then(function( metadata ){
+      assert.strictEqual( metadata, null );
+      assert.strictEqual( decoder.getLastError().code, pixbincodec.ErrorCodes.READ_FAILED );
+    });
+  });
+
+
+  test("a reader that fails " + ( throwing ? "by throwing" : "by rejecting" ) + ", strict mode", function(){
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.enableStrictMode( true );
+
+    function assertReadFailed( error ){
+      assert.ok( error instanceof pixbincodec.InputError );
+      assert.strictEqual( error.code, pixbincodec.ErrorCodes.READ_FAILED );
+    }
+
+    return decoder.setInputReader( createFailingReader( helpers.encodePixBin( createInputs() ), 3, throwing ) ).then(function(){
+      return decoder.fetchBlockAsync( 0 );
+    })
+    .then(function(){
+      assert.fail( "fetchBlockAsync should reject" );
+    }, function( error ){
+      assertReadFailed( error );
+      return decoder.verifyAsync();
+    })
+    .then(function(){
+      assert.fail( "verifyAsync should reject" );
+    }, function( error ){
+      assertReadFailed( error );
+      return decoder.getBlockMetadataAsync( 0 );
+    })
+    .then(function(){
+      assert.fail( "getBlockMetadataAsync should reject" );
+    }, assertReadFailed );
+  });
+});
+
+
+test("fetchStreamAsync fails with READ_FAILED when the stream cannot be read", function(){
+  var inputs = createInputs();
+  var bytes = helpers.toBytes( helpers.encodePixBin( inputs ) );
+  var readOffsets = [];
+  var decoder = new pixbincodec.PixBinDecoder();
+
+  var reader = {
+    read: function( offset, length ){
+      readOffsets.push( offset );
+      return Promise.resolve( bytes.subarray( offset, offset + length ) );
+    }
+  }
+
+  return decoder.setInputReader( reader ).then(function(){
+    return decoder.fetchStreamAsync( 1, 0 );
+  })
+  .then(function( stream ){
+    assert.deepStrictEqual( stream, inputs[1]._data[0] );
+
+    // the stream is the last range that is read, this time it fails
+    return decoder.setInputReader( createFailingReader( bytes, readOffsets.length, false ) );
+  })
+  .then(function(){
+    return decoder.fetchStreamAsync( 1, 0 );
+  })
+  .then(function( stream ){
+    assert.strictEqual( stream, null );
+    assert.strictEqual( decoder.getLastError().code, pixbincodec.ErrorCodes.READ_FAILED );
+  });
+});
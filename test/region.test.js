@@ -0,0 +1,137 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+pixbincodec.Logger.setLogger( null );
+
+
+// the arrays, with chunks that do not divide their shape, and an empty one
+const cases = [
+  { type: Float32Array, shape: [13, 17, 9], chunkShape: [4, 5, 3] },
+  { type: Uint16Array, shape: [50, 33], chunkShape: [7, 10] },
+  { type: Int8Array, shape: [101], chunkShape: [10] },
+  { type: Float64Array, shape: [6, 5, 4, 3], chunkShape: [2, 2, 2, 2] },
+  { type: Int32Array, shape: [8, 8], chunkShape: null },
+  { type: Uint8Array, shape: [3, 0, 4], chunkShape: [2, 2, 2] }
+];
+
+
+function createArrays(){
+  return cases.map(function( c ){
+    var size = c.shape.reduce(function( a, b ){ return a * b }, 1);
+    var data = new c.type( size );
+
+    for(var i=0; i<size; i++){
+      data[i] = ( i * 7 ) % 251;
+    }
+
+    return new pixbincodec.NdArray( data, c.shape, c.chunkShape );
+  });
+}
+
+
+// a random region within the shape, possibly empty
+function createRegion( shape, random ){
+  var start = shape.map(function( size ){ return random( size + 1 ) });
+  var count = shape.map(function( size, d ){ return random( size - start[d] + 1 ) });
+  return { start: start, count: count };
+}
+
+
+function assertRegion( ndArray, region, expected ){
+  assert.ok( ndArray instanceof pixbincodec.NdArray );
+  assert.deepStrictEqual( ndArray.getShape(), region.count );
+  assert.deepStrictEqual( ndArray.getData(), helpers.sliceRegion( expected.getData(), expected.getShape(), region.start, region.count ) );
+}
+
+
+[
+  { name: "compressed", setup: null },
+  { name: "uncompressed, big endian, aligned", setup: function( e ){ e.enableDataCompression( false ); e.setTargetEndianness( false ); e.setStreamAlignment( 16 ) } }
+].forEach(function( configuration ){
+  test("fetchRegion matches a slice of the whole array, " + configuration.name, function(){
+    var arrays = createArrays();
+    var random = helpers.createRandom( 7 );
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.enableStrictMode( true );
+    decoder.setInput( helpers.encodePixBin( arrays.map(function( a ){ return { _data: a, _metadata: {} } }), configuration.setup ) );
+
+    arrays.forEach(function( ndArray, n ){
+      assert.deepStrictEqual( decoder.fetchBlock( n )._data.getData(), ndArray.getData() );
+
+      for(var k=0; k<30; k++){
+        var region = createRegion( ndArray.getShape(), random );
+        assertRegion( decoder.fetchRegion( n, region.start, region.count ), region, ndArray );
+      }
+
+      var whole = { start: ndArray.getShape().map(function(){ return 0 }), count: ndArray.getShape() };
+      assertRegion( decoder.fetchRegion( n, whole.start, whole.count ), whole, ndArray );
+    });
+  });
+});
+
+
+test("fetchRegionAsync with a reader matches a slice of the whole array", function(){
+  var arrays = createArrays();
+  var random = helpers.createRandom( 11 );
+  var directory = fs.mkdtempSync( path.join(os.tmpdir(), "pixbincodec-") );
+  var filePath = path.join( directory, "region.pixp" );
+  fs.writeFileSync( filePath, helpers.toBytes( helpers.encodePixBin( arrays.map(function( a ){ return { _data: a, _metadata: {} } }) ) ) );
+
+  return fs.promises.open( filePath, "r" ).then(function( fileHandle ){
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.enableStrictMode( true );
+
+    return decoder.setInputReader( new pixbincodec.FileHandleReader( fileHandle ) ).then(function(){
+      var checking = Promise.resolve();
+
+      arrays.forEach(function( ndArray, n ){
+        for(var k=0; k<10; k++){
+          (function( region ){
+            checking = checking.then(function(){
+              return decoder.fetchRegionAsync( n, region.start, region.count );
+            }).then(function( got ){
+              assertRegion( got, region, ndArray );
+            });
+          })( createRegion( ndArray.getShape(), random ) );
+        }
+      });
+
+      return checking;
+    })
+    .finally(function(){
+      return fileHandle.close().then(function(){
+        fs.rmSync( directory, {recursive: true} );
+      });
+    });
+  });
+});
+
+
+test("fetchRegion rejects the regions out of the array", function(){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.setInput( helpers.encodePixBin( createArrays().map(function( a ){ return { _data: a, _metadata: {} } }).concat([ { _data: new Float32Array(3), _metadata: {} } ]) ) );
+
+  [
+    [ 0, [0, 0, 0], [14, 1, 1], pixbincodec.ErrorCodes.OUT_OF_RANGE ],
+    [ 0, [0, 0], [1, 1], pixbincodec.ErrorCodes.OUT_OF_RANGE ],
+    [ 0, [-1, 0, 0], [1, 1, 1], pixbincodec.ErrorCodes.OUT_OF_RANGE ],
+    [ 6, [0], [1], pixbincodec.ErrorCodes.INVALID_OPERATION ],
+    [ 99, [0], [1], pixbincodec.ErrorCodes.OUT_OF_RANGE ]
+  ].forEach(function( c ){
+    assert.strictEqual( decoder.fetchRegion( c[0], c[1], c[2] ), null );
+    assert.strictEqual( decoder.getLastError().code, c[3] );
+  });
+});
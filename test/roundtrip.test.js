@@ -0,0 +1,179 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+
+// the inputs cover the three cases of _data, and the raw byte containers
+function createInputs(){
+  var volume = new Float32Array( 5000 );
+
+  for(var i=0; i<volume.length; i++){
+    volume[i] = Math.sin( i / 50 );
+  }
+
+  return [
+    { _data: volume, _metadata: {description: "volume", dims: [10, 20, 25]} },
+    { _data: [ new Uint16Array([1, 2, 3, 65535]), new Int8Array([-1, 0, 1]), "text" ], _metadata: {} },
+    { _data: { vertices: new Float64Array([0.5, -1.5]), labels: { colors: [ new Uint8Array([1, 2, 3]) ] }, name: "mesh" }, _metadata: {unicode: "é✓"} },
+    { _data: new Uint8Array([9, 8, 7]).buffer, _metadata: {} },
+    { _data: { plain: [1, 2, 3] }, _metadata: {} }
+  ];
+}
+
+
+// the settings of the encoder the round-trips go through
+const configurations = [
+  { name: "default" },
+  { name: "uncompressed", setup: function( e ){ e.enableDataCompression( false ) } },
+  { name: "big endian", setup: function( e ){ e.setTargetEndianness( false ) } },
+  { name: "lz4 with filters", setup: function( e ){ e.setCompressionCodec( "lz4" ); e.setFilters(["delta", "shuffle"]) } },
+  { name: "aligned with stream checksums", setup: function( e ){ e.enableDataCompression( false ); e.setStreamAlignment( 64 ); e.enableStreamChecksums( true ) } },
+  { name: "tagged metadata, sha256", setup: function( e ){ e.setMetadataSerialization( "tagged" ); e.setChecksumAlgorithm( "sha256" ) } }
+];
+
+
+function assertSameBlock( block, input ){
+  assert.deepStrictEqual( block._metadata, input._metadata );
+
+  if( input._data instanceof ArrayBuffer ){
+    helpers.assertSameBytes( block._data, input._data, "the ArrayBuffer differs" );
+  }else{
+    assert.deepStrictEqual( block._data, input._data );
+  }
+}
+
+
+// the bytes of a PixBin that come after its index
+function getBlockBytes( pixBin ){
+  var bytes = helpers.toBytes( pixBin );
+  var primer = pixbincodec.PixBinDecoder.parsePrimer( bytes );
+  return bytes.subarray( primer.indexByteOffset + primer.indexByteLength );
+}
+
+
+configurations.forEach(function( configuration ){
+  test("round-trip through PixBinDecoder, " + configuration.name, function(){
+    var inputs = createInputs();
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.enableStrictMode( true );
+    decoder.enableBlockVerification( true );
+    decoder.setInput( helpers.encodePixBin( inputs, configuration.setup ) );
+
+    assert.strictEqual( decoder.getNumberOfBlocks(), inputs.length );
+    assert.strictEqual( decoder.getBlockDescription( 0 ), "volume" );
+
+    inputs.forEach(function( input, n ){
+      assertSameBlock( decoder.fetchBlock( n ), input );
+    });
+
+    assert.strictEqual( decoder.verify().valid, true );
+  });
+
+
+  test("round-trip through PixBinStreamDecoder, " + configuration.name, function(){
+    var inputs = createInputs();
+    var pixBin = helpers.toBytes( helpers.encodePixBin( inputs, configuration.setup ) );
+    var decoder = new pixbincodec.PixBinStreamDecoder();
+    var blocks = [];
+    decoder.enableStrictMode( true );
+    decoder.enableBlockVerification( true );
+    decoder.on("block", function( block, n ){ blocks[n] = block });
+
+    // a few bytes at a time, to cut every part of the PixBin
+    for(var offset=0; offset<pixBin.byteLength; offset+=777){
+      decoder.push( pixBin.subarray( offset, offset + 777 ) );
+    }
+
+    decoder.end();
+    assert.ok( decoder.isComplete() );
+
+    inputs.forEach(function( input, n ){
+      assertSameBlock( blocks[n], input );
+    });
+  });
+});
+
+
+test("round-trip of a single PixBlock", function(){
+  createInputs().forEach(function( input ){
+    var blockEncoder = new pixbincodec.PixBlockEncoder();
+    blockEncoder.enableStrictMode( true );
+    blockEncoder.setInput( input );
+    blockEncoder.run();
+
+    var blockDecoder = new pixbincodec.PixBlockDecoder();
+    blockDecoder.enableStrictMode( true );
+    blockDecoder.setInput( blockEncoder.getOutput() );
+    blockDecoder.run();
+    assertSameBlock( blockDecoder.getOutput(), input );
+  });
+});
+
+
+test("runToSink writes the same blocks as run", function(){
+  var inputs = createInputs();
+  var written = [];
+  var encoder = new pixbincodec.PixBinEncoder();
+  encoder.enableStrictMode( true );
+
+  inputs.forEach(function( input ){
+    encoder.addInput( input );
+  });
+
+  return encoder.runToSink(function( buff ){
+    written.push( helpers.toBytes( buff ) );
+  })
+  .then(function( byteLength ){
+    var output = Buffer.concat( written );
+    assert.strictEqual( output.byteLength, byteLength );
+    assert.ok( getBlockBytes( output ).equals( getBlockBytes( helpers.encodePixBin( inputs ) ) ), "the blocks differ" );
+
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.setInput( output.buffer.slice( output.byteOffset, output.byteOffset + output.byteLength ) );
+
+    inputs.forEach(function( input, n ){
+      assertSameBlock( decoder.fetchBlock( n ), input );
+    });
+
+    assert.strictEqual( decoder.verify().valid, true );
+  });
+});
+
+
+test("runToSink fails, and aborts the sink, when an input is modified during the encoding", function(){
+  var inputs = createInputs();
+  var encoder = new pixbincodec.PixBinEncoder();
+  var sinkClosed = false;
+  var abortReason = null;
+
+  inputs.forEach(function( input ){
+    encoder.addInput( input );
+  });
+
+  // the volume keeps its size, but not its values, between the two passes
+  var sink = new WritableStream({
+    write: function(){ inputs[0]._data[0] = 42 },
+    close: function(){ sinkClosed = true },
+    abort: function( reason ){ abortReason = reason }
+  });
+
+  return encoder.runToSink( sink ).then(function(){
+    assert.fail( "runToSink should reject" );
+  }, function( error ){
+    assert.ok( error instanceof pixbincodec.IntegrityError );
+    assert.strictEqual( error.code, pixbincodec.ErrorCodes.CHECKSUM_MISMATCH );
+    assert.strictEqual( error.details.input, 0 );
+    assert.strictEqual( encoder.getLastError(), error );
+    assert.strictEqual( sinkClosed, false );
+    assert.strictEqual( abortReason, error );
+  });
+});
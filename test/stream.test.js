@@ -0,0 +1,157 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+const stream = require("stream");
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+pixbincodec.Logger.setLogger( null );
+
+
+// a PixBin of 4 blocks, with its block #1 corrupted
+function createCorruptedPixBin(){
+  var pixBin = helpers.encodePixBin([0, 1, 2, 3].map(function( k ){
+    return { _data: new Float32Array( 100 ).fill( k ), _metadata: {k: k} };
+  }));
+
+  var index = null;
+  var decoder = new pixbincodec.PixBinStreamDecoder();
+  decoder.on("index", function( pixBinIndex ){ index = pixBinIndex });
+  decoder.push( pixBin );
+
+  var corrupted = Buffer.from( helpers.toBytes( pixBin ) );
+  var blockEnd = corrupted.byteLength - index.pixblocksInfo[3].byteLength - index.pixblocksInfo[2].byteLength;
+  corrupted[ blockEnd - 10 ] ^= 0xff;
+  return corrupted;
+}
+
+
+// a stream of garbage, counting the chunks that are read
+function createGarbageStream( counter ){
+  return new stream.Readable({
+    read: function(){
+      counter.chunks ++;
+      this.push( counter.chunks > 2000 ? null : Buffer.alloc( 1024, 7 ) );
+    }
+  });
+}
+
+
+function wait( ms ){
+  return new Promise(function( resolve ){
+    setTimeout( resolve, ms );
+  });
+}
+
+
+[false, true].forEach(function( rawBlocks ){
+  test("strict mode: the blocks after a corrupted one are emitted before the error is thrown" + ( rawBlocks ? ", raw blocks" : "" ), function(){
+    var decoder = new pixbincodec.PixBinStreamDecoder();
+    var emitted = [];
+    var errors = [];
+    decoder.enableStrictMode( true );
+    decoder.enableBlockVerification( true );
+    decoder.enableRawBlocks( rawBlocks );
+    decoder.on("block", function( block, n ){ emitted.push( n ) });
+    decoder.on("error", function( error ){ errors.push( error.code ) });
+
+    assert.throws(function(){
+      decoder.push( createCorruptedPixBin() );
+    }, function( error ){
+      return error.code === pixbincodec.ErrorCodes.CHECKSUM_MISMATCH && error.details.block === 1;
+    });
+
+    assert.deepStrictEqual( emitted, [0, 2, 3] );
+    assert.ok( decoder.isComplete() );
+
+    // every byte arrived, so the end is not reported as truncated
+    decoder.end();
+    assert.deepStrictEqual( errors, [ pixbincodec.ErrorCodes.CHECKSUM_MISMATCH ] );
+  });
+});
+
+
+test("non-strict mode: a corrupted block does not stop the decoding", function(){
+  var decoder = new pixbincodec.PixBinStreamDecoder();
+  var emitted = [];
+  decoder.enableBlockVerification( true );
+  decoder.on("block", function( block, n ){ emitted.push( n ) });
+  decoder.push( createCorruptedPixBin() );
+  decoder.end();
+
+  assert.deepStrictEqual( emitted, [0, 2, 3] );
+  assert.strictEqual( decoder.getLastError().code, pixbincodec.ErrorCodes.CHECKSUM_MISMATCH );
+});
+
+
+[false, true].forEach(function( strict ){
+  test("consume destroys a Node Readable once the PixBin is unreadable" + ( strict ? ", strict mode" : "" ), function(){
+    var counter = { chunks: 0 };
+    var readable = createGarbageStream( counter );
+    var decoder = new pixbincodec.PixBinStreamDecoder();
+    decoder.enableStrictMode( strict );
+
+    return decoder.consume( readable ).then(function(){
+      assert.fail( "consume should reject" );
+    }, function( error ){
+      assert.strictEqual( error.code, pixbincodec.ErrorCodes.BAD_MAGIC_NUMBER );
+      return wait( 50 );
+    }).then(function(){
+      assert.ok( readable.destroyed );
+      assert.ok( counter.chunks < 20, counter.chunks + " chunks were read" );
+    });
+  });
+
+
+  test("consume cancels a WHATWG ReadableStream once the PixBin is unreadable" + ( strict ? ", strict mode" : "" ), function(){
+    var chunks = 0;
+    var canceled = false;
+    var decoder = new pixbincodec.PixBinStreamDecoder();
+    decoder.enableStrictMode( strict );
+
+    var readable = new ReadableStream({
+      pull: function( controller ){
+        chunks ++;
+        controller.enqueue( new Uint8Array( 1024 ).fill( 7 ) );
+      },
+      cancel: function(){
+        canceled = true;
+      }
+    });
+
+    return decoder.consume( readable ).then(function(){
+      assert.fail( "consume should reject" );
+    }, function( error ){
+      assert.strictEqual( error.code, pixbincodec.ErrorCodes.BAD_MAGIC_NUMBER );
+      return wait( 50 );
+    }).then(function(){
+      assert.ok( canceled );
+      assert.ok( chunks < 20, chunks + " chunks were read" );
+    });
+  });
+});
+
+
+test("consume reads a whole PixBin from a Node Readable", function(){
+  var pixBin = helpers.toBytes( helpers.encodePixBin([
+    { _data: new Float32Array( 1000 ).fill( 1 ), _metadata: {} },
+    { _data: new Uint8Array( 10 ).fill( 2 ), _metadata: {} }
+  ]));
+
+  var decoder = new pixbincodec.PixBinStreamDecoder();
+  var blocks = [];
+  decoder.on("block", function( block, n ){ blocks[n] = block });
+
+  return decoder.consume( stream.Readable.from([ pixBin.subarray( 0, 100 ), pixBin.subarray( 100 ) ]) ).then(function( index ){
+    assert.strictEqual( index.pixblocksInfo.length, 2 );
+    assert.deepStrictEqual( blocks[0]._data, new Float32Array( 1000 ).fill( 1 ) );
+    assert.deepStrictEqual( blocks[1]._data, new Uint8Array( 10 ).fill( 2 ) );
+  });
+});
@@ -0,0 +1,310 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+// Every length field a file gives is crafted to a value an encoder would not write,
+// and every limit is hit, to check that the decoders fail with the right error
+// rather than reading or allocating what the file asks for.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const test = require("node:test");
+const assert = require("node:assert");
+const pixbincodec = require("..");
+const helpers = require("./helpers.js");
+
+const ErrorCodes = pixbincodec.ErrorCodes;
+const HUGE_LENGTH = Math.pow( 2, 40 );
+
+pixbincodec.Logger.setLogger( null );
+
+
+function createPixBin(){
+  return helpers.encodePixBin([
+    { _data: new Float32Array( 10000 ).fill( 1 ), _metadata: {k: 0} },
+    { _data: new Uint8Array( 10 ).fill( 2 ), _metadata: {k: 1} }
+  ]);
+}
+
+
+function createPixBlock( compress=true ){
+  var blockEncoder = new pixbincodec.PixBlockEncoder();
+  blockEncoder.enableStrictMode( true );
+  blockEncoder.enableDataCompression( compress );
+  blockEncoder.setInput( { _data: new Float32Array( 1000 ).fill( 3 ), _metadata: {a: 1} } );
+  blockEncoder.run();
+  return blockEncoder.getOutput();
+}
+
+
+// the error of a decoder in strict mode
+function getError( fn ){
+  try{
+    fn();
+  }catch( e ){
+    return e;
+  }
+
+  assert.fail( "an error was expected" );
+}
+
+
+function assertError( error, code, ErrorClass ){
+  assert.ok( error instanceof ErrorClass, "expected a " + ErrorClass.name + ", got " + error );
+  assert.strictEqual( error.code, code, error.message );
+}
+
+
+function decodePixBin( buff, limits=null ){
+  var decoder = new pixbincodec.PixBinDecoder();
+  decoder.enableStrictMode( true );
+
+  if( limits ){
+    decoder.setLimits( limits );
+  }
+
+  decoder.setInput( buff );
+  return decoder;
+}
+
+
+function decodePixBlock( buff, limits=null ){
+  var blockDecoder = new pixbincodec.PixBlockDecoder();
+  blockDecoder.enableStrictMode( true );
+
+  if( limits ){
+    blockDecoder.setLimits( limits );
+  }
+
+  blockDecoder.setInput( buff );
+  blockDecoder.run();
+  return blockDecoder.getOutput();
+}
+
+
+// the first error of a PixBinStreamDecoder, in non-strict mode
+function streamDecodePixBin( buff, limits=null ){
+  var decoder = new pixbincodec.PixBinStreamDecoder();
+  var errors = [];
+  decoder.on("error", function( error ){ errors.push( error ) });
+
+  if( limits ){
+    decoder.setLimits( limits );
+  }
+
+  decoder.push( buff );
+  decoder.end();
+  return errors[0];
+}
+
+
+// the result of setInputReader, with the PixBin written in a file
+function readPixBin( buff, limits=null ){
+  var directory = fs.mkdtempSync( path.join(os.tmpdir(), "pixbincodec-") );
+  var filePath = path.join( directory, "untrusted.pixp" );
+  fs.writeFileSync( filePath, helpers.toBytes( buff ) );
+
+  return fs.promises.open( filePath, "r" ).then(function( fileHandle ){
+    var decoder = new pixbincodec.PixBinDecoder();
+    decoder.enableStrictMode( true );
+
+    if( limits ){
+      decoder.setLimits( limits );
+    }
+
+    return decoder.setInputReader( new pixbincodec.FileHandleReader( fileHandle ) )
+    .then(function(){
+      return decoder.fetchBlockAsync( 0 );
+    })
+    .finally(function(){
+      return fileHandle.close().then(function(){
+        fs.rmSync( directory, {recursive: true} );
+      });
+    });
+  });
+}
+
+
+test("the byte length of the index in the primer", function(){
+  var pixBin = helpers.toBytes( createPixBin() );
+  var primer = pixbincodec.PixBinDecoder.parsePrimer( pixBin );
+  var crafted = Buffer.from( pixBin );
+  new DataView( crafted.buffer, crafted.byteOffset ).setUint32( primer.indexByteOffset - 4, 0xffffffff, primer.isLittleEndian );
+
+  assertError( getError(function(){ decodePixBin( crafted ) }), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+  assertError( getError(function(){ decodePixBin( crafted, {maxIndexByteLength: 1000} ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assertError( streamDecodePixBin( crafted, {maxIndexByteLength: 1000} ), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assertError( streamDecodePixBin( crafted ), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+
+  return readPixBin( crafted ).then(function(){
+    assert.fail( "the reader path should reject" );
+  }, function( error ){
+    assertError( error, ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+  });
+});
+
+
+test("the byte length of a block in the index", function(){
+  var pixBin = createPixBin();
+
+  [ -1, 0.5, "10", null ].forEach(function( byteLength ){
+    var crafted = helpers.craftIndex( pixBin, function( index ){ index.pixblocksInfo[0].byteLength = byteLength } );
+    assertError( getError(function(){ decodePixBin( crafted ) }), ErrorCodes.BAD_INDEX, pixbincodec.FormatError );
+    assertError( streamDecodePixBin( crafted ), ErrorCodes.BAD_INDEX, pixbincodec.FormatError );
+  });
+
+  var crafted = helpers.craftIndex( pixBin, function( index ){ index.pixblocksInfo[0].byteLength = HUGE_LENGTH } );
+  var decoder = decodePixBin( crafted );
+  var error = getError(function(){ decoder.fetchBlock( 0 ) });
+  assertError( error, ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+  assert.strictEqual( error.details.block, 0 );
+  assertError( streamDecodePixBin( crafted ), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+
+  // the reader path checks the blocks against the size of the file before reading them
+  return readPixBin( crafted ).then(function(){
+    assert.fail( "the reader path should reject" );
+  }, function( error ){
+    assertError( error, ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+    assert.strictEqual( error.details.block, 0 );
+  });
+});
+
+
+test("the shared streams of a block in the index", function(){
+  var pixBin = createPixBin();
+
+  [
+    { hash: { byteOffset: 0, byteLength: HUGE_LENGTH } },
+    { hash: { byteOffset: -1, byteLength: 1 } },
+    { hash: null }
+  ].forEach(function( sharedStreams ){
+    var crafted = helpers.craftIndex( pixBin, function( index ){ index.pixblocksInfo[0].sharedStreams = sharedStreams } );
+    assertError( getError(function(){ decodePixBin( crafted ) }), ErrorCodes.BAD_INDEX, pixbincodec.FormatError );
+  });
+});
+
+
+test("the byte length of the header of a block", function(){
+  var pixBlock = Buffer.from( helpers.toBytes( createPixBlock() ) );
+  new DataView( pixBlock.buffer, pixBlock.byteOffset ).setUint32( 1, 0xffffffff, !!pixBlock[0] );
+  assertError( getError(function(){ decodePixBlock( pixBlock ) }), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+});
+
+
+test("the byte length of the metadata in a block header", function(){
+  var pixBlock = createPixBlock();
+
+  var crafted = helpers.craftBlockHeader( pixBlock, function( header ){ header.metadataByteLength = HUGE_LENGTH } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+
+  crafted = helpers.craftBlockHeader( pixBlock, function( header ){ header.metadataByteLength = -1 } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.BAD_HEADER, pixbincodec.FormatError );
+});
+
+
+test("the byte lengths of a stream in a block header", function(){
+  var pixBlock = createPixBlock();
+  var uncompressedPixBlock = createPixBlock( false );
+
+  function craft( buff, mutate ){
+    return helpers.craftBlockHeader( buff, function( header ){ mutate( header.byteStreamInfo[0] ) } );
+  }
+
+  // not a length
+  [ "byteLength", "compressedByteLength", "padding", "length" ].forEach(function( field ){
+    var crafted = craft( pixBlock, function( bsi ){ bsi[ field ] = -8 } );
+    assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.BAD_HEADER, pixbincodec.FormatError );
+  });
+
+  // a byteLength that does not match the number of elements
+  var crafted = craft( pixBlock, function( bsi ){ bsi.byteLength = 400 } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.BAD_HEADER, pixbincodec.FormatError );
+
+  // a compressed stream that inflates to more than announced
+  crafted = craft( pixBlock, function( bsi ){ bsi.byteLength = 400; bsi.length = 100 } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.DECOMPRESSION_FAILED, pixbincodec.FormatError );
+
+  // a stream larger than the block
+  crafted = craft( pixBlock, function( bsi ){ bsi.compressedByteLength = HUGE_LENGTH } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+  crafted = craft( uncompressedPixBlock, function( bsi ){ bsi.byteLength = HUGE_LENGTH; bsi.length = HUGE_LENGTH / 4 } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+  crafted = craft( uncompressedPixBlock, function( bsi ){ bsi.padding = HUGE_LENGTH } );
+  assertError( getError(function(){ decodePixBlock( crafted ) }), ErrorCodes.TRUNCATED, pixbincodec.IntegrityError );
+
+  // nothing is allocated for a stream above the limit, even if its size is a lie
+  crafted = craft( pixBlock, function( bsi ){ bsi.byteLength = HUGE_LENGTH; bsi.length = HUGE_LENGTH / 4 } );
+  assertError( getError(function(){ decodePixBlock( crafted, {maxStreamByteLength: 1e6} ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+});
+
+
+test("the limit maxIndexByteLength", function(){
+  var pixBin = createPixBin();
+  assertError( getError(function(){ decodePixBin( pixBin, {maxIndexByteLength: 10} ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assertError( streamDecodePixBin( pixBin, {maxIndexByteLength: 10} ), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assert.ok( decodePixBin( pixBin, {maxIndexByteLength: 10000} ).isValid() );
+});
+
+
+test("the limit maxBlocks", function(){
+  var pixBin = createPixBin();
+  assertError( getError(function(){ decodePixBin( pixBin, {maxBlocks: 1} ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assertError( streamDecodePixBin( pixBin, {maxBlocks: 1} ), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assert.ok( decodePixBin( pixBin, {maxBlocks: 2} ).isValid() );
+});
+
+
+test("the limit maxBlockByteLength", function(){
+  var pixBin = createPixBin();
+  var error = getError(function(){ decodePixBin( pixBin, {maxBlockByteLength: 100} ) });
+  assertError( error, ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assert.strictEqual( error.details.block, 0 );
+  assertError( streamDecodePixBin( pixBin, {maxBlockByteLength: 100} ), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assert.ok( decodePixBin( pixBin, {maxBlockByteLength: 1e6} ).isValid() );
+
+  var crafted = helpers.craftIndex( pixBin, function( index ){ index.pixblocksInfo[0].byteLength = HUGE_LENGTH } );
+
+  return readPixBin( crafted, {maxBlockByteLength: 1e6} ).then(function(){
+    assert.fail( "the reader path should reject" );
+  }, function( error ){
+    assertError( error, ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  });
+});
+
+
+test("the limit maxStreamByteLength", function(){
+  var decoder = decodePixBin( createPixBin(), {maxStreamByteLength: 1000} );
+  assertError( getError(function(){ decoder.fetchBlock( 0 ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assert.strictEqual( decoder.fetchBlock( 1 )._data.length, 10 );
+  assertError( getError(function(){ decodePixBlock( createPixBlock(), {maxStreamByteLength: 1000} ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+});
+
+
+test("the limit maxDecodedByteLength", function(){
+  var decoder = decodePixBin( createPixBin(), {maxDecodedByteLength: 40005} );
+  decoder.fetchBlock( 0 );
+  assertError( getError(function(){ decoder.fetchBlock( 1 ) }), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  assertError( streamDecodePixBin( createPixBin(), {maxDecodedByteLength: 40005} ), ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+
+  decoder = decodePixBin( createPixBin(), {maxDecodedByteLength: 40010} );
+  decoder.fetchBlock( 0 );
+  assert.strictEqual( decoder.fetchBlock( 1 )._data.length, 10 );
+
+  return decodePixBin( createPixBin(), {maxDecodedByteLength: 40005} ).decodeAsync().then(function(){
+    assert.fail( "decodeAsync should reject" );
+  }, function( error ){
+    assertError( error, ErrorCodes.LIMIT_EXCEEDED, pixbincodec.LimitError );
+  });
+});
+
+
+test("the limits that do not exist or are not valid", function(){
+  assertError( getError(function(){ decodePixBin( createPixBin(), {maxSomething: 1} ) }), ErrorCodes.INVALID_INPUT, pixbincodec.InputError );
+  assertError( getError(function(){ decodePixBin( createPixBin(), {maxBlocks: -1} ) }), ErrorCodes.INVALID_INPUT, pixbincodec.InputError );
+});
+
@@ -0,0 +1,14 @@
+/*
+* Author    Jonathan Lurie - http://me.jonahanlurie.fr
+*
+* License   MIT
+* Link      https://github.com/jonathanlurie/pixpipejs
+* Lab       MCIN - Montreal Neurological Institute
+*/
+
+// The script of the workers of the WorkerPool used by the tests
+
+const worker_threads = require("worker_threads");
+const pixbincodec = require("..");
+
+pixbincodec.WorkerPool.serve( worker_threads.parentPort );